@@ -0,0 +1,149 @@
+/**
+ * Accessibility
+ * Screen reader announcements and keyboard focus handling for the notebook.
+ * Run results, validation feedback and unlocked cells are read out through
+ * a live region, and dialogs such as the tutorial keep focus inside
+ * themselves until they are dismissed.
+ */
+
+// Longest run output read out in full; screen readers can review the rest
+// in the output area
+const MAX_ANNOUNCED_OUTPUT = 160;
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Read a message out through the page's live region. The region is emptied
+ * first so the same message twice in a row is still announced.
+ * @param {string} message
+ * @param {{assertive?: boolean}} [options] - interrupt the reader (errors)
+ */
+function announce(message, options = {}) {
+  if (typeof document === 'undefined' || !message) return;
+  const region = document.getElementById(options.assertive ? 'sr-alert' : 'sr-status');
+  if (!region) return;
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+/**
+ * One sentence summing up a finished run: the cell, its status, then the
+ * feedback if grading failed or else the start of the output, then what
+ * the run unlocked.
+ * @param {{cell: string, status: string, feedback?: string, output?: string, next?: string}} run
+ * @returns {string}
+ */
+function summarizeRun({ cell, status, feedback = '', output = '', next = '' }) {
+  const collapse = text => text.replace(/\s+/g, ' ').trim();
+  let detail = collapse(feedback);
+  if (!detail) {
+    detail = collapse(output);
+    if (detail.length > MAX_ANNOUNCED_OUTPUT) {
+      detail = detail.slice(0, MAX_ANNOUNCED_OUTPUT).trimEnd() + '…';
+    }
+  }
+  return [`${cell}: ${collapse(status)}.`, detail, next].filter(Boolean).join(' ');
+}
+
+/**
+ * Where Tab should go from the focused element inside a focus trap, or
+ * -1 to let the browser move focus as usual.
+ * @param {number} count - focusable elements in the trap
+ * @param {number} index - the focused one, or -1 if focus is outside
+ * @param {boolean} backwards - Shift+Tab
+ * @returns {number}
+ */
+function nextTrapIndex(count, index, backwards) {
+  if (count === 0) return -1;
+  if (index === -1) return backwards ? count - 1 : 0;
+  if (backwards && index === 0) return count - 1;
+  if (!backwards && index === count - 1) return 0;
+  return -1;
+}
+
+function focusableElements(container) {
+  return [...container.querySelectorAll(FOCUSABLE)].filter(
+    element => element.offsetParent !== null || element === document.activeElement
+  );
+}
+
+// Open traps, innermost last. Only the innermost one handles keys, so a
+// dialog opened from another dialog keeps focus until it closes.
+const openTraps = [];
+
+/**
+ * Keep keyboard focus inside a container until released. Escape calls
+ * onEscape; releasing puts focus back where it was before the trap.
+ * @param {HTMLElement} container
+ * @param {{onEscape?: Function, initialFocus?: HTMLElement}} [options]
+ * @returns {Function} release
+ */
+function trapFocus(container, options = {}) {
+  const previous = document.activeElement;
+
+  function onKeydown(event) {
+    if (openTraps[openTraps.length - 1] !== onKeydown) return;
+    if (event.key === 'Escape' && options.onEscape) {
+      event.preventDefault();
+      options.onEscape();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    const elements = focusableElements(container);
+    const target = nextTrapIndex(elements.length, elements.indexOf(document.activeElement), event.shiftKey);
+    if (target !== -1) {
+      event.preventDefault();
+      elements[target].focus();
+    }
+  }
+
+  openTraps.push(onKeydown);
+  document.addEventListener('keydown', onKeydown, true);
+  const first = options.initialFocus || focusableElements(container)[0];
+  if (first) first.focus();
+
+  return function release() {
+    if (!openTraps.includes(onKeydown)) return;
+    openTraps.splice(openTraps.indexOf(onKeydown), 1);
+    document.removeEventListener('keydown', onKeydown, true);
+    if (previous && previous.isConnected && typeof previous.focus === 'function') {
+      previous.focus();
+    }
+  };
+}
+
+/**
+ * Let a non-button element act as a button: it can be tabbed to and
+ * pressed with Enter or Space, and is read out with the given label.
+ * @param {HTMLElement} element
+ * @param {string} label
+ */
+function makeActivatable(element, label) {
+  element.setAttribute('role', 'button');
+  element.setAttribute('tabindex', '0');
+  element.setAttribute('aria-label', label);
+  element.addEventListener('keydown', event => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      element.click();
+    }
+  });
+}
+
+const Accessibility = { announce, summarizeRun, nextTrapIndex, trapFocus, makeActivatable };
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Accessibility;
+} else if (typeof window !== 'undefined') {
+  window.Accessibility = Accessibility;
+}
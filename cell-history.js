@@ -0,0 +1,140 @@
+/**
+ * Cell History
+ * Snapshots of each cell's code, taken whenever it runs, around every AI
+ * edit and before a reset to the starter code, so a student who breaks
+ * working code can always get back to it. History is plain JSON, keyed by
+ * stage and cell, and saves with the game. One snapshot per cell can be
+ * pinned as "my working version"; pinned snapshots are never pruned.
+ */
+
+// Oldest unpinned snapshots are dropped past this, to stay within localStorage
+const MAX_SNAPSHOTS_PER_CELL = 30;
+
+// ...and across all cells past this many characters of saved JSON
+const MAX_SAVED_SNAPSHOT_CHARS = 400000;
+
+const SOURCE_LABELS = {
+  run: 'Ran',
+  'before-ai': 'Before AI edit',
+  ai: 'AI edit',
+  'before-restore': 'Before restoring',
+  'before-reset': 'Before reset to starter'
+};
+
+/**
+ * A cell's snapshots, oldest first
+ * @param {Object} history - stageId => cell => snapshots
+ * @param {number} cell - Cell index; single-cell stages use 0
+ */
+function getSnapshots(history, stageId, cell = 0) {
+  return history?.[stageId]?.[cell] || [];
+}
+
+/**
+ * Record a cell's code. Code identical to the latest snapshot isn't stored
+ * twice; running it again just updates that snapshot's outcome.
+ * @param {Object} history - Updated in place
+ * @param {Object} snapshot
+ * @param {string} snapshot.code
+ * @param {string} snapshot.source - A key of SOURCE_LABELS
+ * @param {string} [snapshot.outcome] - For runs: a TutorAnalytics outcome
+ * @param {string} [snapshot.label] - Overrides the source's label, e.g. "Agent edit"
+ * @returns {Object} The new or updated snapshot
+ */
+function addSnapshot(history, stageId, cell = 0, { code, source, outcome = null, label = null, at = Date.now() }) {
+  if (!history[stageId]) history[stageId] = {};
+  const snapshots = history[stageId][cell] || (history[stageId][cell] = []);
+
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && latest.code === code) {
+    if (outcome) latest.outcome = outcome;
+    latest.at = at;
+    return latest;
+  }
+
+  const snapshot = {
+    id: snapshots.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+    at,
+    code: String(code ?? ''),
+    source,
+    label: label || SOURCE_LABELS[source] || source,
+    outcome,
+    pinned: false
+  };
+  snapshots.push(snapshot);
+
+  while (snapshots.length > MAX_SNAPSHOTS_PER_CELL) {
+    const oldest = snapshots.findIndex(s => !s.pinned);
+    if (oldest === -1) break;
+    snapshots.splice(oldest, 1);
+  }
+  return snapshot;
+}
+
+/**
+ * Mark a snapshot as the working version, or clear the mark if it already
+ * has it. Only one snapshot per cell carries the mark.
+ * @returns {boolean} Whether the snapshot is now pinned
+ */
+function togglePin(history, stageId, cell, id) {
+  const snapshots = getSnapshots(history, stageId, cell);
+  const target = snapshots.find(s => s.id === id);
+  if (!target) return false;
+  const pin = !target.pinned;
+  snapshots.forEach(s => { s.pinned = false; });
+  target.pinned = pin;
+  return pin;
+}
+
+/**
+ * The snapshot marked as the working version, if any
+ */
+function getPinned(history, stageId, cell = 0) {
+  return getSnapshots(history, stageId, cell).find(s => s.pinned) || null;
+}
+
+/**
+ * Drop the oldest unpinned snapshots, across every stage and cell, until the
+ * history's JSON fits in maxChars. Each cell's latest snapshot is kept.
+ * @param {Object} history - Updated in place
+ * @returns {number} How many snapshots were dropped
+ */
+function trimToSize(history, maxChars = MAX_SAVED_SNAPSHOT_CHARS) {
+  let size = JSON.stringify(history).length;
+  if (size <= maxChars) return 0;
+
+  const candidates = [];
+  Object.values(history).forEach(cells => Object.values(cells).forEach(snapshots => {
+    snapshots.slice(0, -1).forEach(snapshot => {
+      if (!snapshot.pinned) candidates.push({ snapshots, snapshot });
+    });
+  }));
+  candidates.sort((a, b) => a.snapshot.at - b.snapshot.at);
+
+  let dropped = 0;
+  for (const { snapshots, snapshot } of candidates) {
+    if (size <= maxChars) break;
+    snapshots.splice(snapshots.indexOf(snapshot), 1);
+    size -= JSON.stringify(snapshot).length + 1;
+    dropped++;
+  }
+  return dropped;
+}
+
+const CellHistory = {
+  MAX_SNAPSHOTS_PER_CELL,
+  MAX_SAVED_SNAPSHOT_CHARS,
+  SOURCE_LABELS,
+  getSnapshots,
+  addSnapshot,
+  togglePin,
+  getPinned,
+  trimToSize
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CellHistory;
+} else if (typeof window !== 'undefined') {
+  window.CellHistory = CellHistory;
+}
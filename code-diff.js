@@ -0,0 +1,100 @@
+/**
+ * Code Diff
+ * Line diffs for reviewing an AI edit before it reaches a cell. The change
+ * is split into hunks (a run of removed and added lines) so a student can
+ * take part of a suggestion and leave the rest. The same diffs show a cell's
+ * earlier versions and what a student changed from the starter code.
+ */
+
+// Scoped so helpers such as diffLines never become page globals; other
+// scripts use window.CodeDiff
+(function () {
+  /**
+   * Diff two texts line by line, by longest common subsequence. Where lines
+   * change, removals come before additions so a hunk reads old then new.
+   * @returns {Array<{type: 'same'|'remove'|'add', line: string}>}
+   */
+  function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // common[i][j] is the LCS length of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: 'same', line: a[i++] });
+        j++;
+      } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+        ops.push({ type: 'remove', line: a[i++] });
+      } else {
+        ops.push({ type: 'add', line: b[j++] });
+      }
+    }
+    return ops;
+  }
+
+  /**
+   * Group a diff into unchanged runs and numbered hunks
+   * @returns {Array<{type: 'same', lines: string[]} | {type: 'change', id: number, removed: string[], added: string[]}>}
+   */
+  function diffHunks(before, after) {
+    const segments = [];
+    let hunks = 0;
+    diffLines(before, after).forEach(op => {
+      let last = segments[segments.length - 1];
+      const kind = op.type === 'same' ? 'same' : 'change';
+      if (!last || last.type !== kind) {
+        last = kind === 'same' ? { type: 'same', lines: [] } : { type: 'change', id: hunks++, removed: [], added: [] };
+        segments.push(last);
+      }
+      if (op.type === 'same') last.lines.push(op.line);
+      else if (op.type === 'remove') last.removed.push(op.line);
+      else last.added.push(op.line);
+    });
+    return segments;
+  }
+
+  /**
+   * The text that results from taking only some hunks
+   * @param {Array} segments - From diffHunks
+   * @param {Iterable<number>} accepted - Ids of the hunks to take
+   * @returns {string}
+   */
+  function applyHunks(segments, accepted) {
+    const take = new Set(accepted);
+    return segments.flatMap(segment => {
+      if (segment.type === 'same') return segment.lines;
+      return take.has(segment.id) ? segment.added : segment.removed;
+    }).join('\n');
+  }
+
+  /**
+   * Only the changed lines, marked "+" or "-", e.g. to show a tutor what a
+   * student changed
+   * @returns {string} Empty when nothing changed
+   */
+  function describeChanges(before, after) {
+    return diffLines(before, after)
+      .filter(op => op.type !== 'same')
+      .map(op => `${op.type === 'add' ? '+' : '-'} ${op.line}`)
+      .join('\n');
+  }
+
+  const CodeDiff = { diffLines, diffHunks, applyHunks, describeChanges };
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeDiff;
+  } else if (typeof window !== 'undefined') {
+    window.CodeDiff = CodeDiff;
+  }
+})();
@@ -0,0 +1,232 @@
+/**
+ * Code Rules
+ * Structural checks on student code. Regex codePatterns match inside
+ * comments and strings and reject equally good alternatives (a while loop,
+ * a list comprehension); rules instead look at the syntax tree Skulpt's
+ * parser builds. A validation block declares them as codeRules:
+ *
+ *   { "type": "defines", "name": "count_languages", "args": 1 }
+ *   { "type": "calls", "name": "len", "with": "fragment_lengths" }
+ *   { "type": "calls", "name": "replace", "method": true }
+ *   { "type": "loop", "over": "fragment_lengths" }
+ *   { "type": "assigns", "name": "fragment_count", "value": 23 }
+ *
+ * Any rule may carry a "message" to replace the generated explanation.
+ */
+
+// Scoped so helpers such as valueOf and walk never become page globals;
+// other scripts use CodeRules (self.CodeRules in python-worker.js)
+(function () {
+  const CODE_RULE_TYPES = ['defines', 'calls', 'loop', 'assigns'];
+  const LOOP_KINDS = ['for', 'while', 'comprehension'];
+  const COMPREHENSIONS = ['ListComp', 'SetComp', 'DictComp', 'GeneratorExp'];
+
+  /**
+   * Parse Python source into Skulpt's AST
+   * @param {string} code
+   * @param {Object} Sk - A loaded Skulpt, configured for Python 3
+   * @throws Skulpt's SyntaxError
+   */
+  function parsePython(code, Sk) {
+    const parsed = Sk.parse('<stdin>', code);
+    return Sk.astFromParse(parsed.cst, '<stdin>', parsed.flags);
+  }
+
+  // Skulpt keeps identifiers and literals as Python objects with the JS value in .v
+  function valueOf(value) {
+    return value && typeof value === 'object' && 'v' in value ? value.v : value;
+  }
+
+  function childrenOf(node) {
+    const children = [];
+    const fields = node._fields || [];
+    // _fields alternates field names and their getters
+    for (let i = 0; i < fields.length; i += 2) {
+      const child = node[fields[i]];
+      (Array.isArray(child) ? child : [child]).forEach(item => {
+        if (item && typeof item === 'object' && item._astname) children.push(item);
+      });
+    }
+    return children;
+  }
+
+  /**
+   * Every node in a tree, depth first
+   */
+  function walk(node, visit) {
+    if (!node) return;
+    visit(node);
+    childrenOf(node).forEach(child => walk(child, visit));
+  }
+
+  function findNodes(tree, test) {
+    const found = [];
+    walk(tree, node => {
+      if (test(node)) found.push(node);
+    });
+    return found;
+  }
+
+  // Whether a name is read anywhere inside a node
+  function mentions(node, name) {
+    return findNodes(node, n => n._astname === 'Name' && valueOf(n.id) === name).length > 0;
+  }
+
+  // The literal a node spells out, or undefined if it isn't one
+  function literalOf(node) {
+    if (!node) return undefined;
+    switch (node._astname) {
+      case 'Num':
+        return valueOf(node.n);
+      case 'Str':
+        return valueOf(node.s);
+      case 'NameConstant':
+        return valueOf(node.value);
+      case 'UnaryOp': {
+        const operand = literalOf(node.operand);
+        // Operators are node classes rather than instances
+        return typeof operand === 'number' && node.op?.prototype?._astname === 'USub' ? -operand : operand;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  function calledName(call) {
+    const func = call.func;
+    if (func._astname === 'Name') return valueOf(func.id);
+    if (func._astname === 'Attribute') return valueOf(func.attr);
+    return null;
+  }
+
+  function assignedNames(target) {
+    if (target._astname === 'Name') return [valueOf(target.id)];
+    if (target._astname === 'Tuple' || target._astname === 'List') {
+      return target.elts.flatMap(assignedNames);
+    }
+    return [];
+  }
+
+  const matchers = {
+    defines(tree, rule) {
+      return findNodes(tree, node => node._astname === 'FunctionDef').some(node =>
+        (!rule.name || valueOf(node.name) === rule.name) &&
+        (rule.args === undefined || node.args.args.length === rule.args));
+    },
+
+    calls(tree, rule) {
+      return findNodes(tree, node => node._astname === 'Call').some(node => {
+        if (calledName(node) !== rule.name) return false;
+        // A method rule wants text.replace(...), not a function named replace
+        if (rule.method && node.func._astname !== 'Attribute') return false;
+        if (!rule.with) return true;
+        // For methods the object counts too: text.replace(...) works "with" text
+        const receiver = node.func._astname === 'Attribute' ? [node.func.value] : [];
+        return receiver.concat(node.args || [], (node.keywords || []).map(k => k.value))
+          .some(arg => mentions(arg, rule.with));
+      });
+    },
+
+    loop(tree, rule) {
+      return findNodes(tree, node => {
+        const kind = node._astname === 'For' ? 'for'
+          : node._astname === 'While' ? 'while'
+            : COMPREHENSIONS.includes(node._astname) ? 'comprehension' : null;
+        if (!kind || (rule.kind && rule.kind !== kind)) return false;
+        if (!rule.over) return true;
+        // A while loop has nothing it goes through
+        const iterables = kind === 'for' ? [node.iter]
+          : kind === 'comprehension' ? node.generators.map(g => g.iter) : [];
+        return iterables.some(iter => mentions(iter, rule.over));
+      }).length > 0;
+    },
+
+    assigns(tree, rule) {
+      return findNodes(tree, node => ['Assign', 'AugAssign', 'AnnAssign'].includes(node._astname)).some(node => {
+        const targets = node._astname === 'Assign' ? node.targets : [node.target];
+        if (!targets.some(target => assignedNames(target).includes(rule.name))) return false;
+        if (rule.value === undefined) return true;
+        // "23" and 23 both count, as a number typed in quotes still prints the same
+        return node._astname !== 'AugAssign' && String(literalOf(node.value)) === String(rule.value);
+      });
+    }
+  };
+
+  /**
+   * Check a syntax tree against rules, stopping at the first that fails
+   * @param {Object} tree - From parsePython
+   * @param {Array<Object>} rules
+   * @returns {{isValid: boolean, index?: number, rule?: Object}}
+   */
+  function checkCodeRules(tree, rules = []) {
+    for (let i = 0; i < rules.length; i++) {
+      const matcher = matchers[rules[i].type];
+      if (matcher && !matcher(tree, rules[i])) {
+        return { isValid: false, index: i, rule: rules[i] };
+      }
+    }
+    return { isValid: true };
+  }
+
+  // Explanations are in the player's language. i18n.js is a global in the
+  // page and a module in Node; the worker never explains rules.
+  function ruleText(key, params) {
+    return (typeof I18n !== 'undefined' ? I18n : require('./i18n.js')).t(key, params);
+  }
+
+  /**
+   * Explain a rule to the student as the next thing to do
+   */
+  function describeCodeRule(rule) {
+    if (rule.message) return rule.message;
+
+    switch (rule.type) {
+      case 'defines': {
+        const name = rule.name || 'my_function';
+        const takes = rule.args === undefined ? ''
+          : ruleText(rule.args === 1 ? 'codeRule.takesArgument' : 'codeRule.takesArguments', { count: rule.args });
+        const example = rule.args === undefined ? '...'
+          : Array.from({ length: rule.args }, (_, i) => String.fromCharCode(97 + i)).join(', ');
+        return ruleText(rule.name ? 'codeRule.defines.named' : 'codeRule.defines.any', { name, takes, example });
+      }
+      case 'calls':
+        if (rule.method) {
+          return ruleText(rule.with ? 'codeRule.calls.methodWith' : 'codeRule.calls.method', { name: rule.name, with: rule.with });
+        }
+        return ruleText(rule.with ? 'codeRule.calls.functionWith' : 'codeRule.calls.function', { name: rule.name, with: rule.with });
+      case 'loop': {
+        const kind = ruleText(`codeRule.loopKind.${rule.kind || 'any'}`);
+        return ruleText(rule.over ? 'codeRule.loop.over' : 'codeRule.loop.repeat', { kind, over: rule.over });
+      }
+      case 'assigns':
+        return ruleText(rule.value === undefined ? 'codeRule.assigns.any' : 'codeRule.assigns.value', { name: rule.name, value: rule.value });
+      default:
+        return ruleText('codeRule.default');
+    }
+  }
+
+  /**
+   * What's wrong with a rule as written, for the content validator
+   * @returns {string|null}
+   */
+  function codeRuleProblem(rule) {
+    if (!CODE_RULE_TYPES.includes(rule.type)) {
+      return `unknown rule type "${rule.type}" (expected ${CODE_RULE_TYPES.join(', ')})`;
+    }
+    if ((rule.type === 'calls' || rule.type === 'assigns') && !rule.name) {
+      return `a "${rule.type}" rule needs a name`;
+    }
+    if (rule.kind && !LOOP_KINDS.includes(rule.kind)) {
+      return `unknown loop kind "${rule.kind}" (expected ${LOOP_KINDS.join(', ')})`;
+    }
+    return null;
+  }
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CODE_RULE_TYPES, parsePython, checkCodeRules, describeCodeRule, codeRuleProblem };
+  } else if (typeof self !== 'undefined') {
+    // self is window in the page and the global scope in python-worker.js
+    self.CodeRules = { CODE_RULE_TYPES, parsePython, checkCodeRules, describeCodeRule, codeRuleProblem };
+  }
+})();
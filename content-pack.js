@@ -0,0 +1,171 @@
+/**
+ * Content Packs
+ * Lets the game run curricula other than the bundled game-content.json.
+ * A pack is a JSON file with the same shape as game-content.json, loaded from
+ * a ?pack= URL or picked/dropped by the player. Picked packs are kept in
+ * localStorage so they survive a reload, and every pack saves its progress
+ * under its own key so packs never overwrite each other's saves.
+ */
+
+const DEFAULT_PACK_ID = 'default';
+const ACTIVE_PACK_KEY = 'aicodepedagogy_active_pack';
+const STORED_PACK_PREFIX = 'aicodepedagogy_pack:';
+
+class ContentPacks {
+  /**
+   * @param {Storage} storage - localStorage, or any object with the same methods
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Turn a pack title into an id safe for storage keys
+   */
+  static slugify(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * A pack's id: gameInfo.packId if the author set one, otherwise its title
+   */
+  static getPackId(content) {
+    const info = content?.gameInfo || {};
+    return ContentPacks.slugify(info.packId || info.title) || 'custom';
+  }
+
+  /**
+   * Namespace a localStorage key by pack. The bundled content keeps the
+   * un-namespaced key so existing saves still load.
+   */
+  static storageKey(baseKey, packId) {
+    return !packId || packId === DEFAULT_PACK_ID ? baseKey : `${baseKey}:${packId}`;
+  }
+
+  /**
+   * Read the pack requested in the page URL (?pack=path/to/pack.json).
+   * ?pack=default switches back to the bundled content.
+   * @returns {string|null}
+   */
+  static getRequestedPack(search) {
+    const params = new URLSearchParams(search || '');
+    return params.get('pack');
+  }
+
+  /**
+   * Parse and sanity-check pack JSON. Cross-reference and regex checks from
+   * content-validator.js run when it is loaded.
+   * @throws {Error} With a message suitable for showing to the player
+   */
+  static parse(text) {
+    let content;
+    try {
+      content = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Content pack is not valid JSON: ${error.message}`);
+    }
+
+    if (!content || typeof content !== 'object' || !content.gameInfo?.title) {
+      throw new Error('Content pack needs a gameInfo block with a title');
+    }
+    if (!Array.isArray(content.stages) || content.stages.length === 0) {
+      throw new Error('Content pack has no stages');
+    }
+
+    const validator = typeof ContentValidator !== 'undefined'
+      ? ContentValidator
+      : (typeof require === 'function' ? require('./content-validator.js') : null);
+    if (validator) {
+      const { errors } = validator.checkContentRules(content);
+      if (errors.length > 0) {
+        throw new Error(`Content pack has ${errors.length} problem(s): ${errors.slice(0, 3).join('; ')}`);
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Check a ?pack= path before it is fetched. A pack's text is shown in the
+   * page, so a link may only load a pack from this site: a relative path
+   * such as packs/my-pack.json, not an absolute path or any URL.
+   * @param {string} path
+   * @param {string} [baseUrl] - The page URL; when given, the path must
+   *   also resolve to the page's origin
+   * @returns {string} The path
+   * @throws {Error} For anything else
+   */
+  static checkPackPath(path, baseUrl) {
+    const text = String(path || '');
+    const rejected = text.trim() === '' ||
+      /[\u0000-\u001f\\]/.test(text) ||
+      /^\s*[a-z][a-z0-9+.-]*:/i.test(text) ||
+      /^\s*\//.test(text) ||
+      (baseUrl && new URL(text, baseUrl).origin !== new URL(baseUrl).origin);
+    if (rejected) {
+      throw new Error(`Content packs can only be loaded from this site, with a relative path like packs/my-pack.json (not "${text}")`);
+    }
+    return text;
+  }
+
+  /**
+   * Fetch and parse a pack from a relative path on this site
+   */
+  static async fetchPack(url, fetchFn = fetch) {
+    ContentPacks.checkPackPath(url, typeof location !== 'undefined' ? location.href : undefined);
+    const response = await fetchFn(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load content pack from ${url}`);
+    }
+    return ContentPacks.parse(await response.text());
+  }
+
+  /**
+   * Store a picked pack and make it the active one
+   * @returns {string} The pack id
+   */
+  install(content) {
+    const packId = ContentPacks.getPackId(content);
+    if (packId === DEFAULT_PACK_ID) {
+      throw new Error('"default" is reserved for the bundled content; set a different gameInfo.packId');
+    }
+    this.storage.setItem(STORED_PACK_PREFIX + packId, JSON.stringify(content));
+    this.storage.setItem(ACTIVE_PACK_KEY, packId);
+    return packId;
+  }
+
+  /**
+   * The picked pack to start with, or null to use the bundled content
+   * @returns {{id: string, content: Object}|null}
+   */
+  getActive() {
+    const packId = this.storage.getItem(ACTIVE_PACK_KEY);
+    if (!packId || packId === DEFAULT_PACK_ID) return null;
+
+    const stored = this.storage.getItem(STORED_PACK_PREFIX + packId);
+    if (!stored) return null;
+    try {
+      return { id: packId, content: JSON.parse(stored) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Go back to the bundled content. Picked packs and their progress are kept.
+   */
+  useDefault() {
+    this.storage.removeItem(ACTIVE_PACK_KEY);
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentPacks, DEFAULT_PACK_ID };
+} else if (typeof window !== 'undefined') {
+  window.ContentPacks = ContentPacks;
+  window.DEFAULT_PACK_ID = DEFAULT_PACK_ID;
+}
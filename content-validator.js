@@ -0,0 +1,420 @@
+/**
+ * Content Validator
+ * Checks game-content.json (or a custom content pack) before students see it:
+ * structure against game-content.schema.json, cross-references between
+ * stages/choices/endings, regex compilation, code rules, and - given a Python
+ * runner - that every solution passes its own validation rules.
+ */
+
+// Scoped so helpers such as formatPath never clash with the page's own
+// globals of the same name; other scripts use window.ContentValidator
+(function () {
+  // code-rules.js: a global in the browser, a module in Node
+  function codeRulesLibrary() {
+    return typeof CodeRules !== 'undefined' ? CodeRules : require('./code-rules.js');
+  }
+
+  // ============================================
+  // SCHEMA - The subset of JSON Schema used by game-content.schema.json
+  // ============================================
+
+  function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = schemaTypeOf(value);
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+  }
+
+  function resolveRef(ref, rootSchema) {
+    // Only local references ("#/definitions/stage") are used
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], rootSchema);
+  }
+
+  function formatPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Validate a value against a schema. Supports type, enum, required,
+   * properties, patternProperties, additionalProperties, items, minItems,
+   * minLength, pattern, minimum, $ref and if/then/else.
+   * @returns {Array<string>} Error messages prefixed with the JSON path
+   */
+  function validateSchema(value, schema, rootSchema = schema, path = '') {
+    if (schema.$ref) {
+      return validateSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, path);
+    }
+
+    const errors = [];
+    const where = path || '(root)';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+      return [`${where}: expected ${expected}, got ${schemaTypeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateSchema(item, schema.items, rootSchema, formatPath(path, index)));
+        });
+      }
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          errors.push(`${where}: missing required property "${key}"`);
+        }
+      });
+
+      const properties = schema.properties || {};
+      const patterns = Object.entries(schema.patternProperties || {})
+        .map(([pattern, subschema]) => [new RegExp(pattern), subschema]);
+
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = formatPath(path, key);
+        if (properties[key]) {
+          errors.push(...validateSchema(child, properties[key], rootSchema, childPath));
+          return;
+        }
+        const patternMatch = patterns.find(([regex]) => regex.test(key));
+        if (patternMatch) {
+          errors.push(...validateSchema(child, patternMatch[1], rootSchema, childPath));
+          return;
+        }
+        if (schema.additionalProperties === false) {
+          errors.push(`${where}: unknown property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validateSchema(child, schema.additionalProperties, rootSchema, childPath));
+        }
+      });
+    }
+
+    if (schema.if) {
+      const branch = validateSchema(value, schema.if, rootSchema, path).length === 0
+        ? schema.then
+        : schema.else;
+      if (branch) {
+        errors.push(...validateSchema(value, branch, rootSchema, path));
+      }
+    }
+
+    return errors;
+  }
+
+  // ============================================
+  // CONTENT RULES - Cross-references the schema can't express
+  // ============================================
+
+  /**
+   * Compile a pattern the way the game does (case-insensitive)
+   * @returns {string|null} The syntax error message, or null if it compiles
+   */
+  function regexError(pattern) {
+    try {
+      new RegExp(pattern, 'i');
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  function checkPatterns(validation, path, errors) {
+    if (!validation) return;
+    ['codePatterns', 'outputPatterns'].forEach(field => {
+      (validation[field] || []).forEach((pattern, index) => {
+        const message = typeof pattern === 'string' ? regexError(pattern) : null;
+        if (message) {
+          errors.push(`${path}.validation.${field}[${index}]: invalid regex - ${message}`);
+        }
+      });
+    });
+    (validation.codeRules || []).forEach((rule, index) => {
+      const problem = rule && typeof rule === 'object' ? codeRulesLibrary().codeRuleProblem(rule) : null;
+      if (problem) {
+        errors.push(`${path}.validation.codeRules[${index}]: ${problem}`);
+      }
+    });
+  }
+
+  /**
+   * Check rules that span several parts of the content
+   * @returns {{errors: Array<string>, warnings: Array<string>}}
+   */
+  function checkContentRules(content) {
+    const errors = [];
+    const warnings = [];
+    const stages = Array.isArray(content.stages) ? content.stages : [];
+    const endings = content.endings || {};
+
+    // The game moves between stages with currentStage + 1, so ids must be 0..n-1 in order
+    stages.forEach((stage, index) => {
+      if (stage.id !== index) {
+        errors.push(`stages[${index}]: id is ${stage.id}, expected ${index} (ids must be sequential from 0)`);
+      }
+    });
+    if (content.gameInfo && content.gameInfo.totalStages !== stages.length) {
+      warnings.push(`gameInfo.totalStages is ${content.gameInfo.totalStages} but there are ${stages.length} stages`);
+    }
+
+    const chosenPaths = new Set();
+    stages.forEach((stage, index) => {
+      const path = `stages[${index}]`;
+      checkPatterns(stage.validation, path, errors);
+      (stage.cells || []).forEach((cell, cellIndex) => {
+        checkPatterns(cell.validation, `${path}.cells[${cellIndex}]`, errors);
+      });
+
+      // Story modifiers only ever apply if an earlier choice leads to their path
+      Object.keys(stage.storyModifiers || {}).forEach(modifierPath => {
+        if (!chosenPaths.has(modifierPath)) {
+          warnings.push(`${path}.storyModifiers.${modifierPath}: no earlier choice has this consequence, so it never applies`);
+        }
+      });
+
+      const segment = stage.completionSegment;
+      if (!segment) return;
+
+      // Every {{pathSpecificX}} needs a matching collection in the segment
+      const placeholders = (segment.narrative || '').match(/\{\{pathSpecific\w+\}\}/g) || [];
+      placeholders.forEach(placeholder => {
+        const name = placeholder.slice(2, -2);
+        const collections = [`${name}s`, `${name}es`, name.replace(/y$/, 'ies')];
+        if (!collections.some(key => segment[key])) {
+          errors.push(`${path}.completionSegment: ${placeholder} has no ${collections[0]} (or plural) collection`);
+        }
+      });
+
+      const options = segment.choice ? segment.choice.options || [] : [];
+      const optionIds = new Set();
+      options.forEach((option, optionIndex) => {
+        const optionPath = `${path}.completionSegment.choice.options[${optionIndex}]`;
+        if (optionIds.has(option.id)) {
+          errors.push(`${optionPath}: duplicate option id "${option.id}"`);
+        }
+        optionIds.add(option.id);
+        if (option.leadsToEnding && !endings[option.leadsToEnding]) {
+          errors.push(`${optionPath}: leadsToEnding "${option.leadsToEnding}" is not defined in endings`);
+        }
+      });
+      options.forEach(option => chosenPaths.add(option.consequence));
+    });
+
+    Object.entries(endings).forEach(([endingId, ending]) => {
+      if (ending.id !== endingId) {
+        errors.push(`endings.${endingId}: id is "${ending.id}", expected "${endingId}"`);
+      }
+      (ending.requirements || []).forEach(requirement => {
+        if (!content.endingFlags || !content.endingFlags[requirement]) {
+          errors.push(`endings.${endingId}: requirement "${requirement}" has no rule in endingFlags, so it can never be met`);
+        }
+      });
+    });
+
+    Object.entries(content.endingFlags || {}).forEach(([flag, rule]) => {
+      (rule.choices || []).forEach(name => {
+        const known = stages.some(stage => {
+          const options = stage.completionSegment?.choice?.options || [];
+          return options.some(option => option.id === name || option.consequence === name);
+        });
+        if (!known) {
+          errors.push(`endingFlags.${flag}: "${name}" is not a choice id or consequence`);
+        }
+      });
+    });
+
+    Object.keys(content.transitionDialogues || {}).forEach(stageId => {
+      if (!stages.some(stage => stage.id === Number(stageId))) {
+        errors.push(`transitionDialogues.${stageId}: there is no stage ${stageId}`);
+      }
+    });
+
+    Object.entries(content.narrativePaths || {}).forEach(([pathName, definition]) => {
+      (definition.modifiesStages || []).forEach(stageId => {
+        if (!stages.some(stage => stage.id === stageId)) {
+          errors.push(`narrativePaths.${pathName}: modifiesStages refers to missing stage ${stageId}`);
+        }
+      });
+    });
+
+    return { errors, warnings };
+  }
+
+  // ============================================
+  // SOLUTIONS - Run each solution against its own rules
+  // ============================================
+
+  function extractNumbers(text) {
+    const matches = text.match(/\d+\.?\d*/g);
+    return matches ? matches.map(Number) : [];
+  }
+
+  /**
+   * Check code and output against a validation block. Mirrors the game's checks
+   * (validateSolution and validateCellWithPatterns in script.js), plus the
+   * requiredNumbers/requiredText the content declares.
+   * @returns {Array<string>} What failed, empty if everything passed
+   */
+  function checkAgainstValidation(code, output, validation, { normalise = false } = {}) {
+    const failures = [];
+    const checkedOutput = normalise
+      ? output.toLowerCase().replace(/\s+/g, ' ').trim()
+      : output.trim();
+
+    (validation.codePatterns || []).forEach(pattern => {
+      if (!new RegExp(pattern, 'i').test(code)) {
+        failures.push(`code does not match /${pattern}/`);
+      }
+    });
+    (validation.outputPatterns || []).forEach(pattern => {
+      if (!new RegExp(pattern, 'i').test(checkedOutput)) {
+        failures.push(`output does not match /${pattern}/`);
+      }
+    });
+
+    const numbers = extractNumbers(output);
+    (validation.requiredNumbers || []).forEach(number => {
+      if (!numbers.some(n => Math.abs(n - number) < 0.001)) {
+        failures.push(`output is missing the number ${number}`);
+      }
+    });
+    (validation.requiredText || []).forEach(text => {
+      if (!output.toLowerCase().includes(text.toLowerCase())) {
+        failures.push(`output is missing the text "${text}"`);
+      }
+    });
+
+    return failures;
+  }
+
+  /**
+   * Check code against its validation's codeRules
+   * @param {Function} checkCode - async (code, rules) => result, as PythonSandbox.checkCode
+   * @returns {Promise<Array<string>>} What failed, empty if everything passed
+   */
+  async function checkCodeRulesOf(code, validation, checkCode) {
+    if (!checkCode || !validation.codeRules) return [];
+    const result = await checkCode(code, validation.codeRules);
+    if (result.syntaxError) return [`code does not parse - ${result.syntaxError}`];
+    return result.isValid
+      ? []
+      : [`code breaks codeRules[${result.index}] - ${codeRulesLibrary().describeCodeRule(result.rule)}`];
+  }
+
+  /**
+   * Run every solution and confirm it passes its own validation. Multi-cell
+   * stages run cumulatively, as the game does, so later cells see earlier
+   * cells' variables.
+   * @param {Object} content - Parsed game content
+   * @param {Function} runPython - async (code, { stdin }) => printed output; rejects on Python errors.
+   *   stdin holds the lines input() reads (validation.stdin, accumulated across cells)
+   * @param {Object} options - { checkCode } to also check codeRules, see checkCodeRulesOf
+   * @returns {Promise<{errors: Array<string>, warnings: Array<string>}>}
+   */
+  async function checkSolutions(content, runPython, { checkCode = null } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [index, stage] of (content.stages || []).entries()) {
+      const path = `stages[${index}]`;
+
+      if (stage.cells) {
+        let previousCode = '';
+        let previousStdin = [];
+        for (const [cellIndex, cell] of stage.cells.entries()) {
+          const cellPath = `${path}.cells[${cellIndex}]`;
+          if (!cell.solution) {
+            warnings.push(`${cellPath}: no solution, so its validation can't be verified`);
+            break; // Later cells depend on this one's variables
+          }
+          const code = previousCode + cell.solution + '\n';
+          const stdin = previousStdin.concat(cell.validation?.stdin || []);
+          try {
+            const output = await runPython(code, { stdin });
+            if (cell.validation) {
+              checkAgainstValidation(cell.solution, output, cell.validation, { normalise: true })
+                .concat(await checkCodeRulesOf(cell.solution, cell.validation, checkCode))
+                .forEach(failure => errors.push(`${cellPath}: solution fails its own validation - ${failure}`));
+            }
+          } catch (error) {
+            errors.push(`${cellPath}: solution raised ${error}`);
+            break;
+          }
+          previousCode = code;
+          previousStdin = stdin;
+        }
+        continue;
+      }
+
+      if (!stage.solution || !stage.validation) continue;
+      try {
+        const output = await runPython(stage.solution, { stdin: stage.validation.stdin || [] });
+        checkAgainstValidation(stage.solution, output, stage.validation)
+          .concat(await checkCodeRulesOf(stage.solution, stage.validation, checkCode))
+          .forEach(failure => errors.push(`${path}: solution fails its own validation - ${failure}`));
+      } catch (error) {
+        errors.push(`${path}: solution raised ${error}`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Run every check. Solutions are only executed when a runner is given.
+   * @param {Object} content - Parsed game content
+   * @param {Object} options - { schema, runPython, checkCode }
+   * @returns {Promise<{errors: Array<string>, warnings: Array<string>}>}
+   */
+  async function validateContent(content, { schema = null, runPython = null, checkCode = null } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (schema) {
+      errors.push(...validateSchema(content, schema));
+    }
+
+    const rules = checkContentRules(content);
+    errors.push(...rules.errors);
+    warnings.push(...rules.warnings);
+
+    // Running solutions with broken regexes would only repeat the same errors
+    if (runPython && errors.length === 0) {
+      const solutions = await checkSolutions(content, runPython, { checkCode });
+      errors.push(...solutions.errors);
+      warnings.push(...solutions.warnings);
+    }
+
+    return { errors, warnings };
+  }
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateSchema, checkContentRules, checkSolutions, checkAgainstValidation, validateContent };
+  } else if (typeof window !== 'undefined') {
+    window.ContentValidator = { validateSchema, checkContentRules, checkSolutions, checkAgainstValidation, validateContent };
+  }
+})();
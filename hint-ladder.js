@@ -0,0 +1,65 @@
+/**
+ * Hint Ladder
+ * One ladder of hints per stage. The authored hints come first (the
+ * stage's, then each cell's) and are revealed one rung at a time; AI hints
+ * are offered only once every authored hint has been seen. How far a
+ * student has climbed is saved with their progress, so it survives reloads
+ * and shows on the teacher dashboard.
+ */
+
+/**
+ * The authored rungs of a stage, in the order they are revealed
+ * @returns {Array<{text: string, cell: number|null, number: number}>}
+ *   cell is the cell a hint belongs to (null for stage hints), and number
+ *   its position among that cell's (or the stage's) hints, from 1
+ */
+function authoredRungs(stage) {
+  const rungs = (stage?.hints || []).map((text, i) => ({ text, cell: null, number: i + 1 }));
+  (stage?.cells || []).forEach((cell, cellIndex) => {
+    (cell.hints || []).forEach((text, i) => rungs.push({ text, cell: cellIndex, number: i + 1 }));
+  });
+  return rungs;
+}
+
+/**
+ * A stage's saved position, or the foot of the ladder
+ * @param {Object<string, Object>} ladders - Stage id => position
+ * @returns {{reached: number, authored: number, aiHints: number}}
+ *   reached counts the authored hints revealed, authored how many the
+ *   stage has (so a saved position reads on its own), aiHints the AI
+ *   hints asked for after them
+ */
+function positionFor(ladders, stageId) {
+  const saved = ladders?.[stageId] || {};
+  const count = value => (Number.isInteger(value) && value > 0 ? value : 0);
+  return { reached: count(saved.reached), authored: count(saved.authored), aiHints: count(saved.aiHints) };
+}
+
+/**
+ * The rung a student would take next: the next authored hint, then AI
+ * hints (as many as they like) when AI is available, else nothing
+ * @returns {{kind: 'authored', index: number}|{kind: 'ai'}|null}
+ */
+function nextRung(rungs, position, aiAvailable) {
+  if (position.reached < rungs.length) return { kind: 'authored', index: position.reached };
+  return aiAvailable ? { kind: 'ai' } : null;
+}
+
+/**
+ * The position after taking a rung (from nextRung)
+ */
+function climb(position, rungs, rung) {
+  if (rung.kind === 'ai') {
+    return { ...position, authored: rungs.length, aiHints: position.aiHints + 1 };
+  }
+  return { ...position, reached: Math.min(rung.index + 1, rungs.length), authored: rungs.length };
+}
+
+const HintLadder = { authoredRungs, positionFor, nextRung, climb };
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HintLadder;
+} else if (typeof window !== 'undefined') {
+  window.HintLadder = HintLadder;
+}
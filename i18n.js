@@ -0,0 +1,245 @@
+/**
+ * Internationalization
+ * The player's language, UI messages and translated game content. Messages
+ * live in one catalog per language under locales/, keyed like
+ * "feedback.noOutput.title"; anything a catalog lacks falls back to English.
+ * Stage text comes from a game-content.<locale>.json overlay merged onto the
+ * bundled content by stage id. Only text fields are taken from an overlay,
+ * so a translation can never change how a stage is graded.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'aicodepedagogy_locale';
+
+// Languages offered in the switcher, in their own words
+const LOCALES = {
+  en: 'English',
+  es: 'Español'
+};
+
+// How the AI tutor is told which language to answer in
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+// Fields an overlay may replace. Anything else (solutions, starter code,
+// validation patterns, ids) always comes from the original content.
+const LOCALIZED_FIELDS = [
+  'title', 'subtitle', 'narrativeIntro', 'story', 'challenge', 'hints', 'description', 'message',
+  'instruction', 'successMessage', 'narrative', 'success', 'struggle', 'prompt', 'text', 'preview',
+  'dialogue', 'additionalContext'
+];
+
+// Maps of narrative path => text, e.g. completionSegment.pathSpecificRevelations
+const PATH_TEXT_PREFIX = 'pathSpecific';
+
+const catalogs = {};
+let activeLocale = DEFAULT_LOCALE;
+
+/**
+ * Register a language's messages. Catalog scripts call this as they load.
+ */
+function addCatalog(locale, messages) {
+  catalogs[locale] = { ...catalogs[locale], ...messages };
+}
+
+// In Node the catalogs are modules; in the page they add themselves
+function catalogFor(locale) {
+  if (!catalogs[locale] && typeof require === 'function' && LOCALES[locale]) {
+    addCatalog(locale, require(`./locales/${locale}.js`));
+  }
+  return catalogs[locale] || {};
+}
+
+/**
+ * The supported locale for a language tag ("es-MX" => "es"), or null
+ */
+function normalizeLocale(tag) {
+  const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : null;
+}
+
+/**
+ * The first of the browser's preferred languages the game speaks
+ */
+function detectLocale(languages = []) {
+  for (const tag of languages) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * The saved choice, or the browser's preference before anything is saved
+ * @param {Storage} storage
+ * @param {string} key - LOCALE_KEY, namespaced for the player profile
+ */
+function loadLocale(storage, key = LOCALE_KEY, languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+  return normalizeLocale(storage.getItem(key)) || detectLocale(languages);
+}
+
+function saveLocale(storage, key, locale) {
+  const supported = normalizeLocale(locale);
+  if (!supported) throw new Error(`Unsupported language "${locale}"`);
+  storage.setItem(key, supported);
+  return supported;
+}
+
+function setLocale(locale) {
+  activeLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  return activeLocale;
+}
+
+function getLocale() {
+  return activeLocale;
+}
+
+/**
+ * Look up a message and fill in its {placeholders}
+ * @param {string} key
+ * @param {Object} [params] - Values for the placeholders
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string} The message, the English one if untranslated, or the key itself
+ */
+function t(key, params = {}, locale = activeLocale) {
+  const message = catalogFor(locale)[key] ?? catalogFor(DEFAULT_LOCALE)[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Translate static markup: data-i18n sets the text, data-i18n-html sets
+ * markup (for messages with links or <code>; catalogs are ours, never
+ * player or model text), and data-i18n-title, data-i18n-placeholder and
+ * data-i18n-aria-label set those attributes
+ */
+function translatePage(root = document) {
+  const attributes = { 'data-i18n-title': 'title', 'data-i18n-placeholder': 'placeholder', 'data-i18n-aria-label': 'aria-label' };
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.getAttribute('data-i18n'));
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(element => {
+    element.innerHTML = t(element.getAttribute('data-i18n-html'));
+  });
+  Object.entries(attributes).forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach(element => {
+      element.setAttribute(target, t(element.getAttribute(source)));
+    });
+  });
+  if (root.documentElement) root.documentElement.lang = activeLocale;
+}
+
+/**
+ * Where the bundled content's translation lives, or null for English
+ */
+function contentOverlayUrl(locale, baseUrl = 'game-content.json') {
+  return locale === DEFAULT_LOCALE ? null : baseUrl.replace(/\.json$/, `.${locale}.json`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Items with ids (stages, choice options) match by id; others by position
+function mergeItems(items, overlayItems) {
+  return items.map((item, index) => {
+    if (!isPlainObject(item)) return item;
+    const match = item.id !== undefined
+      ? overlayItems.find(o => isPlainObject(o) && o.id === item.id)
+      : overlayItems[index];
+    return isPlainObject(match) ? mergeText(item, match) : item;
+  });
+}
+
+function mergeText(original, overlay, allText = false) {
+  const merged = { ...original };
+  Object.entries(overlay).forEach(([key, value]) => {
+    const current = original[key];
+    if (current === undefined) return;
+    if (isPlainObject(current) && isPlainObject(value)) {
+      merged[key] = mergeText(current, value, key.startsWith(PATH_TEXT_PREFIX));
+    } else if (Array.isArray(current) && Array.isArray(value)) {
+      if (current.every(item => typeof item === 'string')) {
+        if (LOCALIZED_FIELDS.includes(key) && value.every(item => typeof item === 'string')) merged[key] = value;
+      } else {
+        merged[key] = mergeItems(current, value);
+      }
+    } else if (typeof current === 'string' && typeof value === 'string' && (allText || LOCALIZED_FIELDS.includes(key))) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Apply a translation overlay to game content. The overlay mirrors the
+ * content's shape but only needs the text it translates; anything left out
+ * stays in the original language.
+ * @returns {Object} New content; the original is untouched
+ */
+function localizeContent(content, overlay) {
+  if (!isPlainObject(overlay)) return content;
+  return mergeText(content, overlay);
+}
+
+/**
+ * What in an overlay would be ignored, for the content validator
+ * @returns {Array<string>} Warnings, with the path of each ignored value
+ */
+function checkContentOverlay(content, overlay) {
+  const warnings = [];
+  const walk = (original, translated, path, allText) => {
+    Object.entries(translated).forEach(([key, value]) => {
+      const where = path ? `${path}.${key}` : key;
+      const current = original?.[key];
+      if (key === 'id') return;
+      if (current === undefined) {
+        warnings.push(`${where}: not in the original content`);
+      } else if (isPlainObject(value)) {
+        walk(current, value, where, key.startsWith(PATH_TEXT_PREFIX));
+      } else if (Array.isArray(value) && !value.every(item => typeof item === 'string')) {
+        if (!Array.isArray(current)) {
+          warnings.push(`${where}: the original isn't a list`);
+          return;
+        }
+        value.forEach((item, index) => {
+          if (!isPlainObject(item)) return;
+          const match = item.id !== undefined ? current.find(o => o && o.id === item.id) : current[index];
+          if (match) walk(match, item, `${where}[${item.id ?? index}]`, false);
+          else warnings.push(`${where}[${item.id ?? index}]: not in the original content`);
+        });
+      } else if (!allText && !LOCALIZED_FIELDS.includes(key)) {
+        warnings.push(`${where}: not a translatable field, ignored`);
+      }
+    });
+  };
+  walk(content, overlay, '', false);
+  return warnings;
+}
+
+const I18n = {
+  DEFAULT_LOCALE,
+  LOCALE_KEY,
+  LOCALES,
+  LANGUAGE_NAMES,
+  addCatalog,
+  normalizeLocale,
+  detectLocale,
+  loadLocale,
+  saveLocale,
+  setLocale,
+  getLocale,
+  t,
+  translatePage,
+  contentOverlayUrl,
+  localizeContent,
+  checkContentOverlay
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+} else if (typeof window !== 'undefined') {
+  window.I18n = I18n;
+}
@@ -4,6 +4,30 @@
  * by detecting the environment and only executing browser-dependent code when appropriate
  */
 
+// The markdown renderer, diff and agent helpers are page scripts in the browser and modules in Node
+function markdownRenderer() {
+  return typeof MarkdownRenderer !== 'undefined' ? MarkdownRenderer : require('./markdown-renderer.js');
+}
+
+function codeDiff() {
+  return typeof CodeDiff !== 'undefined' ? CodeDiff : require('./code-diff.js');
+}
+
+function tutorAgent() {
+  return typeof TutorAgent !== 'undefined' ? TutorAgent : require('./tutor-agent.js');
+}
+
+// The player's language, which the AI answers in
+function i18n() {
+  return typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+}
+
+// Model preferences belong to the player profile in use
+function modelPrefsKey() {
+  const PlayerProfiles = typeof Profiles !== 'undefined' ? Profiles : require('./profiles.js').Profiles;
+  return new PlayerProfiles(localStorage).profileKey('aicodepedagogy_model_prefs');
+}
+
 class LLMIntegration {
   constructor() {
     this.selectedModel = null;
@@ -53,6 +77,24 @@ class LLMIntegration {
     // Track the current agency level (for progressive feature unlock)
     this.agencyLevel = 1; // 1=hints only, 2=suggestions, 3=can edit code
 
+    // Chat memory: one conversation per stage, so switching stages starts fresh
+    // and returning to a stage picks up where the student left off
+    this.conversations = {};
+    this.maxChatTurns = 8; // user/assistant pairs sent back to the model each turn
+
+    // Every AI edit to a cell, so the student can undo it by name
+    this.codeCheckpoints = [];
+    this.nextCheckpointId = 1;
+    // Settles the edit review open in the diff modal, if any
+    this.pendingReview = null;
+
+    // Model turns the "Fix my code" agent may take before it has to stop
+    this.agentMaxSteps = 8;
+
+    // In-flight requests keyed by where they render ('hint', 'chat', 'discovery')
+    // so each panel can cancel its own request without touching the others
+    this.activeRequests = {};
+
     // Set Ollama URL based on current host
     // Ollama URL detection:
     // - Always try localhost first - user's local Ollama installation
@@ -109,18 +151,18 @@ class LLMIntegration {
     if (!this.isBrowserEnvironment()) return { supported: false, reason: 'Not in browser' };
 
     if (!navigator.gpu) {
-      return { supported: false, reason: 'WebGPU not available in this browser' };
+      return { supported: false, reason: i18n().t('webgpu.unavailable') };
     }
 
     try {
       const adapter = await navigator.gpu.requestAdapter();
       if (!adapter) {
-        return { supported: false, reason: 'No WebGPU adapter found' };
+        return { supported: false, reason: i18n().t('webgpu.noAdapter') };
       }
 
       const device = await adapter.requestDevice();
       if (!device) {
-        return { supported: false, reason: 'Could not get WebGPU device' };
+        return { supported: false, reason: i18n().t('webgpu.noDevice') };
       }
 
       return { supported: true, adapter, device };
@@ -169,12 +211,12 @@ class LLMIntegration {
         throw new Error('WebGPU not supported: ' + webgpuCheck.reason);
       }
 
-      if (progressCallback) progressCallback({ status: 'Loading Transformers.js...', progress: 5 });
+      if (progressCallback) progressCallback({ status: i18n().t('ai.progress.loadingLibrary'), progress: 5 });
 
       // Load Transformers.js
       const transformers = await this.loadTransformersJS();
 
-      if (progressCallback) progressCallback({ status: 'Initializing model...', progress: 10 });
+      if (progressCallback) progressCallback({ status: i18n().t('ai.progress.initializing'), progress: 10 });
 
       // Configure environment for caching
       transformers.env.useBrowserCache = true;
@@ -189,13 +231,13 @@ class LLMIntegration {
           lastProgress = scaledProgress;
           if (progressCallback) {
             progressCallback({
-              status: `Downloading: ${progress.file || 'model files'}`,
+              status: i18n().t('ai.progress.downloading', { file: progress.file || i18n().t('ai.progress.modelFiles') }),
               progress: Math.round(scaledProgress)
             });
           }
         } else if (progress.status === 'done') {
           if (progressCallback) {
-            progressCallback({ status: 'File downloaded', progress: lastProgress });
+            progressCallback({ status: i18n().t('ai.progress.fileDone'), progress: lastProgress });
           }
         }
       };
@@ -216,7 +258,7 @@ class LLMIntegration {
         }
       );
 
-      if (progressCallback) progressCallback({ status: 'Model ready!', progress: 100 });
+      if (progressCallback) progressCallback({ status: i18n().t('ai.progress.ready'), progress: 100 });
 
       this.webgpuReady = true;
       this.webgpuLoading = false;
@@ -233,36 +275,71 @@ class LLMIntegration {
   /**
    * Query the WebGPU model
    */
-  async queryWebGPU(prompt, type = null) {
+  async queryWebGPU(prompt, type = null, options = {}) {
+    try {
+      const text = await this.generateWebGPU([{ role: 'user', content: prompt }], options);
+      return this.formatResponse(text, type);
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        console.error('WebGPU query failed:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the WebGPU pipeline on a list of chat messages, streaming tokens
+   * through a TextStreamer and stopping early if the signal aborts
+   * @returns {Promise<string>} The raw assistant reply
+   */
+  async generateWebGPU(messages, { onToken = null, signal = null } = {}) {
     if (!this.webgpuReady || !this.webgpuPipeline) {
       throw new Error('WebGPU model not initialized');
     }
+    this.throwIfAborted(signal);
 
-    const messages = [
-      { role: 'user', content: prompt }
-    ];
+    const { TextStreamer, InterruptableStoppingCriteria } = this.transformersModule || {};
+    const generationOptions = {
+      max_new_tokens: 300,
+      do_sample: true,
+      temperature: 0.7,
+      top_p: 0.9
+    };
 
-    try {
-      const output = await this.webgpuPipeline(messages, {
-        max_new_tokens: 300,
-        do_sample: true,
-        temperature: 0.7,
-        top_p: 0.9
+    let streamed = '';
+    if (onToken && TextStreamer) {
+      generationOptions.streamer = new TextStreamer(this.webgpuPipeline.tokenizer, {
+        skip_prompt: true,
+        skip_special_tokens: true,
+        callback_function: (token) => {
+          streamed += token;
+          onToken(streamed);
+        }
       });
+    }
 
-      // Extract the generated text
-      const generatedText = output[0]?.generated_text;
-      if (Array.isArray(generatedText)) {
-        // Chat format - get the last message (assistant response)
-        const lastMessage = generatedText[generatedText.length - 1];
-        return this.formatResponse(lastMessage?.content || '', type);
-      }
+    let stopOnAbort = null;
+    if (signal && InterruptableStoppingCriteria) {
+      const stoppingCriteria = new InterruptableStoppingCriteria();
+      stopOnAbort = () => stoppingCriteria.interrupt();
+      signal.addEventListener('abort', stopOnAbort);
+      generationOptions.stopping_criteria = stoppingCriteria;
+    }
 
-      return this.formatResponse(generatedText || '', type);
-    } catch (error) {
-      console.error('WebGPU query failed:', error);
-      throw error;
+    let output;
+    try {
+      output = await this.webgpuPipeline(messages, generationOptions);
+    } finally {
+      if (stopOnAbort) signal.removeEventListener('abort', stopOnAbort);
+    }
+    this.throwIfAborted(signal);
+
+    // Chat format returns the whole conversation - the reply is the last message
+    const generatedText = output[0]?.generated_text;
+    if (Array.isArray(generatedText)) {
+      return generatedText[generatedText.length - 1]?.content || '';
     }
+    return generatedText || streamed;
   }
 
   /**
@@ -355,7 +432,7 @@ class LLMIntegration {
     const webgpuCheck = await this.checkWebGPUSupport();
     const gpuCheckEl = document.getElementById('webgpu-check-gpu');
     if (webgpuCheck.supported) {
-      gpuCheckEl.textContent = '✓ WebGPU is supported';
+      gpuCheckEl.textContent = i18n().t('webgpu.supported');
       gpuCheckEl.className = 'success';
     } else {
       gpuCheckEl.textContent = '✗ ' + webgpuCheck.reason;
@@ -404,7 +481,7 @@ class LLMIntegration {
         if (providerSelect) providerSelect.value = 'webgpu';
         this.saveModelPreferences();
         this.updateModelInfo();
-        this.updateStatus('connected', `Connected to ${this.selectedModel}`);
+        this.updateStatus('connected', i18n().t('ai.status.connectedTo', { model: this.selectedModel }));
         this.updateHintSystem();
       };
     }
@@ -479,17 +556,17 @@ class LLMIntegration {
           if (keys.length > 0) {
             // Estimate size (rough approximation)
             const estimatedSize = keys.length * 50; // ~50MB per file average
-            cacheSizeEl.textContent = `Cached: ~${Math.min(estimatedSize, 400)} MB`;
+            cacheSizeEl.textContent = i18n().t('ai.cache.size', { size: Math.min(estimatedSize, 400) });
             cacheManagement.style.display = 'flex';
             return;
           }
         }
       }
 
-      cacheSizeEl.textContent = 'Not cached';
+      cacheSizeEl.textContent = i18n().t('ai.cache.none');
     } catch (error) {
       console.error('Failed to check cache:', error);
-      cacheSizeEl.textContent = 'Cache status unknown';
+      cacheSizeEl.textContent = i18n().t('ai.cache.unknown');
     }
   }
 
@@ -525,13 +602,13 @@ class LLMIntegration {
 
       // Update UI
       await this.updateCacheStatus();
-      this.updateStatus('info', 'Model cache cleared');
+      this.updateStatus('info', i18n().t('ai.cache.clearedStatus'));
 
-      alert('Model cache cleared. You will need to download the model again to use in-browser AI.');
+      alert(i18n().t('ai.cache.cleared'));
 
     } catch (error) {
       console.error('Failed to clear cache:', error);
-      alert('Failed to clear cache: ' + error.message);
+      alert(i18n().t('ai.cache.clearFailed', { error: error.message }));
     }
   }
 
@@ -546,7 +623,7 @@ class LLMIntegration {
   }
 
   async autoDetectProvider() {
-    this.updateStatus('connecting', 'Detecting AI...');
+    this.updateStatus('connecting', i18n().t('ai.status.detecting'));
 
     // Check saved preferences first
     const prefs = this.loadModelPreferences();
@@ -557,7 +634,7 @@ class LLMIntegration {
       // Verify the saved provider still works
       const works = await this.verifyProvider(prefs.provider);
       if (works) {
-        this.updateStatus('connected', 'Ready');
+        this.updateStatus('connected', i18n().t('ai.status.ready'));
         this.updateModelInfo();
         this.updateSettingsModal();
         this.updateHintSystem();
@@ -571,7 +648,7 @@ class LLMIntegration {
       this.provider = 'ollama';
       await this.loadModels();
       if (this.selectedModel) {
-        this.updateStatus('connected', 'Ready');
+        this.updateStatus('connected', i18n().t('ai.status.ready'));
         this.updateModelInfo();
         this.updateSettingsModal();
         this.updateHintSystem();
@@ -585,7 +662,7 @@ class LLMIntegration {
     if (webgpuReady) {
       this.provider = 'webgpu';
       this.selectedModel = this.webgpuConfig.modelName;
-      this.updateStatus('connected', 'Ready');
+      this.updateStatus('connected', i18n().t('ai.status.ready'));
       this.updateModelInfo();
       this.updateSettingsModal();
       this.updateHintSystem();
@@ -594,7 +671,7 @@ class LLMIntegration {
     }
 
     // No provider available - show setup modal automatically
-    this.updateStatus('setup-needed', 'Setup needed');
+    this.updateStatus('setup-needed', i18n().t('ai.status.setupNeeded'));
 
     // Check if WebGPU is supported - offer in-browser AI
     const webgpuSupport = await this.checkWebGPUSupport();
@@ -717,6 +794,9 @@ class LLMIntegration {
       });
     }
 
+    // Copy and apply buttons on code blocks in rendered responses
+    document.addEventListener('click', (e) => this.handleCodeAction(e));
+
     // Close settings modal
     const closeSettingsBtn = document.getElementById('close-ai-settings');
     if (closeSettingsBtn) {
@@ -738,7 +818,7 @@ class LLMIntegration {
           this.updateSettingsModal();
 
           if (newProvider === 'ollama') {
-            this.updateStatus('connecting', 'Connecting to Ollama...');
+            this.updateStatus('connecting', i18n().t('ai.status.connectingOllama'));
             await this.loadModels();
           }
 
@@ -754,7 +834,7 @@ class LLMIntegration {
         this.selectedModel = e.target.value;
         if (this.selectedModel) {
           this.updateModelInfo();
-          this.updateStatus('connected', 'Ready');
+          this.updateStatus('connected', i18n().t('ai.status.ready'));
           this.updateQueryButtonStates();
           this.updateHintSystem();
           this.saveModelPreferences();
@@ -835,7 +915,7 @@ class LLMIntegration {
     if (!this.isBrowserEnvironment()) return null;
 
     try {
-      const prefs = localStorage.getItem('aicodepedagogy_model_prefs');
+      const prefs = localStorage.getItem(modelPrefsKey());
       if (prefs) {
         const parsed = JSON.parse(prefs);
         return parsed;
@@ -851,7 +931,7 @@ class LLMIntegration {
 
     try {
       localStorage.setItem(
-        'aicodepedagogy_model_prefs',
+        modelPrefsKey(),
         JSON.stringify({
           provider: this.provider,
           model: this.selectedModel,
@@ -1003,7 +1083,7 @@ class LLMIntegration {
   async loadModels() {
     if (!this.isBrowserEnvironment()) return;
 
-    this.updateStatus('loading', 'Loading models...');
+    this.updateStatus('loading', i18n().t('ai.status.loadingModels'));
 
     try {
       let models = [];
@@ -1049,15 +1129,15 @@ class LLMIntegration {
       this.updateModelSelect();
 
       if (models.length > 0) {
-        this.updateStatus('success', `Found ${models.length} models`);
+        this.updateStatus('success', i18n().t('ai.status.foundModels', { count: models.length }));
       } else if (this.provider === 'webgpu' && !this.webgpuReady) {
-        this.updateStatus('info', 'Setup required for in-browser AI');
+        this.updateStatus('info', i18n().t('ai.status.webgpuSetup'));
       } else {
-        this.updateStatus('warning', 'No models found');
+        this.updateStatus('warning', i18n().t('ai.status.noModels'));
       }
     } catch (error) {
       console.error('Failed to load models:', error);
-      this.updateStatus('error', `Failed to connect: ${error.message}`);
+      this.updateStatus('error', i18n().t('ai.status.failed', { error: error.message }));
       this.models = [];
       this.updateModelSelect();
     }
@@ -1067,7 +1147,7 @@ class LLMIntegration {
     if (!this.isBrowserEnvironment()) return;
 
     const select = document.getElementById('model-select');
-    select.innerHTML = '<option value="">Select a model...</option>';
+    select.innerHTML = `<option value="">${markdownRenderer().escapeHtml(i18n().t('ai.selectModel'))}</option>`;
 
     this.models.forEach(model => {
       const option = document.createElement('option');
@@ -1156,24 +1236,24 @@ class LLMIntegration {
     // Add AI Assistant header with level-specific styling
     const header = document.createElement('div');
     header.className = 'ai-assistant-header';
-    const levelLabel = this.agencyLevel >= 3 ? 'Agentic Mode' :
-                       this.agencyLevel >= 2 ? 'Code Suggestions' : 'Hints Only';
-    header.innerHTML = `🤖 <strong>AI Assistant</strong> <span class="agency-level level-${this.agencyLevel}">${levelLabel}</span>`;
+    const levelLabel = this.agencyLevel >= 3 ? i18n().t('ai.level.agentic') :
+                       this.agencyLevel >= 2 ? i18n().t('ai.level.suggestions') : i18n().t('ai.level.hints');
+    header.innerHTML = `🤖 <strong>${i18n().t('ai.assistant')}</strong> <span class="agency-level level-${this.agencyLevel}">${levelLabel}</span>`;
     hintContainer.appendChild(header);
 
     // Base buttons available at all agency levels
     const queryButtons = [
-      { text: '💡 Get a hint', type: 'hint', minLevel: 1 },
-      { text: '🔧 Debug my code', type: 'debug', minLevel: 1 },
-      { text: '📖 Explain concept', type: 'explain', minLevel: 1 }
+      { text: i18n().t('ai.ask.hint'), type: 'hint', minLevel: 1 },
+      { text: i18n().t('ai.ask.debug'), type: 'debug', minLevel: 1 },
+      { text: i18n().t('ai.ask.explain'), type: 'explain', minLevel: 1 }
     ];
 
     // Add agentic buttons for higher agency levels
     if (this.agencyLevel >= 2) {
-      queryButtons.push({ text: '✨ Suggest code', type: 'suggest', minLevel: 2 });
+      queryButtons.push({ text: i18n().t('ai.ask.suggest'), type: 'suggest', minLevel: 2 });
     }
     if (this.agencyLevel >= 3 && this.isAgenticModel()) {
-      queryButtons.push({ text: '🔨 Fix my code', type: 'fix', minLevel: 3 });
+      queryButtons.push({ text: i18n().t('ai.ask.fix'), type: 'fix', minLevel: 3 });
     }
 
     queryButtons.forEach(button => {
@@ -1184,7 +1264,7 @@ class LLMIntegration {
           btn.className += ' agentic';
         }
         btn.textContent = button.text;
-        btn.onclick = () => this.queryLLM(button.type);
+        btn.onclick = () => button.type === 'fix' ? this.runFixAgent() : this.queryLLM(button.type);
         btn.disabled = !this.selectedModel;
         hintContainer.appendChild(btn);
       }
@@ -1195,41 +1275,66 @@ class LLMIntegration {
     if (!this.isBrowserEnvironment()) return;
     
     if (!this.selectedModel) {
-      this.showLLMResponse('error', 'No model selected');
+      this.showLLMResponse('error', i18n().t('ai.noModel'));
       return;
     }
 
-    this.showLLMResponse('loading', 'Thinking...');
+    const request = this.startRequest('hint');
+    this.showLLMResponse('loading', i18n().t('ai.thinking'));
 
+    let partial = '';
     try {
       const context = this.gatherContext();
       const prompt = this.buildPrompt(type, context);
 
-      let response;
-      if (this.provider === 'ollama') {
-        response = await this.queryOllama(prompt, type);
-      } else if (this.provider === 'webgpu') {
-        if (!this.webgpuReady) {
-          throw new Error('In-browser model not loaded. Please set it up first.');
+      const response = await this.queryProvider(prompt, type, {
+        signal: request.signal,
+        onToken: (text) => {
+          partial = text;
+          this.updateStreamingResponse(this.renderPartialMarkdown(text, type));
         }
-        response = await this.queryWebGPU(prompt, type);
-      } else if (this.provider === 'openai') {
-        response = await this.queryOpenAI(prompt, type);
-      } else if (this.provider === 'anthropic') {
-        response = await this.queryAnthropic(prompt, type);
-      }
+      });
 
       this.showLLMResponse('success', response);
     } catch (error) {
-      console.error('LLM query failed:', error);
-      this.showLLMResponse('error', `Failed to get response: ${error.message}`);
+      if (this.isAbortError(error)) {
+        this.showLLMResponse('cancelled', partial ? this.formatResponse(partial, type) : i18n().t('ai.cancelled'));
+      } else {
+        console.error('LLM query failed:', error);
+        this.showLLMResponse('error', i18n().t('ai.failed', { error: error.message }));
+      }
+    } finally {
+      this.finishRequest('hint', request);
+    }
+  }
+
+  /**
+   * Send a single-prompt query to the active provider
+   * @param {Object} options - { onToken(textSoFar), signal } for streaming and cancellation
+   * @returns {Promise<string>} The formatted HTML response
+   */
+  async queryProvider(prompt, type = null, options = {}) {
+    switch (this.provider) {
+      case 'ollama':
+        return this.queryOllama(prompt, type, options);
+      case 'webgpu':
+        if (!this.webgpuReady) {
+          throw new Error('In-browser model not loaded. Please set it up first.');
+        }
+        return this.queryWebGPU(prompt, type, options);
+      case 'openai':
+        return this.queryOpenAI(prompt, type, options);
+      case 'anthropic':
+        return this.queryAnthropic(prompt, type, options);
+      default:
+        throw new Error(`Unknown provider: ${this.provider}`);
     }
   }
 
   gatherContext() {
     if (!this.isBrowserEnvironment()) return {};
-    
-    const stage = gameContent?.stages?.[currentStage - 1];
+
+    const stage = gameContent?.stages?.find(s => s.id === currentStage);
     const context = {
       stage: stage?.title || 'Unknown stage',
       challenge: stage?.challenge || '',
@@ -1238,7 +1343,7 @@ class LLMIntegration {
     };
 
     // Get current code
-    if (stage?.type === 'multi-cell') {
+    if (stage?.cells) {
       context.currentCode = cellEditors.map((editor, index) => ({
         cell: index + 1,
         code: editor.getValue()
@@ -1247,6 +1352,17 @@ class LLMIntegration {
       context.currentCode = editor?.getValue() || '';
     }
 
+    // What the student changed from the starter code: their own work so far
+    if (typeof starterCodeFor === 'function') {
+      const editors = stage?.cells ? cellEditors : [editor].filter(Boolean);
+      context.changesFromStarter = editors
+        .map((cellEditor, index) => ({
+          cell: index + 1,
+          changes: codeDiff().describeChanges(starterCodeFor(index), cellEditor.getValue())
+        }))
+        .filter(entry => entry.changes);
+    }
+
     // Get recent output/errors
     const outputAreas = document.querySelectorAll('.output-area');
     if (outputAreas.length > 0) {
@@ -1255,12 +1371,41 @@ class LLMIntegration {
       context.hasError = lastOutput.classList.contains('error');
     }
 
+    // How the stage has gone so far, so help can aim at what they keep hitting
+    if (typeof playerTracker !== 'undefined' && typeof TutorAnalytics !== 'undefined') {
+      const runs = playerTracker.getRunHistory(currentStage);
+      if (runs.length > 0) context.attempts = TutorAnalytics.summarizeRuns(runs);
+    }
+
     return context;
   }
 
-  buildPrompt(type, context) {
-    // Shared context about the current code state
-    const codeContext = `
+  /**
+   * One or two lines on the student's attempts at this stage
+   * @param {Object} attempts - From TutorAnalytics.summarizeRuns
+   */
+  describeAttempts(attempts) {
+    const passed = attempts.firstPassRun ? `first passed on run ${attempts.firstPassRun}` : 'not passed yet';
+    const errors = attempts.errorTypes.map(entry => `${entry.type} x${entry.count}`).join(', ');
+    const repeated = [...new Set(attempts.errorTypes.filter(entry => entry.count > 1).map(entry => entry.concept))];
+    return `Attempts so far: ${attempts.runs} runs, ${passed}${errors ? `. Errors: ${errors}` : ''}` +
+      (repeated.length ? `\nThey keep struggling with: ${repeated.join(', ')}. Address this directly.` : '');
+  }
+
+  /**
+   * The student's changes to the starter code, "+" for lines they added
+   * and "-" for starter lines they removed or changed
+   */
+  describeStarterChanges(changes, multiCell) {
+    const cells = changes.map(entry => multiCell ? `Cell ${entry.cell}:\n${entry.changes}` : entry.changes);
+    return `Changes the student made to the starter code (+ added, - removed):\n${cells.join('\n\n')}\n`;
+  }
+
+  /**
+   * Describe the current task, code and output for inclusion in a prompt
+   */
+  buildCodeContext(context) {
+    return `
 CURRENT TASK:
 Stage: ${context.stage}
 Challenge: ${context.challenge}
@@ -1272,9 +1417,32 @@ ${typeof context.currentCode === 'string'
   : context.currentCode?.map(c => `Cell ${c.cell}:\n${c.code}`).join('\n\n') || 'No code yet'
 }
 
+${context.changesFromStarter?.length ? this.describeStarterChanges(context.changesFromStarter, Array.isArray(context.currentCode)) : ''}
 ${context.lastOutput ? `Output: ${context.lastOutput}` : ''}
 ${context.hasError ? '(Error in last execution)' : ''}
+${context.attempts ? this.describeAttempts(context.attempts) : ''}
 `;
+  }
+
+  /**
+   * Ask for replies in the player's language. The prompts themselves stay
+   * in English, which small local models follow most reliably.
+   */
+  buildLanguageInstruction() {
+    const locale = i18n().getLocale();
+    if (locale === i18n().DEFAULT_LOCALE) return '';
+    const language = i18n().LANGUAGE_NAMES[locale];
+    return `
+LANGUAGE:
+- The student plays in ${language}. Write every reply in ${language}
+- Keep Python code, keywords, names and error types exactly as they are; write code comments in ${language}
+`;
+  }
+
+  buildPrompt(type, context) {
+    // Shared context about the current code state
+    const codeContext = this.buildCodeContext(context);
+    const languageInstruction = this.buildLanguageInstruction();
 
     // Dr. Rodriguez - for narrative/discovery reactions
     const drRodriguezPrompt = `You are Dr. Elena Rodriguez, Lead Digital Archaeologist.
@@ -1286,7 +1454,7 @@ CHARACTER:
 - Reference the mystery: fragments from a lost civilization in Alexandria's archives
 - Your grandmother was part of the Keepers of Alexandria
 - Keep responses warm and concise (2-3 sentences for reactions)
-
+${languageInstruction}
 ${codeContext}`;
 
     // AI Assistant - for coding help (trains players in AI-assisted development)
@@ -1312,7 +1480,7 @@ CAPABILITIES (Level ${this.agencyLevel}):
 - Explain concepts clearly
 - Guide them toward solutions without giving complete answers
 `}
-
+${languageInstruction}
 ${codeContext}`;
 
     switch (type) {
@@ -1446,7 +1614,7 @@ Then briefly explain what you changed and why.`;
     }
   }
 
-  async queryOllama(prompt, type = null) {
+  async queryOllama(prompt, type = null, { onToken = null, signal = null } = {}) {
     if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
 
     const response = await fetch(`${this.ollamaBaseUrl}/api/generate`, {
@@ -1457,23 +1625,24 @@ Then briefly explain what you changed and why.`;
       body: JSON.stringify({
         model: this.selectedModel,
         prompt: prompt,
-        stream: false,
+        stream: true,
         options: {
           temperature: 0.7,
           num_predict: 500  // Ollama uses num_predict, not max_tokens
         }
       }),
+      signal
     });
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
-    return this.formatResponse(data.response, type);
+    const text = await this.readStream(response, 'ndjson', onToken);
+    return this.formatResponse(text, type);
   }
 
-  async queryOpenAI(prompt, type = null) {
+  async queryOpenAI(prompt, type = null, { onToken = null, signal = null } = {}) {
     if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
 
     if (!this.apiKeys.openai) {
@@ -1490,19 +1659,21 @@ Then briefly explain what you changed and why.`;
         model: this.selectedModel,
         messages: [{ role: 'user', content: prompt }],
         max_tokens: 500,
-        temperature: 0.7
-      })
+        temperature: 0.7,
+        stream: true
+      }),
+      signal
     });
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
-    return this.formatResponse(data.choices[0].message.content, type);
+    const text = await this.readStream(response, 'sse', onToken);
+    return this.formatResponse(text, type);
   }
 
-  async queryAnthropic(prompt, type = null) {
+  async queryAnthropic(prompt, type = null, { onToken = null, signal = null } = {}) {
     if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
 
     if (!this.apiKeys.anthropic) {
@@ -1519,21 +1690,388 @@ Then briefly explain what you changed and why.`;
       body: JSON.stringify({
         model: this.selectedModel,
         max_tokens: 500,
-        messages: [{ role: 'user', content: prompt }]
-      })
+        messages: [{ role: 'user', content: prompt }],
+        stream: true
+      }),
+      signal
     });
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
-    return this.formatResponse(data.content[0].text, type);
+    const text = await this.readStream(response, 'sse', onToken);
+    return this.formatResponse(text, type);
+  }
+
+  // ============================================
+  // STREAMING - Incremental responses and cancellation
+  // ============================================
+
+  /**
+   * Start a cancellable request for one UI area, aborting any request
+   * that area already had in flight
+   * @param {string} key - 'hint', 'chat' or 'discovery'
+   * @returns {AbortController}
+   */
+  startRequest(key) {
+    this.cancelRequest(key);
+    const controller = new AbortController();
+    this.activeRequests[key] = controller;
+    return controller;
+  }
+
+  /**
+   * Abort the in-flight request for a UI area
+   * @returns {boolean} True if there was a request to cancel
+   */
+  cancelRequest(key) {
+    const controller = this.activeRequests[key];
+    if (!controller) return false;
+    controller.abort();
+    delete this.activeRequests[key];
+    return true;
+  }
+
+  /**
+   * Forget a finished request (unless a newer one has replaced it)
+   */
+  finishRequest(key, controller) {
+    if (this.activeRequests[key] === controller) {
+      delete this.activeRequests[key];
+    }
+  }
+
+  isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new DOMException('Request cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Read a streamed HTTP response line by line, calling onToken with the
+   * accumulated text after every delta
+   * @param {Response} response - fetch response with a streaming body
+   * @param {string} format - 'ndjson' (Ollama) or 'sse' (OpenAI, Anthropic)
+   * @param {Function} onToken - Optional callback(textSoFar)
+   * @returns {Promise<string>} The complete raw text
+   */
+  async readStream(response, format, onToken = null) {
+    let text = '';
+    let buffer = '';
+
+    const consume = (chunk, flush) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = flush ? '' : lines.pop();
+      for (const line of lines) {
+        const delta = this.parseStreamLine(line, format);
+        if (delta) {
+          text += delta;
+          if (onToken) onToken(text);
+        }
+      }
+    };
+
+    if (response.body && typeof response.body.getReader === 'function') {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        consume(decoder.decode(value, { stream: true }), false);
+      }
+      consume(decoder.decode(), true);
+    } else {
+      // No readable body (older browsers) - process the whole payload at once
+      consume(await response.text(), true);
+    }
+
+    return text;
+  }
+
+  /**
+   * Extract the text delta from one line of a streamed response
+   * @returns {string} The new text, or '' for keep-alives and control events
+   */
+  parseStreamLine(line, format) {
+    const trimmed = line.trim();
+    if (!trimmed) return '';
+
+    let payload = trimmed;
+    if (format === 'sse') {
+      // Ignore "event:" lines and comments - the data line carries the type too
+      if (!trimmed.startsWith('data:')) return '';
+      payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return '';
+    }
+
+    const data = JSON.parse(payload);
+    if (data.error) {
+      throw new Error(data.error.message || data.error);
+    }
+
+    // Ollama /api/generate and /api/chat
+    if (typeof data.response === 'string') return data.response;
+    if (data.message && typeof data.message.content === 'string') return data.message.content;
+    // OpenAI chat completions
+    if (data.choices) return data.choices[0]?.delta?.content || '';
+    // Anthropic messages
+    if (data.type === 'content_block_delta') return data.delta?.text || '';
+    return '';
+  }
+
+  /**
+   * Render a partially streamed response. An unterminated code fence is
+   * closed so the half-written block displays as code rather than prose.
+   */
+  renderPartialMarkdown(text, queryType = null) {
+    let cleaned = this.cleanResponse(text, queryType);
+    const fences = cleaned.match(/```/g);
+    if (fences && fences.length % 2 === 1) {
+      cleaned += '\n```';
+    }
+    return this.markdownToHtml(cleaned);
+  }
+
+  /**
+   * Update the hint panel's pending response with streamed content
+   */
+  updateStreamingResponse(html) {
+    if (!this.isBrowserEnvironment()) return;
+
+    const llmHint = document.querySelector('#hint-text-container .llm-hint.loading, #hint-text-container .llm-hint.streaming');
+    if (!llmHint) return;
+
+    if (llmHint.classList.contains('loading')) {
+      llmHint.classList.remove('loading');
+      llmHint.classList.add('streaming');
+      llmHint.querySelector('.llm-header-title').textContent = i18n().t('ai.header.model', { model: this.selectedModel });
+    }
+    llmHint.querySelector('.llm-content').innerHTML = this.sanitizeHtml(html);
+  }
+
+  // ============================================
+  // CHAT - Multi-turn conversation with Dr. Rodriguez
+  // ============================================
+
+  /**
+   * Send a chat message and return Dr. Rodriguez's reply as HTML.
+   * History is kept per stage; the system prompt is rebuilt on every turn
+   * so the model always sees the current stage, code and last output.
+   * @param {string} message - The student's message
+   * @param {number} stageId - Optional stage to file the conversation under
+   * @param {Object} options - { onToken(textSoFar), signal } for streaming and cancellation
+   */
+  async chat(message, stageId = null, options = {}) {
+    if (!this.selectedModel) {
+      throw new Error('No model selected');
+    }
+
+    const conversation = this.getConversation(stageId);
+    const systemPrompt = this.buildChatSystemPrompt(this.gatherContext());
+
+    conversation.push({ role: 'user', content: message });
+
+    let reply;
+    try {
+      reply = await this.sendChatMessages(systemPrompt, this.getChatWindow(conversation), options);
+    } catch (error) {
+      // Drop the unanswered (or cancelled) turn so a retry doesn't send it twice
+      conversation.pop();
+      throw error;
+    }
+
+    const cleanedReply = this.cleanResponse(reply, 'chat');
+    conversation.push({ role: 'assistant', content: cleanedReply });
+
+    return this.markdownToHtml(cleanedReply);
+  }
+
+  /**
+   * Get (creating if needed) the message history for a stage
+   */
+  getConversation(stageId = null) {
+    const key = stageId ?? (typeof currentStage !== 'undefined' ? currentStage : 0);
+    if (!this.conversations[key]) {
+      this.conversations[key] = [];
+    }
+    return this.conversations[key];
+  }
+
+  /**
+   * Forget the conversation for one stage, or all stages if none is given
+   */
+  clearConversation(stageId = null) {
+    if (stageId === null) {
+      this.conversations = {};
+    } else {
+      delete this.conversations[stageId];
+    }
+  }
+
+  /**
+   * Trim history to the most recent turns. The window always starts with a
+   * user message because Anthropic rejects conversations that don't.
+   */
+  getChatWindow(conversation) {
+    const recent = conversation.slice(-this.maxChatTurns * 2);
+    while (recent.length > 0 && recent[0].role !== 'user') {
+      recent.shift();
+    }
+    return recent;
+  }
+
+  buildChatSystemPrompt(context) {
+    return `You are ${this.drRodriguez.name}, ${this.drRodriguez.title}, chatting with a fellow researcher who is learning Python.
+
+CHARACTER:
+- ${this.drRodriguez.personality}
+- ${this.drRodriguez.speakingStyle}
+- ${this.drRodriguez.backstory}
+
+RULES:
+- Answer the researcher's latest message directly and conversationally
+- Keep replies short (2-4 sentences) unless they ask for more detail
+- Remember what was said earlier in this conversation
+${this.agencyLevel >= 2
+  ? '- You may show short code examples when they help'
+  : '- Guide them toward the answer; do NOT write the solution code for them'}
+${this.buildLanguageInstruction()}
+${this.buildCodeContext(context)}`;
+  }
+
+  /**
+   * Route a conversation to the active provider using its native chat format
+   * @returns {Promise<string>} The raw assistant reply
+   */
+  async sendChatMessages(systemPrompt, messages, options = {}) {
+    switch (this.provider) {
+      case 'ollama':
+        return this.chatOllama(systemPrompt, messages, options);
+      case 'webgpu':
+        if (!this.webgpuReady) {
+          throw new Error('In-browser model not loaded. Please set it up first.');
+        }
+        return this.chatWebGPU(systemPrompt, messages, options);
+      case 'openai':
+        return this.chatOpenAI(systemPrompt, messages, options);
+      case 'anthropic':
+        return this.chatAnthropic(systemPrompt, messages, options);
+      default:
+        throw new Error(`Unknown provider: ${this.provider}`);
+    }
+  }
+
+  async chatOllama(systemPrompt, messages, { onToken = null, signal = null } = {}) {
+    if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
+
+    const response = await fetch(`${this.ollamaBaseUrl}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.selectedModel,
+        messages: [{ role: 'system', content: systemPrompt }, ...messages],
+        stream: true,
+        options: {
+          temperature: 0.7,
+          num_predict: 500
+        }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return this.readStream(response, 'ndjson', onToken);
+  }
+
+  async chatWebGPU(systemPrompt, messages, options = {}) {
+    return this.generateWebGPU([{ role: 'system', content: systemPrompt }, ...messages], options);
+  }
+
+  async chatOpenAI(systemPrompt, messages, { onToken = null, signal = null } = {}) {
+    if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
+
+    if (!this.apiKeys.openai) {
+      throw new Error('OpenAI API key not set');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKeys.openai}`
+      },
+      body: JSON.stringify({
+        model: this.selectedModel,
+        messages: [{ role: 'system', content: systemPrompt }, ...messages],
+        max_tokens: 500,
+        temperature: 0.7,
+        stream: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return this.readStream(response, 'sse', onToken);
+  }
+
+  async chatAnthropic(systemPrompt, messages, { onToken = null, signal = null } = {}) {
+    if (!this.isBrowserEnvironment()) throw new Error('Browser environment required');
+
+    if (!this.apiKeys.anthropic) {
+      throw new Error('Anthropic API key not set');
+    }
+
+    // Anthropic takes the system prompt as a top-level field, not a message
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKeys.anthropic,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.selectedModel,
+        max_tokens: 500,
+        system: systemPrompt,
+        messages: messages,
+        stream: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return this.readStream(response, 'sse', onToken);
   }
 
   formatResponse(response, queryType = null) {
+    // Format as markdown and convert to HTML
+    return this.markdownToHtml(this.cleanResponse(response, queryType));
+  }
+
+  /**
+   * Strip reasoning tags, AI meta-commentary and (for pedagogical types)
+   * complete solutions from a raw model response, leaving markdown text
+   */
+  cleanResponse(response, queryType = null) {
     // Clean up the response
-    let cleanedResponse = response.trim();
+    let cleanedResponse = (response || '').trim();
 
     // Remove <think> tags and their content (used by some reasoning models like deepcoder)
     cleanedResponse = cleanedResponse.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
@@ -1545,13 +2083,14 @@ Then briefly explain what you changed and why.`;
 
     // Filter out complete code solutions for pedagogical responses
     // Only 'fix' and 'suggest' should be allowed to give complete code
+    // Chat follows the same rule until the assistant is allowed to suggest code
     const pedagogicalTypes = ['hint', 'story', 'discovery', 'debug', 'explain'];
-    if (pedagogicalTypes.includes(queryType)) {
+    if (pedagogicalTypes.includes(queryType) ||
+        (queryType === 'chat' && this.agencyLevel < 2)) {
       cleanedResponse = this.filterHintResponse(cleanedResponse);
     }
 
-    // Format as markdown and convert to HTML
-    return this.markdownToHtml(cleanedResponse);
+    return cleanedResponse;
   }
 
   /**
@@ -1618,85 +2157,59 @@ Then briefly explain what you changed and why.`;
   }
 
   /**
-   * Convert markdown to HTML - core functionality that works in both environments
+   * Convert markdown to sanitized HTML - core functionality that works in both environments.
+   * Code blocks get a copy button, and at agency level 3 an apply-to-cell button.
    */
   markdownToHtml(markdown) {
-    // Simple markdown to HTML converter for common formatting
-    let html = markdown
-      // Headers
-      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-
-      // Bold and italic
-      .replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-
-      // Code blocks
-      .replace(
-        /```python\n([\s\S]*?)\n```/g,
-        '<pre><code class="language-python">$1</code></pre>'
-      )
-      .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
-      .replace(/`(.*?)`/g, '<code>$1</code>');
-
-    // Handle lists more carefully
-    const lines = html.split('\n');
-    const processedLines = [];
-    let inList = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      const isListItem = line.match(/^[*-]\s+(.*)/);
-
-      if (isListItem) {
-        if (!inList) {
-          processedLines.push('<ul>');
-          inList = true;
-        }
-        processedLines.push(`<li>${isListItem[1]}</li>`);
-      } else {
-        if (inList) {
-          processedLines.push('</ul>');
-          inList = false;
-        }
-        if (line) {
-          processedLines.push(line);
-        }
-      }
-    }
-
-    // Close any remaining list
-    if (inList) {
-      processedLines.push('</ul>');
-    }
-
-    html = processedLines.join('\n');
+    return markdownRenderer().renderMarkdown(markdown, {
+      codeActions: this.agencyLevel >= 3 ? ['copy', 'apply'] : ['copy']
+    });
+  }
 
-    // Remove line breaks around list elements to avoid extraneous <br> tags
-    html = html
-      .replace(/<ul>\n/g, '<ul>')
-      .replace(/\n<\/ul>/g, '</ul>')
-      .replace(/<li>(.*?)<\/li>\n/g, '<li>$1</li>');
+  /**
+   * Strip anything outside the renderer's allowlist before it reaches innerHTML
+   */
+  sanitizeHtml(html) {
+    return markdownRenderer().sanitizeHtml(html);
+  }
 
-    // Convert remaining line breaks to paragraphs and <br> tags
-    html = html
-      .replace(/\n\n+/g, '</p><p>') // Double line breaks become paragraph breaks
-      .replace(/\n/g, '<br>'); // Single line breaks become <br>
-    if (
-      !html.includes('<p>') &&
-      !html.includes('<h') &&
-      !html.includes('<ul>') &&
-      !html.includes('<pre>')
-    ) {
-      html = '<p>' + html + '</p>';
-    } else if (html.includes('</p><p>')) {
-      // Properly wrap the content that has paragraph breaks
-      html = '<p>' + html + '</p>';
+  /**
+   * Copy or apply a rendered code block. Responses re-render while they
+   * stream, so one delegated listener serves every block's buttons.
+   */
+  handleCodeAction(event) {
+    const button = event.target.closest && event.target.closest('[data-code-action]');
+    if (!button || button.disabled) return;
+
+    const code = button.closest('.code-block')?.querySelector('code')?.textContent || '';
+    const action = button.dataset.codeAction;
+    if (action === 'copy') {
+      navigator.clipboard?.writeText(code);
+      const label = button.textContent;
+      button.textContent = i18n().t('ai.copied');
+      button.disabled = true;
+      setTimeout(() => {
+        button.textContent = label;
+        button.disabled = false;
+      }, 1500);
+    } else if (action === 'apply') {
+      const label = i18n().t(button.closest('.chat-message') ? 'ai.label.chat' : 'ai.label.suggestion');
+      this.applyCodeToEditor(code, this.getActiveCellIndex(), label).then(applied => {
+        if (applied) {
+          button.textContent = i18n().t('ai.applied');
+          button.disabled = true;
+        }
+      });
     }
+  }
 
-    return html;
+  /**
+   * The cell the student is working in on a multi-cell stage, or null
+   */
+  getActiveCellIndex() {
+    const stage = gameContent?.stages?.find(s => s.id === currentStage);
+    if (!stage?.cells || typeof selectedCellIndex === 'undefined') return null;
+    return selectedCellIndex;
   }
 
   showLLMResponse(type, content) {
@@ -1719,20 +2232,35 @@ Then briefly explain what you changed and why.`;
     const header = document.createElement('div');
     header.className = 'llm-header';
 
+    const title = document.createElement('span');
+    title.className = 'llm-header-title';
     if (type === 'loading') {
-      header.innerHTML = '🤖 AI Assistant (thinking...)';
+      title.textContent = i18n().t('ai.header.thinking');
     } else if (type === 'error') {
-      header.innerHTML = '🤖 AI Assistant (error)';
+      title.textContent = i18n().t('ai.header.error');
+    } else if (type === 'cancelled') {
+      title.textContent = i18n().t('ai.header.stopped');
     } else {
-      header.innerHTML = `🤖 AI Assistant (${this.selectedModel})`;
+      title.textContent = i18n().t('ai.header.model', { model: this.selectedModel });
+    }
+    header.appendChild(title);
+
+    // Loading responses stream into this element, so give it a way out
+    if (type === 'loading') {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'llm-cancel-button';
+      cancelBtn.textContent = i18n().t('ai.stop');
+      cancelBtn.title = i18n().t('ai.stopTitle');
+      cancelBtn.onclick = () => this.cancelRequest('hint');
+      header.appendChild(cancelBtn);
     }
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'llm-content';
 
     // Use innerHTML for formatted content, textContent for plain text/errors
-    if (type === 'success') {
-      contentDiv.innerHTML = content;
+    if (type === 'success' || type === 'cancelled') {
+      contentDiv.innerHTML = this.sanitizeHtml(content);
     } else {
       contentDiv.textContent = content;
     }
@@ -1756,42 +2284,62 @@ Then briefly explain what you changed and why.`;
     // Don't trigger for empty or trivial output
     if (!output || output.trim().length < 5) return;
 
+    if (this.provider === 'webgpu' && !this.webgpuReady) return; // Silently skip if not ready
+
+    // A newer run supersedes any reaction still being written
+    const request = this.startRequest('discovery');
+    // Shown straight away, with a stop button while it streams in
+    const reaction = this.showDiscoveryReaction('…', { onStop: () => this.cancelRequest('discovery') });
+    const setText = (html) => {
+      if (reaction) reaction.querySelector('.character-text').innerHTML = this.sanitizeHtml(html);
+    };
+    let streamed = false;
+
     try {
       const context = this.gatherContext();
       context.lastOutput = output;
       const prompt = this.buildPrompt('discovery', context);
 
-      let response;
-      if (this.provider === 'ollama') {
-        response = await this.queryOllama(prompt);
-      } else if (this.provider === 'webgpu') {
-        if (!this.webgpuReady) return; // Silently skip if not ready
-        response = await this.queryWebGPU(prompt);
-      } else if (this.provider === 'openai') {
-        response = await this.queryOpenAI(prompt);
-      } else if (this.provider === 'anthropic') {
-        response = await this.queryAnthropic(prompt);
-      }
-
-      this.showDiscoveryReaction(response);
+      const response = await this.queryProvider(prompt, 'discovery', {
+        signal: request.signal,
+        onToken: (text) => {
+          streamed = true;
+          setText(this.renderPartialMarkdown(text, 'discovery'));
+        }
+      });
+      setText(response);
     } catch (error) {
-      console.error('Discovery reaction failed:', error);
-      // Silently fail - don't interrupt the user's flow
+      if (this.isAbortError(error) && streamed) {
+        // Keep what was written so far
+        reaction?.querySelector('.character-name').append(' ' + i18n().t('ai.reactionStopped'));
+      } else {
+        if (!this.isAbortError(error)) {
+          console.error('Discovery reaction failed:', error);
+        }
+        // Silently fail - don't interrupt the user's flow
+        reaction?.remove();
+      }
+    } finally {
+      reaction?.querySelector('.llm-cancel-button')?.remove();
+      this.finishRequest('discovery', request);
     }
   }
 
   /**
    * Display Dr. Rodriguez's reaction to a discovery
+   * @param {Object} [options]
+   * @param {Function} [options.onStop] - Adds a stop button, for a reaction still streaming in
+   * @returns {HTMLElement} The reaction element, so streamed text can update it
    */
-  showDiscoveryReaction(content) {
-    if (!this.isBrowserEnvironment()) return;
+  showDiscoveryReaction(content, { onStop = null } = {}) {
+    if (!this.isBrowserEnvironment()) return null;
 
     // Find or create the reaction area
     let reactionArea = document.getElementById('rodriguez-reaction-area');
     if (!reactionArea) {
       // Create reaction area after the output
       const codePanel = document.querySelector('.code-panel');
-      if (!codePanel) return;
+      if (!codePanel) return null;
 
       reactionArea = document.createElement('div');
       reactionArea.id = 'rodriguez-reaction-area';
@@ -1817,11 +2365,20 @@ Then briefly explain what you changed and why.`;
         <div class="character-avatar">👩‍🔬</div>
         <div class="character-bubble">
           <div class="character-name">Dr. Rodriguez</div>
-          <div class="character-text">${content}</div>
+          <div class="character-text">${this.sanitizeHtml(content)}</div>
         </div>
       </div>
     `;
 
+    if (onStop) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'llm-cancel-button';
+      cancelBtn.textContent = i18n().t('ai.stop');
+      cancelBtn.title = i18n().t('ai.stopTitle');
+      cancelBtn.onclick = onStop;
+      reaction.querySelector('.character-name').appendChild(cancelBtn);
+    }
+
     // Clear previous reactions and add new one with animation
     reactionArea.innerHTML = '';
     reactionArea.appendChild(reaction);
@@ -1837,6 +2394,8 @@ Then briefly explain what you changed and why.`;
 
     // Scroll into view - use 'end' to ensure new content is visible
     reaction.scrollIntoView({ behavior: 'smooth', block: 'end' });
+
+    return reaction;
   }
 
   // ============================================
@@ -1860,53 +2419,266 @@ Then briefly explain what you changed and why.`;
   }
 
   /**
-   * Apply suggested code to the current editor (for agentic mode)
+   * Offer suggested code to the current editor (for agentic mode). Nothing
+   * changes until the student has reviewed the diff and accepted some of it.
    * @param {string} code - The code to apply
    * @param {number} cellIndex - Optional cell index for multi-cell stages
+   * @param {string} label - Names the undo checkpoint, e.g. "AI fix"
+   * @returns {Promise<boolean>} Whether any of the change was applied
    */
-  applyCodeToEditor(code, cellIndex = null) {
+  async applyCodeToEditor(code, cellIndex = null, label = i18n().t('ai.label.suggestion')) {
     if (!this.isBrowserEnvironment()) return false;
     if (this.agencyLevel < 3) {
       console.warn('Code application requires agency level 3');
       return false;
     }
 
+    const targetEditor = this.getTargetEditor(cellIndex);
+    if (!targetEditor) {
+      console.error('No editor found to apply code');
+      return false;
+    }
+
     try {
-      // Determine which editor to use
-      let targetEditor;
-
-      if (cellIndex !== null && typeof cellEditors !== 'undefined' && cellEditors[cellIndex]) {
-        // Multi-cell stage - target specific cell
-        targetEditor = cellEditors[cellIndex];
-      } else if (typeof editor !== 'undefined' && editor) {
-        // Single-cell stage
-        targetEditor = editor;
+      const reviewed = await this.reviewCodeChange(targetEditor.getValue(), code, { label, cellIndex });
+      if (reviewed === null) return false;
+
+      this.applyCheckpointedEdit(targetEditor, reviewed, { label, cellIndex });
+      console.log('AI Assistant applied reviewed code to editor');
+      return true;
+    } catch (error) {
+      console.error('Failed to apply code:', error);
+      return false;
+    }
+  }
+
+  /**
+   * The editor for a cell on a multi-cell stage, or the single-cell editor
+   */
+  getTargetEditor(cellIndex = null) {
+    if (cellIndex !== null && typeof cellEditors !== 'undefined' && cellEditors[cellIndex]) {
+      return cellEditors[cellIndex];
+    }
+    if (typeof editor !== 'undefined' && editor) {
+      return editor;
+    }
+    return null;
+  }
+
+  /**
+   * Show an AI edit as a diff against the cell, one checkbox per hunk
+   * @returns {Promise<string|null>} The code with the accepted hunks, or
+   *   null if the student rejected it (or it changes nothing). A review
+   *   still open when another starts counts as rejected.
+   */
+  reviewCodeChange(before, after, { label = i18n().t('ai.label.suggestion'), cellIndex = null } = {}) {
+    const segments = codeDiff().diffHunks(before, after);
+    const hunks = segments.filter(segment => segment.type === 'change');
+    const modal = document.getElementById('ai-diff-modal');
+    if (hunks.length === 0 || !modal) return Promise.resolve(null);
+
+    // The modal shows one edit at a time, so settle the one it replaces
+    if (this.pendingReview) this.pendingReview(null);
+
+    modal.querySelector('#ai-diff-title').textContent = cellIndex !== null
+      ? i18n().t('aiDiff.reviewCell', { label, number: cellIndex + 1 })
+      : i18n().t('aiDiff.review', { label });
+
+    const body = modal.querySelector('#ai-diff-body');
+    body.innerHTML = '';
+    segments.forEach(segment => {
+      body.appendChild(segment.type === 'same'
+        ? this.renderUnchangedLines(segment.lines)
+        : this.renderDiffHunk(segment, hunks.length));
+    });
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+      const buttons = ['#ai-diff-accept-all', '#ai-diff-apply-selected', '#ai-diff-reject', '#close-ai-diff']
+        .map(selector => modal.querySelector(selector));
+      const finish = result => {
+        this.pendingReview = null;
+        modal.style.display = 'none';
+        buttons.forEach(button => { if (button) button.onclick = null; });
+        resolve(result);
+      };
+      this.pendingReview = finish;
+      const [acceptAll, applySelected, reject, close] = buttons;
+
+      acceptAll.onclick = () => finish(after);
+      applySelected.onclick = () => {
+        const accepted = [...body.querySelectorAll('input[data-hunk]')]
+          .filter(box => box.checked)
+          .map(box => Number(box.dataset.hunk));
+        finish(accepted.length ? codeDiff().applyHunks(segments, accepted) : null);
+      };
+      reject.onclick = () => finish(null);
+      if (close) close.onclick = () => finish(null);
+    });
+  }
+
+  diffLine(type, text) {
+    const line = document.createElement('div');
+    line.className = `diff-line diff-${type}`;
+    const marker = document.createElement('span');
+    marker.className = 'diff-marker';
+    marker.textContent = type === 'add' ? '+' : type === 'remove' ? '-' : ' ';
+    line.appendChild(marker);
+    line.appendChild(document.createTextNode(text));
+    return line;
+  }
+
+  // Long unchanged stretches are folded down to the lines either side
+  renderUnchangedLines(lines) {
+    const block = document.createElement('div');
+    block.className = 'diff-unchanged';
+    const shown = lines.length > 6 ? [...lines.slice(0, 2), null, ...lines.slice(-2)] : lines;
+    shown.forEach(text => {
+      if (text === null) {
+        const fold = document.createElement('div');
+        fold.className = 'diff-fold';
+        fold.textContent = i18n().t('aiDiff.unchanged', { count: lines.length - 4 });
+        block.appendChild(fold);
       } else {
-        console.error('No editor found to apply code');
-        return false;
+        block.appendChild(this.diffLine('same', text));
       }
+    });
+    return block;
+  }
+
+  renderDiffHunk(hunk, total) {
+    const block = document.createElement('div');
+    block.className = 'diff-hunk';
+
+    const toggle = document.createElement('label');
+    toggle.className = 'diff-hunk-toggle';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    box.dataset.hunk = hunk.id;
+    box.onchange = () => block.classList.toggle('rejected', !box.checked);
+    toggle.appendChild(box);
+    toggle.appendChild(document.createTextNode(' ' + i18n().t('aiDiff.acceptHunk', { number: hunk.id + 1, total })));
+    block.appendChild(toggle);
+
+    hunk.removed.forEach(text => block.appendChild(this.diffLine('remove', text)));
+    hunk.added.forEach(text => block.appendChild(this.diffLine('add', text)));
+    return block;
+  }
+
+  /**
+   * Put code in an editor, keeping what it replaced as a labeled checkpoint
+   * @returns {Object} The checkpoint
+   */
+  applyCheckpointedEdit(targetEditor, code, { label = i18n().t('ai.label.suggestion'), cellIndex = null } = {}) {
+    const checkpoint = {
+      id: this.nextCheckpointId++,
+      label,
+      stageId: typeof currentStage !== 'undefined' ? currentStage : null,
+      cellIndex,
+      before: targetEditor.getValue(),
+      after: code,
+      time: new Date(),
+      undone: false
+    };
+    this.codeCheckpoints.push(checkpoint);
+    targetEditor.setValue(code);
 
-      // Apply the code
-      targetEditor.setValue(code);
-      console.log('AI Assistant applied code to editor');
+    // Both sides of the edit go into the cell's version history
+    if (typeof recordCellSnapshot === 'function') {
+      recordCellSnapshot(cellIndex, checkpoint.before, { source: 'before-ai' });
+      recordCellSnapshot(cellIndex, code, { source: 'ai', label });
+    }
 
-      // Show confirmation in UI
-      this.showCodeApplicationConfirmation();
+    this.showCodeApplicationConfirmation(checkpoint);
+    this.renderCheckpoints();
+    return checkpoint;
+  }
 
-      return true;
-    } catch (error) {
-      console.error('Failed to apply code:', error);
+  /**
+   * Put a cell back the way it was before an AI edit
+   * @returns {boolean} Whether the cell was restored
+   */
+  undoCheckpoint(id) {
+    const checkpoint = this.codeCheckpoints.find(c => c.id === id);
+    if (!checkpoint || checkpoint.undone) return false;
+
+    const targetEditor = this.getTargetEditor(checkpoint.cellIndex);
+    if (!targetEditor) return false;
+
+    // Restoring would also throw away anything typed since the edit
+    if (targetEditor.getValue() !== checkpoint.after &&
+        typeof confirm === 'function' &&
+        !confirm(i18n().t('checkpoint.confirmUndo', { label: checkpoint.label }))) {
       return false;
     }
+
+    targetEditor.setValue(checkpoint.before);
+    checkpoint.undone = true;
+    this.renderCheckpoints();
+    return true;
+  }
+
+  checkpointName(checkpoint) {
+    const where = checkpoint.cellIndex !== null ? ` · ${i18n().t('checkpoint.cell', { number: checkpoint.cellIndex + 1 })}` : '';
+    const time = `${checkpoint.time.getHours()}:${String(checkpoint.time.getMinutes()).padStart(2, '0')}`;
+    return `${checkpoint.label}${where} · ${time}`;
+  }
+
+  /**
+   * List this stage's AI edits under the hints, newest first
+   */
+  renderCheckpoints() {
+    if (!this.isBrowserEnvironment()) return;
+    const panel = document.getElementById('ai-checkpoints');
+    if (!panel) return;
+
+    const stageId = typeof currentStage !== 'undefined' ? currentStage : null;
+    const checkpoints = this.codeCheckpoints.filter(c => c.stageId === stageId).reverse();
+    panel.style.display = checkpoints.length ? 'block' : 'none';
+    panel.innerHTML = `<h4>${markdownRenderer().escapeHtml(i18n().t('checkpoint.title'))}</h4>`;
+
+    const list = document.createElement('ul');
+    checkpoints.forEach(checkpoint => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'checkpoint-label';
+      name.textContent = this.checkpointName(checkpoint);
+      item.appendChild(name);
+
+      if (checkpoint.undone) {
+        const undone = document.createElement('span');
+        undone.className = 'checkpoint-undone';
+        undone.textContent = i18n().t('checkpoint.undone');
+        item.appendChild(undone);
+      } else {
+        const undo = document.createElement('button');
+        undo.className = 'checkpoint-undo';
+        undo.textContent = i18n().t('checkpoint.undo');
+        undo.onclick = () => this.undoCheckpoint(checkpoint.id);
+        item.appendChild(undo);
+      }
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
   }
 
   /**
-   * Show confirmation that code was applied
+   * Show confirmation that code was applied, with a way to undo it
    */
-  showCodeApplicationConfirmation() {
+  showCodeApplicationConfirmation(checkpoint) {
+    if (!this.isBrowserEnvironment()) return;
     const notification = document.createElement('div');
     notification.className = 'ai-code-applied-notification';
-    notification.innerHTML = '✅ AI Assistant updated your code';
+    notification.textContent = i18n().t('checkpoint.applied', { label: checkpoint.label }) + ' ';
+
+    const undo = document.createElement('button');
+    undo.className = 'checkpoint-undo';
+    undo.textContent = i18n().t('checkpoint.undo');
+    undo.onclick = () => {
+      if (this.undoCheckpoint(checkpoint.id)) notification.remove();
+    };
+    notification.appendChild(undo);
 
     document.body.appendChild(notification);
 
@@ -1915,115 +2687,223 @@ Then briefly explain what you changed and why.`;
       notification.classList.add('visible');
     });
 
-    // Remove after delay
+    // Remove after delay (long enough to reach the undo button)
     setTimeout(() => {
       notification.classList.remove('visible');
       setTimeout(() => notification.remove(), 300);
-    }, 2000);
+    }, 5000);
+  }
+
+  // ============================================
+  // AGENT - "Fix my code" as a tool-calling loop
+  // ============================================
+
+  /**
+   * Providers whose APIs take tool definitions. The in-browser model
+   * doesn't, so it keeps the single-prompt fix.
+   */
+  supportsToolCalling() {
+    return ['openai', 'anthropic', 'ollama'].includes(this.provider) && this.isAgenticModel();
   }
 
   /**
-   * Handle fix request - extract code and offer to apply it
+   * Let the model fix the student's code through tools, showing each call
+   * as it happens. Edits go through the diff review, so nothing reaches a
+   * cell without the student accepting it.
    */
-  async handleFixRequest() {
-    if (this.agencyLevel < 2) {
-      return this.queryLLM('debug'); // Fall back to debug mode
+  async runFixAgent() {
+    if (!this.isBrowserEnvironment()) return null;
+    if (this.agencyLevel < 3 || !this.supportsToolCalling()) {
+      return this.queryLLM('fix');
     }
 
-    this.showLLMResponse('loading', 'Analyzing and fixing code...');
+    const request = this.startRequest('hint');
+    this.showLLMResponse('loading', i18n().t('agent.starting'));
 
+    const systemPrompt = this.buildAgentSystemPrompt(this.gatherContext());
+    let transcript = [];
     try {
-      const context = this.gatherContext();
-      const prompt = this.buildPrompt('fix', context);
-
-      let response;
-      if (this.provider === 'ollama') {
-        response = await this.queryOllama(prompt);
-      } else if (this.provider === 'webgpu') {
-        if (!this.webgpuReady) {
-          throw new Error('In-browser model not loaded');
+      const result = await tutorAgent().runAgent({
+        format: this.provider,
+        send: (messages, tools) => this.sendAgentTurn(systemPrompt, messages, tools, request.signal),
+        tools: this.createAgentTools(),
+        systemPrompt,
+        task: 'My code isn\'t working yet. Please find the problem and fix it with me.',
+        maxSteps: this.agentMaxSteps,
+        signal: request.signal,
+        onEvent: (entry, entries) => {
+          transcript = entries;
+          this.updateStreamingResponse(this.renderAgentTranscript(entries));
         }
-        response = await this.queryWebGPU(prompt);
-      } else if (this.provider === 'openai') {
-        response = await this.queryOpenAI(prompt);
-      } else if (this.provider === 'anthropic') {
-        response = await this.queryAnthropic(prompt);
-      }
-
-      // Extract code from response
-      const codeBlocks = this.extractCodeFromResponse(response);
-
-      if (codeBlocks.length > 0 && this.agencyLevel >= 3) {
-        // Show response with apply button
-        this.showLLMResponseWithAction(response, codeBlocks[0]);
+      });
+      this.showLLMResponse('success', this.renderAgentTranscript(result.transcript));
+      return result;
+    } catch (error) {
+      if (this.isAbortError(error)) {
+        this.showLLMResponse('cancelled', transcript.length ? this.renderAgentTranscript(transcript) : i18n().t('ai.cancelled'));
+      } else if (error.toolsUnsupported) {
+        // Ollama models without tool support get the single-prompt fix
+        this.finishRequest('hint', request);
+        return this.queryLLM('fix');
       } else {
-        // Just show the response
-        this.showLLMResponse('success', response);
+        console.error('Agent fix failed:', error);
+        this.showLLMResponse('error', i18n().t('agent.failed', { error: error.message }));
       }
-    } catch (error) {
-      console.error('Fix request failed:', error);
-      this.showLLMResponse('error', `Failed to fix code: ${error.message}`);
+      return null;
+    } finally {
+      this.finishRequest('hint', request);
     }
   }
 
+  buildAgentSystemPrompt(context) {
+    return `You are ${this.aiAssistant.name}, a ${this.aiAssistant.role} helping a student who is learning Python.
+You can read, edit and run the cells of their notebook through tools.
+
+HOW TO WORK:
+- Read the cell (and its last output) before you change it
+- Propose edits with propose_edit, giving the complete new code for the cell. The student reviews every edit as a diff and may reject it
+- After an edit is accepted, run the cell to check it passes
+- If the student rejects an edit, don't propose the same change again
+- Change as little as possible and keep the student's own approach
+- Finish with 2-3 sentences explaining what was wrong, so the student learns from the fix
+${this.buildLanguageInstruction()}${this.buildCodeContext(context)}`;
+  }
+
   /**
-   * Show LLM response with an action button to apply code
+   * One non-streamed model turn with tools attached
+   * @returns {Promise<Object>} The provider's JSON reply
    */
-  showLLMResponseWithAction(content, code) {
-    if (!this.isBrowserEnvironment()) return;
+  async sendAgentTurn(systemPrompt, messages, tools, signal = null) {
+    let url;
+    let headers = { 'Content-Type': 'application/json' };
+    let body;
 
-    const hintTextContainer = document.getElementById('hint-text-container');
-    if (!hintTextContainer) return;
-
-    // Clear existing responses
-    const existingHints = hintTextContainer.querySelectorAll('.llm-hint');
-    existingHints.forEach(hint => hint.remove());
-
-    // Create response element
-    const llmHint = document.createElement('div');
-    llmHint.className = 'llm-hint';
+    switch (this.provider) {
+      case 'ollama':
+        url = `${this.ollamaBaseUrl}/api/chat`;
+        body = { model: this.selectedModel, messages, tools, stream: false, options: { temperature: 0.2 } };
+        break;
+      case 'openai':
+        if (!this.apiKeys.openai) throw new Error('OpenAI API key not set');
+        url = 'https://api.openai.com/v1/chat/completions';
+        headers.Authorization = `Bearer ${this.apiKeys.openai}`;
+        body = { model: this.selectedModel, messages, tools, max_tokens: 1000, temperature: 0.2 };
+        break;
+      case 'anthropic':
+        if (!this.apiKeys.anthropic) throw new Error('Anthropic API key not set');
+        url = 'https://api.anthropic.com/v1/messages';
+        headers = { ...headers, 'x-api-key': this.apiKeys.anthropic, 'anthropic-version': '2023-06-01' };
+        body = { model: this.selectedModel, max_tokens: 1000, system: systemPrompt, messages, tools };
+        break;
+      default:
+        throw new Error(`Tool calling isn't available for ${this.provider}`);
+    }
 
-    const header = document.createElement('div');
-    header.className = 'llm-header';
-    header.innerHTML = `🤖 AI Assistant (${this.selectedModel})`;
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.toolsUnsupported = this.provider === 'ollama' && /does not support tools/i.test(detail);
+      throw error;
+    }
+    return response.json();
+  }
 
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'llm-content';
-    contentDiv.innerHTML = content;
-
-    // Create action buttons
-    const actionBar = document.createElement('div');
-    actionBar.className = 'llm-action-bar';
-
-    const applyBtn = document.createElement('button');
-    applyBtn.className = 'llm-action-button apply';
-    applyBtn.innerHTML = '✅ Apply fix';
-    applyBtn.onclick = () => {
-      if (this.applyCodeToEditor(code)) {
-        applyBtn.textContent = 'Applied!';
-        applyBtn.disabled = true;
+  /**
+   * The agent's tools, bound to the current stage's editors and runtime.
+   * Cells are numbered from 1 for the model, as they are for the student.
+   */
+  createAgentTools() {
+    const stage = gameContent?.stages?.find(s => s.id === currentStage);
+    const multiCell = Boolean(stage?.cells);
+    const cellCount = multiCell ? cellEditors.length : 1;
+
+    const cellIndexFor = ({ cell }) => {
+      const number = Number(cell);
+      if (!Number.isInteger(number) || number < 1 || number > cellCount) {
+        throw new Error(`There is no cell ${cell}; this stage has ${cellCount === 1 ? '1 cell' : `${cellCount} cells`}`);
       }
+      return number - 1;
     };
-
-    const copyBtn = document.createElement('button');
-    copyBtn.className = 'llm-action-button copy';
-    copyBtn.innerHTML = '📋 Copy code';
-    copyBtn.onclick = () => {
-      navigator.clipboard.writeText(code);
-      copyBtn.textContent = 'Copied!';
-      setTimeout(() => { copyBtn.innerHTML = '📋 Copy code'; }, 1500);
+    const editorFor = args => {
+      const index = cellIndexFor(args);
+      return this.getTargetEditor(multiCell ? index : null);
+    };
+    const outputFor = index => document.getElementById(multiCell ? `output-area-${index}` : 'single-output-area');
+    const statusFor = index => document.getElementById(multiCell ? `cell-status-${index}` : 'single-cell-status');
+    const describeOutput = index => {
+      const output = outputFor(index);
+      if (!output || output.classList.contains('empty')) return 'The cell has not been run yet.';
+      const status = statusFor(index)?.textContent.trim();
+      return `Output:\n${output.textContent.trim() || '(no output)'}${status ? `\n\nStatus: ${status}` : ''}`;
     };
 
-    actionBar.appendChild(applyBtn);
-    actionBar.appendChild(copyBtn);
+    return {
+      read_cell: args => editorFor(args).getValue() || '(empty cell)',
 
-    llmHint.appendChild(header);
-    llmHint.appendChild(contentDiv);
-    llmHint.appendChild(actionBar);
-    hintTextContainer.appendChild(llmHint);
+      propose_edit: async args => {
+        const cellIndex = multiCell ? cellIndexFor(args) : null;
+        const targetEditor = editorFor(args);
+        const before = targetEditor.getValue();
+        const code = String(args.code ?? '');
+        if (code === before) return 'The cell already contains this code.';
 
-    // Scroll to ensure new content is visible
-    llmHint.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        const label = i18n().t('agent.editLabel');
+        const reviewed = await this.reviewCodeChange(before, code, { label, cellIndex });
+        if (reviewed === null) return 'The student rejected this edit. The cell is unchanged.';
+
+        this.applyCheckpointedEdit(targetEditor, reviewed, { label, cellIndex });
+        return reviewed === code
+          ? 'The student accepted the edit.'
+          : `The student accepted part of the edit. The cell now contains:\n${reviewed}`;
+      },
+
+      run_cell: async args => {
+        const index = cellIndexFor(args);
+        const passed = await runStageCell(index);
+        return `${describeOutput(index)}\n\n${passed ? 'The cell passes the challenge check.' : 'The cell does not pass the challenge check yet.'}`;
+      },
+
+      read_output: args => describeOutput(cellIndexFor(args)),
+
+      get_hint: ({ number }) => {
+        const hints = stage?.hints || [];
+        const index = Number(number) - 1;
+        if (!hints[index]) return `There is no hint ${number}; this challenge has ${hints.length}.`;
+        if (typeof noteHintUsed === 'function') noteHintUsed(index);
+        return hints[index];
+      }
+    };
+  }
+
+  /**
+   * Show the agent's run as a list of steps: what it said, each tool it
+   * called with its arguments, and what came back
+   */
+  renderAgentTranscript(transcript) {
+    const { escapeHtml } = markdownRenderer();
+    const steps = transcript.map(entry => {
+      if (entry.type === 'text') {
+        return `<div class="agent-message">${this.markdownToHtml(entry.text)}</div>`;
+      }
+      if (entry.type === 'limit') {
+        return `<div class="agent-limit">⏹️ ${escapeHtml(i18n().t('agent.limit', { steps: entry.step }))}</div>`;
+      }
+      const args = Object.entries(entry.args || {})
+        .filter(([name]) => name !== 'code' && name !== 'explanation')
+        .map(([name, value]) => `${name}=${value}`);
+      if (typeof entry.args?.code === 'string') {
+        const lines = entry.args.code.split('\n').length;
+        args.push(i18n().t(lines === 1 ? 'agent.codeLine' : 'agent.codeLines', { count: lines }));
+      }
+      const icon = entry.status === 'running' ? '⏳' : entry.status === 'error' ? '⚠️' : '🔧';
+      const explanation = entry.args?.explanation
+        ? `<div class="agent-explanation">${escapeHtml(entry.args.explanation)}</div>`
+        : '';
+      const result = entry.result ? `<div class="agent-result">${escapeHtml(entry.result)}</div>` : '';
+      return `<div class="agent-step agent-${entry.status}"><span class="agent-step-number">${escapeHtml(i18n().t('agent.step', { number: entry.step }))}</span> ${icon} <code>${escapeHtml(entry.name)}(${escapeHtml(args.join(', '))})</code>${explanation}${result}</div>`;
+    });
+    return `<div class="agent-transcript">${steps.join('')}</div>`;
   }
 }
 
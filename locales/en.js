@@ -0,0 +1,533 @@
+/**
+ * English messages, and the fallback for anything another catalog lacks.
+ * Every other catalog uses these keys; {name} marks a value filled in when
+ * the message is shown (see I18n.t).
+ */
+
+const MESSAGES_EN = {
+  // Header and static panels (data-i18n in app.html)
+  'header.back': '← Project',
+  'header.backTitle': 'Back to project page',
+  'header.profileTitle': 'Switch player or save slot',
+  'header.language': 'Language',
+  'reference.title': '📚 Reference & Data',
+  'reference.python': '🔍 Python References',
+  'reference.findings': '🔎 Your Findings',
+  'reference.dataTitle': '📊 Fragment Data',
+  'reference.dataHint': 'Explore this data in your code',
+  'code.title': 'Your Code',
+  'footer.aiAssistant': '🤖 AI Assistant:',
+  'footer.aiHelp': 'AI Setup Help',
+  'footer.aiSettings': 'AI Settings',
+  'footer.next': 'Continue to Next Stage →',
+  'common.undo': 'Undo',
+  'common.close': 'Close',
+  'devNav.toggle': 'Stage navigation',
+
+  // Runtime, progress and content pack buttons
+  'runtime.restart': '🔄 Restart Runtime',
+  'runtime.restartTitle': 'Clear all outputs and reset variables',
+  'runtime.restarted': '✓ Runtime Restarted',
+  'progress.download': '💾 Download Progress',
+  'progress.downloadTitle': 'Download your progress as a file: a backup for another computer, or to hand in to your teacher',
+  'progress.restore': '📂 Restore Progress',
+  'progress.restoreTitle': 'Load progress from a file you downloaded earlier',
+  'progress.clear': '🗑️ Clear Progress',
+  'progress.clearTitle': 'Reset all progress and start over',
+  'progress.restoreFor': ' for {student}',
+  'progress.restoreFrom': ' from {date}',
+  'progress.confirmRestore': 'Restore progress{who}{when}? This replaces the progress saved in this browser.',
+  'progress.unverified': 'Warning: this file has no checksum, so it can\'t be checked for changes. It may be from an older version of the game, or it may have been edited. Only restore it if you trust where it came from.',
+  'progress.otherPack': 'This progress is for the "{pack}" content pack. It will be there when you next play that pack.',
+  'progress.confirmClear': 'Are you sure you want to clear all saved progress? This action cannot be undone.',
+  'progress.confirmBackup': 'Download a backup of your progress before clearing it?',
+  'save.failed': '⚠️ Your latest work couldn\'t be saved in this browser, probably because its storage is full. Download your progress to keep it.',
+  'save.download': 'Download progress',
+  'save.dismiss': 'Dismiss',
+  'packs.load': '📦 Load Content Pack',
+  'packs.loadTitle': 'Load a custom curriculum (.json), or drop one onto the page',
+  'packs.playingTitle': 'Playing content pack "{title}". Click to load a different pack.',
+  'packs.default': '↩️ Default Curriculum',
+  'packs.defaultTitle': 'Switch back to the built-in curriculum',
+
+  // Code cells and runs
+  'cell.title': 'Code Cell',
+  'cell.numberedTitle': 'Code Cell {number}',
+  'cell.status.pending': 'Pending',
+  'cell.status.running': 'Running',
+  'cell.status.stopped': 'Stopped',
+  'cell.status.error': 'Error',
+  'cell.status.completed': 'Completed',
+  'cell.status.timedOut': 'Timed out',
+  'cell.run': 'Run {cell}',
+  'cell.stop': 'Stop {cell}',
+  'cell.editorLabel': 'Python code for {cell}',
+  'cell.output': 'Output',
+  'cell.outputOf': 'Output of {cell}',
+  'cell.outputToggle': 'Show or hide the output of {cell}',
+  'run.running': 'Running code...',
+  'run.loadingEngine': 'Loading Python engine...',
+  'run.engineFailed': 'Error: Python engine failed to load. Please refresh the page.',
+  'run.stopped': '⏹ Execution stopped.',
+  'run.executedAt': 'Executed at {time}',
+  'run.input': 'Program input',
+  'run.inputPrompt': 'Input: {prompt}',
+  'timeout.intro': '⏱️ Your code ran for {seconds} seconds without finishing, so it was stopped.',
+  'timeout.noLoop': 'Check for a loop that never ends.',
+  'timeout.earlierCell': 'The loop `{loop}` in an earlier cell never finished.',
+  'timeout.loop': 'The loop on line {line} (`{loop}`) never finished. Check that its condition eventually becomes false, or that something inside it moves toward the end.',
+  'hints.button': 'Hint {number}',
+  'hints.cellButton': '{cell}, hint {number}',
+  'hints.next': 'Next: {label}',
+  'hints.askAI': '🤖 Ask the AI for a hint',
+  'hints.progress': '{seen} of {total} hints seen',
+  'hints.suggested': '💡 Suggested Hint:',
+
+  // Grading results (validateSolution)
+  'validation.matches': 'Output matches expected',
+  'validation.doesNotMatch': 'Output does not match expected',
+  'validation.solutionFailed': 'Could not execute solution code',
+  'validation.testInput': 'With the test input ({input}) your program stopped with {error}',
+  'validation.testInputError': 'Error with test input',
+  'validation.nextStep': 'Next step: {explanation}',
+  'validation.outputIssue': 'Output format issue: {explanation}',
+  'validation.keepGoing': 'Keep going!',
+  'validation.outputIncorrect': 'Output incorrect',
+  'validation.passed': 'All validations passed',
+  'validation.syntaxFirst': 'Fix the syntax error first ({error})',
+
+  // Feedback on a failed check (HTML is allowed)
+  'feedback.status.failed': 'Validation Failed',
+  'feedback.status.keepGoing': 'Keep Going',
+  'feedback.status.noOutput': 'No Output',
+  'feedback.status.wrongNumbers': 'Wrong Numbers',
+  'feedback.status.missingText': 'Missing Text',
+  'feedback.status.patternMismatch': 'Pattern Mismatch',
+  'feedback.status.incomplete': 'Incomplete Output',
+  'feedback.status.outputMismatch': 'Output Mismatch',
+  'feedback.status.formatIssue': 'Format Issue',
+  'feedback.status.calculation': 'Calculation Error',
+  'feedback.status.inProgress': 'In Progress',
+  'feedback.status.incorrect': 'Solution Incorrect',
+  'feedback.nextStep.title': '🧩 Next step',
+  'feedback.noOutput.title': '🚫 No output detected',
+  'feedback.noOutput.body': 'Your code ran but didn\'t produce any output. Make sure to:',
+  'feedback.noOutput.usePrint': 'Use <code>print()</code> statements to display results',
+  'feedback.noOutput.indent': 'Check that your code is properly indented',
+  'feedback.noOutput.executes': 'Verify your code actually executes the calculation',
+  'feedback.wrongNumbers.title': '🔢 Calculation error detected',
+  'feedback.wrongNumbers.expected': 'Expected numbers: <code>{numbers}</code>',
+  'feedback.wrongNumbers.actual': 'Your output contains: <code>{numbers}</code>',
+  'feedback.wrongNumbers.missing': 'Missing: <code>{numbers}</code>',
+  'feedback.wrongNumbers.tip': 'Double-check your mathematical calculations and variable assignments.',
+  'feedback.missingText.title': '📝 Output format issue',
+  'feedback.missingText.missing': 'Missing required text: <code>{text}</code>',
+  'feedback.missingText.tip': 'Check that your print statements include all the required labels and formatting.',
+  'feedback.pattern.title': '📋 Output pattern doesn\'t match',
+  'feedback.pattern.body': 'Your output format doesn\'t match the expected pattern.',
+  'feedback.pattern.tip': 'Review the instruction carefully and check your output format.',
+  'feedback.incomplete.title': '📋 Incomplete results',
+  'feedback.incomplete.body': 'Missing expected outputs:',
+  'feedback.incomplete.tip': 'Make sure your code produces all the required output lines.',
+  'feedback.mismatch.title': '🎯 Output doesn\'t match expected result',
+  'feedback.mismatch.expected': 'Expected: <code>{expected}</code>',
+  'feedback.mismatch.actual': 'Your output: <code>{actual}</code>',
+  'feedback.mismatch.tip': 'Compare your output carefully with what\'s expected.',
+  'diff.title': 'Expected output vs yours',
+  'diff.summary': 'lines missing: {missing} · extra: {extra} · different: {changed}',
+  'diff.expected': 'Expected',
+  'diff.yours': 'Your output',
+  'diff.missingLine': 'missing',
+  'diff.extraLine': 'extra',
+  'diff.missingChars': 'Missing from your output',
+  'diff.extraChars': 'Not in the expected output',
+  'diff.flexibleNote': 'Capitals, spacing, line order and extra lines don\'t count here; only the highlighted lines need fixing.',
+  'diff.checksTitle': 'What your output still needs ({count})',
+  'diff.checkNumber': 'The number {value}',
+  'diff.checkText': 'The text "{value}"',
+  'feedback.cellFailed.title': '❌ Cell {number} validation failed',
+  'feedback.cellFailed.tip': 'Review your code logic and expected output format. Use the hints below for guidance.',
+  'feedback.format.title': '📋 Output format doesn\'t match expected pattern',
+  'feedback.format.printed': 'What you printed:',
+  'feedback.format.none': '(no output)',
+  'feedback.format.issue': 'Issue:',
+  'feedback.format.tip': 'Tip: Pay close attention to the exact wording in your print statements. Use "Fragments" (plural) in your output text.',
+  'feedback.calculation.title': '🔢 Mathematical calculation issue',
+  'feedback.calculation.tip': 'Double-check your calculations and variable assignments.',
+  'feedback.inProgress.tip': 'Check the TODO comments in the code for guidance.',
+  'feedback.failed.title': '❌ Solution doesn\'t meet requirements',
+  'feedback.failed.tip': 'Review the challenge requirements and try again.',
+  'feedback.incorrect.title': '❌ Solution doesn\'t meet the challenge requirements',
+  'feedback.incorrect.tip': 'Review your code logic and the expected output. Use the hints below for guidance.',
+
+  // What a validation pattern asks for (explainCodePattern, explainOutputPattern)
+  'pattern.anyText': '(any text)',
+  'pattern.or': 'or',
+  'pattern.output.stage1Catalog': 'Your output must include "Manuscript Catalog" followed by "MS-ALEX-2847"',
+  'pattern.output.stage1Fragments': 'Your output must include the word "Fragments" (or "Fragment") near the number 23. Try: "Fragments Found: 23"',
+  'pattern.output.generic': 'Expected pattern: {pattern}. Check that your print statement includes the right text format.',
+  'pattern.code.stage1FragmentCount': 'Create a variable named "fragment_count" and set it to 23 (e.g., fragment_count = 23)',
+  'pattern.code.stage1Print': 'Add a print statement that includes the fragment_count variable',
+  'pattern.code.forLoop': 'Your code needs a for loop to iterate through the data (e.g., for item in list:)',
+  'pattern.code.defines': 'Define a function named "{name}" (e.g., def {name}(...):)',
+  'pattern.code.variable': 'Create or use a variable named "{name}"',
+  'pattern.code.replace': 'Use the .replace() method to substitute text',
+  'pattern.code.totalCharacters': 'Update the total_characters variable (use += to add to it)',
+  'pattern.code.generic': 'Your code structure needs: {pattern}. Review the challenge instructions.',
+
+  // Code rules as next steps (code-rules.js)
+  'codeRule.defines.named': 'Define a function named "{name}"{takes} (e.g., def {name}({example}):)',
+  'codeRule.defines.any': 'Define a function{takes} (e.g., def {name}({example}):)',
+  'codeRule.takesArgument': ' that takes {count} argument',
+  'codeRule.takesArguments': ' that takes {count} arguments',
+  'codeRule.calls.methodWith': 'Use the .{name}() method on {with}',
+  'codeRule.calls.method': 'Use the .{name}() method',
+  'codeRule.calls.functionWith': 'Call {name}() with {with} (e.g., {name}({with}))',
+  'codeRule.calls.function': 'Call {name}()',
+  'codeRule.loopKind.for': 'a for loop',
+  'codeRule.loopKind.while': 'a while loop',
+  'codeRule.loopKind.comprehension': 'a list comprehension',
+  'codeRule.loopKind.any': 'a loop',
+  'codeRule.loop.over': 'Use {kind} that goes through {over} (e.g., for item in {over}:)',
+  'codeRule.loop.repeat': 'Use {kind} to repeat the work for each item',
+  'codeRule.assigns.any': 'Create or update a variable named "{name}"',
+  'codeRule.assigns.value': 'Create a variable named "{name}" and set it to {value} (e.g., {name} = {value})',
+  'codeRule.default': 'Review the challenge instructions',
+
+  // Stage transitions
+  'transition.defaultDialogue': 'Excellent work! You\'ve completed this stage successfully.',
+  'transition.investigationComplete': '🏆 Investigation Complete!',
+  'transition.stageComplete': 'Stage {number} Complete!',
+  'transition.next': 'Next:',
+  'transition.continue': 'Continue →',
+  'transition.finish': 'Finish',
+  'story.continue': 'Continue →',
+
+  // Chat with the mentor
+  'chat.askAnything': 'Ask me anything about Python, archaeology, or the investigation...',
+  'chat.placeholder': 'Type a message...',
+  'chat.send': 'Send',
+  'chat.toggle': 'Chat with Dr. Rodriguez',
+  'chat.close': 'Close chat',
+  'chat.inputLabel': 'Message to Dr. Rodriguez',
+  'chat.investigation': 'investigation',
+  'chat.welcome': 'Need help with the {stage}? I\'m here to guide you through this mystery!',
+  'chat.quick.hint': '🔍 Hint',
+  'chat.quick.error': '❌ Error',
+  'chat.quick.story': '📖 Story',
+  'chat.request.hint': 'Can you give me a hint?',
+  'chat.request.error': 'Can you help me understand this error?',
+  'chat.request.story': 'Can you explain the story context?',
+  'chat.request.default': 'Can you help me?',
+  'chat.toggleMentor': 'Chat with {name}',
+  'chat.typing': '{name} is typing...',
+  'chat.stop': '■ Stop',
+  'chat.stopTitle': 'Stop generating',
+  'chat.stopped': 'Stopped.',
+  'chat.failed': 'Unable to get response. Please try again.',
+  'chat.offline': 'I\'m currently offline. Configure an AI provider in the settings (⚙️ at the bottom) to chat with me!',
+
+  // Tutorials
+  'tutorial.run.title': '👆 Click Here to Run!',
+  'tutorial.run.text': 'Click this play button (or press Shift+Enter) to run the code and see what happens!',
+  'tutorial.cells.title': '📝 Multiple Code Cells',
+  'tutorial.cells.text': 'This stage has multiple code cells! Complete each cell in order. Variables from earlier cells are available in later ones.',
+  'tutorial.hints.title': '💡 Stuck? Use Hints!',
+  'tutorial.hints.text': 'Click these hint buttons if you need help. They reveal progressively more guidance without giving away the answer.',
+  'tutorial.conditionals.title': '🔀 Conditionals: if/else',
+  'tutorial.conditionals.text': 'This stage introduces conditionals! Use "if" to check conditions and "else" for alternatives. Think: "if this is true, do that."',
+  'tutorial.loops.title': '🔄 Loops: Repeat Actions',
+  'tutorial.loops.text': 'Loops let you repeat code! "for item in list:" runs the indented code once for each item. No need to write the same thing multiple times.',
+  'tutorial.chat.title': '💬 Need Help? Ask Dr. Rodriguez!',
+  'tutorial.chat.text': 'Click here to chat with Dr. Rodriguez (AI assistant). Ask questions about Python or get hints about the current challenge!',
+  'tutorial.functions.title': '🔧 Functions: Reusable Code',
+  'tutorial.functions.text': 'Functions bundle code you can reuse! Define with "def name():" and call with "name()". This stage also uses f-strings: f"text {variable}"',
+  'tutorial.skip': 'Skip Tutorial',
+  'tutorial.next': 'Next →',
+  'tutorial.gotIt': 'Got it!',
+
+  // Screen reader announcements after a run
+  'a11y.cellUnlocked': 'You can now move on to {cell}.',
+  'a11y.stageComplete': 'Stage complete. Continue to the next stage when you are ready.',
+
+  // Learning journey
+  'journey.button': '🧭 Learning Journey',
+  'journey.buttonTitle': 'See every run on this stage: errors, hints and time spent',
+  'journey.title': '🧭 Learning Journey',
+  'journey.stage': 'Stage',
+  'journey.stageRun': '{stage} ({runs} run)',
+  'journey.stageRuns': '{stage} ({runs} runs)',
+  'journey.empty': 'No runs on this stage yet. Each time you run your code it will show up here.',
+  'journey.outcome.passed': '✅ Passed',
+  'journey.outcome.failed': '🟡 Ran, but not right yet',
+  'journey.outcome.error': '❌ Error',
+  'journey.outcome.timeout': '⏱️ Timed out',
+  'journey.outcome.stopped': '⏹️ Stopped',
+  'journey.statRun': 'run',
+  'journey.statRuns': 'runs',
+  'journey.statTime': 'on task',
+  'journey.statHints': 'hints',
+  'journey.statFirstPass': 'first pass',
+  'journey.errors': 'What tripped you up',
+  'journey.cell': 'Cell {number}',
+  'journey.hintsSoFar': '💡 {count} hints so far',
+  'journey.code': 'Code',
+
+  // Version history
+  'history.button': 'Version history',
+  'history.title': '🕘 Code History',
+  'history.cellTitle': '🕘 Cell {number} History',
+  'history.version': 'Version',
+  'history.compareWith': 'Compare with',
+  'history.compareCurrent': 'the code in the cell now',
+  'history.legendRemoved': '- only in the comparison',
+  'history.legendAdded': '+ only in this version',
+  'history.empty': 'No versions yet. Each time you run this cell, or accept an AI edit, a copy of the code is kept here.',
+  'history.pinned': '⭐ My working version',
+  'history.pin': '⭐ Mark as my working version',
+  'history.unpin': '☆ Unmark working version',
+  'history.restore': 'Restore this version',
+  'history.sameVersions': 'These two versions are the same.',
+  'history.sameAsCurrent': 'This version is the same as the code in the cell now.',
+
+  // Changes since the starter code
+  'starter.button': 'Changes since the starter code, and reset',
+  'starter.title': '↺ Changes Since Starter Code',
+  'starter.cellTitle': '↺ Cell {number}: Changes Since Starter Code',
+  'starter.legendAdded': '+ lines you added',
+  'starter.legendRemoved': '- starter lines you removed or changed',
+  'starter.reset': '↺ Reset to starter code',
+  'starter.unchanged': 'This cell still has the starter code.',
+  'starter.confirmReset': 'Reset this cell to the starter code? You can undo this, and your code stays in the cell\'s version history.',
+  'starter.confirmUndo': 'This cell has changed since the reset. Undo it anyway? Your later changes will be lost.',
+  'starter.resetDone': '↺ Cell reset to the starter code',
+
+  // Reviewing AI edits
+  'aiDiff.intro': 'Read each change before it goes into your code. Untick any you don\'t want, then apply the rest.',
+  'aiDiff.title': '🔍 Review AI edit',
+  'aiDiff.reject': 'Reject',
+  'aiDiff.applySelected': 'Apply selected',
+  'aiDiff.acceptAll': 'Accept all',
+
+  // Game start
+  'init.loadFailed': 'Error loading game content. Please refresh the page or try again later.',
+  'init.details': 'Technical details: {error}',
+  'init.clearCache': 'If this persists, try clearing your browser cache and refreshing.',
+
+  // Multi-cell toolbar and variable inspector
+  'kernel.runAll': '▶ Run All',
+  'kernel.runAllTitle': 'Run every cell in order, stopping at the first that doesn\'t pass',
+  'kernel.runAbove': '⏫ Run All Above',
+  'kernel.runAboveTitle': 'Run the cells above the one you\'re working in',
+  'kernel.variables': '🔍 Variables',
+  'kernel.variablesTitle': 'Show the variables your cells have created',
+  'variables.empty': 'No variables yet. Run a cell to create some.',
+  'variables.name': 'Name',
+  'variables.type': 'Type',
+  'variables.value': 'Value',
+
+  // Ending screen
+  'ending.title': '🏛️ The Truth Revealed',
+  'ending.statsTitle': 'Your Archaeological Journey:',
+  'ending.stat.decoded': 'Fragments Decoded: {count}',
+  'ending.stat.solved': 'Mysteries Solved: {count}',
+  'ending.stat.firstTry': 'Solved First Try: {count}',
+  'ending.stat.hints': 'Hints Used: {count}',
+  'ending.stat.relationship': 'Relationship with {name}: {level}',
+  'ending.stat.path': 'Path Taken: {path}',
+  'ending.pathUndecided': 'Undecided',
+  'ending.trust.partner': 'Trusted Partner',
+  'ending.trust.close': 'Close Colleague',
+  'ending.trust.colleague': 'Colleague',
+  'ending.trust.new': 'New Acquaintance',
+  'ending.badgeLabel': '{title} badge',
+  'ending.badgeCaption': 'DIGITAL ARCHAEOLOGIST',
+  'ending.downloadBadge': '⬇ Download your badge',
+  'ending.close': 'Close',
+
+  // AI assistant (llm-integration.js)
+  'ai.assistant': 'AI Assistant',
+  'ai.level.agentic': 'Agentic Mode',
+  'ai.level.suggestions': 'Code Suggestions',
+  'ai.level.hints': 'Hints Only',
+  'ai.ask.hint': '💡 Get a hint',
+  'ai.ask.debug': '🔧 Debug my code',
+  'ai.ask.explain': '📖 Explain concept',
+  'ai.ask.suggest': '✨ Suggest code',
+  'ai.ask.fix': '🔨 Fix my code',
+  'ai.header.thinking': '🤖 AI Assistant (thinking...)',
+  'ai.header.error': '🤖 AI Assistant (error)',
+  'ai.header.stopped': '🤖 AI Assistant (stopped)',
+  'ai.header.model': '🤖 AI Assistant ({model})',
+  'ai.stop': '■ Stop',
+  'ai.stopTitle': 'Stop generating',
+  'ai.reactionStopped': '(stopped)',
+  'ai.noModel': 'No model selected',
+  'ai.thinking': 'Thinking...',
+  'ai.cancelled': 'Request cancelled.',
+  'ai.failed': 'Failed to get response: {error}',
+  'ai.copied': 'Copied!',
+  'ai.applied': 'Applied!',
+  'ai.label.suggestion': 'AI suggestion',
+  'ai.label.chat': 'Chat suggestion',
+  'ai.selectModel': 'Select a model...',
+  'ai.status.detecting': 'Detecting AI...',
+  'ai.status.ready': 'Ready',
+  'ai.status.setupNeeded': 'Setup needed',
+  'ai.status.connectedTo': 'Connected to {model}',
+  'ai.status.connectingOllama': 'Connecting to Ollama...',
+  'ai.status.loadingModels': 'Loading models...',
+  'ai.status.foundModels': 'Found {count} models',
+  'ai.status.webgpuSetup': 'Setup required for in-browser AI',
+  'ai.status.noModels': 'No models found',
+  'ai.status.failed': 'Failed to connect: {error}',
+  'ai.progress.loadingLibrary': 'Loading Transformers.js...',
+  'ai.progress.initializing': 'Initializing model...',
+  'ai.progress.downloading': 'Downloading: {file}',
+  'ai.progress.modelFiles': 'model files',
+  'ai.progress.fileDone': 'File downloaded',
+  'ai.progress.ready': 'Model ready!',
+  'ai.cache.size': 'Cached: ~{size} MB',
+  'ai.cache.none': 'Not cached',
+  'ai.cache.unknown': 'Cache status unknown',
+  'ai.cache.clearedStatus': 'Model cache cleared',
+  'ai.cache.cleared': 'Model cache cleared. You will need to download the model again to use in-browser AI.',
+  'ai.cache.clearFailed': 'Failed to clear cache: {error}',
+  'aiDiff.review': '🔍 Review: {label}',
+  'aiDiff.reviewCell': '🔍 Review: {label} (Cell {number})',
+  'aiDiff.unchanged': '⋯ {count} unchanged lines',
+  'aiDiff.acceptHunk': 'Accept change {number} of {total}',
+  'checkpoint.title': '↩️ AI edits',
+  'checkpoint.cell': 'Cell {number}',
+  'checkpoint.undo': 'Undo',
+  'checkpoint.undone': 'undone',
+  'checkpoint.applied': '✅ {label} applied',
+  'checkpoint.confirmUndo': 'This cell has changed since "{label}". Undo it anyway? Your later changes will be lost.',
+  'agent.starting': 'Starting the agent...',
+  'agent.failed': 'Failed to fix code: {error}',
+  'agent.editLabel': 'Agent edit',
+  'agent.step': 'Step {number}',
+  'agent.codeLine': '{count} line of code',
+  'agent.codeLines': '{count} lines of code',
+  'agent.limit': 'Stopped after {steps} steps. Review what changed, then ask again if it still needs work.',
+
+  // Offline badge and update prompt (offline-support.js)
+  'offline.indicator': '📴 Offline. Your work is saved in this browser; AI help needs a connection unless you use the in-browser model.',
+  'offline.update': 'A new version of the game is available.',
+  'offline.reload': 'Reload',
+  'offline.later': 'Later',
+
+  // Code block buttons (markdown-renderer.js)
+  'codeAction.copy.label': '📋 Copy',
+  'codeAction.copy.title': 'Copy this code',
+  'codeAction.apply.label': '✅ Apply to cell',
+  'codeAction.apply.title': 'Replace the code in your cell with this',
+
+  // AI settings, in-browser model and Ollama help (app.html)
+  'ai.status.initializing': 'Initializing...',
+  'aiSettings.title': '🤖 AI Assistant Settings',
+  'aiSettings.provider': 'Provider',
+  'aiSettings.webgpu': '🧠 In-Browser (Qwen 2.5 Coder)',
+  'aiSettings.webgpuInfo': 'Runs locally in your browser via WebGPU. ~1.3GB download, cached for future use.',
+  'aiSettings.ollama': '💻 Ollama (Local)',
+  'aiSettings.ollamaInfo': 'Fast local inference. Requires <a href="https://ollama.ai" target="_blank">Ollama</a> installed.',
+  'aiSettings.cloudInfo': 'Cloud API. Requires API key.',
+  'aiSettings.apiKey': 'API Key',
+  'aiSettings.apiKeyPlaceholder': 'Enter API key',
+  'aiSettings.save': 'Save',
+  'aiSettings.model': 'Model',
+  'aiSettings.refresh': 'Refresh models',
+  'aiSettings.ollamaSetup': 'Ollama Setup',
+  'aiSettings.ollamaMissing': 'Ollama doesn\'t appear to be running.',
+  'aiSettings.viewSetup': 'View setup instructions →',
+  'webgpu.title': '🧠 In-Browser AI Model',
+  'webgpu.intro': 'The in-browser AI assistant uses <strong>Qwen 2.5 Coder (1.5B)</strong>, a coding-focused language model that runs entirely in your browser using WebGPU.',
+  'webgpu.requirements': 'Requirements',
+  'webgpu.browser': '✓ Modern browser (Chrome 113+, Edge 113+, Firefox 121+)',
+  'webgpu.checking': 'Checking WebGPU support...',
+  'webgpu.warning': '<strong>⚠️ Note:</strong> This will download approximately <strong>~1.3GB</strong> of model data. The model will be cached in your browser for future use.',
+  'webgpu.download': 'Download & Enable AI',
+  'webgpu.cancel': 'Cancel',
+  'webgpu.downloading': 'Downloading Model...',
+  'webgpu.wait': 'This may take a few minutes depending on your connection.',
+  'webgpu.ready': '✅ Model Ready!',
+  'webgpu.readyText': 'The AI assistant is now available. You can use it for hints, debugging, and code explanations.',
+  'webgpu.start': 'Start Using AI',
+  'webgpu.failed': '❌ Setup Failed',
+  'webgpu.failedText': 'An error occurred while setting up the model.',
+  'webgpu.retry': 'Try Again',
+  'webgpu.clearCache': 'Clear Cache',
+  'webgpu.supported': '✓ WebGPU is supported',
+  'webgpu.unavailable': 'WebGPU not available in this browser',
+  'webgpu.noAdapter': 'No WebGPU adapter found',
+  'webgpu.noDevice': 'Could not get WebGPU device',
+  'aiSetup.title': '🤖 AI Assistant Setup',
+  'aiSetup.prompt': 'Ollama doesn\'t appear to be running. Would you like to:',
+  'aiSetup.webgpuTitle': '🧠 Use In-Browser AI',
+  'aiSetup.webgpuText': 'Run Qwen 2.5 Coder directly in your browser. No installation required!',
+  'aiSetup.webgpuSize': '~1.3GB download (cached for future use)',
+  'aiSetup.webgpuLocal': 'Runs entirely on your device',
+  'aiSetup.webgpuBrowser': 'Requires WebGPU-capable browser',
+  'aiSetup.useWebgpu': 'Use In-Browser AI',
+  'aiSetup.ollamaTitle': '💻 Setup Ollama',
+  'aiSetup.ollamaText': 'Install Ollama for faster responses and more model options.',
+  'aiSetup.setupOllama': 'Setup Ollama',
+  'aiSetup.skip': 'Skip for now (disable AI features)',
+  'ollamaHelp.optionA': '🌐 Option A: In-Browser Model (No Install Required)',
+  'ollamaHelp.optionAText': 'The easiest option! Select <strong>"In-Browser (WebGPU)"</strong> in AI Settings to run a model directly in your browser.',
+  'ollamaHelp.optionAModel': '<strong>Model:</strong> Qwen 2.5 Coder 1.5B (our tested & recommended model)',
+  'ollamaHelp.optionADownload': '<strong>Download:</strong> ~1.3GB one-time download, cached in browser',
+  'ollamaHelp.optionARequires': '<strong>Requires:</strong> Modern browser with WebGPU support (Chrome, Edge)',
+  'ollamaHelp.optionAAuto': '<strong>Auto-loads:</strong> Once downloaded, it connects automatically on future visits!',
+  'ollamaHelp.optionATry': '<em>Click the ⚙️ Settings button in the footer to try it!</em>',
+  'ollamaHelp.optionB': '💻 Option B: Local Ollama (Better Performance)',
+  'ollamaHelp.optionBText': 'For faster responses and more model choices, install Ollama on your computer.',
+  'ollamaHelp.install': '📦 Step 1: Install Ollama',
+  'ollamaHelp.installText': 'Download and install Ollama from <a href="https://ollama.ai" target="_blank">https://ollama.ai</a>',
+  'ollamaHelp.windowsInstaller': 'Download the installer from the website',
+  'ollamaHelp.cors': '🔧 Step 2: Configure CORS for Web Access',
+  'ollamaHelp.corsText': 'To allow this website (<strong class="current-origin"></strong>) to connect to your local Ollama server, you need to set environment variables:',
+  'ollamaHelp.corsWarning': '<strong>⚠️ Important:</strong> Stop Ollama first if it\'s already running, then set the environment variable and restart it.',
+  'ollamaHelp.windowsSetup': 'Windows Setup:',
+  'ollamaHelp.cmd': 'Option 1 - Command Prompt:',
+  'ollamaHelp.powershell': 'Option 2 - PowerShell:',
+  'ollamaHelp.windowsPermanent': 'Option 3 - Permanent (System Environment Variables):',
+  'ollamaHelp.windowsSteps': '1. Press <code>Win + R</code>, type <code>sysdm.cpl</code><br>2. Click "Environment Variables"<br>3. Add new system variable:<br>&nbsp;&nbsp;Name: <code>OLLAMA_ORIGINS</code><br>&nbsp;&nbsp;Value: <code class="cors-origins"></code><br>4. Restart command prompt and run <code>ollama serve</code>',
+  'ollamaHelp.macSetup': 'macOS/Linux Setup:',
+  'ollamaHelp.terminal': 'Terminal (temporary):',
+  'ollamaHelp.macPermanent': 'Permanent (add to ~/.bashrc, ~/.zshrc, or ~/.profile):',
+  'ollamaHelp.launchctl': 'Using launchctl (macOS service):',
+  'ollamaHelp.model': '🚀 Step 3: Install a Model',
+  'ollamaHelp.modelLocal': '🚀 Step 2: Install a Model',
+  'ollamaHelp.modelText': 'Download a model suitable for coding assistance:',
+  'ollamaHelp.recommended': 'Recommended (based on our testing):',
+  'ollamaHelp.modelBest': '⭐ Best accuracy & speed (4.7GB)',
+  'ollamaHelp.modelGood': 'Good all-around (5GB)',
+  'ollamaHelp.modelLight': 'Lightweight option (2GB)',
+  'ollamaHelp.test': '✅ Step 4: Test Connection',
+  'ollamaHelp.testLocal': '✅ Step 3: Test Connection',
+  'ollamaHelp.testText': 'Once Ollama is running with CORS configured:',
+  'ollamaHelp.testTextLocal': 'Once Ollama is running:',
+  'ollamaHelp.testSettings': 'Click the ⚙️ Settings button in the footer',
+  'ollamaHelp.testProvider': 'Select "Ollama (Local)" as the provider',
+  'ollamaHelp.testModel': 'Choose your model from the dropdown',
+  'ollamaHelp.testStatus': 'Look for "Connected" status',
+  'ollamaHelp.autoConnect': '<strong>💡 Auto-connect:</strong> Your settings are saved! Next time you visit, the AI will automatically connect if Ollama is running.',
+  'ollamaHelp.security': '⚠️ Important Security Notes',
+  'ollamaHelp.securityAccess': 'This configuration allows the specific website to access your local Ollama instance',
+  'ollamaHelp.securityNetwork': 'Only use this setup on trusted networks',
+  'ollamaHelp.securityStop': 'Stop Ollama when not needed: <code>Ctrl+C</code> in the terminal',
+  'ollamaHelp.securityPrivate': 'Your models and conversations stay completely private on your machine',
+  'ollamaHelp.troubleshooting': '🔍 Troubleshooting',
+  'ollamaHelp.troubleConnection': '<strong>Connection failed:</strong> Ensure Ollama is running and CORS is configured',
+  'ollamaHelp.troubleModel': '<strong>Model not found:</strong> Make sure you\'ve pulled the model with <code>ollama pull model-name</code>',
+  'ollamaHelp.troubleSlow': '<strong>Slow responses:</strong> Try a smaller model or check your system resources',
+  'ollamaHelp.troubleWindows': '<strong>Windows issues:</strong> Try running Command Prompt as Administrator'
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MESSAGES_EN;
+} else if (typeof window !== 'undefined') {
+  I18n.addCatalog('en', MESSAGES_EN);
+}
@@ -0,0 +1,532 @@
+/**
+ * Spanish messages. Keys match locales/en.js; anything missing here is
+ * shown in English.
+ */
+
+const MESSAGES_ES = {
+  // Header and static panels (data-i18n in app.html)
+  'header.back': '← Proyecto',
+  'header.backTitle': 'Volver a la página del proyecto',
+  'header.profileTitle': 'Cambiar de jugador o de partida',
+  'header.language': 'Idioma',
+  'reference.title': '📚 Referencia y datos',
+  'reference.python': '🔍 Referencias de Python',
+  'reference.findings': '🔎 Tus hallazgos',
+  'reference.dataTitle': '📊 Datos de los fragmentos',
+  'reference.dataHint': 'Explora estos datos en tu código',
+  'code.title': 'Tu código',
+  'footer.aiAssistant': '🤖 Asistente de IA:',
+  'footer.aiHelp': 'Ayuda para configurar la IA',
+  'footer.aiSettings': 'Ajustes de IA',
+  'footer.next': 'Continuar a la siguiente etapa →',
+  'common.undo': 'Deshacer',
+  'common.close': 'Cerrar',
+  'devNav.toggle': 'Navegación por etapas',
+
+  // Runtime, progress and content pack buttons
+  'runtime.restart': '🔄 Reiniciar entorno',
+  'runtime.restartTitle': 'Borrar todas las salidas y reiniciar las variables',
+  'runtime.restarted': '✓ Entorno reiniciado',
+  'progress.download': '💾 Descargar progreso',
+  'progress.downloadTitle': 'Descarga tu progreso como archivo: una copia para otro ordenador, o para entregar a tu profesor',
+  'progress.restore': '📂 Restaurar progreso',
+  'progress.restoreTitle': 'Cargar el progreso desde un archivo que descargaste antes',
+  'progress.clear': '🗑️ Borrar progreso',
+  'progress.clearTitle': 'Borrar todo el progreso y empezar de nuevo',
+  'progress.restoreFor': ' de {student}',
+  'progress.restoreFrom': ' del {date}',
+  'progress.confirmRestore': '¿Restaurar el progreso{who}{when}? Esto reemplaza el progreso guardado en este navegador.',
+  'progress.unverified': 'Atención: este archivo no tiene suma de comprobación, así que no se puede verificar si ha cambiado. Puede ser de una versión anterior del juego o puede haberse editado. Restáuralo solo si confías en su origen.',
+  'progress.otherPack': 'Este progreso es del paquete de contenido "{pack}". Lo encontrarás la próxima vez que juegues ese paquete.',
+  'progress.confirmClear': '¿Seguro que quieres borrar todo el progreso guardado? Esta acción no se puede deshacer.',
+  'progress.confirmBackup': '¿Descargar una copia de seguridad de tu progreso antes de borrarlo?',
+  'save.failed': '⚠️ Tu trabajo más reciente no se pudo guardar en este navegador, probablemente porque su almacenamiento está lleno. Descarga tu progreso para conservarlo.',
+  'save.download': 'Descargar progreso',
+  'save.dismiss': 'Cerrar',
+  'packs.load': '📦 Cargar paquete de contenido',
+  'packs.loadTitle': 'Carga un plan de estudios propio (.json), o suéltalo sobre la página',
+  'packs.playingTitle': 'Jugando con el paquete de contenido "{title}". Haz clic para cargar otro paquete.',
+  'packs.default': '↩️ Plan de estudios original',
+  'packs.defaultTitle': 'Volver al plan de estudios incluido',
+
+  // Code cells and runs
+  'cell.title': 'Celda de código',
+  'cell.numberedTitle': 'Celda de código {number}',
+  'cell.status.pending': 'Pendiente',
+  'cell.status.running': 'Ejecutando',
+  'cell.status.stopped': 'Detenida',
+  'cell.status.error': 'Error',
+  'cell.status.completed': 'Completada',
+  'cell.status.timedOut': 'Tiempo agotado',
+  'cell.run': 'Ejecutar {cell}',
+  'cell.stop': 'Detener {cell}',
+  'cell.editorLabel': 'Código Python de {cell}',
+  'cell.output': 'Salida',
+  'cell.outputOf': 'Salida de {cell}',
+  'cell.outputToggle': 'Mostrar u ocultar la salida de {cell}',
+  'run.running': 'Ejecutando el código...',
+  'run.loadingEngine': 'Cargando el motor de Python...',
+  'run.engineFailed': 'Error: no se pudo cargar el motor de Python. Recarga la página.',
+  'run.stopped': '⏹ Ejecución detenida.',
+  'run.executedAt': 'Ejecutado a las {time}',
+  'run.input': 'Entrada del programa',
+  'run.inputPrompt': 'Entrada: {prompt}',
+  'timeout.intro': '⏱️ Tu código se ejecutó durante {seconds} segundos sin terminar, así que se detuvo.',
+  'timeout.noLoop': 'Busca un bucle que nunca termine.',
+  'timeout.earlierCell': 'El bucle `{loop}` de una celda anterior nunca terminó.',
+  'timeout.loop': 'El bucle de la línea {line} (`{loop}`) nunca terminó. Comprueba que su condición llegue a ser falsa, o que algo dentro de él avance hacia el final.',
+  'hints.button': 'Pista {number}',
+  'hints.cellButton': '{cell}, pista {number}',
+  'hints.next': 'Siguiente: {label}',
+  'hints.askAI': '🤖 Pedir una pista a la IA',
+  'hints.progress': '{seen} de {total} pistas vistas',
+  'hints.suggested': '💡 Pista sugerida:',
+
+  // Grading results (validateSolution)
+  'validation.matches': 'La salida coincide con la esperada',
+  'validation.doesNotMatch': 'La salida no coincide con la esperada',
+  'validation.solutionFailed': 'No se pudo ejecutar el código de la solución',
+  'validation.testInput': 'Con la entrada de prueba ({input}) tu programa se detuvo con {error}',
+  'validation.testInputError': 'Error con la entrada de prueba',
+  'validation.nextStep': 'Siguiente paso: {explanation}',
+  'validation.outputIssue': 'Problema con el formato de la salida: {explanation}',
+  'validation.keepGoing': '¡Sigue así!',
+  'validation.outputIncorrect': 'Salida incorrecta',
+  'validation.passed': 'Se han superado todas las comprobaciones',
+  'validation.syntaxFirst': 'Primero corrige el error de sintaxis ({error})',
+
+  // Feedback on a failed check (HTML is allowed)
+  'feedback.status.failed': 'Comprobación fallida',
+  'feedback.status.keepGoing': 'Sigue así',
+  'feedback.status.noOutput': 'Sin salida',
+  'feedback.status.wrongNumbers': 'Números incorrectos',
+  'feedback.status.missingText': 'Falta texto',
+  'feedback.status.patternMismatch': 'El patrón no coincide',
+  'feedback.status.incomplete': 'Salida incompleta',
+  'feedback.status.outputMismatch': 'La salida no coincide',
+  'feedback.status.formatIssue': 'Problema de formato',
+  'feedback.status.calculation': 'Error de cálculo',
+  'feedback.status.inProgress': 'En curso',
+  'feedback.status.incorrect': 'Solución incorrecta',
+  'feedback.nextStep.title': '🧩 Siguiente paso',
+  'feedback.noOutput.title': '🚫 No se detectó ninguna salida',
+  'feedback.noOutput.body': 'Tu código se ejecutó pero no mostró nada. Asegúrate de:',
+  'feedback.noOutput.usePrint': 'Usar instrucciones <code>print()</code> para mostrar los resultados',
+  'feedback.noOutput.indent': 'Comprobar que tu código está bien sangrado',
+  'feedback.noOutput.executes': 'Verificar que tu código realmente hace el cálculo',
+  'feedback.wrongNumbers.title': '🔢 Se detectó un error de cálculo',
+  'feedback.wrongNumbers.expected': 'Números esperados: <code>{numbers}</code>',
+  'feedback.wrongNumbers.actual': 'Tu salida contiene: <code>{numbers}</code>',
+  'feedback.wrongNumbers.missing': 'Faltan: <code>{numbers}</code>',
+  'feedback.wrongNumbers.tip': 'Revisa tus cálculos y las asignaciones de variables.',
+  'feedback.missingText.title': '📝 Problema con el formato de la salida',
+  'feedback.missingText.missing': 'Falta el texto obligatorio: <code>{text}</code>',
+  'feedback.missingText.tip': 'Comprueba que tus print incluyen todas las etiquetas y el formato pedidos.',
+  'feedback.pattern.title': '📋 La salida no sigue el patrón',
+  'feedback.pattern.body': 'El formato de tu salida no coincide con el patrón esperado.',
+  'feedback.pattern.tip': 'Lee de nuevo la instrucción con atención y revisa el formato de tu salida.',
+  'feedback.incomplete.title': '📋 Resultados incompletos',
+  'feedback.incomplete.body': 'Faltan salidas esperadas:',
+  'feedback.incomplete.tip': 'Asegúrate de que tu código produce todas las líneas de salida pedidas.',
+  'feedback.mismatch.title': '🎯 La salida no coincide con el resultado esperado',
+  'feedback.mismatch.expected': 'Esperado: <code>{expected}</code>',
+  'feedback.mismatch.actual': 'Tu salida: <code>{actual}</code>',
+  'feedback.mismatch.tip': 'Compara con cuidado tu salida con lo que se espera.',
+  'diff.title': 'Salida esperada frente a la tuya',
+  'diff.summary': 'líneas que faltan: {missing} · de más: {extra} · distintas: {changed}',
+  'diff.expected': 'Esperada',
+  'diff.yours': 'Tu salida',
+  'diff.missingLine': 'falta',
+  'diff.extraLine': 'de más',
+  'diff.missingChars': 'Falta en tu salida',
+  'diff.extraChars': 'No está en la salida esperada',
+  'diff.flexibleNote': 'Las mayúsculas, los espacios, el orden de las líneas y las líneas de más no cuentan aquí; solo hay que corregir las líneas resaltadas.',
+  'diff.checksTitle': 'Lo que aún le falta a tu salida ({count})',
+  'diff.checkNumber': 'El número {value}',
+  'diff.checkText': 'El texto «{value}»',
+  'feedback.cellFailed.title': '❌ La celda {number} no superó la comprobación',
+  'feedback.cellFailed.tip': 'Revisa la lógica de tu código y el formato de salida esperado. Usa las pistas de abajo como guía.',
+  'feedback.format.title': '📋 El formato de la salida no sigue el patrón esperado',
+  'feedback.format.printed': 'Lo que mostraste:',
+  'feedback.format.none': '(sin salida)',
+  'feedback.format.issue': 'Problema:',
+  'feedback.format.tip': 'Consejo: fíjate bien en el texto exacto de tus print. Usa "Fragments" (en plural) en el texto de salida.',
+  'feedback.calculation.title': '🔢 Problema en un cálculo',
+  'feedback.calculation.tip': 'Revisa tus cálculos y las asignaciones de variables.',
+  'feedback.inProgress.tip': 'Mira los comentarios TODO del código para orientarte.',
+  'feedback.failed.title': '❌ La solución no cumple los requisitos',
+  'feedback.failed.tip': 'Repasa los requisitos del desafío y vuelve a intentarlo.',
+  'feedback.incorrect.title': '❌ La solución no cumple los requisitos del desafío',
+  'feedback.incorrect.tip': 'Revisa la lógica de tu código y la salida esperada. Usa las pistas de abajo como guía.',
+
+  // What a validation pattern asks for (explainCodePattern, explainOutputPattern)
+  'pattern.anyText': '(cualquier texto)',
+  'pattern.or': 'o',
+  'pattern.output.stage1Catalog': 'Tu salida debe incluir "Manuscript Catalog" seguido de "MS-ALEX-2847"',
+  'pattern.output.stage1Fragments': 'Tu salida debe incluir la palabra "Fragments" (o "Fragment") cerca del número 23. Prueba: "Fragments Found: 23"',
+  'pattern.output.generic': 'Patrón esperado: {pattern}. Comprueba que tu print incluye el texto con el formato correcto.',
+  'pattern.code.stage1FragmentCount': 'Crea una variable llamada "fragment_count" con el valor 23 (p. ej., fragment_count = 23)',
+  'pattern.code.stage1Print': 'Añade un print que incluya la variable fragment_count',
+  'pattern.code.forLoop': 'Tu código necesita un bucle for para recorrer los datos (p. ej., for item in list:)',
+  'pattern.code.defines': 'Define una función llamada "{name}" (p. ej., def {name}(...):)',
+  'pattern.code.variable': 'Crea o usa una variable llamada "{name}"',
+  'pattern.code.replace': 'Usa el método .replace() para sustituir texto',
+  'pattern.code.totalCharacters': 'Actualiza la variable total_characters (usa += para sumarle)',
+  'pattern.code.generic': 'La estructura de tu código necesita: {pattern}. Repasa las instrucciones del desafío.',
+
+  // Code rules as next steps (code-rules.js)
+  'codeRule.defines.named': 'Define una función llamada "{name}"{takes} (p. ej., def {name}({example}):)',
+  'codeRule.defines.any': 'Define una función{takes} (p. ej., def {name}({example}):)',
+  'codeRule.takesArgument': ' que reciba {count} argumento',
+  'codeRule.takesArguments': ' que reciba {count} argumentos',
+  'codeRule.calls.methodWith': 'Usa el método .{name}() sobre {with}',
+  'codeRule.calls.method': 'Usa el método .{name}()',
+  'codeRule.calls.functionWith': 'Llama a {name}() con {with} (p. ej., {name}({with}))',
+  'codeRule.calls.function': 'Llama a {name}()',
+  'codeRule.loopKind.for': 'un bucle for',
+  'codeRule.loopKind.while': 'un bucle while',
+  'codeRule.loopKind.comprehension': 'una lista por comprensión',
+  'codeRule.loopKind.any': 'un bucle',
+  'codeRule.loop.over': 'Usa {kind} que recorra {over} (p. ej., for item in {over}:)',
+  'codeRule.loop.repeat': 'Usa {kind} para repetir el trabajo con cada elemento',
+  'codeRule.assigns.any': 'Crea o actualiza una variable llamada "{name}"',
+  'codeRule.assigns.value': 'Crea una variable llamada "{name}" con el valor {value} (p. ej., {name} = {value})',
+  'codeRule.default': 'Repasa las instrucciones del desafío',
+
+  // Stage transitions
+  'transition.defaultDialogue': '¡Excelente trabajo! Has completado esta etapa con éxito.',
+  'transition.investigationComplete': '🏆 ¡Investigación completada!',
+  'transition.stageComplete': '¡Etapa {number} completada!',
+  'transition.next': 'Siguiente:',
+  'transition.continue': 'Continuar →',
+  'transition.finish': 'Terminar',
+  'story.continue': 'Continuar →',
+
+  // Chat with the mentor
+  'chat.askAnything': 'Pregúntame lo que quieras sobre Python, arqueología o la investigación...',
+  'chat.placeholder': 'Escribe un mensaje...',
+  'chat.send': 'Enviar',
+  'chat.toggle': 'Hablar con la Dra. Rodríguez',
+  'chat.close': 'Cerrar el chat',
+  'chat.inputLabel': 'Mensaje para la Dra. Rodríguez',
+  'chat.investigation': 'investigación',
+  'chat.welcome': '¿Necesitas ayuda con {stage}? ¡Estoy aquí para guiarte en este misterio!',
+  'chat.quick.hint': '🔍 Pista',
+  'chat.quick.error': '❌ Error',
+  'chat.quick.story': '📖 Historia',
+  'chat.request.hint': '¿Me puedes dar una pista?',
+  'chat.request.error': '¿Me ayudas a entender este error?',
+  'chat.request.story': '¿Me puedes explicar el contexto de la historia?',
+  'chat.request.default': '¿Me puedes ayudar?',
+  'chat.toggleMentor': 'Chatear con {name}',
+  'chat.typing': '{name} está escribiendo...',
+  'chat.stop': '■ Detener',
+  'chat.stopTitle': 'Dejar de generar',
+  'chat.stopped': 'Detenido.',
+  'chat.failed': 'No se pudo obtener respuesta. Inténtalo de nuevo.',
+  'chat.offline': 'Ahora mismo estoy sin conexión. Configura un proveedor de IA en los ajustes (⚙️ abajo) para chatear conmigo.',
+
+  // Tutorials
+  'tutorial.run.title': '👆 ¡Haz clic aquí para ejecutar!',
+  'tutorial.run.text': 'Haz clic en este botón de reproducir (o pulsa Mayús+Intro) para ejecutar el código y ver qué pasa.',
+  'tutorial.cells.title': '📝 Varias celdas de código',
+  'tutorial.cells.text': 'Esta etapa tiene varias celdas de código. Complétalas en orden. Las variables de las primeras celdas están disponibles en las siguientes.',
+  'tutorial.hints.title': '💡 ¿Atascado? ¡Usa las pistas!',
+  'tutorial.hints.text': 'Haz clic en estos botones si necesitas ayuda. Cada pista da un poco más de orientación sin revelar la respuesta.',
+  'tutorial.conditionals.title': '🔀 Condicionales: if/else',
+  'tutorial.conditionals.text': '¡Esta etapa presenta los condicionales! Usa "if" para comprobar condiciones y "else" para las alternativas. Piensa: "si esto es cierto, haz aquello".',
+  'tutorial.loops.title': '🔄 Bucles: repetir acciones',
+  'tutorial.loops.text': '¡Los bucles te permiten repetir código! "for item in list:" ejecuta el código sangrado una vez por cada elemento. No hace falta escribir lo mismo varias veces.',
+  'tutorial.chat.title': '💬 ¿Necesitas ayuda? ¡Pregunta a la Dra. Rodríguez!',
+  'tutorial.chat.text': 'Haz clic aquí para hablar con la Dra. Rodríguez (asistente de IA). ¡Hazle preguntas sobre Python o pídele pistas sobre el desafío actual!',
+  'tutorial.functions.title': '🔧 Funciones: código reutilizable',
+  'tutorial.functions.text': '¡Las funciones agrupan código que puedes reutilizar! Defínelas con "def nombre():" y llámalas con "nombre()". Esta etapa también usa f-strings: f"texto {variable}"',
+  'tutorial.skip': 'Saltar tutorial',
+  'tutorial.next': 'Siguiente →',
+  'tutorial.gotIt': '¡Entendido!',
+
+  // Screen reader announcements after a run
+  'a11y.cellUnlocked': 'Ya puedes pasar a {cell}.',
+  'a11y.stageComplete': 'Etapa completada. Continúa con la siguiente etapa cuando quieras.',
+
+  // Learning journey
+  'journey.button': '🧭 Recorrido de aprendizaje',
+  'journey.buttonTitle': 'Ver cada ejecución en esta etapa: errores, pistas y tiempo dedicado',
+  'journey.title': '🧭 Recorrido de aprendizaje',
+  'journey.stage': 'Etapa',
+  'journey.stageRun': '{stage} ({runs} ejecución)',
+  'journey.stageRuns': '{stage} ({runs} ejecuciones)',
+  'journey.empty': 'Aún no hay ejecuciones en esta etapa. Cada vez que ejecutes tu código aparecerá aquí.',
+  'journey.outcome.passed': '✅ Superado',
+  'journey.outcome.failed': '🟡 Se ejecutó, pero aún no es correcto',
+  'journey.outcome.error': '❌ Error',
+  'journey.outcome.timeout': '⏱️ Tiempo agotado',
+  'journey.outcome.stopped': '⏹️ Detenido',
+  'journey.statRun': 'ejecución',
+  'journey.statRuns': 'ejecuciones',
+  'journey.statTime': 'de trabajo',
+  'journey.statHints': 'pistas',
+  'journey.statFirstPass': 'primer acierto',
+  'journey.errors': 'Lo que te hizo tropezar',
+  'journey.cell': 'Celda {number}',
+  'journey.hintsSoFar': '💡 {count} pistas hasta ahora',
+  'journey.code': 'Código',
+
+  // Version history
+  'history.button': 'Historial de versiones',
+  'history.title': '🕘 Historial del código',
+  'history.cellTitle': '🕘 Historial de la celda {number}',
+  'history.version': 'Versión',
+  'history.compareWith': 'Comparar con',
+  'history.compareCurrent': 'el código que hay ahora en la celda',
+  'history.legendRemoved': '- solo en la comparación',
+  'history.legendAdded': '+ solo en esta versión',
+  'history.empty': 'Aún no hay versiones. Cada vez que ejecutes esta celda, o aceptes un cambio de la IA, se guarda aquí una copia del código.',
+  'history.pinned': '⭐ Mi versión de trabajo',
+  'history.pin': '⭐ Marcar como mi versión de trabajo',
+  'history.unpin': '☆ Desmarcar la versión de trabajo',
+  'history.restore': 'Restaurar esta versión',
+  'history.sameVersions': 'Estas dos versiones son iguales.',
+  'history.sameAsCurrent': 'Esta versión es igual al código que hay ahora en la celda.',
+
+  // Changes since the starter code
+  'starter.button': 'Cambios desde el código inicial, y restablecer',
+  'starter.title': '↺ Cambios desde el código inicial',
+  'starter.cellTitle': '↺ Celda {number}: cambios desde el código inicial',
+  'starter.legendAdded': '+ líneas que añadiste',
+  'starter.legendRemoved': '- líneas iniciales que quitaste o cambiaste',
+  'starter.reset': '↺ Restablecer el código inicial',
+  'starter.unchanged': 'Esta celda aún tiene el código inicial.',
+  'starter.confirmReset': '¿Restablecer esta celda al código inicial? Puedes deshacerlo, y tu código queda en el historial de versiones de la celda.',
+  'starter.confirmUndo': 'Esta celda ha cambiado desde que la restableciste. ¿Deshacer de todos modos? Perderás los cambios posteriores.',
+  'starter.resetDone': '↺ Celda restablecida al código inicial',
+
+  // Reviewing AI edits
+  'aiDiff.intro': 'Lee cada cambio antes de que entre en tu código. Desmarca los que no quieras y aplica el resto.',
+  'aiDiff.title': '🔍 Revisar el cambio de la IA',
+  'aiDiff.reject': 'Rechazar',
+  'aiDiff.applySelected': 'Aplicar seleccionados',
+  'aiDiff.acceptAll': 'Aceptar todos',
+
+  // Game start
+  'init.loadFailed': 'No se pudo cargar el contenido del juego. Recarga la página o inténtalo más tarde.',
+  'init.details': 'Detalles técnicos: {error}',
+  'init.clearCache': 'Si el problema continúa, borra la caché del navegador y vuelve a cargar la página.',
+
+  // Multi-cell toolbar and variable inspector
+  'kernel.runAll': '▶ Ejecutar todo',
+  'kernel.runAllTitle': 'Ejecuta todas las celdas en orden y se detiene en la primera que no se supere',
+  'kernel.runAbove': '⏫ Ejecutar las de arriba',
+  'kernel.runAboveTitle': 'Ejecuta las celdas que hay encima de la que estás editando',
+  'kernel.variables': '🔍 Variables',
+  'kernel.variablesTitle': 'Muestra las variables que han creado tus celdas',
+  'variables.empty': 'Todavía no hay variables. Ejecuta una celda para crear alguna.',
+  'variables.name': 'Nombre',
+  'variables.type': 'Tipo',
+  'variables.value': 'Valor',
+
+  // Ending screen
+  'ending.title': '🏛️ La verdad revelada',
+  'ending.statsTitle': 'Tu viaje arqueológico:',
+  'ending.stat.decoded': 'Fragmentos descifrados: {count}',
+  'ending.stat.solved': 'Misterios resueltos: {count}',
+  'ending.stat.firstTry': 'Resueltos al primer intento: {count}',
+  'ending.stat.hints': 'Pistas usadas: {count}',
+  'ending.stat.relationship': 'Relación con {name}: {level}',
+  'ending.stat.path': 'Camino elegido: {path}',
+  'ending.pathUndecided': 'Sin decidir',
+  'ending.trust.partner': 'De plena confianza',
+  'ending.trust.close': 'Colega de confianza',
+  'ending.trust.colleague': 'Colega',
+  'ending.trust.new': 'Recién conocidos',
+  'ending.badgeLabel': 'Insignia {title}',
+  'ending.badgeCaption': 'ARQUEOLOGÍA DIGITAL',
+  'ending.downloadBadge': '⬇ Descarga tu insignia',
+  'ending.close': 'Cerrar',
+
+  // AI assistant (llm-integration.js)
+  'ai.assistant': 'Asistente de IA',
+  'ai.level.agentic': 'Modo agente',
+  'ai.level.suggestions': 'Sugerencias de código',
+  'ai.level.hints': 'Solo pistas',
+  'ai.ask.hint': '💡 Pedir una pista',
+  'ai.ask.debug': '🔧 Depurar mi código',
+  'ai.ask.explain': '📖 Explicar el concepto',
+  'ai.ask.suggest': '✨ Sugerir código',
+  'ai.ask.fix': '🔨 Arreglar mi código',
+  'ai.header.thinking': '🤖 Asistente de IA (pensando...)',
+  'ai.header.error': '🤖 Asistente de IA (error)',
+  'ai.header.stopped': '🤖 Asistente de IA (detenido)',
+  'ai.header.model': '🤖 Asistente de IA ({model})',
+  'ai.stop': '■ Detener',
+  'ai.stopTitle': 'Dejar de generar',
+  'ai.reactionStopped': '(detenido)',
+  'ai.noModel': 'No hay ningún modelo seleccionado',
+  'ai.thinking': 'Pensando...',
+  'ai.cancelled': 'Solicitud cancelada.',
+  'ai.failed': 'No se pudo obtener respuesta: {error}',
+  'ai.copied': '¡Copiado!',
+  'ai.applied': '¡Aplicado!',
+  'ai.label.suggestion': 'Sugerencia de la IA',
+  'ai.label.chat': 'Sugerencia del chat',
+  'ai.selectModel': 'Selecciona un modelo...',
+  'ai.status.detecting': 'Detectando IA...',
+  'ai.status.ready': 'Lista',
+  'ai.status.setupNeeded': 'Falta configurar',
+  'ai.status.connectedTo': 'Conectado a {model}',
+  'ai.status.connectingOllama': 'Conectando con Ollama...',
+  'ai.status.loadingModels': 'Cargando modelos...',
+  'ai.status.foundModels': '{count} modelos encontrados',
+  'ai.status.webgpuSetup': 'La IA en el navegador necesita configurarse',
+  'ai.status.noModels': 'No se encontraron modelos',
+  'ai.status.failed': 'No se pudo conectar: {error}',
+  'ai.progress.loadingLibrary': 'Cargando Transformers.js...',
+  'ai.progress.initializing': 'Inicializando el modelo...',
+  'ai.progress.downloading': 'Descargando: {file}',
+  'ai.progress.modelFiles': 'archivos del modelo',
+  'ai.progress.fileDone': 'Archivo descargado',
+  'ai.progress.ready': '¡Modelo listo!',
+  'ai.cache.size': 'En caché: ~{size} MB',
+  'ai.cache.none': 'Sin caché',
+  'ai.cache.unknown': 'Estado de la caché desconocido',
+  'ai.cache.clearedStatus': 'Caché del modelo borrada',
+  'ai.cache.cleared': 'Caché del modelo borrada. Tendrás que volver a descargar el modelo para usar la IA en el navegador.',
+  'ai.cache.clearFailed': 'No se pudo borrar la caché: {error}',
+  'aiDiff.review': '🔍 Revisar: {label}',
+  'aiDiff.reviewCell': '🔍 Revisar: {label} (Celda {number})',
+  'aiDiff.unchanged': '⋯ {count} líneas sin cambios',
+  'aiDiff.acceptHunk': 'Aceptar el cambio {number} de {total}',
+  'checkpoint.title': '↩️ Cambios de la IA',
+  'checkpoint.cell': 'Celda {number}',
+  'checkpoint.undo': 'Deshacer',
+  'checkpoint.undone': 'deshecho',
+  'checkpoint.applied': '✅ Aplicado: {label}',
+  'checkpoint.confirmUndo': 'Esta celda ha cambiado desde "{label}". ¿Deshacerlo de todos modos? Se perderán tus cambios posteriores.',
+  'agent.starting': 'Iniciando el agente...',
+  'agent.failed': 'No se pudo arreglar el código: {error}',
+  'agent.editLabel': 'Cambio del agente',
+  'agent.step': 'Paso {number}',
+  'agent.codeLine': '{count} línea de código',
+  'agent.codeLines': '{count} líneas de código',
+  'agent.limit': 'Detenido tras {steps} pasos. Revisa lo que cambió y vuelve a preguntar si aún necesita trabajo.',
+
+  // Offline badge and update prompt (offline-support.js)
+  'offline.indicator': '📴 Sin conexión. Tu trabajo se guarda en este navegador; la ayuda de la IA necesita conexión salvo que uses el modelo en el navegador.',
+  'offline.update': 'Hay una nueva versión del juego disponible.',
+  'offline.reload': 'Recargar',
+  'offline.later': 'Más tarde',
+
+  // Code block buttons (markdown-renderer.js)
+  'codeAction.copy.label': '📋 Copiar',
+  'codeAction.copy.title': 'Copiar este código',
+  'codeAction.apply.label': '✅ Aplicar a la celda',
+  'codeAction.apply.title': 'Reemplazar el código de tu celda por este',
+
+  // AI settings, in-browser model and Ollama help (app.html)
+  'ai.status.initializing': 'Iniciando...',
+  'aiSettings.title': '🤖 Ajustes del asistente de IA',
+  'aiSettings.provider': 'Proveedor',
+  'aiSettings.webgpu': '🧠 En el navegador (Qwen 2.5 Coder)',
+  'aiSettings.webgpuInfo': 'Se ejecuta en tu navegador con WebGPU. Descarga de ~1,3 GB, guardada en caché para usos futuros.',
+  'aiSettings.ollama': '💻 Ollama (local)',
+  'aiSettings.ollamaInfo': 'Inferencia local rápida. Necesita <a href="https://ollama.ai" target="_blank">Ollama</a> instalado.',
+  'aiSettings.cloudInfo': 'API en la nube. Necesita una clave de API.',
+  'aiSettings.apiKey': 'Clave de API',
+  'aiSettings.apiKeyPlaceholder': 'Introduce la clave de API',
+  'aiSettings.save': 'Guardar',
+  'aiSettings.model': 'Modelo',
+  'aiSettings.refresh': 'Actualizar modelos',
+  'aiSettings.ollamaSetup': 'Configuración de Ollama',
+  'aiSettings.ollamaMissing': 'Parece que Ollama no se está ejecutando.',
+  'aiSettings.viewSetup': 'Ver las instrucciones de instalación →',
+  'webgpu.title': '🧠 Modelo de IA en el navegador',
+  'webgpu.intro': 'El asistente de IA en el navegador usa <strong>Qwen 2.5 Coder (1.5B)</strong>, un modelo de lenguaje centrado en programación que se ejecuta por completo en tu navegador con WebGPU.',
+  'webgpu.requirements': 'Requisitos',
+  'webgpu.browser': '✓ Navegador moderno (Chrome 113+, Edge 113+, Firefox 121+)',
+  'webgpu.checking': 'Comprobando la compatibilidad con WebGPU...',
+  'webgpu.warning': '<strong>⚠️ Nota:</strong> Se descargarán aproximadamente <strong>~1,3 GB</strong> de datos del modelo. El modelo se guardará en la caché del navegador para usos futuros.',
+  'webgpu.download': 'Descargar y activar la IA',
+  'webgpu.cancel': 'Cancelar',
+  'webgpu.downloading': 'Descargando el modelo...',
+  'webgpu.wait': 'Puede tardar unos minutos según tu conexión.',
+  'webgpu.ready': '✅ ¡Modelo listo!',
+  'webgpu.readyText': 'El asistente de IA ya está disponible. Puedes usarlo para pistas, depuración y explicaciones de código.',
+  'webgpu.start': 'Empezar a usar la IA',
+  'webgpu.failed': '❌ La configuración falló',
+  'webgpu.failedText': 'Se produjo un error al configurar el modelo.',
+  'webgpu.retry': 'Reintentar',
+  'webgpu.clearCache': 'Borrar caché',
+  'webgpu.supported': '✓ WebGPU es compatible',
+  'webgpu.unavailable': 'WebGPU no está disponible en este navegador',
+  'webgpu.noAdapter': 'No se encontró ningún adaptador WebGPU',
+  'webgpu.noDevice': 'No se pudo obtener un dispositivo WebGPU',
+  'aiSetup.title': '🤖 Configuración del asistente de IA',
+  'aiSetup.prompt': 'Parece que Ollama no se está ejecutando. ¿Qué prefieres?',
+  'aiSetup.webgpuTitle': '🧠 Usar la IA en el navegador',
+  'aiSetup.webgpuText': 'Ejecuta Qwen 2.5 Coder directamente en tu navegador. ¡Sin instalar nada!',
+  'aiSetup.webgpuSize': 'Descarga de ~1,3 GB (guardada en caché para usos futuros)',
+  'aiSetup.webgpuLocal': 'Se ejecuta por completo en tu dispositivo',
+  'aiSetup.webgpuBrowser': 'Necesita un navegador compatible con WebGPU',
+  'aiSetup.useWebgpu': 'Usar la IA en el navegador',
+  'aiSetup.ollamaTitle': '💻 Instalar Ollama',
+  'aiSetup.ollamaText': 'Instala Ollama para obtener respuestas más rápidas y más modelos.',
+  'aiSetup.setupOllama': 'Instalar Ollama',
+  'aiSetup.skip': 'Omitir por ahora (desactivar las funciones de IA)',
+  'ollamaHelp.optionA': '🌐 Opción A: modelo en el navegador (sin instalar nada)',
+  'ollamaHelp.optionAText': '¡La opción más sencilla! Elige <strong>"En el navegador (WebGPU)"</strong> en los ajustes de IA para ejecutar un modelo directamente en tu navegador.',
+  'ollamaHelp.optionAModel': '<strong>Modelo:</strong> Qwen 2.5 Coder 1.5B (el modelo que hemos probado y recomendamos)',
+  'ollamaHelp.optionADownload': '<strong>Descarga:</strong> ~1,3 GB una sola vez, guardada en la caché del navegador',
+  'ollamaHelp.optionARequires': '<strong>Requisitos:</strong> un navegador moderno compatible con WebGPU (Chrome, Edge)',
+  'ollamaHelp.optionAAuto': '<strong>Carga automática:</strong> una vez descargado, se conecta solo en tus próximas visitas.',
+  'ollamaHelp.optionATry': '<em>¡Pulsa el botón ⚙️ de ajustes en el pie de página para probarlo!</em>',
+  'ollamaHelp.optionB': '💻 Opción B: Ollama local (mejor rendimiento)',
+  'ollamaHelp.optionBText': 'Para obtener respuestas más rápidas y más modelos, instala Ollama en tu ordenador.',
+  'ollamaHelp.install': '📦 Paso 1: instala Ollama',
+  'ollamaHelp.installText': 'Descarga e instala Ollama desde <a href="https://ollama.ai" target="_blank">https://ollama.ai</a>',
+  'ollamaHelp.windowsInstaller': 'Descarga el instalador desde la web',
+  'ollamaHelp.cors': '🔧 Paso 2: configura CORS para el acceso web',
+  'ollamaHelp.corsText': 'Para que este sitio web (<strong class="current-origin"></strong>) pueda conectarse a tu servidor local de Ollama, tienes que definir variables de entorno:',
+  'ollamaHelp.corsWarning': '<strong>⚠️ Importante:</strong> detén Ollama si ya se está ejecutando, define la variable de entorno y vuelve a iniciarlo.',
+  'ollamaHelp.windowsSetup': 'Configuración en Windows:',
+  'ollamaHelp.cmd': 'Opción 1 - Símbolo del sistema:',
+  'ollamaHelp.powershell': 'Opción 2 - PowerShell:',
+  'ollamaHelp.windowsPermanent': 'Opción 3 - Permanente (variables de entorno del sistema):',
+  'ollamaHelp.windowsSteps': '1. Pulsa <code>Win + R</code> y escribe <code>sysdm.cpl</code><br>2. Haz clic en "Variables de entorno"<br>3. Añade una nueva variable del sistema:<br>&nbsp;&nbsp;Nombre: <code>OLLAMA_ORIGINS</code><br>&nbsp;&nbsp;Valor: <code class="cors-origins"></code><br>4. Reinicia el símbolo del sistema y ejecuta <code>ollama serve</code>',
+  'ollamaHelp.macSetup': 'Configuración en macOS/Linux:',
+  'ollamaHelp.terminal': 'Terminal (temporal):',
+  'ollamaHelp.macPermanent': 'Permanente (añádelo a ~/.bashrc, ~/.zshrc o ~/.profile):',
+  'ollamaHelp.launchctl': 'Con launchctl (servicio de macOS):',
+  'ollamaHelp.model': '🚀 Paso 3: instala un modelo',
+  'ollamaHelp.modelLocal': '🚀 Paso 2: instala un modelo',
+  'ollamaHelp.modelText': 'Descarga un modelo adecuado para ayudar con el código:',
+  'ollamaHelp.recommended': 'Recomendados (según nuestras pruebas):',
+  'ollamaHelp.modelBest': '⭐ La mejor precisión y velocidad (4,7 GB)',
+  'ollamaHelp.modelGood': 'Bueno en general (5 GB)',
+  'ollamaHelp.modelLight': 'Opción ligera (2 GB)',
+  'ollamaHelp.test': '✅ Paso 4: prueba la conexión',
+  'ollamaHelp.testLocal': '✅ Paso 3: prueba la conexión',
+  'ollamaHelp.testText': 'Cuando Ollama esté en marcha con CORS configurado:',
+  'ollamaHelp.testTextLocal': 'Cuando Ollama esté en marcha:',
+  'ollamaHelp.testSettings': 'Pulsa el botón ⚙️ de ajustes en el pie de página',
+  'ollamaHelp.testProvider': 'Elige "Ollama (local)" como proveedor',
+  'ollamaHelp.testModel': 'Elige tu modelo en la lista desplegable',
+  'ollamaHelp.testStatus': 'Comprueba que el estado diga "Lista"',
+  'ollamaHelp.autoConnect': '<strong>💡 Conexión automática:</strong> ¡tus ajustes se guardan! La próxima vez, la IA se conectará sola si Ollama está en marcha.',
+  'ollamaHelp.security': '⚠️ Notas de seguridad importantes',
+  'ollamaHelp.securityAccess': 'Esta configuración permite que este sitio web concreto acceda a tu instancia local de Ollama',
+  'ollamaHelp.securityNetwork': 'Usa esta configuración solo en redes de confianza',
+  'ollamaHelp.securityStop': 'Detén Ollama cuando no lo necesites: <code>Ctrl+C</code> en la terminal',
+  'ollamaHelp.securityPrivate': 'Tus modelos y conversaciones se quedan en tu equipo, totalmente privados',
+  'ollamaHelp.troubleshooting': '🔍 Solución de problemas',
+  'ollamaHelp.troubleConnection': '<strong>La conexión falla:</strong> comprueba que Ollama está en marcha y que CORS está configurado',
+  'ollamaHelp.troubleModel': '<strong>No se encuentra el modelo:</strong> asegúrate de haberlo descargado con <code>ollama pull nombre-del-modelo</code>',
+  'ollamaHelp.troubleSlow': '<strong>Respuestas lentas:</strong> prueba un modelo más pequeño o revisa los recursos de tu equipo',
+  'ollamaHelp.troubleWindows': '<strong>Problemas en Windows:</strong> prueba a abrir el símbolo del sistema como administrador'
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MESSAGES_ES;
+} else if (typeof window !== 'undefined') {
+  I18n.addCatalog('es', MESSAGES_ES);
+}
@@ -0,0 +1,422 @@
+/**
+ * Markdown Renderer
+ * Turns model responses into HTML for the hint panel, Dr. Rodriguez's
+ * reactions and the chat. Model text is escaped as it's parsed and the
+ * result then passes an allowlist sanitizer, so a reply containing <script>
+ * or an onerror= attribute is shown as text rather than run.
+ *
+ * Supports headings, paragraphs, nested bulleted and numbered lists, tables,
+ * block quotes, rules, fenced code (Python is highlighted), inline code,
+ * emphasis and http(s)/mailto links. Code blocks can carry copy and
+ * apply-to-cell buttons; the page wires them up (see LLMIntegration).
+ */
+
+// Scoped so the helpers below (escapeHtml and the rest) never clash with
+// the page's own globals; other scripts use window.MarkdownRenderer
+(function () {
+  // Tags the renderer may produce, with the attributes each may keep
+  const ALLOWED_TAGS = {
+    a: ['href', 'title', 'target', 'rel'],
+    blockquote: [],
+    br: [],
+    button: ['type', 'class', 'title', 'data-code-action'],
+    code: ['class'],
+    del: [],
+    div: ['class'],
+    em: [],
+    kbd: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    li: [],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    span: ['class'],
+    strong: [],
+    table: [], thead: [], tbody: [], tr: [],
+    th: ['class'],
+    td: ['class'],
+    ul: []
+  };
+
+  const SAFE_URL = /^(https?:\/\/|mailto:|#)/i;
+
+  // Button text comes from the locale catalogs (codeAction.<action>.label/title)
+  const CODE_ACTIONS = ['copy', 'apply'];
+
+  function i18n() {
+    return typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+  }
+
+  const PYTHON_KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+    'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for',
+    'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+    'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+  ]);
+
+  const PYTHON_BUILTINS = new Set([
+    'abs', 'all', 'any', 'bool', 'dict', 'enumerate', 'filter', 'float', 'input',
+    'int', 'isinstance', 'len', 'list', 'map', 'max', 'min', 'open', 'print',
+    'range', 'reversed', 'round', 'set', 'sorted', 'str', 'sum', 'tuple', 'type', 'zip'
+  ]);
+
+  // Comments, strings (with prefixes, and unterminated while streaming), numbers, names
+  const PYTHON_TOKEN = /(#[^\n]*)|((?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?))|(\b\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?j?\b|\.\d+\b)|([A-Za-z_]\w*)/g;
+
+  const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+  const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const QUOTE = /^ {0,3}> ?/;
+  const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Wrap Python source in highlighting spans (tok-keyword, tok-builtin,
+   * tok-string, tok-comment, tok-number, tok-def)
+   * @param {string} code - Plain source; it is escaped here
+   * @returns {string} HTML
+   */
+  function highlightPython(code) {
+    let html = '';
+    let last = 0;
+    let naming = false; // The name after def or class
+    PYTHON_TOKEN.lastIndex = 0;
+
+    let match;
+    while ((match = PYTHON_TOKEN.exec(code)) !== null) {
+      if (match[0] === '') {
+        PYTHON_TOKEN.lastIndex++;
+        continue;
+      }
+      html += escapeHtml(code.slice(last, match.index));
+      last = match.index + match[0].length;
+
+      const [token, comment, string, number, name] = match;
+      let kind = null;
+      if (comment) kind = 'comment';
+      else if (string) kind = 'string';
+      else if (number) kind = 'number';
+      else if (name && naming) kind = 'def';
+      else if (PYTHON_KEYWORDS.has(name)) kind = 'keyword';
+      else if (PYTHON_BUILTINS.has(name)) kind = 'builtin';
+
+      naming = name === 'def' || name === 'class';
+      html += kind ? `<span class="tok-${kind}">${escapeHtml(token)}</span>` : escapeHtml(token);
+    }
+    return html + escapeHtml(code.slice(last));
+  }
+
+  // Emphasis, links and escapes within text that isn't code
+  function renderText(text) {
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    let html = escapeHtml(text.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (_, char) => hold(escapeHtml(char))));
+
+    // URLs may hold one level of parentheses, as in Wikipedia links
+    html = html.replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;([^&]*)&quot;)?\s*\)/g, (whole, label, url, title) => {
+      if (!SAFE_URL.test(url)) return label;
+      const titleAttr = title ? ` title="${title}"` : '';
+      return hold(`<a href="${url}"${titleAttr} target="_blank" rel="noopener noreferrer">`) + label + hold('</a>');
+    });
+
+    return html
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+      // snake_case names keep their underscores
+      .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/\u0000(\d+)\u0000/g, (_, index) => held[index]);
+  }
+
+  /**
+   * Render inline markdown. Code spans are taken out first so a * or _ inside
+   * them is never read as emphasis.
+   */
+  function renderInline(text) {
+    let html = '';
+    let last = 0;
+    const spans = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g;
+    let match;
+    while ((match = spans.exec(text)) !== null) {
+      html += renderText(text.slice(last, match.index));
+      html += `<code>${escapeHtml(match[2].trim() || match[2])}</code>`;
+      last = match.index + match[0].length;
+    }
+    return html + renderText(text.slice(last));
+  }
+
+  function isPython(language) {
+    return !language || /^(python3?|py)$/i.test(language);
+  }
+
+  function renderCodeBlock(code, language, options) {
+    const python = isPython(language);
+    const className = python ? 'language-python' : `language-${language}`;
+    const pre = `<pre><code class="${className}">${python ? highlightPython(code) : escapeHtml(code)}</code></pre>`;
+
+    // Only Python can be applied to a cell
+    const actions = (options.codeActions || []).filter(action => CODE_ACTIONS.includes(action) && (action !== 'apply' || python));
+    if (actions.length === 0) return pre;
+
+    const buttons = actions.map(action =>
+      `<button type="button" class="code-block-action" data-code-action="${action}" title="${escapeHtml(i18n().t(`codeAction.${action}.title`))}">${escapeHtml(i18n().t(`codeAction.${action}.label`))}</button>`
+    ).join('');
+    return `<div class="code-block"><div class="code-block-actions">${buttons}</div>${pre}</div>`;
+  }
+
+  // Cells split on pipes, except escaped ones and those inside code spans
+  function splitTableRow(line) {
+    const cells = [''];
+    let inCode = false;
+    const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    for (let i = 0; i < row.length; i++) {
+      const char = row[i];
+      if (char === '`') inCode = !inCode;
+      if (char === '|' && !inCode && row[i - 1] !== '\\') {
+        cells.push('');
+      } else {
+        cells[cells.length - 1] += char;
+      }
+    }
+    return cells.map(cell => cell.trim());
+  }
+
+  function renderTable(lines, start) {
+    const alignments = splitTableRow(lines[start + 1]).map(cell =>
+      cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : null);
+    const cell = (tag, text, index) => {
+      const align = alignments[index] ? ` class="align-${alignments[index]}"` : '';
+      return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+    };
+
+    const head = splitTableRow(lines[start]).map((text, i) => cell('th', text, i)).join('');
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+      rows.push(`<tr>${splitTableRow(lines[i]).map((text, index) => cell('td', text, index)).join('')}</tr>`);
+      i++;
+    }
+    const body = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+    return { html: `<table><thead><tr>${head}</tr></thead>${body}</table>`, next: i };
+  }
+
+  function leadingSpaces(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  // A list and everything nested in it; items hold their lines with the
+  // marker's indentation removed, and are rendered as blocks of their own
+  function renderList(lines, start, options) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let contentIndent = 0;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = LIST_ITEM.exec(line);
+      if (item && item[1].length === indent && /\d/.test(item[2]) === ordered && !RULE.test(line)) {
+        items.push([item[3]]);
+        contentIndent = indent + item[2].length + 1;
+        i++;
+        continue;
+      }
+      if (!line.trim()) {
+        // A blank line only continues the list if more of it follows
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const following = lines[next];
+        const sibling = following && LIST_ITEM.exec(following);
+        if (following && (leadingSpaces(following) > indent ||
+            (sibling && sibling[1].length === indent && /\d/.test(sibling[2]) === ordered))) {
+          loose = true;
+          items[items.length - 1].push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (leadingSpaces(line) > indent) {
+        items[items.length - 1].push(line.slice(Math.min(leadingSpaces(line), contentIndent)));
+        i++;
+        continue;
+      }
+      // Lazy continuation of the item's text
+      const previous = lines[i - 1];
+      if (previous && previous.trim() && !startsBlock(line)) {
+        items[items.length - 1].push(line.trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const number = parseInt(first[2], 10);
+    const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+    const body = items.map(itemLines => `<li>${renderBlocks(itemLines, { ...options, tight: !loose })}</li>`).join('');
+    return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i };
+  }
+
+  function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+  }
+
+  function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length &&
+      lines[i + 1].includes('|') && TABLE_DIVIDER.test(lines[i + 1]);
+  }
+
+  /**
+   * Render lines as a sequence of blocks. In a tight list item paragraphs
+   * aren't wrapped in <p>.
+   */
+  function renderBlocks(lines, options = {}) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // The closing fence (or the end of a block still streaming in)
+        blocks.push(renderCodeBlock(code.join('\n'), fence[2], options));
+        continue;
+      }
+
+      const heading = HEADING.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE, ''));
+          i++;
+        }
+        blocks.push(`<blockquote>${renderBlocks(quoted, { ...options, tight: false })}</blockquote>`);
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const list = renderList(lines, i, options);
+        blocks.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      if (isTableStart(lines, i)) {
+        const table = renderTable(lines, i);
+        blocks.push(table.html);
+        i = table.next;
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || (!startsBlock(lines[i]) && !isTableStart(lines, i)))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      const text = paragraph.map(renderInline).join('<br>');
+      blocks.push(options.tight ? text : `<p>${text}</p>`);
+    }
+
+    return blocks.join('');
+  }
+
+  // Rebuild an allowed tag with only its allowed attributes
+  function sanitizeTag(tag) {
+    const match = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>$/.exec(tag);
+    const name = match && match[2].toLowerCase();
+    if (!match || !Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, name)) {
+      return escapeHtml(tag);
+    }
+    if (match[1]) return `</${name}>`;
+
+    const attributes = [];
+    const attributePattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[3])) !== null) {
+      const attributeName = attribute[1].toLowerCase();
+      const value = attribute[2] ?? attribute[3] ?? attribute[4];
+      if (!ALLOWED_TAGS[name].includes(attributeName)) continue;
+      if (attributeName === 'href' && !SAFE_URL.test(value.replace(/&amp;/g, '&').trim())) continue;
+      attributes.push(` ${attributeName}="${value.replace(/"/g, '&quot;')}"`);
+    }
+    return `<${name}${attributes.join('')}>`;
+  }
+
+  /**
+   * Keep only allowlisted tags and attributes. Anything else that looks like
+   * markup is escaped so it shows as text.
+   * @param {string} html
+   * @returns {string}
+   */
+  function sanitizeHtml(html) {
+    return String(html).replace(/<\/?[a-zA-Z][^>]*>|[<>]/g, token =>
+      token === '<' ? '&lt;' : token === '>' ? '&gt;' : sanitizeTag(token));
+  }
+
+  /**
+   * Render markdown to sanitized HTML
+   * @param {string} markdown
+   * @param {Object} [options]
+   * @param {string[]} [options.codeActions] - Buttons for code blocks: 'copy', 'apply'
+   * @returns {string}
+   */
+  function renderMarkdown(markdown, options = {}) {
+    const lines = String(markdown || '')
+      .replace(/\u0000/g, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+    return sanitizeHtml(renderBlocks(lines, options));
+  }
+
+  const MarkdownRenderer = { renderMarkdown, sanitizeHtml, highlightPython, escapeHtml };
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+  } else if (typeof window !== 'undefined') {
+    window.MarkdownRenderer = MarkdownRenderer;
+  }
+})();
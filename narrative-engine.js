@@ -0,0 +1,231 @@
+/**
+ * Narrative Engine
+ * Plays the branching story authored in game-content.json. The path chosen in
+ * one stage's completionSegment selects that path's storyModifiers in later
+ * stages and fills the {{pathSpecificX}} placeholders in story segments.
+ * At the end of the game it turns choices and performance into the
+ * requirement flags that decide which ending the player earns.
+ */
+
+class NarrativeEngine {
+  constructor(content = {}) {
+    this.narrativePaths = content.narrativePaths || {};
+    this.stages = content.stages || [];
+    this.endings = content.endings || {};
+    this.endingFlags = content.endingFlags || {};
+  }
+
+  /**
+   * Record a choice, replacing any earlier choice made at the same stage
+   * (replaying a stage lets the player change their mind)
+   * @returns {Array} The updated choice list, in the order choices were made
+   */
+  recordChoice(choices, stageId, choiceId, consequence) {
+    const updated = choices.filter(c => c.stageId !== stageId);
+    updated.push({ stageId, choice: choiceId, consequence });
+    return updated;
+  }
+
+  /**
+   * Find the most recently chosen path among a set of candidates
+   * @param {Array} choices - Recorded choices ({ stageId, choice, consequence })
+   * @param {Array<string>} candidatePaths - Path names the content has text for
+   * @returns {string|null}
+   */
+  findActivePath(choices, candidatePaths) {
+    for (let i = choices.length - 1; i >= 0; i--) {
+      if (candidatePaths.includes(choices[i].consequence)) {
+        return choices[i].consequence;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Paths listed in narrativePaths only modify the stages named in their
+   * modifiesStages; other paths apply wherever a stage has modifiers for them
+   */
+  pathModifiesStage(path, stageId) {
+    const definition = this.narrativePaths[path];
+    if (!definition || !Array.isArray(definition.modifiesStages)) return true;
+    return definition.modifiesStages.includes(stageId);
+  }
+
+  /**
+   * Get the storyModifiers entry selected by the player's choices
+   * @returns {Object|null} The modifier with its path name, e.g. { path, additionalContext, bonusReveal }
+   */
+  getStageModifier(stage, choices) {
+    const modifiers = stage?.storyModifiers;
+    if (!modifiers) return null;
+
+    const candidates = Object.keys(modifiers).filter(path => this.pathModifiesStage(path, stage.id));
+    const path = this.findActivePath(choices, candidates);
+    return path ? { path, ...modifiers[path] } : null;
+  }
+
+  /**
+   * Stage story with the chosen path's additional context appended
+   */
+  getStageStory(stage, choices) {
+    const modifier = this.getStageModifier(stage, choices);
+    const story = stage?.story || '';
+    return modifier?.additionalContext ? story + modifier.additionalContext : story;
+  }
+
+  /**
+   * The extra finding a path reveals for this stage (authored as bonusReveal,
+   * or bonusData on stages where the bonus is a data insight)
+   * @returns {string|null}
+   */
+  getBonusReveal(stage, choices) {
+    const modifier = this.getStageModifier(stage, choices);
+    return modifier?.bonusReveal || modifier?.bonusData || null;
+  }
+
+  /**
+   * Resolve {{pathSpecificX}} against the segment's pluralised collection
+   * (pathSpecificRevelations, pathSpecificDiscoveries, pathSpecificClimaxes...)
+   * @returns {string|null} The text for the active path, or null if none applies
+   */
+  resolvePathPlaceholder(segment, name, choices) {
+    if (!segment) return null;
+
+    const collectionNames = [`${name}s`, `${name}es`, name.replace(/y$/, 'ies')];
+    const collectionName = collectionNames.find(key => segment[key] && typeof segment[key] === 'object');
+    if (!collectionName) return null;
+
+    const collection = segment[collectionName];
+    const path = this.findActivePath(choices, Object.keys(collection));
+    return path ? collection[path] : null;
+  }
+
+  /**
+   * Fill {{placeholders}} in narrative text. Explicit values win, then
+   * path-specific text from the segment; anything unresolved is removed so
+   * raw template syntax never reaches the player.
+   * @param {string} text - Template text
+   * @param {Object} segment - completionSegment holding pathSpecific collections
+   * @param {Array} choices - Recorded choices
+   * @param {Object} values - Extra placeholder values, e.g. { playerAction }
+   */
+  fillPlaceholders(text, segment, choices, values = {}) {
+    return (text || '')
+      .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (values[name] !== undefined && values[name] !== null) {
+          return values[name];
+        }
+        if (name.startsWith('pathSpecific')) {
+          return this.resolvePathPlaceholder(segment, name, choices) || '';
+        }
+        return '';
+      })
+      // Collapse the blank paragraph left behind when a placeholder resolves to nothing
+      .replace(/\n{3,}/g, '\n\n');
+  }
+
+  // ============================================
+  // ENDINGS - Requirement flags and ending selection
+  // ============================================
+
+  /**
+   * Summarise per-stage performance records for flag rules
+   * @param {Object} performance - PlayerStoryTracker.performance, keyed by stage id
+   */
+  summarisePerformance(performance = {}) {
+    const records = Object.values(performance);
+    return {
+      stagesTracked: records.length,
+      firstTrySolves: records.filter(r => r.firstTrySuccess).length,
+      totalHints: records.reduce((sum, r) => sum + (r.hintsUsed || 0), 0)
+    };
+  }
+
+  /**
+   * Work out which ending requirement flags the player has earned.
+   * Each rule in content.endingFlags sets its flag when the player made any
+   * of its `choices` (matched by option id or consequence), or when every
+   * condition in its `performance` block holds
+   * (minFirstTrySolves, maxTotalHints, minStagesTracked).
+   * @returns {Array<string>} Earned flags, in rule order
+   */
+  deriveFlags(choices, performance = {}) {
+    const chosen = new Set();
+    choices.forEach(c => {
+      chosen.add(c.choice);
+      chosen.add(c.consequence);
+    });
+    const stats = this.summarisePerformance(performance);
+
+    return Object.entries(this.endingFlags)
+      .filter(([, rule]) => {
+        if (rule.choices && rule.choices.some(name => chosen.has(name))) {
+          return true;
+        }
+        const conditions = rule.performance;
+        if (!conditions || stats.stagesTracked === 0) return false;
+        return (conditions.minFirstTrySolves === undefined || stats.firstTrySolves >= conditions.minFirstTrySolves) &&
+          (conditions.maxTotalHints === undefined || stats.totalHints <= conditions.maxTotalHints) &&
+          (conditions.minStagesTracked === undefined || stats.stagesTracked >= conditions.minStagesTracked);
+      })
+      .map(([flag]) => flag);
+  }
+
+  /**
+   * The ending named by a chosen option's leadsToEnding, if any
+   * (the latest such choice wins)
+   * @returns {string|null}
+   */
+  getChosenEnding(choices) {
+    let endingId = null;
+    choices.forEach(c => {
+      const stage = this.stages.find(s => s.id === c.stageId);
+      const option = stage?.completionSegment?.choice?.options?.find(o => o.id === c.choice);
+      if (option?.leadsToEnding) {
+        endingId = option.leadsToEnding;
+      }
+    });
+    return endingId;
+  }
+
+  /**
+   * Score every ending and pick the best. Each met requirement is worth 10
+   * points and the ending the player explicitly chose earns 5 more. Ties go to
+   * the ending with more of its requirements met proportionally, then to the
+   * one listed first in game-content.json, so selection is deterministic.
+   * @returns {{ending: Object, scores: Array}} The chosen ending and all scores, best first
+   */
+  selectEnding(flags, choices = []) {
+    const chosenEnding = this.getChosenEnding(choices);
+
+    const scores = Object.entries(this.endings).map(([id, ending], order) => {
+      const requirements = ending.requirements || [];
+      const requirementsMet = requirements.filter(r => flags.includes(r)).length;
+      return {
+        id,
+        order,
+        requirementsMet,
+        score: requirementsMet * 10 + (id === chosenEnding ? 5 : 0),
+        percentComplete: requirements.length ? (requirementsMet / requirements.length) * 100 : 0
+      };
+    });
+
+    scores.sort((a, b) =>
+      b.score - a.score ||
+      b.percentComplete - a.percentComplete ||
+      a.order - b.order
+    );
+
+    return {
+      ending: scores.length ? this.endings[scores[0].id] : null,
+      scores
+    };
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NarrativeEngine };
+} else if (typeof window !== 'undefined') {
+  window.NarrativeEngine = NarrativeEngine;
+}
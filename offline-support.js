@@ -0,0 +1,164 @@
+/**
+ * Offline Support
+ * The page side of sw.js: registers the service worker, shows a badge while
+ * the browser is offline, and offers a reload when a new version of the
+ * game has been downloaded. Shared by the start screen, the game and the
+ * teacher dashboard, so it brings its own styles.
+ */
+
+const OFFLINE_STYLES = `
+  .offline-indicator, .update-prompt {
+    position: fixed;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 10010;
+    padding: 6px 14px;
+    border-radius: 16px;
+    font: 14px 'Roboto', sans-serif;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+  }
+  .offline-indicator {
+    bottom: 12px;
+    background: #5d4e37;
+    color: #f4f1e8;
+  }
+  .update-prompt {
+    top: 12px;
+    background: #d4af37;
+    color: #2c1810;
+  }
+  .update-prompt button {
+    margin-left: 10px;
+    padding: 2px 10px;
+    border: 1px solid #2c1810;
+    border-radius: 4px;
+    background: #2c1810;
+    color: #f4f1e8;
+    cursor: pointer;
+  }
+`;
+
+// The start screen and teacher dashboard don't load i18n.js, so they show
+// this English text; the game shows the player's language
+const OFFLINE_TEXT = {
+  'offline.indicator': '📴 Offline. Your work is saved in this browser; AI help needs a connection unless you use the in-browser model.',
+  'offline.update': 'A new version of the game is available.',
+  'offline.reload': 'Reload',
+  'offline.later': 'Later'
+};
+
+function offlineText(key) {
+  return typeof I18n !== 'undefined' ? I18n.t(key) : OFFLINE_TEXT[key];
+}
+
+/**
+ * Whether this page can use a service worker. They need a secure origin
+ * (https or localhost), so the game opened from file:// runs without one.
+ */
+function canUseServiceWorker(win = window) {
+  return 'serviceWorker' in win.navigator && win.location.protocol !== 'file:' && win.isSecureContext !== false;
+}
+
+function addOfflineStyles() {
+  if (document.getElementById('offline-support-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'offline-support-styles';
+  style.textContent = OFFLINE_STYLES;
+  document.head.appendChild(style);
+}
+
+function showOfflineIndicator() {
+  let indicator = document.getElementById('offline-indicator');
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.id = 'offline-indicator';
+    indicator.className = 'offline-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.textContent = offlineText('offline.indicator');
+    document.body.appendChild(indicator);
+  }
+  indicator.hidden = navigator.onLine;
+}
+
+/**
+ * Ask before switching to a newly installed version, since reloading
+ * mid-stage would interrupt the student
+ */
+function showUpdatePrompt(worker) {
+  if (document.getElementById('update-prompt')) return;
+  const banner = document.createElement('div');
+  banner.id = 'update-prompt';
+  banner.className = 'update-prompt';
+  banner.setAttribute('role', 'alert');
+  banner.textContent = offlineText('offline.update');
+
+  const reload = document.createElement('button');
+  reload.textContent = offlineText('offline.reload');
+  reload.addEventListener('click', () => {
+    reload.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  const later = document.createElement('button');
+  later.textContent = offlineText('offline.later');
+  later.addEventListener('click', () => banner.remove());
+
+  banner.appendChild(reload);
+  banner.appendChild(later);
+  document.body.appendChild(banner);
+}
+
+async function registerServiceWorker(url = 'sw.js') {
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  const registration = await navigator.serviceWorker.register(url);
+
+  // Only an update when a worker already controls the page; the first
+  // install just caches the game quietly
+  const offerUpdate = worker => {
+    if (worker && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+  };
+  offerUpdate(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    installing.addEventListener('statechange', () => {
+      if (installing.state === 'installed') offerUpdate(installing);
+    });
+  });
+
+  // The first install also takes control of the page, which needs no reload
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !hadController) return;
+    reloading = true;
+    window.location.reload();
+  });
+  return registration;
+}
+
+/**
+ * Set up offline support for the page. Call once it has loaded.
+ */
+function startOfflineSupport() {
+  addOfflineStyles();
+  showOfflineIndicator();
+  window.addEventListener('online', showOfflineIndicator);
+  window.addEventListener('offline', showOfflineIndicator);
+
+  if (!canUseServiceWorker()) return Promise.resolve(null);
+  return registerServiceWorker().catch(error => {
+    console.warn('Offline support unavailable:', error);
+    return null;
+  });
+}
+
+const OfflineSupport = {
+  canUseServiceWorker,
+  registerServiceWorker,
+  startOfflineSupport
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineSupport;
+} else if (typeof window !== 'undefined') {
+  window.OfflineSupport = OfflineSupport;
+}
@@ -0,0 +1,199 @@
+/**
+ * Output Diff
+ * Compares a failed run's output with the output a stage expects, line by
+ * line and then character by character within a changed line, so a student
+ * can see a missing line, an extra one, or "Fragments" printed as
+ * "Fragment". Lines are compared the way the validator compares them, so
+ * the diff never flags a difference that grading would accept.
+ */
+
+// Scoped so helpers such as diffChars never become page globals; other
+// scripts use window.OutputDiff
+(function () {
+  // Lines longer than this together are shown as wholly changed rather than
+  // diffed character by character
+  const MAX_CHAR_CELLS = 40000;
+
+  // A changed line is paired with the expected line it most resembles only
+  // when at least this share of their characters is in common
+  const MIN_LINE_SIMILARITY = 0.5;
+
+  /**
+   * The expected lines: each entry of an expectedOutput array, or the lines
+   * of a string. Blank lines at the end are dropped.
+   * @param {string|string[]} expectedOutput
+   * @returns {string[]}
+   */
+  function expectedLines(expectedOutput) {
+    const lines = [].concat(expectedOutput ?? []).join('\n').split('\n');
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+    return lines;
+  }
+
+  function outputLines(output) {
+    return expectedLines(output || '');
+  }
+
+  // Case and spacing never count, as in normalizeOutput
+  function sameLine(actual, expected) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return normalize(actual) === normalize(expected);
+  }
+
+  /**
+   * Character diff of one changed line, ignoring case. Runs of characters
+   * only in the expected line are 'missing'; only in the actual line, 'extra'.
+   * @returns {Array<{type: 'same'|'missing'|'extra', text: string}>}
+   */
+  function diffChars(expected, actual) {
+    if (expected.length * actual.length > MAX_CHAR_CELLS) {
+      return [{ type: 'missing', text: expected }, { type: 'extra', text: actual }].filter(part => part.text);
+    }
+    const a = expected.toLowerCase();
+    const b = actual.toLowerCase();
+
+    // common[i][j] is the LCS length of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) last.text += text;
+      else parts.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        push('same', actual[j]);
+        i++;
+        j++;
+      } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+        push('missing', expected[i++]);
+      } else {
+        push('extra', actual[j++]);
+      }
+    }
+    return parts;
+  }
+
+  // Share of two lines' characters they have in common, from 0 to 1
+  function similarity(parts) {
+    const length = type => parts.filter(part => part.type === type).reduce((sum, part) => sum + part.text.length, 0);
+    const same = length('same');
+    const total = 2 * same + length('missing') + length('extra');
+    return total === 0 ? 1 : (2 * same) / total;
+  }
+
+  /**
+   * Compare expected and actual output for display.
+   * @param {string|string[]} expectedOutput
+   * @param {string} actualOutput
+   * @param {Object} [options]
+   * @param {boolean} [options.flexible] - The stage validates flexibly: lines
+   *   may come in any order and extra lines are accepted, so neither is
+   *   flagged (extra lines are kept as 'context')
+   * @param {Function} [options.matches] - (actualLine, expectedLine) => whether
+   *   grading accepts the line; defaults to ignoring case and spacing
+   * @returns {{rows: Array<Object>, missing: number, extra: number, changed: number}}
+   *   rows in output order, each {type: 'same'|'changed'|'missing'|'extra'|'context',
+   *   expected?, actual?, parts?}; parts is the character diff of a changed row
+   */
+  function compareOutput(expectedOutput, actualOutput, options = {}) {
+    const { flexible = false, matches = sameLine } = options;
+    const a = expectedLines(expectedOutput);
+    const b = outputLines(actualOutput);
+
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = matches(b[j], a[i]) ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    // Walk the alignment in hunks: matching lines, then each run of
+    // unmatched expected and actual lines between them
+    let rows = [];
+    let missing = [];
+    let extra = [];
+    const closeHunk = () => {
+      rows.push(...pairHunk(missing, extra));
+      missing = [];
+      extra = [];
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && matches(b[j], a[i]) && common[i][j] === common[i + 1][j + 1] + 1) {
+        closeHunk();
+        rows.push({ type: 'same', expected: a[i++], actual: b[j++] });
+      } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+        missing.push(a[i++]);
+      } else {
+        extra.push(b[j++]);
+      }
+    }
+    closeHunk();
+
+    if (flexible) rows = acceptFlexibly(rows, matches);
+
+    const count = type => rows.filter(row => row.type === type).length;
+    return { rows, missing: count('missing'), extra: count('extra'), changed: count('changed') };
+  }
+
+  // Within a hunk, pair each missing line with the next extra line that
+  // resembles it as a changed line; the rest stay missing or extra
+  function pairHunk(missing, extra) {
+    const rows = [];
+    let next = 0;
+    missing.forEach(expected => {
+      for (let k = next; k < extra.length; k++) {
+        const parts = diffChars(expected, extra[k]);
+        if (similarity(parts) >= MIN_LINE_SIMILARITY) {
+          extra.slice(next, k).forEach(actual => rows.push({ type: 'extra', actual }));
+          rows.push({ type: 'changed', expected, actual: extra[k], parts });
+          next = k + 1;
+          return;
+        }
+      }
+      rows.push({ type: 'missing', expected });
+    });
+    extra.slice(next).forEach(actual => rows.push({ type: 'extra', actual }));
+    return rows;
+  }
+
+  // A flexible validator looks for each expected line anywhere in the output:
+  // a line printed out of order matches, and extra lines don't count
+  function acceptFlexibly(rows, matches) {
+    const extras = rows.filter(row => row.type === 'extra');
+    const placed = new Set();
+    rows.filter(row => row.type === 'missing' || row.type === 'changed').forEach(row => {
+      const found = extras.find(candidate => !placed.has(candidate) && matches(candidate.actual, row.expected));
+      if (!found) return;
+      placed.add(found);
+      found.type = 'same';
+      found.expected = row.expected;
+      if (row.type === 'changed') {
+        // Its actual line is unpaired again
+        rows.splice(rows.indexOf(row), 1, { type: 'context', actual: row.actual });
+      } else {
+        rows.splice(rows.indexOf(row), 1);
+      }
+    });
+    return rows.map(row => (row.type === 'extra' ? { type: 'context', actual: row.actual } : row));
+  }
+
+  const OutputDiff = { expectedLines, diffChars, compareOutput };
+
+  // Export for both Node.js and browser environments
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputDiff;
+  } else if (typeof window !== 'undefined') {
+    window.OutputDiff = OutputDiff;
+  }
+})();
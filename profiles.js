@@ -0,0 +1,315 @@
+/**
+ * Player Profiles
+ * Lets several students share one browser. Each profile has its own save
+ * slots, and keeps its own settings (tutorials seen, AI model choice, the
+ * name on downloaded progress, language). The slot and profile are folded into the
+ * localStorage keys, the same way content packs namespace theirs; the first
+ * profile's first slot keeps the un-namespaced keys so existing saves load.
+ */
+
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_SLOT_ID = 'default';
+const PROFILES_KEY = 'aicodepedagogy_profiles';
+
+// Saved per slot (and, within a slot, per content pack)
+const SLOT_KEYS = ['aicodepedagogy_progress'];
+
+// Saved per profile
+const PROFILE_KEYS = ['aicodepedagogy_tutorials_seen', 'aicodepedagogy_model_prefs', 'aicodepedagogy_student_name', 'aicodepedagogy_locale'];
+
+const MAX_NAME_LENGTH = 40;
+
+function profileSlug(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function cleanName(name, kind) {
+  const text = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!text) throw new Error(`${kind} names can't be empty`);
+  return text;
+}
+
+function newSlot(id, name, at) {
+  return { id, name, createdAt: at };
+}
+
+function defaultRegistry(at = Date.now()) {
+  return {
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: [{
+      id: DEFAULT_PROFILE_ID,
+      name: 'Player 1',
+      createdAt: at,
+      lastSlotId: DEFAULT_SLOT_ID,
+      slots: [newSlot(DEFAULT_SLOT_ID, 'Slot 1', at)]
+    }]
+  };
+}
+
+class Profiles {
+  /**
+   * @param {Storage} storage - localStorage, or any object with the same methods
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Namespace a localStorage key by profile and slot. Leave out the slot
+   * for settings that belong to the whole profile.
+   */
+  static storageKey(baseKey, profileId, slotId = DEFAULT_SLOT_ID) {
+    const isDefault = (id, fallback) => !id || id === fallback;
+    if (isDefault(profileId, DEFAULT_PROFILE_ID) && isDefault(slotId, DEFAULT_SLOT_ID)) return baseKey;
+    const profilePart = `${baseKey}@${profileId || DEFAULT_PROFILE_ID}`;
+    return isDefault(slotId, DEFAULT_SLOT_ID) ? profilePart : `${profilePart}/${slotId}`;
+  }
+
+  /**
+   * Every profile and slot, and which is in use. Missing or unreadable
+   * data gives the single default profile.
+   */
+  load() {
+    try {
+      const registry = JSON.parse(this.storage.getItem(PROFILES_KEY));
+      if (registry && Array.isArray(registry.profiles) && registry.profiles.length > 0) return registry;
+    } catch (error) {
+      // Fall through to a fresh registry
+    }
+    return defaultRegistry();
+  }
+
+  save(registry) {
+    this.storage.setItem(PROFILES_KEY, JSON.stringify(registry));
+    return registry;
+  }
+
+  list() {
+    return this.load().profiles;
+  }
+
+  /**
+   * The profile in use and the slot it last played
+   * @returns {{profile: Object, slot: Object}}
+   */
+  getActive() {
+    const registry = this.load();
+    const profile = registry.profiles.find(p => p.id === registry.activeProfileId) || registry.profiles[0];
+    const slot = profile.slots.find(s => s.id === profile.lastSlotId) || profile.slots[0];
+    return { profile, slot };
+  }
+
+  /**
+   * A profile-wide key for the active profile
+   */
+  profileKey(baseKey) {
+    return Profiles.storageKey(baseKey, this.getActive().profile.id);
+  }
+
+  /**
+   * A per-slot key for the active profile's current slot
+   */
+  slotKey(baseKey) {
+    const { profile, slot } = this.getActive();
+    return Profiles.storageKey(baseKey, profile.id, slot.id);
+  }
+
+  /**
+   * Add a profile and play as it
+   */
+  createProfile(name, at = Date.now()) {
+    const registry = this.load();
+    const profile = this.addProfile(registry, name, at);
+    registry.activeProfileId = profile.id;
+    this.save(registry);
+    return profile;
+  }
+
+  // Add a profile to the registry without saving it or switching to it
+  addProfile(registry, name, at) {
+    const profileName = this.checkProfileName(registry, name);
+    const base = profileSlug(profileName) || 'player';
+    let id = base;
+    for (let n = 2; id === DEFAULT_PROFILE_ID || registry.profiles.some(p => p.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const profile = { id, name: profileName, createdAt: at, lastSlotId: DEFAULT_SLOT_ID, slots: [newSlot(DEFAULT_SLOT_ID, 'Slot 1', at)] };
+    registry.profiles.push(profile);
+    return profile;
+  }
+
+  renameProfile(profileId, name) {
+    const registry = this.load();
+    const profile = this.findProfile(registry, profileId);
+    profile.name = this.checkProfileName(registry, name, profileId);
+    this.save(registry);
+    return profile;
+  }
+
+  /**
+   * Copy a profile with all its slots and settings under a new name. The
+   * active profile stays the same; switching to the copy is up to the player.
+   */
+  duplicateProfile(profileId, name, at = Date.now()) {
+    const registry = this.load();
+    const source = this.findProfile(registry, profileId);
+    const profile = this.addProfile(registry, name, at);
+    profile.slots = source.slots.map(slot => ({ ...slot }));
+    profile.lastSlotId = source.lastSlotId;
+    this.save(registry);
+
+    PROFILE_KEYS.forEach(baseKey => this.copyKeys(
+      Profiles.storageKey(baseKey, source.id),
+      Profiles.storageKey(baseKey, profile.id),
+      false
+    ));
+    source.slots.forEach(slot => this.copySlotData(source.id, slot.id, profile.id, slot.id));
+    return profile;
+  }
+
+  /**
+   * Delete a profile and everything it saved. The last profile can't be deleted.
+   */
+  deleteProfile(profileId) {
+    const registry = this.load();
+    const profile = this.findProfile(registry, profileId);
+    if (registry.profiles.length === 1) throw new Error('The only profile can\'t be deleted');
+
+    profile.slots.forEach(slot => this.removeSlotData(profile.id, slot.id));
+    PROFILE_KEYS.forEach(baseKey => this.storage.removeItem(Profiles.storageKey(baseKey, profile.id)));
+    registry.profiles = registry.profiles.filter(p => p.id !== profileId);
+    if (registry.activeProfileId === profileId) registry.activeProfileId = registry.profiles[0].id;
+    this.save(registry);
+  }
+
+  /**
+   * Play as a profile, continuing from the slot it last used
+   */
+  switchProfile(profileId) {
+    const registry = this.load();
+    this.findProfile(registry, profileId);
+    registry.activeProfileId = profileId;
+    this.save(registry);
+    return this.getActive();
+  }
+
+  createSlot(profileId, name, at = Date.now()) {
+    const registry = this.load();
+    const profile = this.findProfile(registry, profileId);
+    const numbers = profile.slots.map(slot => Number(slot.id.replace(/^slot-/, '')) || 1);
+    const slot = newSlot(`slot-${Math.max(...numbers) + 1}`, cleanName(name ?? `Slot ${profile.slots.length + 1}`, 'Slot'), at);
+    profile.slots.push(slot);
+    this.save(registry);
+    return slot;
+  }
+
+  renameSlot(profileId, slotId, name) {
+    const registry = this.load();
+    const slot = this.findSlot(this.findProfile(registry, profileId), slotId);
+    slot.name = cleanName(name, 'Slot');
+    this.save(registry);
+    return slot;
+  }
+
+  duplicateSlot(profileId, slotId, name, at = Date.now()) {
+    const source = this.findSlot(this.findProfile(this.load(), profileId), slotId);
+    const slot = this.createSlot(profileId, name ?? `${source.name} (copy)`, at);
+    this.copySlotData(profileId, slotId, profileId, slot.id);
+    return slot;
+  }
+
+  /**
+   * Delete a slot's saves. A profile always keeps at least one slot.
+   */
+  deleteSlot(profileId, slotId) {
+    const registry = this.load();
+    const profile = this.findProfile(registry, profileId);
+    this.findSlot(profile, slotId);
+    if (profile.slots.length === 1) throw new Error('A profile needs at least one save slot');
+
+    this.removeSlotData(profileId, slotId);
+    profile.slots = profile.slots.filter(slot => slot.id !== slotId);
+    if (profile.lastSlotId === slotId) profile.lastSlotId = profile.slots[0].id;
+    this.save(registry);
+  }
+
+  /**
+   * Play a slot (and its profile) from now on
+   */
+  switchSlot(profileId, slotId) {
+    const registry = this.load();
+    const profile = this.findProfile(registry, profileId);
+    this.findSlot(profile, slotId);
+    profile.lastSlotId = slotId;
+    registry.activeProfileId = profileId;
+    this.save(registry);
+    return this.getActive();
+  }
+
+  findProfile(registry, profileId) {
+    const profile = registry.profiles.find(p => p.id === profileId);
+    if (!profile) throw new Error(`No profile "${profileId}"`);
+    return profile;
+  }
+
+  findSlot(profile, slotId) {
+    const slot = profile.slots.find(s => s.id === slotId);
+    if (!slot) throw new Error(`${profile.name} has no slot "${slotId}"`);
+    return slot;
+  }
+
+  // Two students with the same name on one computer would be confusing
+  checkProfileName(registry, name, exceptId = null) {
+    const profileName = cleanName(name, 'Profile');
+    const taken = registry.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === profileName.toLowerCase());
+    if (taken) throw new Error(`There is already a profile called "${profileName}"`);
+    return profileName;
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) keys.push(this.storage.key(i));
+    return keys;
+  }
+
+  /**
+   * Keys stored under a slot-scoped key: the key itself, and the per-pack
+   * keys ContentPacks.storageKey() adds after it
+   */
+  slotDataKeys(scopedKey) {
+    return this.keys().filter(key => key === scopedKey || key.startsWith(`${scopedKey}:`));
+  }
+
+  copyKeys(fromKey, toKey, withPacks = true) {
+    const keys = withPacks ? this.slotDataKeys(fromKey) : [fromKey];
+    keys.forEach(key => {
+      const value = this.storage.getItem(key);
+      if (value !== null) this.storage.setItem(toKey + key.slice(fromKey.length), value);
+    });
+  }
+
+  copySlotData(fromProfileId, fromSlotId, toProfileId, toSlotId) {
+    SLOT_KEYS.forEach(baseKey => this.copyKeys(
+      Profiles.storageKey(baseKey, fromProfileId, fromSlotId),
+      Profiles.storageKey(baseKey, toProfileId, toSlotId)
+    ));
+  }
+
+  removeSlotData(profileId, slotId) {
+    SLOT_KEYS.forEach(baseKey => {
+      this.slotDataKeys(Profiles.storageKey(baseKey, profileId, slotId))
+        .forEach(key => this.storage.removeItem(key));
+    });
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Profiles, DEFAULT_PROFILE_ID, DEFAULT_SLOT_ID };
+} else if (typeof window !== 'undefined') {
+  window.Profiles = Profiles;
+}
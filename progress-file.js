@@ -0,0 +1,230 @@
+/**
+ * Progress Files
+ * A student's saved game as a file: a backup they can restore on another
+ * computer, or hand in to a teacher. The file wraps the state saveGameState()
+ * keeps in localStorage with who it belongs to and which content pack it's
+ * for. Files carry a schema version, so older ones can be migrated, and a
+ * SHA-256 checksum, so edited or truncated files are refused.
+ */
+
+const PROGRESS_FILE_FORMAT = 'aicodepedagogy-progress';
+
+// Version 1: the first exports (no version field, no checksum)
+// Version 2: adds version and checksum, and always includes story data
+const PROGRESS_SCHEMA_VERSION = 2;
+
+/**
+ * Upgrades from each older version to the next. Each takes a file object
+ * at that version and returns it at version + 1.
+ */
+const MIGRATIONS = {
+  1: file => ({
+    ...file,
+    version: 2,
+    progress: {
+      successfulCellExecutions: {},
+      cellContent: {},
+      ...file.progress,
+      story: {
+        actions: [],
+        choices: [],
+        performance: {},
+        runHistory: {},
+        ...(file.progress.story || {})
+      }
+    }
+  })
+};
+
+// SHA-256 round constants and initial hash: the first 32 bits of the
+// fractional parts of the cube and square roots of the first primes
+const PRIMES = [];
+for (let n = 2; PRIMES.length < 64; n++) {
+  if (PRIMES.every(p => n % p !== 0)) PRIMES.push(n);
+}
+const fraction = x => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+const SHA256_K = PRIMES.map(p => fraction(Math.cbrt(p)));
+const SHA256_INIT = PRIMES.slice(0, 8).map(p => fraction(Math.sqrt(p)));
+
+/**
+ * SHA-256 of a string's UTF-8 bytes, as hex. Written out rather than using
+ * crypto.subtle, which isn't available to pages served over plain http
+ * (a classroom server) or opened from file://.
+ */
+function sha256(text) {
+  const bytes = new TextEncoder().encode(text);
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  const bitLength = bytes.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+  const hash = SHA256_INIT.slice();
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+  }
+  return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * JSON with object keys sorted at every level, so the same data always
+ * gives the same text (and the same checksum) whatever order it was built in
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : canonicalJson(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * The checksum of everything in a file except the checksum itself
+ */
+function progressChecksum(file) {
+  const { checksum, ...content } = file;
+  return sha256(canonicalJson(content));
+}
+
+/**
+ * Wrap a saved game state for export
+ * @param {Object} progress - The object saveGameState() stores
+ * @param {Object} meta - { student, packId, exportedAt }
+ */
+function createProgressExport(progress, { student = '', packId = 'default', exportedAt = Date.now() } = {}) {
+  const file = {
+    format: PROGRESS_FILE_FORMAT,
+    version: PROGRESS_SCHEMA_VERSION,
+    student: String(student).trim(),
+    packId,
+    exportedAt: new Date(exportedAt).toISOString(),
+    progress
+  };
+  return { ...file, checksum: progressChecksum(file) };
+}
+
+/**
+ * The file name an export downloads as
+ */
+function progressFileName(student, packId = 'default') {
+  const slug = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const parts = ['progress', slug(student) || 'student'];
+  if (packId && packId !== 'default') parts.push(slug(packId));
+  return `${parts.join('-')}.json`;
+}
+
+function isGameState(value) {
+  return Boolean(value) && typeof value === 'object' && Array.isArray(value.completedStages);
+}
+
+/**
+ * Bring a file up to the current schema version
+ */
+function migrateProgressFile(file) {
+  let migrated = file;
+  while (migrated.version < PROGRESS_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Read a progress file. Besides exports this accepts a bare saved state
+ * (the raw localStorage value), naming the student after the file.
+ * @param {string} text - File contents
+ * @param {string} fileName - Used in messages, and for the student's name when the file has none
+ * @returns {{student: string, packId: string, exportedAt: string|null, version: number,
+ *   verified: boolean, progress: Object}} verified is false for files without a
+ *   checksum (from before checksums, or with it removed), which can't be checked
+ * @throws {Error} With a message fit to show the student
+ */
+function parseProgressFile(text, fileName = '') {
+  const name = fileName || 'This file';
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON. It may be incomplete; try downloading it again.`);
+  }
+
+  const fallbackName = String(fileName).replace(/\.json$/i, '').replace(/^progress-/, '');
+  if (isGameState(data)) {
+    data = { format: PROGRESS_FILE_FORMAT, student: fallbackName, packId: 'default', exportedAt: null, progress: data };
+  }
+  if (data?.format !== PROGRESS_FILE_FORMAT) {
+    throw new Error(`${name} is not a progress file`);
+  }
+
+  const version = data.version === undefined ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`${name} has an unknown save version (${data.version})`);
+  }
+  if (version > PROGRESS_SCHEMA_VERSION) {
+    throw new Error(`${name} was saved by a newer version of the game. Update the game to restore it.`);
+  }
+
+  // Checksums arrived with version 2, so anything from then on must have a
+  // matching one. A file with no version and no checksum can't be told apart
+  // from an edited one, so it comes back unverified for the caller to warn about.
+  const verified = version >= 2 || data.checksum !== undefined;
+  if (verified && (typeof data.checksum !== 'string' || data.checksum !== progressChecksum(data))) {
+    throw new Error(`${name} has been changed or is incomplete (its checksum doesn't match), so it can't be restored.`);
+  }
+  if (!isGameState(data.progress)) {
+    throw new Error(`${name} has no saved progress in it`);
+  }
+
+  const file = migrateProgressFile({ ...data, version });
+  return {
+    student: file.student || fallbackName,
+    packId: file.packId || 'default',
+    exportedAt: file.exportedAt || null,
+    version,
+    verified,
+    progress: file.progress
+  };
+}
+
+const ProgressFile = {
+  PROGRESS_FILE_FORMAT,
+  PROGRESS_SCHEMA_VERSION,
+  MIGRATIONS,
+  sha256,
+  canonicalJson,
+  progressChecksum,
+  createProgressExport,
+  progressFileName,
+  migrateProgressFile,
+  parseProgressFile
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressFile;
+} else if (typeof window !== 'undefined') {
+  window.ProgressFile = ProgressFile;
+}
@@ -0,0 +1,595 @@
+/**
+ * Python Runtime
+ * Everything that runs student Python. Skulpt lives in a Web Worker
+ * (python-worker.js) so a busy program never freezes the page and separate
+ * sandboxes never share interpreter state. The page talks to it with messages:
+ *
+ *   page → worker   run {id, code, stdin, limits, namespace}, input {id, value}, interrupt {id},
+ *                   check {id, code, rules}, inspect {id, namespace}, reset {namespace}
+ *   worker → page   ready, stdout {id, text}, input {id, prompt}, error {id, error}, done {id},
+ *                   checked {id, result}, variables {id, variables}
+ *
+ * A run given a namespace keeps its globals there for the next run with the
+ * same namespace, the way a notebook kernel does; without one every run
+ * starts fresh.
+ *
+ * Where workers aren't available (file:// pages, Node) the same host runs
+ * in-page on the global Skulpt instead. Also here: time limits, the stop
+ * control and readable timeout messages that point at the loop that never
+ * finished.
+ */
+
+// execLimit is generous because students can stop a run themselves; yieldLimit
+// keeps the interpreter responsive to interrupts by yielding every 100ms
+const RUN_LIMITS = {
+  execLimit: 30000,
+  yieldLimit: 100
+};
+
+// How long a stopped run gets to notice before its worker is terminated
+const HARD_STOP_MS = 1500;
+
+// Output is batched so a print() in a tight loop doesn't post a message per line
+const OUTPUT_FLUSH_MS = 16;
+
+// Longer values are cut short in the variable inspector
+const MAX_REPR_LENGTH = 120;
+
+/**
+ * Raised when the student presses stop
+ */
+class RunStoppedError extends Error {
+  constructor() {
+    super('Execution stopped');
+    this.name = 'RunStoppedError';
+  }
+}
+
+/**
+ * A Python exception that crossed the sandbox boundary. toString() matches
+ * Skulpt's own errors ("NameError: ... on line 3") and the traceback keeps
+ * line numbers, so callers can treat it like the original.
+ */
+class PythonError extends Error {
+  constructor({ message, traceback = [] }) {
+    super(message);
+    this.name = 'PythonError';
+    this.traceback = traceback;
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+
+/**
+ * Create the stop control for one run. Sandboxes register an onStop
+ * callback to interrupt the run, as does anything waiting on the student
+ * (an input() prompt).
+ */
+function createRunController() {
+  const listeners = [];
+  const controller = {
+    stopped: false,
+    stop() {
+      if (controller.stopped) return;
+      controller.stopped = true;
+      listeners.splice(0).forEach(listener => listener());
+    },
+    onStop(listener) {
+      if (controller.stopped) {
+        listener();
+      } else {
+        listeners.push(listener);
+      }
+    }
+  };
+  return controller;
+}
+
+// Messages for the student, from the locale catalogs (i18n.js). Only the
+// page shows them, so the worker never needs the catalogs.
+function runtimeText(key, params) {
+  return (typeof I18n !== 'undefined' ? I18n : require('./i18n.js')).t(key, params);
+}
+
+// Runs that share one Skulpt instance must take turns: configure() is global
+const hostQueues = new WeakMap();
+
+// code-rules.js: a global in the page and the worker, a module in Node
+function codeRulesLibrary() {
+  return typeof CodeRules !== 'undefined' ? CodeRules : require('./code-rules.js');
+}
+
+/**
+ * The worker side of the protocol: run code on the given Skulpt and report
+ * back through post(). Runs execute one at a time, in order.
+ * @param {Object} Sk - A loaded Skulpt
+ * @param {Function} post - Sends a message to the page
+ * @returns {Function} Handles one message from the page
+ */
+function createPythonHost(Sk, post) {
+  const runs = new Map();
+  const namespaces = new Map();
+  if (!hostQueues.has(Sk)) hostQueues.set(Sk, Promise.resolve());
+
+  const serializeError = (error, stopped) => ({
+    stopped,
+    message: String(error),
+    traceback: (error?.traceback || []).map(frame => ({ lineno: frame.lineno, colno: frame.colno, filename: frame.filename }))
+  });
+
+  function namespaceFor(name) {
+    if (!namespaces.has(name)) {
+      // Skulpt only fills in __name__ for globals it creates itself
+      namespaces.set(name, { __name__: new Sk.builtin.str('__main__') });
+    }
+    return namespaces.get(name);
+  }
+
+  function execute({ id, code, stdin, limits = RUN_LIMITS, namespace = null }) {
+    const state = runs.get(id);
+    if (state.stopped) {
+      runs.delete(id);
+      post({ type: 'error', id, error: serializeError(new RunStoppedError(), true) });
+      return Promise.resolve();
+    }
+
+    let buffer = '';
+    let flushTimer = null;
+    const flush = () => {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      if (buffer) {
+        post({ type: 'stdout', id, text: buffer });
+        buffer = '';
+      }
+    };
+    const write = text => {
+      buffer += text;
+      if (!flushTimer) flushTimer = setTimeout(flush, OUTPUT_FLUSH_MS);
+    };
+
+    // Scripted stdin answers input() directly; otherwise the page is asked.
+    // Skulpt has no EOFError, so running out raises RuntimeError.
+    const scripted = Array.isArray(stdin) ? [...stdin] : null;
+    const inputfun = prompt => {
+      if (scripted) {
+        if (prompt) write(prompt);
+        if (scripted.length === 0) {
+          throw new Sk.builtin.RuntimeError('EOF when reading a line (no more input)');
+        }
+        return String(scripted.shift());
+      }
+      flush();
+      post({ type: 'input', id, prompt: prompt || '' });
+      const askedAt = Date.now();
+      return new Promise((resolve, reject) => {
+        state.answer = value => {
+          // Time spent waiting for the player to type doesn't count toward execLimit
+          if (Sk.execStart) {
+            Sk.execStart = new Date(Number(Sk.execStart) + (Date.now() - askedAt));
+          }
+          resolve(String(value));
+        };
+        state.cancel = reject;
+      });
+    };
+
+    Sk.configure({
+      output: write,
+      inputfun,
+      inputfunTakesPrompt: true,
+      read: name => {
+        if (Sk.builtinFiles === undefined || Sk.builtinFiles.files[name] === undefined) {
+          throw new Error(`File not found: '${name}'`);
+        }
+        return Sk.builtinFiles.files[name];
+      },
+      execLimit: limits.execLimit,
+      yieldLimit: limits.yieldLimit,
+      killableWhile: true,
+      killableFor: true,
+      retainGlobals: Boolean(namespace),
+      __future__: Sk.python3
+    });
+    if (namespace) Sk.globals = namespaceFor(namespace);
+
+    // A stopped run ends at its next yield
+    const suspensionHandlers = {
+      '*': () => {
+        if (state.stopped) throw new RunStoppedError();
+      }
+    };
+
+    return Sk.misceval.asyncToPromise(() => Sk.importMainWithBody('<stdin>', false, code, true), suspensionHandlers)
+      .then(() => {
+        flush();
+        post({ type: 'done', id });
+      })
+      .catch(error => {
+        flush();
+        post({ type: 'error', id, error: serializeError(error, state.stopped) });
+      })
+      .finally(() => runs.delete(id));
+  }
+
+  // Structural checks parse without running anything (see code-rules.js)
+  function check({ id, code, rules }) {
+    const { parsePython, checkCodeRules } = codeRulesLibrary();
+    let result;
+    try {
+      // The parser reads the language version from configure()
+      Sk.configure({ __future__: Sk.python3 });
+      result = checkCodeRules(parsePython(code, Sk), rules);
+    } catch (error) {
+      result = { isValid: false, syntaxError: String(error) };
+    }
+    post({ type: 'checked', id, result });
+  }
+
+  // The globals a namespace holds, without Python's own dunder names
+  function inspect({ id, namespace }) {
+    const globals = namespaces.get(namespace) || {};
+    const variables = Object.keys(globals)
+      .map(key => ({ key, name: Sk.unfixReserved(key) }))
+      .filter(({ name }) => !/^__.*__$/.test(name))
+      .map(({ key, name }) => {
+        const value = globals[key];
+        let repr;
+        try {
+          repr = Sk.misceval.objectRepr(value).v;
+        } catch (error) {
+          repr = '<unavailable>';
+        }
+        return {
+          name,
+          type: value?.ob$type?.prototype?.tp$name || typeof value,
+          value: repr.length > MAX_REPR_LENGTH ? repr.slice(0, MAX_REPR_LENGTH - 1) + '…' : repr
+        };
+      });
+    post({ type: 'variables', id, variables });
+  }
+
+  return function handleMessage(message) {
+    const state = runs.get(message.id);
+    switch (message.type) {
+      case 'run':
+        runs.set(message.id, { stopped: false });
+        hostQueues.set(Sk, hostQueues.get(Sk).then(() => execute(message)));
+        break;
+      case 'check':
+        hostQueues.set(Sk, hostQueues.get(Sk).then(() => check(message)));
+        break;
+      case 'inspect':
+        hostQueues.set(Sk, hostQueues.get(Sk).then(() => inspect(message)));
+        break;
+      case 'reset':
+        hostQueues.set(Sk, hostQueues.get(Sk).then(() => namespaces.delete(message.namespace)));
+        break;
+      case 'input':
+        if (state?.answer) state.answer(message.value);
+        break;
+      case 'interrupt':
+        if (state) {
+          state.stopped = true;
+          if (state.cancel) state.cancel(new RunStoppedError());
+        }
+        break;
+    }
+  };
+}
+
+/**
+ * Run the host in this page on the global (or given) Skulpt. Used where
+ * workers can't load; sandboxes sharing one Skulpt take turns rather than
+ * running side by side.
+ * @param {Function} getSk - Returns the Skulpt to run on
+ */
+function createLocalTransport(getSk = () => globalThis.Sk) {
+  return onMessage => {
+    let host = null;
+    return {
+      post(message) {
+        // Deliver asynchronously, as a worker would
+        Promise.resolve().then(() => {
+          host = host || createPythonHost(getSk(), reply => Promise.resolve().then(() => onMessage(reply)));
+          host(message);
+        });
+      },
+      terminate: null
+    };
+  };
+}
+
+/**
+ * Run the host in a Web Worker, falling back to the page if the worker
+ * can't start (browsers refuse workers on file:// pages)
+ * @param {string} url - The worker script, python-worker.js
+ */
+function createWorkerTransport(url, fallback = createLocalTransport()) {
+  return onMessage => {
+    const waiting = [];
+    let worker = null;
+    let ready = false;
+    let local = null;
+
+    const useLocal = () => {
+      if (worker) worker.terminate();
+      worker = null;
+      local = fallback(onMessage);
+      waiting.splice(0).forEach(message => local.post(message));
+    };
+
+    try {
+      worker = new Worker(url);
+      worker.onmessage = event => {
+        if (event.data.type === 'ready') {
+          ready = true;
+          waiting.splice(0).forEach(message => worker.postMessage(message));
+          return;
+        }
+        onMessage(event.data);
+      };
+      worker.onerror = event => {
+        if (ready) {
+          console.error('Python worker error:', event.message);
+          return;
+        }
+        console.warn('Python worker unavailable, running Python in the page:', event.message);
+        if (event.preventDefault) event.preventDefault();
+        useLocal();
+      };
+    } catch (error) {
+      console.warn('Python worker unavailable, running Python in the page:', error.message);
+      useLocal();
+    }
+
+    return {
+      post(message) {
+        if (local) {
+          local.post(message);
+        } else if (ready) {
+          worker.postMessage(message);
+        } else {
+          waiting.push(message);
+        }
+      },
+      get terminate() {
+        return local ? null : () => worker.terminate();
+      }
+    };
+  };
+}
+
+/**
+ * The page side of the protocol: one isolated Python interpreter. Each
+ * sandbox has its own worker, so a grading run never touches the state or
+ * output hooks of the student's run.
+ */
+class PythonSandbox {
+  /**
+   * @param {Object} options - { workerUrl } to run in a worker, or
+   *   { createTransport } to supply the connection (tests, Node)
+   */
+  constructor({ workerUrl = null, createTransport = null } = {}) {
+    this.createTransport = createTransport ||
+      (workerUrl && typeof Worker !== 'undefined' ? createWorkerTransport(workerUrl) : createLocalTransport());
+    this.transport = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  connect() {
+    if (!this.transport) {
+      this.transport = this.createTransport(message => this.handleMessage(message));
+    }
+    return this.transport;
+  }
+
+  /**
+   * Run code to completion
+   * @param {string} code
+   * @param {Object} options
+   * @param {string[]} [options.stdin] - Scripted input() answers; running out raises an error
+   * @param {Function} [options.onInput] - (prompt) => answer or Promise, for interactive runs
+   * @param {Function} [options.onOutput] - Receives printed text as it arrives
+   * @param {Object} [options.run] - A createRunController() to stop the run
+   * @param {Object} [options.limits] - Overrides RUN_LIMITS
+   * @param {string} [options.namespace] - Run against, and keep, this namespace's globals
+   * @returns {Promise<string>} Everything printed
+   * @throws {PythonError|RunStoppedError}
+   */
+  run(code, { stdin = [], onInput = null, onOutput = null, run = null, limits = RUN_LIMITS, namespace = null } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { output: '', onInput, onOutput, resolve, reject });
+      this.connect().post({ type: 'run', id, code, stdin: onInput ? null : stdin, limits: { ...limits }, namespace });
+      if (run) run.onStop(() => this.interrupt(id));
+    });
+  }
+
+  /**
+   * Check code against structural rules (code-rules.js) without running it
+   * @returns {Promise<{isValid: boolean, index?: number, rule?: Object, syntaxError?: string}>}
+   */
+  checkCode(code, rules) {
+    if (!rules || rules.length === 0) return Promise.resolve({ isValid: true });
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.connect().post({ type: 'check', id, code, rules });
+    });
+  }
+
+  /**
+   * The variables a namespace holds, for the variable inspector
+   * @returns {Promise<Array<{name: string, type: string, value: string}>>}
+   */
+  inspect(namespace) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.connect().post({ type: 'inspect', id, namespace });
+    });
+  }
+
+  /**
+   * Forget a namespace's globals (restarting the kernel). Runs queued before
+   * this still see them.
+   */
+  resetNamespace(namespace) {
+    if (this.transport) this.transport.post({ type: 'reset', namespace });
+  }
+
+  /**
+   * Stop a run. If it doesn't stop itself in time (a worker stuck outside
+   * Skulpt's yields), the worker is terminated and replaced on the next run.
+   */
+  interrupt(id) {
+    if (!this.pending.has(id) || !this.transport) return;
+    this.transport.post({ type: 'interrupt', id });
+
+    const terminate = this.transport.terminate;
+    if (!terminate) return;
+    const transport = this.transport;
+    setTimeout(() => {
+      if (!this.pending.has(id) || this.transport !== transport) return;
+      terminate();
+      this.transport = null;
+      this.pending.forEach(pending => pending.reject(new RunStoppedError()));
+      this.pending.clear();
+    }, HARD_STOP_MS);
+  }
+
+  handleMessage(message) {
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+
+    switch (message.type) {
+      case 'stdout':
+        pending.output += message.text;
+        if (pending.onOutput) pending.onOutput(message.text);
+        break;
+      case 'input':
+        Promise.resolve()
+          .then(() => pending.onInput(message.prompt))
+          .then(
+            value => this.transport?.post({ type: 'input', id: message.id, value: String(value) }),
+            () => this.interrupt(message.id)
+          );
+        break;
+      case 'done':
+        this.pending.delete(message.id);
+        pending.resolve(pending.output);
+        break;
+      case 'checked':
+        this.pending.delete(message.id);
+        pending.resolve(message.result);
+        break;
+      case 'variables':
+        this.pending.delete(message.id);
+        pending.resolve(message.variables);
+        break;
+      case 'error':
+        this.pending.delete(message.id);
+        pending.reject(message.error.stopped ? new RunStoppedError() : new PythonError(message.error));
+        break;
+    }
+  }
+}
+
+/**
+ * Skulpt's TimeLimitError, raised when execLimit runs out
+ */
+function isTimeLimitError(error) {
+  return /^TimeLimitError/.test(String(error));
+}
+
+/**
+ * Line number a Skulpt error was raised on
+ * @returns {number|null}
+ */
+function getErrorLine(error) {
+  const frame = error?.traceback?.[0];
+  if (frame?.lineno) return frame.lineno;
+  const match = String(error).match(/on line (\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find the loop a line belongs to: the line itself if it's a loop header,
+ * otherwise the nearest less-indented for/while above it
+ * @returns {{line: number, text: string}|null} 1-based line and its source
+ */
+function findLoopLine(code, lineNumber) {
+  const lines = code.split('\n');
+  if (!lineNumber || lineNumber > lines.length) return null;
+
+  const isLoop = text => /^\s*(for|while)\b/.test(text);
+  const indent = text => text.match(/^\s*/)[0].length;
+
+  let depth = indent(lines[lineNumber - 1]);
+  for (let i = lineNumber - 1; i >= 0; i--) {
+    const text = lines[i];
+    if (!text.trim()) continue;
+    if (i === lineNumber - 1 || indent(text) < depth) {
+      if (isLoop(text)) {
+        return { line: i + 1, text: text.trim() };
+      }
+      depth = Math.min(depth, indent(text));
+    }
+  }
+  return null;
+}
+
+/**
+ * Explain a time-limit stop in terms of the student's code
+ * @param {string} code - The code that ran
+ * @param {*} error - Skulpt's TimeLimitError
+ * @param {Object} options - { lineOffset } lines of earlier cells prepended to code
+ */
+function describeTimeout(code, error, { lineOffset = 0 } = {}) {
+  const seconds = Math.round(RUN_LIMITS.execLimit / 1000);
+  const intro = runtimeText('timeout.intro', { seconds });
+  const loop = findLoopLine(code, getErrorLine(error));
+
+  if (!loop) {
+    return `${intro} ${runtimeText('timeout.noLoop')}`;
+  }
+  if (loop.line <= lineOffset) {
+    return `${intro} ${runtimeText('timeout.earlierCell', { loop: loop.text })}`;
+  }
+  return `${intro} ${runtimeText('timeout.loop', { line: loop.line - lineOffset, loop: loop.text })}`;
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RUN_LIMITS,
+    RunStoppedError,
+    PythonError,
+    createRunController,
+    createPythonHost,
+    createLocalTransport,
+    createWorkerTransport,
+    PythonSandbox,
+    isTimeLimitError,
+    getErrorLine,
+    findLoopLine,
+    describeTimeout
+  };
+} else if (typeof window !== 'undefined') {
+  window.RUN_LIMITS = RUN_LIMITS;
+  window.RunStoppedError = RunStoppedError;
+  window.PythonError = PythonError;
+  window.createRunController = createRunController;
+  window.createPythonHost = createPythonHost;
+  window.createLocalTransport = createLocalTransport;
+  window.createWorkerTransport = createWorkerTransport;
+  window.PythonSandbox = PythonSandbox;
+  window.isTimeLimitError = isTimeLimitError;
+  window.getErrorLine = getErrorLine;
+  window.findLoopLine = findLoopLine;
+  window.describeTimeout = describeTimeout;
+}
@@ -0,0 +1,12 @@
+/**
+ * Python Worker
+ * Runs Skulpt off the main thread. The message protocol and the run host
+ * live in python-runtime.js; this file only loads them and says it's ready.
+ */
+
+importScripts('vendor/skulpt/skulpt.min.js', 'vendor/skulpt/skulpt-stdlib.js', 'code-rules.js', 'python-runtime.js');
+
+const handleMessage = createPythonHost(self.Sk, message => self.postMessage(message));
+
+self.onmessage = event => handleMessage(event.data);
+self.postMessage({ type: 'ready' });
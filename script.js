@@ -6,36 +6,94 @@ let cellEditors = []
 let completedStages = []
 let skulptReady = false
 let skulptLoadPromise = null
-let skulptEnvironment = null // Persistent Skulpt environment for multi-cell stages
 let successfulCellExecutions = {} // Track which cells have executed successfully by stage
 let savedCellContent = {} // Track cell content across all stages
+let cellHistory = {} // Snapshots of each cell's code by stage and cell, for restoring earlier versions
+let hintLadder = {} // How far up each stage's hint ladder the player has climbed (hint-ladder.js)
+let narrativeEngine = null // Branching story engine, created once content loads
+let stageAttempt = null // Runs, errors and hints for the stage in progress (feeds endings)
+let activePackId = DEFAULT_PACK_ID // Content pack in play; namespaces saved progress
+const playerProfiles = new Profiles(localStorage) // Who is playing and in which save slot; namespaces saves and settings
+let cellInputHistory = {} // Values typed into input() per stage and cell, replayed when grading re-runs them
+let activeRun = null // Stop control for the Python run in progress
+let selectedCellIndex = 0 // Cell the player last worked in, for "Run all above"
+let variableInspectorOpen = false // Whether the variables panel is showing
+const pythonSandboxes = {} // Isolated interpreters: 'student' for the player's runs, 'reference' for grading
+
+// The player's language (see i18n.js). It's read once here, before any
+// messages are built; changing it reloads the page.
+I18n.setLocale(I18n.loadLocale(localStorage, playerProfiles.profileKey(I18n.LOCALE_KEY)))
 
 
 // Offline storage utility functions
+
+// Progress is saved per save slot and content pack so neither overwrites another
+function getProgressKey () {
+  return ContentPacks.storageKey(playerProfiles.slotKey('aicodepedagogy_progress'), activePackId)
+}
+
+// Everything saveGameState() stores. Run records and code snapshots grow
+// with every run, so the oldest are trimmed to keep the save a bounded size.
+function currentGameState () {
+  CellHistory.trimToSize(cellHistory)
+  TutorAnalytics.trimRunHistory(playerTracker.runHistory)
+  return {
+    currentStage: currentStage,
+    completedStages: completedStages,
+    successfulCellExecutions: Object.fromEntries(
+      Object.entries(successfulCellExecutions).map(([key, value]) => [
+        key,
+        Array.from(value)
+      ])
+    ),
+    cellContent: getCellContentForAllStages(),
+    cellHistory: cellHistory,
+    hintLadder: hintLadder,
+    story: playerTracker.serialize(),
+    lastSaved: Date.now()
+  }
+}
+
 function saveGameState () {
   try {
-    const gameState = {
-      currentStage: currentStage,
-      completedStages: completedStages,
-      successfulCellExecutions: Object.fromEntries(
-        Object.entries(successfulCellExecutions).map(([key, value]) => [
-          key,
-          Array.from(value)
-        ])
-      ),
-      cellContent: getCellContentForAllStages(),
-      lastSaved: Date.now()
-    }
-    localStorage.setItem('aicodepedagogy_progress', JSON.stringify(gameState))
+    localStorage.setItem(getProgressKey(), JSON.stringify(currentGameState()))
+    hideSaveWarning()
     console.log('Game state saved to localStorage')
   } catch (error) {
     console.warn('Failed to save game state:', error)
+    showSaveWarning()
   }
 }
 
+// Tell the student when their work isn't being saved (usually because the
+// browser's storage is full), with a way to keep it as a file instead
+function showSaveWarning () {
+  if (document.getElementById('save-warning')) return
+  const banner = document.createElement('div')
+  banner.id = 'save-warning'
+  banner.className = 'save-warning'
+  banner.setAttribute('role', 'alert')
+  banner.textContent = t('save.failed')
+
+  const download = document.createElement('button')
+  download.textContent = t('save.download')
+  download.addEventListener('click', downloadProgress)
+  const dismiss = document.createElement('button')
+  dismiss.textContent = t('save.dismiss')
+  dismiss.addEventListener('click', () => banner.remove())
+
+  banner.appendChild(download)
+  banner.appendChild(dismiss)
+  document.body.appendChild(banner)
+}
+
+function hideSaveWarning () {
+  document.getElementById('save-warning')?.remove()
+}
+
 function loadGameState () {
   try {
-    const saved = localStorage.getItem('aicodepedagogy_progress')
+    const saved = localStorage.getItem(getProgressKey())
     if (!saved) return false
 
     const gameState = JSON.parse(saved)
@@ -56,6 +114,13 @@ function loadGameState () {
 
     // Restore saved cell content
     savedCellContent = gameState.cellContent || {}
+    cellHistory = gameState.cellHistory || {}
+    hintLadder = gameState.hintLadder || {}
+
+    // Restore story choices so later stages keep the chosen narrative path
+    if (gameState.story) {
+      playerTracker.restore(gameState.story)
+    }
 
     console.log('Game state loaded from localStorage')
     return gameState
@@ -119,15 +184,121 @@ function restoreCellContent (gameState) {
   }, 100)
 }
 
+const STUDENT_NAME_KEY = 'aicodepedagogy_student_name'
+
+// Download this pack's saved progress as a file: a backup to restore on
+// another computer, or something to hand in to a teacher
+function downloadProgress () {
+  const student = prompt(
+    'Your name, so your teacher knows whose progress this is (optional):',
+    localStorage.getItem(playerProfiles.profileKey(STUDENT_NAME_KEY)) || ''
+  )
+  if (student === null) return false
+  localStorage.setItem(playerProfiles.profileKey(STUDENT_NAME_KEY), student.trim())
+
+  // Built from the game in memory, so a download works even when saving to
+  // this browser's storage has failed
+  saveGameState()
+  const saved = JSON.parse(JSON.stringify(currentGameState()))
+
+  const file = ProgressFile.createProgressExport(saved, { student, packId: activePackId })
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = ProgressFile.progressFileName(student, activePackId)
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+  return true
+}
+
+// Replace this browser's progress with a downloaded progress file. The file
+// is checked (and migrated if it's from an older version) before anything
+// is overwritten.
+async function restoreProgress (file) {
+  let restored
+  try {
+    restored = ProgressFile.parseProgressFile(await file.text(), file.name)
+  } catch (error) {
+    alert(error.message)
+    return false
+  }
+
+  const who = restored.student ? t('progress.restoreFor', { student: restored.student }) : ''
+  const when = restored.exportedAt ? t('progress.restoreFrom', { date: new Date(restored.exportedAt).toLocaleString() }) : ''
+  const warning = restored.verified ? '' : t('progress.unverified') + '\n\n'
+  if (!confirm(warning + t('progress.confirmRestore', { who, when }))) {
+    return false
+  }
+
+  localStorage.setItem(
+    ContentPacks.storageKey(playerProfiles.slotKey('aicodepedagogy_progress'), restored.packId),
+    JSON.stringify(restored.progress)
+  )
+  if (restored.packId !== activePackId) {
+    alert(t('progress.otherPack', { pack: restored.packId }))
+    return true
+  }
+  window.location.reload()
+  return true
+}
+
+function setupProgressFiles () {
+  const downloadButton = document.getElementById('download-progress-button')
+  const restoreButton = document.getElementById('restore-progress-button')
+  const restoreInput = document.getElementById('restore-progress-input')
+  if (!downloadButton || !restoreButton || !restoreInput) return
+
+  downloadButton.addEventListener('click', downloadProgress)
+  restoreButton.addEventListener('click', () => restoreInput.click())
+  restoreInput.addEventListener('change', async () => {
+    if (restoreInput.files[0]) await restoreProgress(restoreInput.files[0])
+    restoreInput.value = ''
+  })
+}
+
+// Say who is playing, and link back to the start screen to switch
+function showActiveProfile () {
+  const badge = document.getElementById('profile-badge')
+  if (!badge) return
+  const { profile, slot } = playerProfiles.getActive()
+  badge.textContent = `👤 ${profile.name} · ${slot.name}`
+}
+
+// The language picker in the header. The choice belongs to the player
+// profile and applies on reload, when messages and content are translated.
+function setupLanguageSwitcher () {
+  const select = document.getElementById('language-select')
+  if (!select) return
+  Object.entries(I18n.LOCALES).forEach(([locale, name]) => {
+    const option = document.createElement('option')
+    option.value = locale
+    option.textContent = name
+    select.appendChild(option)
+  })
+  select.value = I18n.getLocale()
+  select.addEventListener('change', () => {
+    I18n.saveLocale(localStorage, playerProfiles.profileKey(I18n.LOCALE_KEY), select.value)
+    // Keep code typed since the last run
+    if (gameContent) saveGameState()
+    window.location.reload()
+  })
+}
+
 function clearGameProgress () {
   try {
-    localStorage.removeItem('aicodepedagogy_progress')
-    localStorage.removeItem('aicodepedagogy_tutorials_seen')
+    localStorage.removeItem(getProgressKey())
+    localStorage.removeItem(playerProfiles.profileKey('aicodepedagogy_tutorials_seen'))
     // Reset to initial state
     currentStage = 0
     completedStages = []
     successfulCellExecutions = {}
     savedCellContent = {}
+    cellHistory = {}
+    cellInputHistory = {}
+    playerTracker = new PlayerStoryTracker()
     console.log('Game progress cleared')
     return true
   } catch (error) {
@@ -195,15 +366,11 @@ async function initializeGame () {
   try {
     console.log('Starting game initialization...')
 
-    // Load game content from JSON file first (don't wait for Skulpt)
+    // Load game content first (don't wait for Skulpt)
     console.log('Loading game content...')
-    const response = await fetch('game-content.json')
-    if (!response.ok) {
-      throw new Error('Failed to load game content')
-    }
-
-    gameContent = await response.json()
-    console.log('Game content loaded successfully')
+    gameContent = await loadGameContent()
+    narrativeEngine = new NarrativeEngine(gameContent)
+    console.log(`Game content loaded successfully (pack: ${activePackId})`)
 
     // Set game title and subtitle
     document.getElementById('game-title').textContent =
@@ -211,14 +378,19 @@ async function initializeGame () {
     document.getElementById('game-subtitle').textContent =
       gameContent.gameInfo.subtitle
 
+    // Show the pack's own mentor in the chat UI
+    applyMentorToChat()
+
     // Create developer navigation
     createDevNav()
 
     // Try to load saved progress
     const savedState = loadGameState()
 
-    // Load the appropriate stage (saved or default to Stage 0 tutorial)
-    loadStage(savedState ? currentStage : 0)
+    // Load the appropriate stage (saved or default to the first stage)
+    const firstStageId = gameContent.stages[0].id
+    const hasSavedStage = savedState && gameContent.stages.some(s => s.id === currentStage)
+    loadStage(hasSavedStage ? currentStage : firstStageId)
 
     // Restore cell content if available
     if (savedState) {
@@ -247,15 +419,165 @@ async function initializeGame () {
     console.log('LLM integration initialized')
   } catch (error) {
     console.error('Error initializing game:', error)
-    const storyElement = document.getElementById('story-content')
+    const storyElement =
+      document.getElementById('story-content') ||
+      document.getElementById('story-progress')
     if (storyElement) {
-      storyElement.innerHTML = `<p>Error loading game content. Please refresh the page or try again later.</p>
-             <p>Technical details: ${error.message}</p>
-             <p>If this persists, try clearing your browser cache and refreshing.</p>`
+      storyElement.innerHTML = `<p>${t('init.loadFailed')}</p>
+             <p>${t('init.details', { error: escapeHtml(error.message) })}</p>
+             <p>${t('init.clearCache')}</p>`
+    }
+  }
+}
+
+// Pick the content to play: a ?pack= URL wins, then a pack the player picked
+// earlier, then the bundled game-content.json
+async function loadGameContent () {
+  const packs = new ContentPacks(localStorage)
+  const requested = ContentPacks.getRequestedPack(window.location.search)
+
+  if (requested && requested !== DEFAULT_PACK_ID) {
+    const content = await ContentPacks.fetchPack(requested)
+    activePackId = ContentPacks.getPackId(content)
+    return content
+  }
+  if (requested === DEFAULT_PACK_ID) {
+    packs.useDefault()
+  }
+
+  const stored = packs.getActive()
+  if (stored) {
+    activePackId = stored.id
+    return stored.content
+  }
+
+  const response = await fetch('game-content.json')
+  if (!response.ok) {
+    throw new Error('Failed to load game content')
+  }
+  activePackId = DEFAULT_PACK_ID
+  return localizeGameContent(await response.json())
+}
+
+// Translate the bundled content when there's a game-content.<locale>.json
+// for the player's language. Content packs play as written.
+async function localizeGameContent (content) {
+  const url = I18n.contentOverlayUrl(I18n.getLocale())
+  if (!url) return content
+  try {
+    const response = await fetch(url)
+    if (!response.ok) return content
+    return I18n.localizeContent(content, await response.json())
+  } catch (error) {
+    console.warn(`No ${I18n.getLocale()} translation of the game content:`, error)
+    return content
+  }
+}
+
+// Install a content pack the player picked or dropped, then restart on it
+async function installContentPack (file) {
+  try {
+    const content = ContentPacks.parse(await file.text())
+    const packId = new ContentPacks(localStorage).install(content)
+    console.log(`Content pack installed: ${packId}`)
+    reloadWithoutPackParam()
+  } catch (error) {
+    console.error('Failed to load content pack:', error)
+    alert(error.message)
+  }
+}
+
+// Return to the bundled curriculum (picked packs keep their progress)
+function useDefaultContent () {
+  new ContentPacks(localStorage).useDefault()
+  reloadWithoutPackParam()
+}
+
+// A ?pack= parameter would override the choice just made, so drop it
+function reloadWithoutPackParam () {
+  const url = new URL(window.location.href)
+  url.searchParams.delete('pack')
+  window.location.href = url.toString()
+}
+
+// Wire up the content pack button, file picker and drag-and-drop
+function setupContentPacks () {
+  const packButton = document.getElementById('content-pack-button')
+  const packInput = document.getElementById('content-pack-input')
+  const defaultButton = document.getElementById('default-content-button')
+
+  if (packButton && packInput) {
+    packButton.addEventListener('click', () => packInput.click())
+    packInput.addEventListener('change', () => {
+      if (packInput.files[0]) {
+        installContentPack(packInput.files[0])
+      }
+      packInput.value = ''
+    })
+  }
+
+  if (defaultButton) {
+    defaultButton.addEventListener('click', useDefaultContent)
+  }
+
+  // Dropping a .json file anywhere on the page loads it as a pack
+  document.addEventListener('dragover', event => {
+    if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+      event.preventDefault()
+      document.body.classList.add('pack-drop-target')
+    }
+  })
+  document.addEventListener('dragleave', event => {
+    if (!event.relatedTarget) {
+      document.body.classList.remove('pack-drop-target')
     }
+  })
+  document.addEventListener('drop', event => {
+    document.body.classList.remove('pack-drop-target')
+    const file = event.dataTransfer && event.dataTransfer.files[0]
+    if (file && /\.json$/i.test(file.name)) {
+      event.preventDefault()
+      installContentPack(file)
+    }
+  })
+}
+
+// Show which pack is in play and offer the way back to the bundled content
+function updateContentPackControls () {
+  const defaultButton = document.getElementById('default-content-button')
+  if (defaultButton) {
+    defaultButton.style.display = activePackId === DEFAULT_PACK_ID ? 'none' : ''
+  }
+  const packButton = document.getElementById('content-pack-button')
+  if (packButton && activePackId !== DEFAULT_PACK_ID) {
+    packButton.title = t('packs.playingTitle', { title: gameContent.gameInfo.title })
   }
 }
 
+// The pack's mentor character (the bundled content's is Dr. Rodriguez)
+function getMentor () {
+  const info = gameContent?.characterInfo || {}
+  return {
+    name: info.shortName || info.name || 'Your mentor',
+    avatar: info.avatar || '👩‍🔬',
+    image: info.image || 'rodriguez-avatar.svg'
+  }
+}
+
+// Name the chat panel and toggle after the pack's mentor
+function applyMentorToChat () {
+  const mentor = getMentor()
+  const header = document.querySelector('#chat-panel .chat-panel-header h4')
+  if (header) {
+    header.textContent = `${mentor.avatar} ${mentor.name}`
+  }
+  const toggle = document.getElementById('chat-toggle-btn')
+  if (toggle) {
+    toggle.title = t('chat.toggleMentor', { name: mentor.name })
+  }
+  updateContentPackControls()
+}
+
 // Load a specific stage
 function loadStage (stageId) {
   if (!gameContent) {
@@ -276,12 +598,16 @@ function loadStage (stageId) {
   }
 
   currentStage = stageId
+  resetStageAttempt(stageId)
 
   // Update narrative strip (top of new layout)
   updateNarrativeStrip(
     stage.narrativeIntro || stage.story.substring(0, 100) + "...",
     stage.challenge
   );
+
+  // Layer on anything the player's earlier story choices changed
+  showPathContext(stage);
   
   // Update data card in reference panel
   updateDataCard(stage.data);
@@ -290,21 +616,21 @@ function loadStage (stageId) {
   // Keep backward compatibility with old story panel if it exists
   const storyContent = document.getElementById('story-content');
   if (storyContent) {
-    storyContent.innerHTML = stage.story.replace(/\n/g, '<br>');
+    storyContent.innerHTML = packHtml(getStageStory(stage)).replace(/\n/g, '<br>');
   }
   
   const challengeContent = document.getElementById('challenge-content');
   if (challengeContent) {
-    challengeContent.innerHTML = `<strong>Challenge:</strong> ${stage.challenge.replace(/\n/g, '<br>')}`;
+    challengeContent.innerHTML = `<strong>Challenge:</strong> ${packHtml(stage.challenge).replace(/\n/g, '<br>')}`;
   }
   
   const dataContent = document.getElementById('data-content');
   if (dataContent) {
-    dataContent.innerHTML = `<strong>Data:</strong><br>${stage.data.replace(/\n/g, '<br>')}`;
+    dataContent.innerHTML = `<strong>Data:</strong><br>${packHtml(stage.data).replace(/\n/g, '<br>')}`;
   }
 
   // Update progress bar
-  const progressPercent = (stageId / gameContent.gameInfo.totalStages) * 100
+  const progressPercent = (stageId / gameContent.stages.length) * 100
   document.getElementById('progress-bar').style.width = `${progressPercent}%`
 
   // Update dev navigation
@@ -312,8 +638,9 @@ function loadStage (stageId) {
   // Handle single vs multi-cell stages
   if (stage.cells) {
     setupMultiCellStage(stage)
-    // Initialize successful execution tracking for this stage
+    // Initialize successful execution tracking for this stage, with a fresh kernel to match
     successfulCellExecutions[stageId] = new Set()
+    restartKernel(stageId)
   } else {
     setupSingleCellStage(stage)
   }
@@ -341,6 +668,11 @@ function loadStage (stageId) {
     window.gameAPI.updateAgencyForStage(stageId)
   }
 
+  // AI edits listed for undo belong to the stage they were made in
+  if (window.llmIntegration) {
+    window.llmIntegration.renderCheckpoints()
+  }
+
   // Save state AFTER stage is fully set up (not before)
   if (gameContent && window.gameInitialized) {
     // Use setTimeout to ensure editor content is settled before saving
@@ -376,22 +708,24 @@ function setupSingleCellStage (stage) {
     <svg class="play-icon" viewBox="0 0 24 24">
       <path d="M8 5v14l11-7z"/>
     </svg>
-    <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+    <svg class="stop-icon" viewBox="0 0 24 24">
       <rect x="6" y="6" width="12" height="12"/>
     </svg>
   `
 
   const cellTitle = document.createElement('span')
   cellTitle.className = 'cell-title'
-  cellTitle.textContent = 'Code Cell'
+  cellTitle.textContent = t('cell.title')
 
   const cellStatus = document.createElement('span')
   cellStatus.className = 'cell-status pending'
-  cellStatus.textContent = 'Pending'
+  cellStatus.textContent = t('cell.status.pending')
   cellStatus.id = 'single-cell-status'
 
   cellHeader.appendChild(cellNumber)
   cellHeader.appendChild(cellTitle)
+  cellHeader.appendChild(createCellHistoryButton(0))
+  cellHeader.appendChild(createStarterButton(0))
   cellHeader.appendChild(cellStatus)
   cellContainer.appendChild(cellHeader)
   // Create code editor container
@@ -416,10 +750,10 @@ function setupSingleCellStage (stage) {
   const outputHeader = document.createElement('div')
   outputHeader.className = 'output-header'
   outputHeader.innerHTML = `
-    <svg class="output-toggle" viewBox="0 0 24 24">
+    <svg class="output-toggle" viewBox="0 0 24 24" aria-hidden="true">
       <path d="M7 10l5 5 5-5z"/>
     </svg>
-    <span class="output-label">Output</span>
+    <span class="output-label">${t('cell.output')}</span>
     <span class="output-counter" id="single-output-counter"></span>
   `
   outputContainer.appendChild(outputHeader)
@@ -454,11 +788,15 @@ function setupSingleCellStage (stage) {
     autoCloseBrackets: true,
     viewportMargin: Infinity, // Auto-resize height
     lineWrapping: true, // Enable line wrapping for mobile
+    screenReaderLabel: t('cell.editorLabel', { cell: t('cell.title') }),
     hintOptions: {
       hint: CodeMirror.hint.python,
       completeSingle: false
     },
     extraKeys: {
+      Esc: function () {
+        cellNumber.focus() // Tab indents, so Esc is the way out of the editor
+      },
       'Ctrl-Enter': function () {
         runPythonCode(editor.getValue(), stage.solution)
       },
@@ -515,8 +853,13 @@ function setupSingleCellStage (stage) {
     }
   })
 
-  // Set up cell number click to run code (replacing separate run button)
+  // Set up cell number click to run code (replacing separate run button),
+  // or to stop it while it is running
   cellNumber.onclick = function () {
+    if (cellNumber.classList.contains('running')) {
+      stopActiveRun()
+      return
+    }
     runPythonCode(editor.getValue(), stage.solution)
   }
 
@@ -525,6 +868,8 @@ function setupSingleCellStage (stage) {
     toggleSingleOutputCollapse()
   }
 
+  describeCellControls(t('cell.title'), cellNumber, outputHeader, outputArea)
+
   // Refresh editor to ensure proper layout calculation
   setTimeout(() => {
     editor.refresh()
@@ -550,6 +895,28 @@ function isMobileDevice () {
     (window.innerWidth <= 768)
 }
 
+// Name a cell's controls for screen readers. The cell number is its run
+// button (Enter or Space runs, or stops a run in progress), and the output
+// header expands and collapses the output, which can be tabbed to and read.
+function describeCellControls (cellName, cellNumber, outputHeader, outputArea) {
+  Accessibility.makeActivatable(cellNumber, t('cell.run', { cell: cellName }))
+  new MutationObserver(() => {
+    const running = cellNumber.classList.contains('running')
+    cellNumber.setAttribute('aria-label', t(running ? 'cell.stop' : 'cell.run', { cell: cellName }))
+  }).observe(cellNumber, { attributes: true, attributeFilter: ['class'] })
+
+  Accessibility.makeActivatable(outputHeader, t('cell.outputToggle', { cell: cellName }))
+  outputHeader.setAttribute('aria-controls', outputArea.id)
+  outputHeader.setAttribute('aria-expanded', 'true')
+  new MutationObserver(() => {
+    outputHeader.setAttribute('aria-expanded', String(!outputArea.classList.contains('collapsed')))
+  }).observe(outputArea, { attributes: true, attributeFilter: ['class'] })
+
+  outputArea.setAttribute('role', 'region')
+  outputArea.setAttribute('aria-label', t('cell.outputOf', { cell: cellName }))
+  outputArea.setAttribute('tabindex', '0')
+}
+
 // Toggle single cell output collapse
 function toggleSingleOutputCollapse () {
   const outputArea = document.getElementById('single-output-area')
@@ -600,6 +967,10 @@ function setupMultiCellStage (stage) {
   // Clear existing cells
   document.getElementById('cells-container').innerHTML = ''
   cellEditors = []
+  selectedCellIndex = 0
+
+  // Notebook actions and the variable inspector sit above the cells
+  createKernelToolbar()
 
   // Create cells for this stage
   stage.cells.forEach((cell, index) => {
@@ -625,6 +996,36 @@ function setupMultiCellStage (stage) {
   }, 50)
 }
 
+// Toolbar for a multi-cell stage's kernel: run all, run all above and the
+// variable inspector (restart lives with the other runtime controls)
+function createKernelToolbar () {
+  const toolbar = document.createElement('div')
+  toolbar.className = 'kernel-toolbar'
+  toolbar.innerHTML = `
+    <button class="kernel-button" id="run-all-button" title="${t('kernel.runAllTitle')}">${t('kernel.runAll')}</button>
+    <button class="kernel-button" id="run-all-above-button" title="${t('kernel.runAboveTitle')}">${t('kernel.runAbove')}</button>
+    <button class="kernel-button" id="variables-button" title="${t('kernel.variablesTitle')}">${t('kernel.variables')}</button>
+  `
+
+  const inspector = document.createElement('div')
+  inspector.className = 'variable-inspector'
+  inspector.id = 'variable-inspector'
+  inspector.style.display = variableInspectorOpen ? 'block' : 'none'
+
+  const container = document.getElementById('cells-container')
+  container.appendChild(toolbar)
+  container.appendChild(inspector)
+
+  toolbar.querySelector('#run-all-button').onclick = () => runAllCells()
+  toolbar.querySelector('#run-all-above-button').onclick = () =>
+    runAllCells(selectedCellIndex)
+  toolbar.querySelector('#variables-button').onclick = toggleVariableInspector
+  toolbar
+    .querySelector('#variables-button')
+    .classList.toggle('active', variableInspectorOpen)
+  refreshVariableInspector()
+}
+
 // Global execution counter
 let executionCounter = 0
 
@@ -649,22 +1050,24 @@ function createCodeCell (cell, index, totalCells) {
     <svg class="play-icon" viewBox="0 0 24 24">
       <path d="M8 5v14l11-7z"/>
     </svg>
-    <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+    <svg class="stop-icon" viewBox="0 0 24 24">
       <rect x="6" y="6" width="12" height="12"/>
     </svg>
   `
 
   const cellTitle = document.createElement('span')
   cellTitle.className = 'cell-title'
-  cellTitle.textContent = cell.title || `Code Cell ${index + 1}`
+  cellTitle.textContent = cell.title || t('cell.numberedTitle', { number: index + 1 })
 
   const cellStatus = document.createElement('span')
   cellStatus.className = 'cell-status pending'
-  cellStatus.textContent = 'Pending'
+  cellStatus.textContent = t('cell.status.pending')
   cellStatus.id = `cell-status-${index}`
 
   cellHeader.appendChild(cellNumber)
   cellHeader.appendChild(cellTitle)
+  cellHeader.appendChild(createCellHistoryButton(index))
+  cellHeader.appendChild(createStarterButton(index))
   cellHeader.appendChild(cellStatus)
   cellContainer.appendChild(cellHeader)
 
@@ -672,7 +1075,7 @@ function createCodeCell (cell, index, totalCells) {
   if (cell.instruction) {
     const instruction = document.createElement('div')
     instruction.className = 'cell-instruction'
-    instruction.innerHTML = cell.instruction
+    instruction.innerHTML = packHtml(cell.instruction)
     cellContainer.appendChild(instruction)
   }
   // Create code editor container
@@ -704,10 +1107,10 @@ function createCodeCell (cell, index, totalCells) {
   const outputHeader = document.createElement('div')
   outputHeader.className = 'output-header'
   outputHeader.innerHTML = `
-    <svg class="output-toggle" viewBox="0 0 24 24">
+    <svg class="output-toggle" viewBox="0 0 24 24" aria-hidden="true">
       <path d="M7 10l5 5 5-5z"/>
     </svg>
-    <span class="output-label">Output</span>
+    <span class="output-label">${t('cell.output')}</span>
     <span class="output-counter" id="output-counter-${index}"></span>
   `
   outputContainer.appendChild(outputHeader)
@@ -735,11 +1138,15 @@ function createCodeCell (cell, index, totalCells) {
       autoCloseBrackets: true,
       viewportMargin: Infinity, // Auto-resize height
       lineWrapping: true, // Enable line wrapping for mobile
+      screenReaderLabel: t('cell.editorLabel', { cell: cellTitle.textContent }),
       hintOptions: {
         hint: CodeMirror.hint.python,
         completeSingle: false
       },
       extraKeys: {
+        Esc: function () {
+          cellNumber.focus() // Tab indents, so Esc is the way out of the editor
+        },
         'Ctrl-Enter': function () {
           runCellCode(
             cellEditor.getValue(),
@@ -775,6 +1182,10 @@ function createCodeCell (cell, index, totalCells) {
   )
   cellEditors.push(cellEditor)
 
+  cellEditor.on('focus', function () {
+    selectedCellIndex = index
+  })
+
   // Add change listener to save state when content changes
   cellEditor.on('change', function () {
     // Debounce the save to avoid too frequent saves
@@ -808,8 +1219,13 @@ function createCodeCell (cell, index, totalCells) {
     }
   })
 
-  // Set up cell number click to run code (replacing separate run button)
+  // Set up cell number click to run code (replacing separate run button),
+  // or to stop it while it is running
   cellNumber.onclick = function () {
+    if (cellNumber.classList.contains('running')) {
+      stopActiveRun()
+      return
+    }
     runCellCode(cellEditor.getValue(), cell.expectedOutput, index, totalCells)
   }
 
@@ -817,6 +1233,8 @@ function createCodeCell (cell, index, totalCells) {
   outputHeader.onclick = function () {
     toggleOutputCollapse(index)
   }
+
+  describeCellControls(cellTitle.textContent, cellNumber, outputHeader, outputArea)
 }
 
 // Toggle output section collapse
@@ -886,49 +1304,108 @@ function updateCellExecutionIndicators () {
 
 // Set up hint buttons and text
 function setupHints (stage) {
-  const hintsContainer = document.getElementById('hints-container')
-  const hintTextContainer = document.getElementById('hint-text-container')
+  // Clear existing hints, and any AI hint from the last stage
+  document.getElementById('hints-container').innerHTML = ''
+  document.getElementById('hint-text-container').innerHTML = ''
 
-  // Clear existing hints
-  hintsContainer.innerHTML = ''
-  hintTextContainer.innerHTML = ''
+  renderHintLadder(stage)
 
-  // Check if LLM mode is enabled
+  // With AI on, Dr. Rodriguez's chat panel is set up too
   if (ollamaLLM && ollamaLLM.isEnabled) {
-    // LLM mode - show query buttons instead of traditional hints
     ollamaLLM.updateHintSystem()
-    document.querySelector('.hint-section').style.display = 'block'
-    return
   }
+}
+
+// Whether the next rung after the authored hints can be an AI hint
+function aiHintsAvailable () {
+  return Boolean(ollamaLLM && ollamaLLM.isEnabled && ollamaLLM.selectedModel)
+}
+
+// The hint ladder: a button for each authored hint already revealed, then
+// one for the next rung. AI hints are offered once the authored ones run out.
+function renderHintLadder (stage = gameContent.stages.find(s => s.id === currentStage)) {
+  const hintsContainer = document.getElementById('hints-container')
+  const hintTextContainer = document.getElementById('hint-text-container')
+  const rungs = HintLadder.authoredRungs(stage)
+  const position = HintLadder.positionFor(hintLadder, stage.id)
+  const next = HintLadder.nextRung(rungs, position, aiHintsAvailable())
+
+  hintsContainer.innerHTML = ''
+  hintTextContainer.querySelectorAll('.hint-text').forEach(el => el.remove())
 
-  // Traditional hint mode
-  // If no hints, hide the section
-  if (!stage.hints || stage.hints.length === 0) {
+  // If there are no hints at all, hide the section
+  if (rungs.length === 0 && !next) {
     document.querySelector('.hint-section').style.display = 'none'
     return
   }
-
-  // Show the hint section
   document.querySelector('.hint-section').style.display = 'block'
 
-  // Create hint buttons and text elements
-  stage.hints.forEach((hint, index) => {
-    // Create button
+  rungs.slice(0, position.reached).forEach((rung, index) => {
     const hintButton = document.createElement('button')
     hintButton.className = 'hint-button'
-    hintButton.textContent = `Hint ${index + 1}`
+    hintButton.textContent = hintRungLabel(stage, rung)
     hintButton.onclick = function () {
       showHint(index)
     }
     hintsContainer.appendChild(hintButton)
 
-    // Create text element (hidden initially)
+    // Create text element (hidden until its button is pressed)
     const hintText = document.createElement('div')
     hintText.className = 'hint-text'
     hintText.id = `hint-${index}`
-    hintText.textContent = hint
+    hintText.textContent = rung.text
     hintTextContainer.appendChild(hintText)
   })
+
+  if (next) {
+    const nextButton = document.createElement('button')
+    nextButton.className = 'hint-button next-hint'
+    nextButton.textContent = next.kind === 'ai'
+      ? t('hints.askAI')
+      : t('hints.next', { label: hintRungLabel(stage, rungs[next.index]) })
+    nextButton.onclick = takeNextHint
+    hintsContainer.appendChild(nextButton)
+  }
+
+  if (rungs.length > 0) {
+    const progress = document.createElement('span')
+    progress.className = 'hint-ladder-progress'
+    progress.textContent = t('hints.progress', { seen: position.reached, total: rungs.length })
+    hintsContainer.appendChild(progress)
+  }
+}
+
+function hintRungLabel (stage, rung) {
+  if (rung.cell === null) return t('hints.button', { number: rung.number })
+  const cellTitle = stage.cells[rung.cell].title || t('cell.numberedTitle', { number: rung.cell + 1 })
+  return t('hints.cellButton', { number: rung.number, cell: cellTitle })
+}
+
+// Step up the current stage's ladder and save the new position
+// @returns the rung taken (see HintLadder.nextRung), or null at the top
+function climbHintLadder () {
+  const stage = gameContent.stages.find(s => s.id === currentStage)
+  const rungs = HintLadder.authoredRungs(stage)
+  const position = HintLadder.positionFor(hintLadder, currentStage)
+  const rung = HintLadder.nextRung(rungs, position, aiHintsAvailable())
+  if (!rung) return null
+
+  hintLadder[currentStage] = HintLadder.climb(position, rungs, rung)
+  saveGameState()
+  renderHintLadder(stage)
+  return rung
+}
+
+// The ladder's next rung from the hint section: reveal the next authored
+// hint, or ask the AI for one
+function takeNextHint () {
+  const rung = climbHintLadder()
+  if (!rung) return
+  if (rung.kind === 'authored') {
+    showHint(rung.index)
+  } else {
+    ollamaLLM.queryLLM('hint')
+  }
 }
 
 // Show a specific hint
@@ -940,6 +1417,179 @@ function showHint (hintIndex) {
 
   // Show the selected hint
   document.getElementById(`hint-${hintIndex}`).classList.add('active')
+  noteHintUsed(hintIndex)
+}
+
+// The sandbox for a kind of run. The player's runs and grading runs (solutions
+// and scripted-input re-runs) each get their own worker, so they never share
+// interpreter state or output.
+function getSandbox (role) {
+  if (!pythonSandboxes[role]) {
+    pythonSandboxes[role] = new PythonSandbox({ workerUrl: 'python-worker.js' })
+  }
+  return pythonSandboxes[role]
+}
+
+// Begin a Python run. The player has one program running at a time, so any
+// run still in progress is stopped first.
+function startRun () {
+  stopActiveRun()
+  activeRun = createRunController()
+  return activeRun
+}
+
+// Stop the run in progress (the cell number's stop icon)
+function stopActiveRun () {
+  if (activeRun) {
+    activeRun.stop()
+    activeRun = null
+  }
+}
+
+function finishRun (run) {
+  if (activeRun === run) {
+    activeRun = null
+  }
+}
+
+// Each multi-cell stage is a notebook: its cells run one at a time against a
+// single live namespace in the student sandbox, so variables carry over
+// without re-running the cells above
+function kernelNamespace (stageId = currentStage) {
+  return `stage-${stageId}`
+}
+
+// Forget the stage's variables. Anything still running is stopped first.
+function restartKernel (stageId = currentStage) {
+  stopActiveRun()
+  getSandbox('student').resetNamespace(kernelNamespace(stageId))
+}
+
+// Run cells in order, stopping at the first that errors or doesn't pass.
+// With no end given this runs every cell.
+async function runAllCells (endIndex = cellEditors.length) {
+  const stage = gameContent.stages.find(s => s.id === currentStage)
+  if (!stage || !stage.cells) return false
+
+  for (let i = 0; i < Math.min(endIndex, stage.cells.length); i++) {
+    const passed = await runCellCode(
+      cellEditors[i].getValue(),
+      stage.cells[i].expectedOutput,
+      i,
+      stage.cells.length
+    )
+    if (!passed) return false
+  }
+  return true
+}
+
+// Run one cell (or the single editor) as its run button would, for callers
+// that need to wait for the result. Resolves to whether it passed.
+async function runStageCell (cellIndex = 0) {
+  const stage = gameContent.stages.find(s => s.id === currentStage)
+  if (!stage) return false
+
+  if (stage.cells) {
+    return runCellCode(
+      cellEditors[cellIndex].getValue(),
+      stage.cells[cellIndex].expectedOutput,
+      cellIndex,
+      stage.cells.length
+    )
+  }
+  await runPythonCode(editor.getValue(), stage.solution)
+  return document.getElementById('single-cell-status').classList.contains('completed')
+}
+
+function toggleVariableInspector () {
+  variableInspectorOpen = !variableInspectorOpen
+  const inspector = document.getElementById('variable-inspector')
+  if (inspector) {
+    inspector.style.display = variableInspectorOpen ? 'block' : 'none'
+  }
+  const button = document.getElementById('variables-button')
+  if (button) button.classList.toggle('active', variableInspectorOpen)
+  refreshVariableInspector()
+}
+
+// Show the kernel's current globals in the variable inspector
+async function refreshVariableInspector () {
+  const inspector = document.getElementById('variable-inspector')
+  if (!inspector || !variableInspectorOpen) return
+
+  let variables
+  try {
+    variables = await getSandbox('student').inspect(kernelNamespace())
+  } catch (error) {
+    console.warn('Could not read variables:', error)
+    return
+  }
+
+  if (variables.length === 0) {
+    inspector.innerHTML =
+      `<p class="variable-inspector-empty">${t('variables.empty')}</p>`
+    return
+  }
+
+  const rows = variables
+    .map(
+      variable => `
+      <tr>
+        <td class="variable-name">${escapeHtml(variable.name)}</td>
+        <td class="variable-type">${escapeHtml(variable.type)}</td>
+        <td class="variable-value">${escapeHtml(variable.value)}</td>
+      </tr>`
+    )
+    .join('')
+  inspector.innerHTML = `
+    <table>
+      <thead><tr><th>${t('variables.name')}</th><th>${t('variables.type')}</th><th>${t('variables.value')}</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `
+}
+
+// Show that the student stopped a run
+function showRunStopped (outputArea, cellStatus) {
+  outputArea.textContent += '\n' + t('run.stopped')
+  outputArea.classList.remove('success', 'error')
+  cellStatus.textContent = t('cell.status.stopped')
+  cellStatus.className = 'cell-status pending'
+}
+
+// Read a finished run out to screen readers: the cell's status, then its
+// feedback, the error or the start of the output, then the cell it unlocked.
+// Single-cell stages pass no index.
+function announceRunResult (cellIndex = null) {
+  const single = cellIndex === null
+  const cell = document.getElementById(single ? 'single-cell' : `cell-${cellIndex}`)
+  if (!cell) return // The stage changed while the code ran
+  const cellStatus = cell.querySelector('.cell-status')
+  const outputArea = cell.querySelector('.output-area')
+  const feedback = outputArea.querySelector('.cell-feedback')
+  const failed = cellStatus.classList.contains('error')
+  const lines = outputArea.textContent.trim().split('\n')
+
+  let next = ''
+  if (cellStatus.classList.contains('completed')) {
+    const nextTitle = single ? null : document.querySelector(`#cell-${cellIndex + 1} .cell-title`)
+    if (nextTitle) {
+      next = t('a11y.cellUnlocked', { cell: nextTitle.textContent })
+    } else if (document.getElementById('next-button').classList.contains('active')) {
+      next = t('a11y.stageComplete')
+    }
+  }
+
+  Accessibility.announce(
+    Accessibility.summarizeRun({
+      cell: cell.querySelector('.cell-title').textContent,
+      status: cellStatus.textContent,
+      feedback: feedback ? feedback.textContent : failed ? lines[lines.length - 1] : '',
+      output: outputArea.textContent,
+      next
+    }),
+    { assertive: failed }
+  )
 }
 
 // Run Python code (for single-cell stages) with Colab-style output
@@ -957,12 +1607,14 @@ async function runPythonCode (code, solution) {
 
   // Increment execution counter and update display
   executionCounter++
+  noteCodeRun()
+  const run = startRun()
   cellNumber.innerHTML = `
     [${executionCounter}]
     <svg class="play-icon" viewBox="0 0 24 24">
       <path d="M8 5v14l11-7z"/>
     </svg>
-    <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+    <svg class="stop-icon" viewBox="0 0 24 24">
       <rect x="6" y="6" width="12" height="12"/>
     </svg>
   `
@@ -972,33 +1624,31 @@ async function runPythonCode (code, solution) {
   outputContainer.style.display = 'block'
   outputArea.classList.remove('empty', 'collapsed')
   outputArea.classList.add('success')
-  outputArea.textContent = 'Running code...'
+  outputArea.textContent = t('run.running')
 
   // Switch to running state with rotating border
   cellNumber.classList.add('running')
 
-  cellStatus.textContent = 'Running'
+  cellStatus.textContent = t('cell.status.running')
   cellStatus.className = 'cell-status current'
 
   // Update counter
   const now = new Date()
-  outputCounter.textContent = `Executed at ${now.getHours()}:${now
-    .getMinutes()
-    .toString()
-    .padStart(2, '0')}`
+  outputCounter.textContent = t('run.executedAt', {
+    time: `${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`
+  })
 
   // Ensure Skulpt is ready
   if (!skulptReady) {
     try {
-      outputArea.textContent = 'Loading Python engine...'
+      outputArea.textContent = t('run.loadingEngine')
       await createSkulptLoadPromise()
     } catch (error) {
-      outputArea.textContent =
-        'Error: Python engine failed to load. Please refresh the page.'
+      outputArea.textContent = t('run.engineFailed')
       outputArea.classList.remove('success')
       outputArea.classList.add('error')
       cellNumber.classList.remove('running')
-      cellStatus.textContent = 'Error'
+      cellStatus.textContent = t('cell.status.error')
       cellStatus.className = 'cell-status error'
       console.error('Skulpt loading error:', error)
       return
@@ -1008,53 +1658,54 @@ async function runPythonCode (code, solution) {
   try {
     // Variable to capture output text for validation
     let capturedOutput = ''
-
-    // Configure Skulpt using the correct API
-    Sk.pre = 'output'
-    Sk.configure({
-      output: function (text) {
-        outputArea.textContent += text
-        capturedOutput += text
-      },
-      read: function (x) {
-        if (
-          Sk.builtinFiles === undefined ||
-          Sk.builtinFiles['files'][x] === undefined
-        ) {
-          throw "File not found: '" + x + "'"
-        }
-        return Sk.builtinFiles['files'][x]
-      },
-      execLimit: 10000,
-      __future__: Sk.python3
-    })
+    const write = function (text) {
+      outputArea.textContent += text
+      capturedOutput += text
+    }
 
     // Clear output area
-    outputArea.textContent = '' // Run the code using the correct API
-    const promise = Sk.misceval.asyncToPromise(function () {
-      return Sk.importMainWithBody('<stdin>', false, code, true)
+    outputArea.textContent = ''
+    const promise = getSandbox('student').run(code, {
+      onOutput: write,
+      onInput: createInlineInput(outputArea, write, { run }),
+      run
     })
 
-    promise
+    await promise
       .then(() => {
         // Reset cell number to normal state
         cellNumber.classList.remove('running')
 
         // Pass the captured output to validation
-        checkCompletion(code, solution, capturedOutput.trim())
+        return checkCompletion(code, solution, capturedOutput.trim())
       })
       .catch(e => {
-        outputArea.textContent += '\nError: ' + e.toString()
-        outputArea.classList.remove('success')
-        outputArea.classList.add('error')
-
         // Reset cell number to normal state
         cellNumber.classList.remove('running')
 
-        cellStatus.textContent = 'Error'
+        if (run.stopped) {
+          showRunStopped(outputArea, cellStatus)
+          noteRunResult('stopped', code)
+          return
+        }
+
+        noteCodeError(e)
+        noteRunResult(isTimeLimitError(e) ? 'timeout' : 'error', code, { error: e })
+        outputArea.textContent += isTimeLimitError(e)
+          ? '\n' + describeTimeout(code, e)
+          : '\nError: ' + e.toString()
+        outputArea.classList.remove('success')
+        outputArea.classList.add('error')
+
+        cellStatus.textContent = t(isTimeLimitError(e) ? 'cell.status.timedOut' : 'cell.status.error')
         cellStatus.className = 'cell-status error'
       })
+      .finally(() => {
+        finishRun(run)
+        announceRunResult()
+      })
   } catch (e) {
+    finishRun(run)
     outputArea.textContent += '\nError: ' + e.toString()
     outputArea.classList.remove('success')
     outputArea.classList.add('error')
@@ -1062,7 +1713,7 @@ async function runPythonCode (code, solution) {
     // Reset cell number to normal state
     cellNumber.classList.remove('running')
 
-    cellStatus.textContent = 'Error'
+    cellStatus.textContent = t('cell.status.error')
     cellStatus.className = 'cell-status error'
   }
 }
@@ -1084,12 +1735,14 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
 
   // Increment execution counter and update display
   executionCounter++
+  noteCodeRun()
+  const run = startRun()
   cellNumber.innerHTML = `
     [${executionCounter}]
     <svg class="play-icon" viewBox="0 0 24 24">
       <path d="M8 5v14l11-7z"/>
     </svg>
-    <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+    <svg class="stop-icon" viewBox="0 0 24 24">
       <rect x="6" y="6" width="12" height="12"/>
     </svg>
   `
@@ -1099,105 +1752,82 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
   outputContainer.style.display = 'block'
   outputArea.classList.remove('empty', 'collapsed')
   outputArea.classList.add('success')
-  outputArea.textContent = 'Running code...'
+  outputArea.textContent = t('run.running')
 
   // Switch to running state with rotating border
   cellNumber.classList.add('running')
 
-  cellStatus.textContent = 'Running'
+  cellStatus.textContent = t('cell.status.running')
   cellStatus.className = 'cell-status current'
 
   // Update counter
   const now = new Date()
-  outputCounter.textContent = `Executed at ${now.getHours()}:${now
-    .getMinutes()
-    .toString()
-    .padStart(2, '0')}`
+  outputCounter.textContent = t('run.executedAt', {
+    time: `${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`
+  })
 
   // Ensure Skulpt is ready
   if (!skulptReady) {
     try {
-      outputArea.textContent = 'Loading Python engine...'
+      outputArea.textContent = t('run.loadingEngine')
       await createSkulptLoadPromise()
     } catch (error) {
-      outputArea.textContent =
-        'Error: Python engine failed to load. Please refresh the page.'
+      outputArea.textContent = t('run.engineFailed')
       outputArea.classList.remove('success')
       outputArea.classList.add('error')
       cellNumber.classList.remove('running')
-      cellStatus.textContent = 'Error'
+      cellStatus.textContent = t('cell.status.error')
       cellStatus.className = 'cell-status error'
       console.error('Skulpt loading error:', error)
-      return
+      return false
     }
   } // Store output to compare with expected
   let outputText = ''
+  const write = function (text) {
+    outputText += text
+    outputArea.textContent += text
+  }
+  // input() answers typed during this run. Grading re-runs the passing cells
+  // above along with this one, so their answers are replayed too.
+  const typedInputs = []
+  const stageInputs = cellInputHistory[currentStage] || {}
+  const successfulCells = successfulCellExecutions[currentStage] || new Set()
+  const replayInputs = []
+  let cellsAboveCode = '' // The passing cells above, for grading re-runs
+  for (let i = 0; i < cellIndex; i++) {
+    if (successfulCells.has(i)) {
+      replayInputs.push(...(stageInputs[i] || []))
+      const cellCode = cellEditors[i].getValue()
+      if (cellCode.trim()) {
+        cellsAboveCode += cellCode + '\n'
+      }
+    }
+  }
   try {
-    // Configure Skulpt to capture output for this cell
-    Sk.pre = 'output'
-    Sk.configure({
-      output: function (text) {
-        outputText += text
-        outputArea.textContent += text
-      },
-      read: function (x) {
-        if (
-          Sk.builtinFiles === undefined ||
-          Sk.builtinFiles['files'][x] === undefined
-        ) {
-          throw "File not found: '" + x + "'"
-        }
-        return Sk.builtinFiles['files'][x]
-      },
-      execLimit: 10000,
-      __future__: Sk.python3
-    }) // Clear output area for this cell
+    // Clear output area for this cell
     outputArea.textContent = ''
-    outputText = '' // Execute code in the persistent environment to maintain variables between cells
+    outputText = ''
     try {
-      // For multi-cell stages, we need to maintain the Python namespace between executions
-      // Build accumulated code from successfully executed cells plus the current cell
-      let accumulatedCode = ''
-
-      // Get current stage to access all cells
-      const stage = gameContent.stages.find(s => s.id === currentStage)
-      if (stage && stage.cells) {
-        // Add code from all successfully executed cells first
-        const successfulCells =
-          successfulCellExecutions[currentStage] || new Set()
-        for (let i = 0; i < cellIndex; i++) {
-          if (successfulCells.has(i)) {
-            const cellCode = cellEditors[i].getValue()
-            if (cellCode.trim()) {
-              accumulatedCode += cellCode + '\n'
-            }
-          }
-        }
-
-        // Add the current cell's code (always include it for execution)
-        const currentCellCode = cellEditors[cellIndex].getValue()
-        if (currentCellCode.trim()) {
-          accumulatedCode += currentCellCode + '\n'
-        }
-      } // Execute the accumulated code to maintain variable persistence
-      console.log(`Cell ${cellIndex}: Executing accumulated code`)
-      console.log(
-        'Successful cells included:',
-        Array.from(successfulCellExecutions[currentStage] || [])
-      )
-      console.log('Current cell being executed:', cellIndex)
-      console.log('Accumulated code:', accumulatedCode)
-      const promise = Sk.misceval.asyncToPromise(function () {
-        return Sk.importMainWithBody('<stdin>', false, accumulatedCode, true)
+      // Only this cell runs; the stage's kernel already holds what the cells above defined
+      const promise = getSandbox('student').run(code, {
+        namespace: kernelNamespace(),
+        onOutput: write,
+        onInput: createInlineInput(outputArea, write, {
+          typed: typedInputs,
+          run
+        }),
+        run
       })
 
-      promise
-        .then(() => {
+      // Resolves to whether the cell passed, so "Run all" knows when to stop
+      return await promise
+        .then(async () => {
           // Execution was successful - mark this cell as successfully executed
           if (!successfulCellExecutions[currentStage]) {
             successfulCellExecutions[currentStage] = new Set()
           }
           successfulCellExecutions[currentStage].add(cellIndex)
+          cellInputHistory[currentStage] = { ...stageInputs, [cellIndex]: typedInputs }
           saveGameState()
 
           // Reset cell number to normal state
@@ -1207,12 +1837,31 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
           const stage = gameContent.stages.find(s => s.id === currentStage)
           const cellData = stage && stage.cells ? stage.cells[cellIndex] : null
 
+          // Interactive cells are graded on a fresh re-run, with the cells
+          // above, using their scripted input
+          let validatedOutput = outputText
+          if (cellData?.validation?.stdin) {
+            try {
+              validatedOutput = await executeCodeAndCaptureOutput(
+                cellsAboveCode + code,
+                [...replayInputs, ...cellData.validation.stdin]
+              )
+            } catch (error) {
+              validatedOutput = ''
+              console.log('Scripted input run failed:', error.toString())
+            }
+          }
+
+          // The cell's own code must have the structure its rules ask for
+          const structure = await checkCodeStructure(code, cellData?.validation?.codeRules)
+
           // Check if output matches expected with enhanced validation
-          if (checkCellOutput(outputText, expectedOutput, cellData)) {
-            cellStatus.textContent = 'Completed'
+          if (structure.isValid && checkCellOutput(validatedOutput, expectedOutput, cellData)) {
+            cellStatus.textContent = t('cell.status.completed')
             cellStatus.className = 'cell-status completed'
             outputArea.classList.remove('error')
             outputArea.classList.add('success')
+            noteRunResult('passed', code, { cell: cellIndex })
             
             // Add inline narrative response
             const narrativeMessage = getNarrativeResponse(currentStage, cellIndex, outputText);
@@ -1226,6 +1875,7 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
 
             // Update visual indicators
             updateCellExecutionIndicators()
+            return true
           } else {
             // Validation failed - remove this cell from successful executions
             if (successfulCellExecutions[currentStage]) {
@@ -1237,12 +1887,14 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
               outputText,
               expectedOutput,
               cellData,
-              cellIndex
+              cellIndex,
+              structure
             )
             cellStatus.textContent = specificFeedback.statusText
             cellStatus.className = 'cell-status error'
             outputArea.classList.remove('success')
             outputArea.classList.add('error')
+            noteRunResult('failed', code, { cell: cellIndex })
 
             // Add helpful feedback to the output area
             const feedbackDiv = document.createElement('div')
@@ -1250,6 +1902,17 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
             feedbackDiv.innerHTML = specificFeedback.detailedMessage
             outputArea.appendChild(feedbackDiv)
 
+            // Cells without validation rules are matched flexibly by
+            // checkCellOutput; output checks only count once the code passes
+            const checksRun = structure.isValid && cellData?.validation
+            showOutputFeedback(outputArea, {
+              expected: expectedOutput,
+              actual: validatedOutput,
+              flexible: cellData?.validation ? Boolean(cellData.validation.flexible) : true,
+              unmet: checksRun ? unmetCellChecks(validatedOutput, cellData.validation) : [],
+              stage
+            })
+
             // Automatically show relevant hints if validation fails
             if (specificFeedback.suggestedHints.length > 0) {
               showSpecificHints(specificFeedback.suggestedHints)
@@ -1264,6 +1927,7 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
 
             // Update visual indicators
             updateCellExecutionIndicators()
+            return false
           }
         })
         .catch(e => {
@@ -1271,21 +1935,40 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
           if (successfulCellExecutions[currentStage]) {
             successfulCellExecutions[currentStage].delete(cellIndex)
           }
-          console.error('Error executing code:', e)
-          outputArea.textContent += '\nError: ' + e.toString()
-          outputArea.classList.remove('success')
-          outputArea.classList.add('error')
 
           // Reset cell number to normal state
           cellNumber.classList.remove('running')
 
-          cellStatus.textContent = 'Error'
+          if (run.stopped) {
+            showRunStopped(outputArea, cellStatus)
+            noteRunResult('stopped', code, { cell: cellIndex })
+            updateCellExecutionIndicators()
+            return false
+          }
+
+          console.error('Error executing code:', e)
+          noteCodeError(e)
+          noteRunResult(isTimeLimitError(e) ? 'timeout' : 'error', code, { cell: cellIndex, error: e })
+          outputArea.textContent += isTimeLimitError(e)
+            ? '\n' + describeTimeout(code, e)
+            : '\nError: ' + e.toString()
+          outputArea.classList.remove('success')
+          outputArea.classList.add('error')
+
+          cellStatus.textContent = t(isTimeLimitError(e) ? 'cell.status.timedOut' : 'cell.status.error')
           cellStatus.className = 'cell-status error'
 
           // Update visual indicators
           updateCellExecutionIndicators()
+          return false
+        })
+        .finally(() => {
+          finishRun(run)
+          refreshVariableInspector()
+          announceRunResult(cellIndex)
         })
     } catch (e) {
+      finishRun(run)
       console.error('Error in code execution setup:', e)
       outputArea.textContent += '\nError: ' + e.toString()
       outputArea.classList.remove('success')
@@ -1294,8 +1977,9 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
       // Reset cell number to normal state
       cellNumber.classList.remove('running')
 
-      cellStatus.textContent = 'Error'
+      cellStatus.textContent = t('cell.status.error')
       cellStatus.className = 'cell-status error'
+      return false
     }
   } catch (e) {
     console.error('Error in runCellCode:', e)
@@ -1306,8 +1990,9 @@ async function runCellCode (code, expectedOutput, cellIndex, totalCells) {
     // Reset cell number to normal state
     cellNumber.classList.remove('running')
 
-    cellStatus.textContent = 'Error'
+    cellStatus.textContent = t('cell.status.error')
     cellStatus.className = 'cell-status error'
+    return false
   }
 }
 
@@ -1396,34 +2081,163 @@ function patternBasedMatch (output, expected) {
 // Validate cell output using pattern-based validation rules
 function validateCellWithPatterns (output, validation) {
   if (!validation) return true
+  return unmetCellChecks(output, validation).length === 0
+}
 
+// The checks in a cell's validation rules that its output doesn't meet:
+// output patterns, required numbers and required text, in that order
+function unmetCellChecks (output, validation) {
   const normalizedOutput = output.toLowerCase().replace(/\s+/g, ' ').trim()
+  const outputNumbers = extractNumbers(output)
+  const unmet = []
 
-  // Check required output patterns
-  if (validation.outputPatterns) {
-    const patterns = validation.outputPatterns.map(p => new RegExp(p, 'i'))
-    const passed = patterns.every(pattern => pattern.test(normalizedOutput))
-    if (!passed) return false
-  }
+  ;(validation.outputPatterns || []).forEach((pattern, index) => {
+    if (!new RegExp(pattern, 'i').test(normalizedOutput)) unmet.push({ type: 'pattern', value: pattern, index })
+  })
+  ;(validation.requiredNumbers || []).forEach(num => {
+    if (!outputNumbers.some(outNum => Math.abs(outNum - num) < 0.001)) unmet.push({ type: 'number', value: num })
+  })
+  ;(validation.requiredText || []).forEach(text => {
+    if (!normalizedOutput.includes(text.toLowerCase())) unmet.push({ type: 'text', value: text })
+  })
+  return unmet
+}
 
-  // Check required numbers in output
-  if (validation.requiredNumbers) {
-    const outputNumbers = extractNumbers(output)
-    const hasAllNumbers = validation.requiredNumbers.every(num =>
-      outputNumbers.some(outNum => Math.abs(outNum - num) < 0.001)
-    )
-    if (!hasAllNumbers) return false
-  }
+// The same advice whenever a run prints nothing
+function noOutputMessage () {
+  return `
+      <strong>${t('feedback.noOutput.title')}</strong><br>
+      ${t('feedback.noOutput.body')}
+      <ul>
+        <li>${t('feedback.noOutput.usePrint')}</li>
+        <li>${t('feedback.noOutput.indent')}</li>
+        <li>${t('feedback.noOutput.executes')}</li>
+      </ul>
+    `
+}
 
-  // Check required text phrases
-  if (validation.requiredText) {
-    const hasAllText = validation.requiredText.every(text =>
-      normalizedOutput.includes(text.toLowerCase())
-    )
-    if (!hasAllText) return false
+// Under the feedback of a failed check: the expected output next to the
+// player's, and any output checks it missed
+function showOutputFeedback (outputArea, { expected, actual, flexible, unmet, stage }) {
+  clearOutputDiff(outputArea)
+  showOutputDiff(outputArea, expected, actual, flexible)
+  showUnmetChecks(outputArea, unmet, stage)
+}
+
+// Show the expected output next to the player's, under the feedback of a
+// failed check. Lines are compared as the validator compares them: with
+// `flexible`, lines may come in any order and extra lines are fine.
+function showOutputDiff (outputArea, expectedOutput, actualOutput, flexible) {
+  if (!expectedOutput || expectedOutput.length === 0) return
+
+  const diff = OutputDiff.compareOutput(expectedOutput, actualOutput, {
+    flexible,
+    matches: flexible ? flexibleOutputMatch : undefined
+  })
+  if (diff.missing + diff.extra + diff.changed === 0) return
+
+  const panel = document.createElement('details')
+  panel.className = 'output-diff'
+  panel.open = true
+  const summary = document.createElement('summary')
+  summary.textContent = `${t('diff.title')} · ${t('diff.summary', diff)}`
+  panel.appendChild(summary)
+
+  const table = document.createElement('table')
+  const head = table.createTHead().insertRow()
+  ;[t('diff.expected'), t('diff.yours')].forEach(label => {
+    const th = document.createElement('th')
+    th.scope = 'col'
+    th.textContent = label
+    head.appendChild(th)
+  })
+  const body = table.createTBody()
+  diff.rows.forEach(row => {
+    const tr = body.insertRow()
+    tr.className = `output-diff-${row.type}`
+    const expectedCell = tr.insertCell()
+    const actualCell = tr.insertCell()
+    if (row.type === 'changed') {
+      // Characters only in the expected line are marked on the left,
+      // characters only in the player's on the right
+      row.parts.forEach(part => {
+        if (part.type !== 'extra') expectedCell.appendChild(diffPart(part))
+        if (part.type !== 'missing') actualCell.appendChild(diffPart(part))
+      })
+    } else {
+      expectedCell.textContent = row.expected ?? ''
+      actualCell.textContent = row.actual ?? ''
+    }
+    if (row.type === 'missing') actualCell.appendChild(diffGap(t('diff.missingLine')))
+    if (row.type === 'extra') expectedCell.appendChild(diffGap(t('diff.extraLine')))
+  })
+  panel.appendChild(table)
+
+  if (flexible) {
+    const note = document.createElement('p')
+    note.className = 'output-diff-note'
+    note.textContent = t('diff.flexibleNote')
+    panel.appendChild(note)
   }
+  outputArea.appendChild(panel)
+}
 
-  return true
+// Pattern-graded checks don't compare the whole output, so list the
+// patterns, numbers and text the output missed
+function showUnmetChecks (outputArea, unmet, stage) {
+  if (unmet.length === 0) return
+
+  const panel = document.createElement('details')
+  panel.className = 'output-diff output-checks'
+  panel.open = true
+  const summary = document.createElement('summary')
+  summary.textContent = t('diff.checksTitle', { count: unmet.length })
+  panel.appendChild(summary)
+
+  const list = document.createElement('ul')
+  unmet.forEach(check => {
+    const item = document.createElement('li')
+    if (check.type === 'pattern') {
+      item.textContent = explainOutputPattern(check.value, check.index, stage)
+    } else {
+      item.textContent = t(check.type === 'number' ? 'diff.checkNumber' : 'diff.checkText', { value: check.value })
+    }
+    list.appendChild(item)
+  })
+  panel.appendChild(list)
+  outputArea.appendChild(panel)
+}
+
+function clearOutputDiff (outputArea) {
+  outputArea.querySelectorAll('.output-diff').forEach(panel => panel.remove())
+}
+
+function diffPart (part) {
+  if (part.type === 'same') return document.createTextNode(part.text)
+  const mark = document.createElement('mark')
+  mark.className = `diff-${part.type}`
+  mark.title = t(part.type === 'missing' ? 'diff.missingChars' : 'diff.extraChars')
+  mark.textContent = part.text
+  return mark
+}
+
+function diffGap (label) {
+  const gap = document.createElement('span')
+  gap.className = 'output-diff-gap'
+  gap.textContent = label
+  return gap
+}
+
+// What a single-cell stage expects: its solution's output, for the output
+// diff; null if there is no solution or it fails to run
+async function expectedStageOutput (stage, solution) {
+  if (!solution) return null
+  try {
+    return await executeCodeAndCaptureOutput(solution)
+  } catch (error) {
+    console.log('Could not run the solution for the output diff:', error.toString())
+    return null
+  }
 }
 
 // Generate specific feedback for cell validation failures
@@ -1431,10 +2245,11 @@ function generateSpecificCellFeedback (
   actualOutput,
   expectedOutput,
   cellData,
-  cellIndex
+  cellIndex,
+  structure = { isValid: true }
 ) {
   const feedback = {
-    statusText: 'Validation Failed',
+    statusText: t('feedback.status.failed'),
     detailedMessage: '',
     suggestedHints: []
   }
@@ -1444,17 +2259,15 @@ function generateSpecificCellFeedback (
   const availableHints = stage ? stage.hints || [] : []
 
   // Analyze the type of validation failure
-  if (!actualOutput || actualOutput.trim() === '') {
-    feedback.statusText = 'No Output'
+  if (!structure.isValid) {
+    feedback.statusText = t('feedback.status.keepGoing')
     feedback.detailedMessage = `
-      <strong>🚫 No output detected</strong><br>
-      Your code ran but didn't produce any output. Make sure to:
-      <ul>
-        <li>Use <code>print()</code> statements to display results</li>
-        <li>Check that your code is properly indented</li>
-        <li>Verify your code actually executes the calculation</li>
-      </ul>
+      <strong>${t('feedback.nextStep.title')}</strong><br>
+      ${escapeHtml(structure.explanation)}
     `
+  } else if (!actualOutput || actualOutput.trim() === '') {
+    feedback.statusText = t('feedback.status.noOutput')
+    feedback.detailedMessage = noOutputMessage()
     // Suggest hints related to printing or basic syntax
     feedback.suggestedHints = availableHints.slice(0, 1) // First hint usually covers basics
   } else if (cellData && cellData.validation) {
@@ -1469,15 +2282,13 @@ function generateSpecificCellFeedback (
       )
 
       if (missingNumbers.length > 0) {
-        feedback.statusText = 'Wrong Numbers'
+        feedback.statusText = t('feedback.status.wrongNumbers')
         feedback.detailedMessage = `
-          <strong>🔢 Calculation error detected</strong><br>
-          Expected numbers: <code>${validation.requiredNumbers.join(
-            ', '
-          )}</code><br>
-          Your output contains: <code>${actualNumbers.join(', ')}</code><br>
-          Missing: <code>${missingNumbers.join(', ')}</code><br>
-          <em>Double-check your mathematical calculations and variable assignments.</em>
+          <strong>${t('feedback.wrongNumbers.title')}</strong><br>
+          ${t('feedback.wrongNumbers.expected', { numbers: validation.requiredNumbers.join(', ') })}<br>
+          ${t('feedback.wrongNumbers.actual', { numbers: actualNumbers.join(', ') })}<br>
+          ${t('feedback.wrongNumbers.missing', { numbers: missingNumbers.join(', ') })}<br>
+          <em>${t('feedback.wrongNumbers.tip')}</em>
         `
         // Suggest calculation-related hints
         feedback.suggestedHints = availableHints
@@ -1498,11 +2309,11 @@ function generateSpecificCellFeedback (
       )
 
       if (missingText.length > 0) {
-        feedback.statusText = 'Missing Text'
+        feedback.statusText = t('feedback.status.missingText')
         feedback.detailedMessage = `
-          <strong>📝 Output format issue</strong><br>
-          Missing required text: <code>${missingText.join(', ')}</code><br>
-          <em>Check that your print statements include all the required labels and formatting.</em>
+          <strong>${t('feedback.missingText.title')}</strong><br>
+          ${t('feedback.missingText.missing', { text: missingText.join(', ') })}<br>
+          <em>${t('feedback.missingText.tip')}</em>
         `
         // Suggest formatting-related hints
         feedback.suggestedHints = availableHints
@@ -1522,11 +2333,11 @@ function generateSpecificCellFeedback (
       )
 
       if (failedPatterns.length > 0) {
-        feedback.statusText = 'Pattern Mismatch'
+        feedback.statusText = t('feedback.status.patternMismatch')
         feedback.detailedMessage = `
-          <strong>📋 Output pattern doesn't match</strong><br>
-          Your output format doesn't match the expected pattern.<br>
-          <em>Review the instruction carefully and check your output format.</em>
+          <strong>${t('feedback.pattern.title')}</strong><br>
+          ${t('feedback.pattern.body')}<br>
+          <em>${t('feedback.pattern.tip')}</em>
         `
         // Suggest format-related hints
         feedback.suggestedHints = availableHints
@@ -1545,30 +2356,30 @@ function generateSpecificCellFeedback (
     )
 
     if (missingOutputs.length > 0) {
-      feedback.statusText = 'Incomplete Output'
+      feedback.statusText = t('feedback.status.incomplete')
       feedback.detailedMessage = `
-        <strong>📋 Incomplete results</strong><br>
-        Missing expected outputs:
+        <strong>${t('feedback.incomplete.title')}</strong><br>
+        ${t('feedback.incomplete.body')}
         <ul>
           ${missingOutputs
             .map(output => `<li><code>${output}</code></li>`)
             .join('')}
         </ul>
-        <em>Make sure your code produces all the required output lines.</em>
+        <em>${t('feedback.incomplete.tip')}</em>
       `
       // Suggest comprehensive hints
       feedback.suggestedHints = availableHints.slice(0, 2)
     }
   } else {
     // Single expected output doesn't match
-    feedback.statusText = 'Output Mismatch'
+    feedback.statusText = t('feedback.status.outputMismatch')
     feedback.detailedMessage = `
-      <strong>🎯 Output doesn't match expected result</strong><br>
-      Expected: <code>${expectedOutput}</code><br>
-      Your output: <code>${actualOutput.slice(0, 200)}${
-      actualOutput.length > 200 ? '...' : ''
-    }</code><br>
-      <em>Compare your output carefully with what's expected.</em>
+      <strong>${t('feedback.mismatch.title')}</strong><br>
+      ${t('feedback.mismatch.expected', { expected: expectedOutput })}<br>
+      ${t('feedback.mismatch.actual', {
+        actual: actualOutput.slice(0, 200) + (actualOutput.length > 200 ? '...' : '')
+      })}<br>
+      <em>${t('feedback.mismatch.tip')}</em>
     `
     // Suggest general hints
     feedback.suggestedHints = availableHints.slice(0, 2)
@@ -1577,8 +2388,8 @@ function generateSpecificCellFeedback (
   // If we still have a generic message, provide more specific guidance
   if (feedback.detailedMessage === '') {
     feedback.detailedMessage = `
-      <strong>❌ Cell ${cellIndex + 1} validation failed</strong><br>
-      <em>Review your code logic and expected output format. Use the hints below for guidance.</em>
+      <strong>${t('feedback.cellFailed.title', { number: cellIndex + 1 })}</strong><br>
+      <em>${t('feedback.cellFailed.tip')}</em>
     `
     feedback.suggestedHints = availableHints.slice(0, 1)
   }
@@ -1594,7 +2405,7 @@ function generateSpecificSingleCellFeedback (
   validationResult
 ) {
   const feedback = {
-    statusText: 'Validation Failed',
+    statusText: t('feedback.status.failed'),
     detailedMessage: '',
     suggestedHints: []
   }
@@ -1603,32 +2414,25 @@ function generateSpecificSingleCellFeedback (
 
   // Analyze validation failure type
   if (!actualOutput || actualOutput.trim() === '') {
-    feedback.statusText = 'No Output'
-    feedback.detailedMessage = `
-      <strong>🚫 No output detected</strong><br>
-      Your code ran but didn't produce any output. Make sure to:
-      <ul>
-        <li>Use <code>print()</code> statements to display results</li>
-        <li>Check that your code is properly indented</li>
-        <li>Verify your code actually executes the calculation</li>
-      </ul>
-    `
+    feedback.statusText = t('feedback.status.noOutput')
+    feedback.detailedMessage = noOutputMessage()
     feedback.suggestedHints = availableHints.slice(0, 1)
   } else if (validationResult && validationResult.reason) {
-    // Use specific validation failure reason
-    const reason = validationResult.reason.toLowerCase()
+    // validateSolution says which kind of problem it found; the reason
+    // itself is in the player's language, so it can't be matched on
+    const issue = validationResult.issue
 
-    if (reason.includes('pattern') || reason.includes('format')) {
-      feedback.statusText = 'Format Issue'
+    if (issue === 'format') {
+      feedback.statusText = t('feedback.status.formatIssue')
       feedback.detailedMessage = `
-        <strong>📋 Output format doesn't match expected pattern</strong><br>
+        <strong>${t('feedback.format.title')}</strong><br>
         <br>
-        <strong>What you printed:</strong><br>
-        <code>${actualOutput || '(no output)'}</code><br>
+        <strong>${t('feedback.format.printed')}</strong><br>
+        <code>${actualOutput || t('feedback.format.none')}</code><br>
         <br>
-        <strong>Issue:</strong> ${validationResult.reason}<br>
+        <strong>${t('feedback.format.issue')}</strong> ${validationResult.reason}<br>
         <br>
-        <em>Tip: Pay close attention to the exact wording in your print statements. Use "Fragments" (plural) in your output text.</em>
+        <em>${t('feedback.format.tip')}</em>
       `
       feedback.suggestedHints = availableHints
         .filter(
@@ -1638,12 +2442,12 @@ function generateSpecificSingleCellFeedback (
             hint.toLowerCase().includes('print')
         )
         .slice(0, 2)
-    } else if (reason.includes('number') || reason.includes('calculation')) {
-      feedback.statusText = 'Calculation Error'
+    } else if (issue === 'calculation') {
+      feedback.statusText = t('feedback.status.calculation')
       feedback.detailedMessage = `
-        <strong>🔢 Mathematical calculation issue</strong><br>
+        <strong>${t('feedback.calculation.title')}</strong><br>
         ${validationResult.reason}<br>
-        <em>Double-check your calculations and variable assignments.</em>
+        <em>${t('feedback.calculation.tip')}</em>
       `
       feedback.suggestedHints = availableHints
         .filter(
@@ -1653,11 +2457,11 @@ function generateSpecificSingleCellFeedback (
             hint.toLowerCase().includes('number')
         )
         .slice(0, 2)
-    } else if (reason.includes('Next step') || reason.includes('code') || reason.includes('syntax')) {
-      feedback.statusText = 'In Progress'
+    } else if (issue === 'code') {
+      feedback.statusText = t('feedback.status.inProgress')
       feedback.detailedMessage = `
         <strong>📝 ${validationResult.reason}</strong><br>
-        <em>Check the TODO comments in the code for guidance.</em>
+        <em>${t('feedback.inProgress.tip')}</em>
       `
       feedback.suggestedHints = availableHints
         .filter(
@@ -1668,59 +2472,545 @@ function generateSpecificSingleCellFeedback (
         )
         .slice(0, 2)
     } else {
-      feedback.statusText = 'Validation Failed'
+      feedback.statusText = t('feedback.status.failed')
       feedback.detailedMessage = `
-        <strong>❌ Solution doesn't meet requirements</strong><br>
+        <strong>${t('feedback.failed.title')}</strong><br>
         ${validationResult.reason}<br>
-        <em>Review the challenge requirements and try again.</em>
+        <em>${t('feedback.failed.tip')}</em>
       `
       feedback.suggestedHints = availableHints.slice(0, 2)
     }
   } else {
     // Generic validation failure
-    feedback.statusText = 'Solution Incorrect'
+    feedback.statusText = t('feedback.status.incorrect')
     feedback.detailedMessage = `
-      <strong>❌ Solution doesn't meet the challenge requirements</strong><br>
-      <em>Review your code logic and the expected output. Use the hints below for guidance.</em>
+      <strong>${t('feedback.incorrect.title')}</strong><br>
+      <em>${t('feedback.incorrect.tip')}</em>
     `
     feedback.suggestedHints = availableHints.slice(0, 1)
   }
 
-  // Ensure we have some hints to suggest
-  if (feedback.suggestedHints.length === 0 && availableHints.length > 0) {
-    feedback.suggestedHints = availableHints.slice(0, 1)
+  // Ensure we have some hints to suggest
+  if (feedback.suggestedHints.length === 0 && availableHints.length > 0) {
+    feedback.suggestedHints = availableHints.slice(0, 1)
+  }
+
+  return feedback
+}
+
+// Automatically show specific hints when validation fails
+function showSpecificHints (suggestedHints) {
+  if (!suggestedHints || suggestedHints.length === 0) return
+
+  const hintTextContainer = document.getElementById('hint-text-container')
+  if (!hintTextContainer) return
+
+  // Clear existing auto-shown hints
+  const existingAutoHints = hintTextContainer.querySelectorAll('.auto-hint')
+  existingAutoHints.forEach(hint => hint.remove())
+
+  // Show suggested hints automatically
+  suggestedHints.forEach((hintText, index) => {
+    const autoHintDiv = document.createElement('div')
+    autoHintDiv.className = 'hint-text active auto-hint'
+    autoHintDiv.innerHTML = `
+      <div style="background: rgba(255, 193, 7, 0.1); border: 1px solid #ffc107; border-radius: 4px; padding: 8px; margin: 4px 0;">
+        <strong>${t('hints.suggested')}</strong> ${hintText}
+      </div>
+    `
+    hintTextContainer.appendChild(autoHintDiv)
+  })
+
+  // Scroll to hints if they were added
+  if (suggestedHints.length > 0) {
+    hintTextContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+  }
+}
+
+// Mark the current stage complete: enable Next and, the first time, record
+// how the player got there for the ending and story callbacks
+function completeCurrentStage () {
+  document.getElementById('next-button').classList.add('active')
+  if (completedStages.includes(currentStage)) return
+
+  completedStages.push(currentStage)
+  recordStagePerformance()
+  updateDevNav()
+  saveGameState()
+}
+
+// Start tracking attempts for a freshly loaded stage
+function resetStageAttempt (stageId) {
+  stageAttempt = {
+    stageId: stageId,
+    startedAt: Date.now(),
+    runs: 0,
+    errors: [],
+    hintsViewed: new Set(),
+    aiHints: 0,
+    lastActivityAt: Date.now() // Time on task counts from here to the next run
+  }
+}
+
+function noteCodeRun () {
+  if (stageAttempt) stageAttempt.runs++
+}
+
+function noteCodeError (error) {
+  if (stageAttempt) stageAttempt.errors.push(String(error))
+}
+
+function noteHintUsed (hintIndex = null) {
+  if (!stageAttempt) return
+  if (hintIndex === null) {
+    stageAttempt.aiHints++
+  } else {
+    stageAttempt.hintsViewed.add(hintIndex)
+  }
+}
+
+// Record how a run went, for the learning journey and the tutor's context
+function noteRunResult (outcome, code, { cell = null, error = null } = {}) {
+  if (!stageAttempt) return
+  const record = TutorAnalytics.createRunRecord({
+    outcome,
+    code,
+    cell,
+    error,
+    hints: [...stageAttempt.hintsViewed],
+    aiHints: stageAttempt.aiHints,
+    since: stageAttempt.lastActivityAt
+  })
+  stageAttempt.lastActivityAt = record.at
+  playerTracker.recordRun(stageAttempt.stageId, record)
+  CellHistory.addSnapshot(cellHistory, stageAttempt.stageId, cell ?? 0, { code, source: 'run', outcome, at: record.at })
+  saveGameState()
+  refreshLearningJourney()
+}
+
+function recordStagePerformance () {
+  if (!stageAttempt || stageAttempt.stageId !== currentStage) return
+
+  const stage = gameContent.stages.find(s => s.id === currentStage)
+  // Multi-cell stages need one run per cell, so only extra runs count as retries
+  const cellCount = stage && stage.cells ? stage.cells.length : 1
+  const attempts = Math.max(1, stageAttempt.runs - cellCount + 1)
+
+  playerTracker.trackCodeExecution(
+    currentStage,
+    attempts,
+    Date.now() - stageAttempt.startedAt,
+    stageAttempt.hintsViewed.size + stageAttempt.aiHints,
+    stageAttempt.errors
+  )
+}
+
+// Learning journey: every run on a stage, so the student can look back at
+// how they got there
+
+const RUN_OUTCOME_LABELS = {
+  passed: t('journey.outcome.passed'),
+  failed: t('journey.outcome.failed'),
+  error: t('journey.outcome.error'),
+  timeout: t('journey.outcome.timeout'),
+  stopped: t('journey.outcome.stopped')
+}
+
+function setupLearningJourney () {
+  const button = document.getElementById('journey-button')
+  const modal = document.getElementById('journey-modal')
+  if (!button || !modal) return
+
+  button.addEventListener('click', openLearningJourney)
+  document.getElementById('close-journey').addEventListener('click', () => {
+    modal.style.display = 'none'
+  })
+  document.getElementById('journey-stage-select').addEventListener('change', event => {
+    renderLearningJourney(Number(event.target.value))
+  })
+}
+
+function openLearningJourney () {
+  const select = document.getElementById('journey-stage-select')
+  select.innerHTML = ''
+  gameContent.stages.forEach(stage => {
+    const option = document.createElement('option')
+    option.value = stage.id
+    const runs = playerTracker.getRunHistory(stage.id).length
+    option.textContent = runs ? t(runs === 1 ? 'journey.stageRun' : 'journey.stageRuns', { stage: stage.title, runs }) : stage.title
+    select.appendChild(option)
+  })
+  select.value = currentStage
+
+  renderLearningJourney(currentStage)
+  document.getElementById('journey-modal').style.display = 'flex'
+}
+
+function refreshLearningJourney () {
+  const modal = document.getElementById('journey-modal')
+  if (!modal || modal.style.display === 'none') return
+  renderLearningJourney(Number(document.getElementById('journey-stage-select').value))
+}
+
+function renderLearningJourney (stageId) {
+  const body = document.getElementById('journey-body')
+  const runs = playerTracker.getRunHistory(stageId)
+  body.innerHTML = ''
+
+  if (runs.length === 0) {
+    const empty = document.createElement('p')
+    empty.className = 'journey-empty'
+    empty.textContent = t('journey.empty')
+    body.appendChild(empty)
+    return
+  }
+
+  const summary = TutorAnalytics.summarizeRuns(runs)
+  const stats = document.createElement('div')
+  stats.className = 'journey-stats'
+  ;[
+    [summary.runs, t(summary.runs === 1 ? 'journey.statRun' : 'journey.statRuns')],
+    [TutorAnalytics.formatDuration(summary.timeOnTaskMs), t('journey.statTime')],
+    [summary.hintsRevealed + summary.aiHints, t('journey.statHints')],
+    [summary.firstPassRun ? `#${summary.firstPassRun}` : '—', t('journey.statFirstPass')]
+  ].forEach(([value, label]) => {
+    const stat = document.createElement('div')
+    stat.className = 'journey-stat'
+    stat.innerHTML = `<strong>${escapeHtml(String(value))}</strong><span>${label}</span>`
+    stats.appendChild(stat)
+  })
+  body.appendChild(stats)
+
+  if (summary.errorTypes.length > 0) {
+    const errors = document.createElement('div')
+    errors.className = 'journey-errors'
+    errors.innerHTML = `<h4>${t('journey.errors')}</h4>` + summary.errorTypes
+      .map(entry => `<span class="journey-error-chip" title="${escapeHtml(entry.concept)}">${escapeHtml(entry.type)} × ${entry.count}</span>`)
+      .join('')
+    body.appendChild(errors)
+  }
+
+  // Newest first, numbered in the order they happened
+  const timeline = document.createElement('ol')
+  timeline.className = 'journey-timeline'
+  timeline.reversed = true
+  runs.slice().reverse().forEach(run => {
+    const item = document.createElement('li')
+    item.className = `journey-run journey-${run.outcome}`
+
+    const time = new Date(run.at)
+    const details = [
+      `${time.getHours()}:${time.getMinutes().toString().padStart(2, '0')}`,
+      run.cell !== null ? t('journey.cell', { number: run.cell + 1 }) : null,
+      RUN_OUTCOME_LABELS[run.outcome] || run.outcome,
+      run.hints.length + run.aiHints > 0 ? t('journey.hintsSoFar', { count: run.hints.length + run.aiHints }) : null
+    ].filter(Boolean)
+    const heading = document.createElement('div')
+    heading.className = 'journey-run-heading'
+    heading.textContent = details.join(' · ')
+    item.appendChild(heading)
+
+    if (run.errorType) {
+      const error = document.createElement('div')
+      error.className = 'journey-run-error'
+      error.textContent = `${run.errorType}: ${run.errorMessage}`
+      item.appendChild(error)
+    }
+
+    // Old runs lose their code when the save is trimmed
+    if (run.code) {
+      const code = document.createElement('details')
+      code.innerHTML = `<summary>${t('journey.code')}</summary>`
+      const pre = document.createElement('pre')
+      pre.textContent = run.code
+      code.appendChild(pre)
+      item.appendChild(code)
+    }
+
+    timeline.appendChild(item)
+  })
+  body.appendChild(timeline)
+}
+
+// Version history: every run and AI edit leaves a snapshot of the cell, so
+// a student who breaks working code can look back and restore it
+
+let historyView = null // { stageId, cell } while the history panel is open
+
+function createCellHistoryButton (cell) {
+  const button = document.createElement('button')
+  button.className = 'cell-history-button'
+  button.textContent = '🕘'
+  button.title = t('history.button')
+  button.setAttribute('aria-label', t('history.button'))
+  button.addEventListener('click', event => {
+    event.stopPropagation()
+    openCellHistory(cell)
+  })
+  return button
+}
+
+function editorForCell (cell) {
+  return cellEditors.length > 0 ? cellEditors[cell] : editor
+}
+
+// Snapshot a cell outside of a run (around AI edits and restores)
+function recordCellSnapshot (cell, code, { source, label = null } = {}) {
+  CellHistory.addSnapshot(cellHistory, currentStage, cell ?? 0, { code, source, label })
+  saveGameState()
+  refreshCellHistory()
+}
+
+function setupCellHistory () {
+  const modal = document.getElementById('history-modal')
+  if (!modal) return
+
+  document.getElementById('close-history').addEventListener('click', () => {
+    modal.style.display = 'none'
+    historyView = null
+  })
+  document.getElementById('history-slider').addEventListener('input', renderCellHistory)
+  document.getElementById('history-compare').addEventListener('change', renderCellHistory)
+  document.getElementById('history-restore').addEventListener('click', restoreSelectedSnapshot)
+  document.getElementById('history-pin').addEventListener('click', () => {
+    const snapshot = selectedSnapshot()
+    if (!snapshot) return
+    CellHistory.togglePin(cellHistory, historyView.stageId, historyView.cell, snapshot.id)
+    saveGameState()
+    renderCellHistory()
+  })
+}
+
+function openCellHistory (cell) {
+  historyView = { stageId: currentStage, cell }
+  const snapshots = CellHistory.getSnapshots(cellHistory, currentStage, cell)
+  const slider = document.getElementById('history-slider')
+  slider.max = Math.max(0, snapshots.length - 1)
+  slider.value = slider.max
+  document.getElementById('history-compare').value = ''
+  document.getElementById('history-title').textContent =
+    cellEditors.length > 0 ? t('history.cellTitle', { number: cell + 1 }) : t('history.title')
+
+  renderCellHistory()
+  document.getElementById('history-modal').style.display = 'flex'
+}
+
+// Follow new snapshots while the panel is open, staying on the latest
+function refreshCellHistory () {
+  const modal = document.getElementById('history-modal')
+  if (!historyView || !modal || modal.style.display === 'none') return
+  const slider = document.getElementById('history-slider')
+  const wasLatest = Number(slider.value) === Number(slider.max)
+  slider.max = Math.max(0, CellHistory.getSnapshots(cellHistory, historyView.stageId, historyView.cell).length - 1)
+  if (wasLatest) slider.value = slider.max
+  renderCellHistory()
+}
+
+function selectedSnapshot () {
+  if (!historyView) return null
+  const snapshots = CellHistory.getSnapshots(cellHistory, historyView.stageId, historyView.cell)
+  return snapshots[Number(document.getElementById('history-slider').value)] || null
+}
+
+function describeSnapshot (snapshot, number) {
+  const time = new Date(snapshot.at)
+  return [
+    `#${number}`,
+    `${time.getHours()}:${time.getMinutes().toString().padStart(2, '0')}`,
+    snapshot.label,
+    snapshot.outcome ? RUN_OUTCOME_LABELS[snapshot.outcome] || snapshot.outcome : null,
+    snapshot.pinned ? t('history.pinned') : null
+  ].filter(Boolean).join(' · ')
+}
+
+function renderCellHistory () {
+  const snapshots = CellHistory.getSnapshots(cellHistory, historyView.stageId, historyView.cell)
+  const body = document.getElementById('history-body')
+  const controls = document.getElementById('history-controls')
+  body.innerHTML = ''
+
+  if (snapshots.length === 0) {
+    controls.style.display = 'none'
+    const empty = document.createElement('p')
+    empty.className = 'journey-empty'
+    empty.textContent = t('history.empty')
+    body.appendChild(empty)
+    return
+  }
+  controls.style.display = 'block'
+
+  const index = Number(document.getElementById('history-slider').value)
+  const snapshot = snapshots[index]
+  document.getElementById('history-position').textContent = describeSnapshot(snapshot, index + 1)
+
+  const pin = document.getElementById('history-pin')
+  pin.textContent = snapshot.pinned ? t('history.unpin') : t('history.pin')
+
+  // Compare against the code in the cell now, or another version
+  const compare = document.getElementById('history-compare')
+  const comparing = compare.value
+  compare.innerHTML = `<option value="">${t('history.compareCurrent')}</option>` + snapshots
+    .map((other, i) => `<option value="${other.id}">${escapeHtml(describeSnapshot(other, i + 1))}</option>`)
+    .join('')
+  compare.value = snapshots.some(other => String(other.id) === comparing) ? comparing : ''
+
+  const target = editorForCell(historyView.cell)
+  const base = compare.value
+    ? snapshots.find(other => String(other.id) === compare.value).code
+    : (historyView.stageId === currentStage && target ? target.getValue() : '')
+
+  const diff = CodeDiff.diffLines(base, snapshot.code)
+  if (diff.every(op => op.type === 'same')) {
+    const same = document.createElement('p')
+    same.className = 'history-same'
+    same.textContent = compare.value ? t('history.sameVersions') : t('history.sameAsCurrent')
+    body.appendChild(same)
   }
+  body.appendChild(renderDiffLines(diff, 'history-diff'))
+}
 
-  return feedback
+// A whole-text diff from CodeDiff.diffLines, one marked line per line
+function renderDiffLines (diff, className) {
+  const code = document.createElement('div')
+  code.className = `ai-diff-body ${className}`
+  diff.forEach(op => {
+    const line = document.createElement('div')
+    line.className = `diff-line diff-${op.type}`
+    const marker = document.createElement('span')
+    marker.className = 'diff-marker'
+    marker.textContent = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' '
+    line.appendChild(marker)
+    line.appendChild(document.createTextNode(op.line))
+    code.appendChild(line)
+  })
+  return code
 }
 
-// Automatically show specific hints when validation fails
-function showSpecificHints (suggestedHints) {
-  if (!suggestedHints || suggestedHints.length === 0) return
+// Put the selected version back in the cell. What was there is snapshotted
+// first, so a restore can itself be undone from the history.
+function restoreSelectedSnapshot () {
+  const snapshot = selectedSnapshot()
+  if (!snapshot || historyView.stageId !== currentStage) return false
+  const target = editorForCell(historyView.cell)
+  if (!target) return false
+
+  if (target.getValue() !== snapshot.code) {
+    CellHistory.addSnapshot(cellHistory, currentStage, historyView.cell, { code: target.getValue(), source: 'before-restore' })
+    target.setValue(snapshot.code)
+  }
+  saveGameState()
+  document.getElementById('history-modal').style.display = 'none'
+  historyView = null
+  return true
+}
 
-  const hintTextContainer = document.getElementById('hint-text-container')
-  if (!hintTextContainer) return
+// Starter code: what the student has changed since the stage began, and a
+// way back to it that keeps their work recoverable
 
-  // Clear existing auto-shown hints
-  const existingAutoHints = hintTextContainer.querySelectorAll('.auto-hint')
-  existingAutoHints.forEach(hint => hint.remove())
+let starterView = null // Cell whose changes the starter panel is showing
 
-  // Show suggested hints automatically
-  suggestedHints.forEach((hintText, index) => {
-    const autoHintDiv = document.createElement('div')
-    autoHintDiv.className = 'hint-text active auto-hint'
-    autoHintDiv.innerHTML = `
-      <div style="background: rgba(255, 193, 7, 0.1); border: 1px solid #ffc107; border-radius: 4px; padding: 8px; margin: 4px 0;">
-        <strong>💡 Suggested Hint:</strong> ${hintText}
-      </div>
-    `
-    hintTextContainer.appendChild(autoHintDiv)
+function starterCodeFor (cell) {
+  const stage = gameContent.stages.find(s => s.id === currentStage)
+  if (!stage) return ''
+  const starter = stage.cells ? stage.cells[cell]?.starterCode : stage.starterCode
+  // The same fallback the editors start with
+  return starter || '# Your code here\n'
+}
+
+function createStarterButton (cell) {
+  const button = document.createElement('button')
+  button.className = 'cell-history-button cell-starter-button'
+  button.textContent = '↺'
+  button.title = t('starter.button')
+  button.setAttribute('aria-label', t('starter.button'))
+  button.addEventListener('click', event => {
+    event.stopPropagation()
+    openStarterChanges(cell)
   })
+  return button
+}
 
-  // Scroll to hints if they were added
-  if (suggestedHints.length > 0) {
-    hintTextContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+function setupStarterChanges () {
+  const modal = document.getElementById('starter-modal')
+  if (!modal) return
+
+  document.getElementById('close-starter').addEventListener('click', () => {
+    modal.style.display = 'none'
+  })
+  document.getElementById('starter-reset').addEventListener('click', () => {
+    if (resetCellToStarter(starterView)) modal.style.display = 'none'
+  })
+}
+
+function openStarterChanges (cell) {
+  starterView = cell
+  const target = editorForCell(cell)
+  const diff = CodeDiff.diffLines(starterCodeFor(cell), target ? target.getValue() : '')
+  const unchanged = diff.every(op => op.type === 'same')
+
+  document.getElementById('starter-title').textContent =
+    cellEditors.length > 0 ? t('starter.cellTitle', { number: cell + 1 }) : t('starter.title')
+  const body = document.getElementById('starter-body')
+  body.innerHTML = ''
+  if (unchanged) {
+    const same = document.createElement('p')
+    same.className = 'history-same'
+    same.textContent = t('starter.unchanged')
+    body.appendChild(same)
+  } else {
+    body.appendChild(renderDiffLines(diff, 'starter-diff'))
+  }
+  document.getElementById('starter-reset').disabled = unchanged
+  document.getElementById('starter-modal').style.display = 'flex'
+}
+
+// Put a cell back to the stage's starter code. The code it replaces goes
+// into the version history, and an Undo button is offered straight away.
+function resetCellToStarter (cell) {
+  const target = editorForCell(cell)
+  if (!target) return false
+  const previous = target.getValue()
+  const starter = starterCodeFor(cell)
+  if (previous === starter) return false
+  if (!confirm(t('starter.confirmReset'))) {
+    return false
   }
+
+  CellHistory.addSnapshot(cellHistory, currentStage, cell, { code: previous, source: 'before-reset' })
+  target.setValue(starter)
+  saveGameState()
+  showResetUndo(cell, previous, starter)
+  return true
+}
+
+function showResetUndo (cell, previous, starter) {
+  const notification = document.createElement('div')
+  notification.className = 'ai-code-applied-notification'
+  notification.textContent = t('starter.resetDone') + ' '
+
+  const undo = document.createElement('button')
+  undo.className = 'checkpoint-undo'
+  undo.textContent = t('common.undo')
+  const stageId = currentStage
+  undo.onclick = () => {
+    const target = editorForCell(cell)
+    if (!target || stageId !== currentStage) return
+    if (target.getValue() !== starter &&
+        !confirm(t('starter.confirmUndo'))) {
+      return
+    }
+    target.setValue(previous)
+    saveGameState()
+    notification.remove()
+  }
+  notification.appendChild(undo)
+  document.body.appendChild(notification)
+
+  requestAnimationFrame(() => notification.classList.add('visible'))
+  setTimeout(() => {
+    notification.classList.remove('visible')
+    setTimeout(() => notification.remove(), 300)
+  }, 8000)
 }
 
 // Check if all cells in a multi-cell stage are completed
@@ -1739,12 +3029,7 @@ function checkAllCellsCompleted (totalCells) {
 
   if (completedCells === totalCells) {
     // All cells completed, show next button
-    document.getElementById('next-button').classList.add('active')
-    if (!completedStages.includes(currentStage)) {
-      completedStages.push(currentStage)
-      updateDevNav()
-      saveGameState()
-    }
+    completeCurrentStage()
     console.log(
       `Stage ${currentStage} completed! All ${totalCells} cells done.`
     )
@@ -1779,21 +3064,35 @@ async function validateSolution (code, solution, actualOutput, stage) {
       return {
         isCorrect,
         reason: isCorrect
-          ? 'Output matches expected'
-          : 'Output does not match expected',
+          ? t('validation.matches')
+          : t('validation.doesNotMatch'),
         expectedPatterns: [expectedOutput]
       }
     } catch (error) {
       return {
         isCorrect: false,
-        reason: 'Could not execute solution code',
+        reason: t('validation.solutionFailed'),
         expectedPatterns: []
       }
     }
   }
 
+  // Interactive stages are graded on a re-run with the stage's scripted input
+  if (rules.stdin) {
+    try {
+      actualOutput = await executeCodeAndCaptureOutput(code, rules.stdin)
+    } catch (error) {
+      return {
+        isCorrect: false,
+        reason: t('validation.testInput', { input: rules.stdin.join(', '), error: error.toString() }),
+        feedback: t('validation.testInputError'),
+        expectedPatterns: rules.outputPatterns
+      }
+    }
+  }
+
   // Convert string patterns to regex objects
-  const codePatterns = rules.codePatterns.map(
+  const codePatterns = (rules.codePatterns || []).map(
     pattern => new RegExp(pattern, 'i')
   )
   const outputPatterns = rules.outputPatterns.map(
@@ -1807,22 +3106,40 @@ async function validateSolution (code, solution, actualOutput, stage) {
     const codeExplanation = explainCodePattern(codeValidation.missingPattern, codeValidation.patternIndex, stage)
     return {
       isCorrect: false,
-      reason: `Next step: ${codeExplanation}`,
-      feedback: 'Keep going!',
+      reason: t('validation.nextStep', { explanation: codeExplanation }),
+      issue: 'code',
+      feedback: t('validation.keepGoing'),
       expectedPatterns: rules.codePatterns
     }
   }
 
+  // Check code rules (structure validation on the parsed code)
+  const structure = await checkCodeStructure(code, rules.codeRules)
+  if (!structure.isValid) {
+    return {
+      isCorrect: false,
+      reason: t('validation.nextStep', { explanation: structure.explanation }),
+      issue: 'code',
+      feedback: t('validation.keepGoing'),
+      expectedPatterns: rules.codeRules.map(rule => CodeRules.describeCodeRule(rule))
+    }
+  }
+
   // Check output patterns (result validation)
   const outputValidation = validateOutputPatterns(actualOutput, outputPatterns, rules.outputPatterns)
   if (!outputValidation.isValid) {
+    const unmetPatterns = rules.outputPatterns
+      .map((pattern, index) => ({ type: 'pattern', value: pattern, index }))
+      .filter((check, index) => !outputPatterns[index].test(actualOutput))
     // Provide human-readable explanation of what's expected
     const patternExplanation = explainOutputPattern(outputValidation.missingPattern, outputValidation.patternIndex, stage)
     return {
       isCorrect: false,
-      reason: `Output format issue: ${patternExplanation}`,
-      feedback: 'Output incorrect',
+      reason: t('validation.outputIssue', { explanation: patternExplanation }),
+      issue: 'format',
+      feedback: t('validation.outputIncorrect'),
       expectedPatterns: rules.outputPatterns,
+      unmetPatterns,
       actualOutput: actualOutput
     }
   }
@@ -1830,7 +3147,7 @@ async function validateSolution (code, solution, actualOutput, stage) {
   // All validations passed
   return {
     isCorrect: true,
-    reason: 'All validations passed',
+    reason: t('validation.passed'),
     expectedPatterns: rules.outputPatterns
   }
 }
@@ -1851,6 +3168,21 @@ function validateCodePatterns (code, patterns, originalPatterns) {
   return { isValid: true }
 }
 
+// Check code against structural codeRules (see code-rules.js). Parsing
+// happens in the reference sandbox, next to the grading runs.
+async function checkCodeStructure (code, codeRules) {
+  if (!codeRules || codeRules.length === 0) return { isValid: true }
+
+  const result = await getSandbox('reference').checkCode(code, codeRules)
+  if (result.syntaxError) {
+    return { isValid: false, explanation: t('validation.syntaxFirst', { error: result.syntaxError }) }
+  }
+  if (!result.isValid) {
+    return { ...result, explanation: CodeRules.describeCodeRule(result.rule) }
+  }
+  return result
+}
+
 // Validate output against expected patterns
 function validateOutputPatterns (output, patterns, originalPatterns) {
   for (let i = 0; i < patterns.length; i++) {
@@ -1873,25 +3205,25 @@ function explainOutputPattern (patternStr, patternIndex, stage) {
   if (stage.id === 1) {
     // Stage 1: Manuscript variables
     if (patternIndex === 0) {
-      return 'Your output must include "Manuscript Catalog" followed by "MS-ALEX-2847"'
+      return t('pattern.output.stage1Catalog')
     } else if (patternIndex === 1) {
-      return 'Your output must include the word "Fragments" (or "Fragment") near the number 23. Try: "Fragments Found: 23"'
+      return t('pattern.output.stage1Fragments')
     }
   }
 
   // Generic pattern explanation
   // Try to make regex more readable
   const readable = patternStr
-    .replace(/\.\*/g, ' (any text) ')
+    .replace(/\.\*/g, ` ${t('pattern.anyText')} `)
     .replace(/\\s\*/g, ' ')
     .replace(/\(/g, '')
     .replace(/\)/g, '')
-    .replace(/\|/g, ' OR ')
+    .replace(/\|/g, ` ${t('pattern.or').toUpperCase()} `)
     .replace(/\[/g, '')
     .replace(/\]/g, '')
     .replace(/\\/g, '')
 
-  return `Expected pattern: ${readable}. Check that your print statement includes the right text format.`
+  return t('pattern.output.generic', { pattern: readable })
 }
 
 // Explain code pattern in human-readable terms
@@ -1900,39 +3232,39 @@ function explainCodePattern (patternStr, patternIndex, stage) {
   if (stage.id === 1) {
     // Stage 1: Manuscript variables
     if (patternIndex === 0) {
-      return 'Create a variable named "fragment_count" and set it to 23 (e.g., fragment_count = 23)'
+      return t('pattern.code.stage1FragmentCount')
     } else if (patternIndex === 1) {
-      return 'Add a print statement that includes the fragment_count variable'
+      return t('pattern.code.stage1Print')
     }
   }
 
   // Generic explanations based on pattern type
   // For loop patterns
   if (/for\\s\+\\w\+\\s\+in/.test(patternStr)) {
-    return 'Your code needs a for loop to iterate through the data (e.g., for item in list:)'
+    return t('pattern.code.forLoop')
   }
 
   // Function definition patterns
   const funcMatch = patternStr.match(/def\\s\+(\w+)\\s\*\\\(/)
   if (funcMatch) {
     const funcName = funcMatch[1].replace(/\\/g, '')
-    return `Define a function named "${funcName}" (e.g., def ${funcName}(...):)`
+    return t('pattern.code.defines', { name: funcName })
   }
 
   // Variable assignment patterns
   const varMatch = patternStr.match(/(\w+)\\s\*=/)
   if (varMatch) {
     const varName = varMatch[1].replace(/\\/g, '')
-    return `Create or use a variable named "${varName}"`
+    return t('pattern.code.variable', { name: varName })
   }
 
   // Method call patterns
   if (/\\.replace\\s*\(/.test(patternStr)) {
-    return 'Use the .replace() method to substitute text'
+    return t('pattern.code.replace')
   }
 
   if (/total_characters\\s*\[\+=\]/.test(patternStr)) {
-    return 'Update the total_characters variable (use += to add to it)'
+    return t('pattern.code.totalCharacters')
   }
 
   // Generic fallback - try to make regex more readable
@@ -1946,11 +3278,11 @@ function explainCodePattern (patternStr, patternIndex, stage) {
     .replace(/\[\^/g, 'not ')
     .replace(/\]/g, '')
     .replace(/\[/g, '')
-    .replace(/\|/g, ' or ')
+    .replace(/\|/g, ` ${t('pattern.or')} `)
     .replace(/\.\*/g, '...')
     .replace(/\.\+/g, '...')
 
-  return `Your code structure needs: ${readable}. Review the challenge instructions.`
+  return t('pattern.code.generic', { pattern: readable })
 }
 
 // Normalize output for comparison (remove extra whitespace, etc.)
@@ -1961,42 +3293,60 @@ function normalizeOutput (output) {
     .toLowerCase() // Case insensitive comparison
 }
 
-// Helper function to execute Python code and capture output
-async function executeCodeAndCaptureOutput (code) {
-  return new Promise((resolve, reject) => {
-    let output = ''
+// Build an input() handler that asks inline in the output area, Colab
+// style. Replayed answers are used first (earlier cells re-running), and
+// everything typed is recorded in `typed`. Stopping the run removes the prompt.
+function createInlineInput (outputArea, write, { replay = [], typed = [], run = null } = {}) {
+  const queue = [...replay]
 
-    // Configure Skulpt to capture output
-    Sk.configure({
-      output: function (text) {
-        output += text
-      },
-      read: function (x) {
-        if (
-          Sk.builtinFiles === undefined ||
-          Sk.builtinFiles['files'][x] === undefined
-        ) {
-          throw "File not found: '" + x + "'"
-        }
-        return Sk.builtinFiles['files'][x]
-      },
-      execLimit: 10000,
-      __future__: Sk.python3
-    })
+  return function (prompt) {
+    if (prompt) write(prompt)
 
-    // Execute the code
-    const promise = Sk.misceval.asyncToPromise(function () {
-      return Sk.importMainWithBody('<stdin>', false, code, true)
-    })
+    if (queue.length > 0) {
+      const value = queue.shift()
+      outputArea.appendChild(document.createTextNode(value + '\n'))
+      return value
+    }
 
-    promise
-      .then(() => {
-        resolve(output.trim())
-      })
-      .catch(e => {
-        reject(e)
+    return new Promise((resolve, reject) => {
+      const widget = document.createElement('span')
+      widget.className = 'python-input'
+      const field = document.createElement('input')
+      field.type = 'text'
+      field.className = 'python-input-field'
+      field.autocomplete = 'off'
+      field.spellcheck = false
+      field.setAttribute('aria-label', prompt ? t('run.inputPrompt', { prompt: prompt.trim() }) : t('run.input'))
+      field.addEventListener('keydown', event => {
+        if (event.key !== 'Enter') return
+        event.preventDefault()
+        const value = field.value
+        // Echo the answer like a terminal would, then let the program continue
+        widget.replaceWith(document.createTextNode(value + '\n'))
+        typed.push(value)
+        resolve(value)
       })
-  })
+      widget.appendChild(field)
+      outputArea.appendChild(widget)
+      field.focus()
+
+      if (run) {
+        run.onStop(() => {
+          widget.remove()
+          reject(new RunStoppedError())
+        })
+      }
+    })
+  }
+}
+
+// Helper function to execute Python code and capture output, in the
+// reference sandbox so grading never disturbs the player's own run.
+// input() reads from the scripted stdin lines instead of asking the player;
+// running out raises an error, as Python does at end of input.
+async function executeCodeAndCaptureOutput (code, stdin = []) {
+  const output = await getSandbox('reference').run(code, { stdin })
+  return output.trim()
 }
 
 // Check if single-cell stage is completed with flexible validation
@@ -2017,16 +3367,12 @@ async function checkCompletion (code, solution, actualOutput) {
 
     if (validationResult.isCorrect) {
       // Solution is correct
-      cellStatus.textContent = 'Completed'
+      cellStatus.textContent = t('cell.status.completed')
       cellStatus.className = 'cell-status completed'
+      noteRunResult('passed', code)
 
       // Show next button
-      document.getElementById('next-button').classList.add('active')
-      if (!completedStages.includes(currentStage)) {
-        completedStages.push(currentStage)
-        updateDevNav()
-        saveGameState()
-      }
+      completeCurrentStage()
 
       // Trigger Dr. Rodriguez's discovery reaction if LLM is enabled
       if (window.llmIntegration && window.llmIntegration.isEnabled) {
@@ -2045,6 +3391,7 @@ async function checkCompletion (code, solution, actualOutput) {
       )
       cellStatus.textContent = specificFeedback.statusText
       cellStatus.className = 'cell-status error'
+      noteRunResult('failed', code)
 
       // Clear previous feedback and add new specific feedback
       if (outputArea) {
@@ -2059,6 +3406,16 @@ async function checkCompletion (code, solution, actualOutput) {
         feedbackDiv.innerHTML = specificFeedback.detailedMessage
         outputArea.appendChild(feedbackDiv)
 
+        // Without validation rules the whole output must match the
+        // solution's, so the diff is strict unless the rules say otherwise
+        showOutputFeedback(outputArea, {
+          expected: await expectedStageOutput(stage, solution),
+          actual: actualOutput,
+          flexible: Boolean(stage.validation?.flexible),
+          unmet: validationResult.unmetPatterns || [],
+          stage
+        })
+
         // Automatically show relevant hints if validation fails
         if (specificFeedback.suggestedHints.length > 0) {
           showSpecificHints(specificFeedback.suggestedHints)
@@ -2078,16 +3435,11 @@ async function checkCompletion (code, solution, actualOutput) {
   } catch (error) {
     console.error('Error checking solution:', error)
     // If we can't validate, mark as completed (fallback behavior)
-    cellStatus.textContent = 'Completed'
+    cellStatus.textContent = t('cell.status.completed')
     cellStatus.className = 'cell-status completed'
 
     // Show next button
-    document.getElementById('next-button').classList.add('active')
-    if (!completedStages.includes(currentStage)) {
-      completedStages.push(currentStage)
-      updateDevNav()
-      saveGameState()
-    }
+    completeCurrentStage()
   }
 }
 
@@ -2096,15 +3448,17 @@ function createDevNav () {
   const devNav = document.getElementById('dev-nav')
   devNav.innerHTML = ''
 
-  // Create a button for each stage
-  for (let i = 1; i <= gameContent.gameInfo.totalStages; i++) {
+  // Create a button for each stage the pack actually has
+  gameContent.stages.forEach(stage => {
     const button = document.createElement('button')
-    button.textContent = i
+    button.textContent = stage.id
+    button.title = stage.title
+    button.dataset.stageId = stage.id
     button.onclick = function () {
-      loadStage(i)
+      loadStage(stage.id)
     }
     devNav.appendChild(button)
-  }
+  })
 
   // Set up toggle button
   document.getElementById('dev-nav-toggle').onclick = function () {
@@ -2116,17 +3470,19 @@ function createDevNav () {
 function updateDevNav () {
   const buttons = document.querySelectorAll('#dev-nav button')
 
-  buttons.forEach((button, index) => {
+  buttons.forEach(button => {
+    const stageId = Number(button.dataset.stageId)
+
     // Clear existing classes
     button.className = ''
 
     // Set current stage class
-    if (index + 1 === currentStage) {
+    if (stageId === currentStage) {
       button.classList.add('current-stage')
     }
 
     // Mark completed stages
-    if (completedStages.includes(index + 1)) {
+    if (completedStages.includes(stageId)) {
       button.classList.add('completed-stage')
     }
   })
@@ -2164,70 +3520,6 @@ function showCelebration () {
   }, 5000)
 }
 
-// Stage transition dialogues - narrative-driven messages for story progression
-const stageTransitionDialogues = {
-  0: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "Wonderful! Your terminal is configured and ready. Now let's dive into our first real discovery—the mysterious manuscript fragments I've been analyzing for years.",
-    narrative: "The research terminal hums to life. Somewhere in the Alexandria archives, ancient secrets await..."
-  },
-  1: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "Excellent work cataloging those manuscript details! The fragment reference numbers are now in our system. I've been waiting five years to properly analyze these...",
-    narrative: "The manuscript data is secured. But these 23 fragments are just the beginning of something much larger."
-  },
-  2: {
-    character: 'Jamie Chen',
-    avatar: '🧑‍💻',
-    dialogue: "Nice one! Dr. R was just telling me about your progress. I've been cross-referencing these artifact dates with some anomalies I found in the server logs...",
-    narrative: "The artifact timeline reveals an unexpected pattern. These items span millennia, yet share mysterious connections."
-  },
-  3: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "Your analysis of the patterns is remarkable! We can now process hundreds of fragments automatically. My grandmother's journals mentioned something about 'repeating cycles'...",
-    narrative: "The loop patterns match symbols found in the original Alexandria manuscripts. The Keepers were onto something."
-  },
-  4: {
-    character: 'ARIA',
-    avatar: '🤖',
-    dialogue: "I'm now fully operational. Dr. Rodriguez has granted me access to assist with the investigation. I've detected unusual data signatures in the archives that require further analysis.",
-    narrative: "A new ally joins the investigation. ARIA's computational abilities may prove essential in decoding what lies ahead."
-  },
-  5: {
-    character: 'Jamie Chen',
-    avatar: '🧑‍💻',
-    dialogue: "These analysis functions you've built? They just flagged something weird in sector 7 of the archives. Dr. R is already on her way to check it out.",
-    narrative: "The modular tools reveal hidden connections. Each function brings you closer to understanding the Bridge Builders' methods."
-  },
-  6: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "The structured data you've organized... it matches a cipher my grandmother documented decades ago. The Bridge Builders used similar organizational systems.",
-    narrative: "Ancient and modern merge. The data structures mirror techniques used by scholars thousands of years ago."
-  },
-  7: {
-    character: 'ARIA',
-    avatar: '🤖',
-    dialogue: "I've completed my scan of the extracted files. There are encrypted segments that appear to contain coordinates. Dr. Rodriguez believes they point to a physical location.",
-    narrative: "Digital breadcrumbs lead to physical places. The archives contain more than just text—they contain a map."
-  },
-  8: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "We're so close now. The patterns, the coordinates, the fragments—they're all converging. I can feel my grandmother's presence in this work, guiding us forward.",
-    narrative: "Years of research crystallize into clarity. The final piece of the puzzle awaits."
-  },
-  9: {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: "You've done it. Together, we've uncovered what the Bridge Builders protected for millennia. This knowledge... it changes everything we thought we knew.",
-    narrative: "The investigation concludes, but the story continues. Some secrets, once revealed, open doors to even greater mysteries.",
-    isFinal: true
-  }
-}
 
 // Show stage transition modal instead of confetti
 function showStageTransition (completedStageId) {
@@ -2236,17 +3528,19 @@ function showStageTransition (completedStageId) {
 
   const nextStageId = completedStageId + 1
   const nextStage = gameContent.stages.find(s => s.id === nextStageId)
-  const transitionData = stageTransitionDialogues[completedStageId] || {
-    character: 'Dr. Rodriguez',
-    avatar: '👩‍🔬',
-    dialogue: 'Excellent work! You\'ve completed this stage successfully.',
-    summary: ['Stage completed']
+  // Dialogues come from the content pack; packs without one get a generic line
+  const mentor = getMentor()
+  const transitionData = gameContent.transitionDialogues?.[completedStageId] || {
+    character: mentor.name,
+    avatar: mentor.avatar,
+    dialogue: t('transition.defaultDialogue'),
+    isFinal: !nextStage
   }
 
   // Update modal content
   document.getElementById('stage-badge').textContent = transitionData.isFinal
-    ? '🏆 Investigation Complete!'
-    : `Stage ${completedStageId} Complete!`
+    ? t('transition.investigationComplete')
+    : t('transition.stageComplete', { number: completedStageId })
   document.getElementById('transition-avatar').textContent = transitionData.avatar
   document.getElementById('transition-character-name').textContent = transitionData.character
   document.getElementById('transition-dialogue').textContent = transitionData.dialogue
@@ -2254,7 +3548,7 @@ function showStageTransition (completedStageId) {
   // Build narrative text
   const summaryEl = document.getElementById('stage-summary')
   if (transitionData.narrative) {
-    summaryEl.innerHTML = `<p class="narrative-text">${transitionData.narrative}</p>`
+    summaryEl.innerHTML = `<p class="narrative-text">${packHtml(transitionData.narrative)}</p>`
   } else {
     summaryEl.innerHTML = ''
   }
@@ -2266,7 +3560,7 @@ function showStageTransition (completedStageId) {
   if (nextStage && !transitionData.isFinal) {
     document.getElementById('next-stage-title').textContent = nextStage.title
     nextPreview.style.display = 'flex'
-    continueBtn.textContent = 'Continue →'
+    continueBtn.textContent = t('transition.continue')
     continueBtn.onclick = () => {
       hideStageTransition()
       loadStage(nextStageId)
@@ -2274,16 +3568,11 @@ function showStageTransition (completedStageId) {
   } else {
     // Final stage or no next stage
     nextPreview.style.display = 'none'
-    continueBtn.textContent = 'Finish'
+    continueBtn.textContent = t('transition.finish')
     continueBtn.onclick = () => {
       hideStageTransition()
-      // Show final completion state
-      document.getElementById('story-content').innerHTML = `
-        <h2>🏆 Congratulations!</h2>
-        <p>You've completed all stages of the Digital Archaeology Mystery!</p>
-        <p>You've successfully pieced together the ancient fragments and uncovered the lost knowledge of the Bridge Builders.</p>
-        <p><strong>You are now a certified Digital Archaeologist!</strong></p>
-      `
+      // Show the earned ending, stats and badge
+      showFinalRevelation()
     }
   }
 
@@ -2299,17 +3588,43 @@ function hideStageTransition () {
   }
 }
 
+// Dialogs hold keyboard focus while open: Tab cycles inside them, Escape
+// presses their close button, and focus goes back where it was when they
+// close. Watching each overlay's display covers every way one is opened.
+function setupDialogFocus () {
+  document.querySelectorAll('.modal-overlay, .stage-transition-overlay').forEach(overlay => {
+    const dialog = overlay.querySelector('[role="dialog"]')
+    const closeButton = overlay.querySelector('.modal-close')
+    if (!dialog) return
+    let release = null
+
+    new MutationObserver(() => {
+      const open = overlay.style.display !== 'none'
+      if (open && !release) {
+        release = Accessibility.trapFocus(dialog, {
+          onEscape: closeButton ? () => closeButton.click() : null
+        })
+      } else if (!open && release) {
+        release()
+        release = null
+      }
+    }).observe(overlay, { attributes: true, attributeFilter: ['style'] })
+  })
+}
+
 // Set up next button to advance to next stage (moved to DOMContentLoaded)
 function setupNextButton () {
   document.getElementById('next-button').addEventListener('click', function () {
-    const nextStage = currentStage + 1
+    const stage = gameContent.stages.find(s => s.id === currentStage)
 
-    // Check if there's a next stage
-    if (nextStage <= gameContent.gameInfo.totalStages) {
-      showStageTransition(currentStage)
+    // Play the stage's story segment first; its choice (or Continue button)
+    // moves on to the stage transition via proceedToNextStage(). The final
+    // stage's segment is part of the ending screen instead.
+    const isFinalStage = !gameContent.stages.some(s => s.id === currentStage + 1)
+    if (stage && stage.completionSegment && !isFinalStage) {
+      showStorySegment(stage)
     } else {
-      // Handle game completion
-      showStageTransition(currentStage)
+      proceedToNextStage()
     }
   })
 }
@@ -2328,8 +3643,8 @@ function restartRuntime () {
     successfulCellExecutions[currentStage].clear()
   }
 
-  // Reset Skulpt environment by reinitializing it
-  skulptEnvironment = null
+  // Stop anything running and forget the stage's variables
+  restartKernel()
 
   // Get current stage to determine whether it's single-cell or multi-cell
   const stage = gameContent.stages.find(s => s.id === currentStage)
@@ -2345,7 +3660,7 @@ function restartRuntime () {
           <svg class="play-icon" viewBox="0 0 24 24">
             <path d="M8 5v14l11-7z"/>
           </svg>
-          <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+          <svg class="stop-icon" viewBox="0 0 24 24">
             <rect x="6" y="6" width="12" height="12"/>
           </svg>
         `
@@ -2355,7 +3670,7 @@ function restartRuntime () {
       // Reset cell status
       const cellStatus = document.getElementById(`cell-status-${index}`)
       if (cellStatus) {
-        cellStatus.textContent = 'Pending'
+        cellStatus.textContent = t('cell.status.pending')
         cellStatus.className = 'cell-status pending'
       }
 
@@ -2390,7 +3705,7 @@ function restartRuntime () {
         <svg class="play-icon" viewBox="0 0 24 24">
           <path d="M8 5v14l11-7z"/>
         </svg>
-        <svg class="stop-icon" viewBox="0 0 24 24" style="display: none;">
+        <svg class="stop-icon" viewBox="0 0 24 24">
           <rect x="6" y="6" width="12" height="12"/>
         </svg>
       `
@@ -2399,7 +3714,7 @@ function restartRuntime () {
 
     const cellStatus = document.getElementById('single-cell-status')
     if (cellStatus) {
-      cellStatus.textContent = 'Pending'
+      cellStatus.textContent = t('cell.status.pending')
       cellStatus.className = 'cell-status pending'
     }
 
@@ -2418,6 +3733,7 @@ function restartRuntime () {
 
   // Update execution indicators
   updateCellExecutionIndicators()
+  refreshVariableInspector()
 
   // Show confirmation message
   console.log('Runtime restart complete - all cells cleared')
@@ -2426,7 +3742,7 @@ function restartRuntime () {
   const restartButton = document.getElementById('restart-runtime-button')
   if (restartButton) {
     const originalText = restartButton.innerHTML
-    restartButton.innerHTML = '✓ Runtime Restarted'
+    restartButton.textContent = t('runtime.restarted')
     restartButton.style.background = '#34a853'
     setTimeout(() => {
       restartButton.innerHTML = originalText
@@ -2440,12 +3756,16 @@ function setupChatToggle () {
   const toggleBtn = document.getElementById('chat-toggle-btn')
   const chatPanel = document.getElementById('chat-panel')
   const closeBtn = document.getElementById('chat-panel-close')
-  const chatInput = document.getElementById('chat-input')
-  const chatSend = document.getElementById('chat-send')
-  const chatBody = document.getElementById('chat-panel-body')
 
   if (!toggleBtn || !chatPanel) return
 
+  // The AI character chat replaces the panel contents once a provider connects,
+  // so look up the input and message list each time instead of caching them
+  const getChatInput = () => document.getElementById('chat-input')
+  const getChatBody = () =>
+    document.getElementById('chat-messages') ||
+    document.getElementById('chat-panel-body')
+
   // Toggle chat panel visibility
   toggleBtn.addEventListener('click', () => {
     const isOpen = chatPanel.style.display === 'flex'
@@ -2453,6 +3773,7 @@ function setupChatToggle () {
     toggleBtn.classList.toggle('active', !isOpen)
 
     // Focus input when opening
+    const chatInput = getChatInput()
     if (!isOpen && chatInput) {
       setTimeout(() => chatInput.focus(), 100)
     }
@@ -2468,6 +3789,8 @@ function setupChatToggle () {
 
   // Send message functionality
   const sendMessage = async () => {
+    const chatInput = getChatInput()
+    const chatBody = getChatBody()
     if (!chatInput || !chatBody) return
 
     const message = chatInput.value.trim()
@@ -2488,36 +3811,56 @@ function setupChatToggle () {
 
     // Check if LLM is available
     if (window.llmIntegration && window.llmIntegration.isEnabled) {
-      // Add typing indicator
+      const llm = window.llmIntegration
+      const request = llm.startRequest('chat')
+
+      // Add typing indicator with a stop button for the in-flight reply
       const typingIndicator = document.createElement('div')
       typingIndicator.className = 'chat-typing'
-      typingIndicator.innerHTML = '<p style="color: #8b7355; font-style: italic;">Dr. Rodriguez is typing...</p>'
+      typingIndicator.innerHTML = `<p style="color: #8b7355; font-style: italic;">${escapeHtml(t('chat.typing', { name: getMentor().name }))} <button class="chat-cancel-button" title="${escapeHtml(t('chat.stopTitle'))}">${escapeHtml(t('chat.stop'))}</button></p>`
+      typingIndicator.querySelector('.chat-cancel-button').addEventListener('click', () => llm.cancelRequest('chat'))
       chatBody.appendChild(typingIndicator)
       chatBody.scrollTop = chatBody.scrollHeight
 
+      // Dr. Rodriguez's reply is created on the first streamed token and
+      // filled in as more arrive
+      let drMsg = null
+      const showReply = (html) => {
+        if (!drMsg) {
+          drMsg = document.createElement('div')
+          drMsg.className = 'chat-message dr-message'
+          drMsg.innerHTML = `
+            <div style="display: flex; gap: 8px; align-items: flex-start;">
+              <span style="font-size: 1.5rem;">${escapeHtml(getMentor().avatar)}</span>
+              <div class="chat-response-text" style="margin: 0; color: #f5f0e4; line-height: 1.5;"></div>
+            </div>
+          `
+          drMsg.style.cssText = 'margin: 8px 0; padding: 12px; background: rgba(50, 40, 30, 0.8); border-radius: 12px 12px 12px 0; border-left: 3px solid #d4af37;'
+          chatBody.insertBefore(drMsg, typingIndicator)
+        }
+        drMsg.querySelector('.chat-response-text').innerHTML = llm.sanitizeHtml(html)
+        chatBody.scrollTop = chatBody.scrollHeight
+      }
+
       try {
         // Get response from LLM
-        const response = await window.llmIntegration.chat(message)
+        const response = await llm.chat(message, null, {
+          signal: request.signal,
+          onToken: (text) => showReply(llm.renderPartialMarkdown(text, 'chat'))
+        })
 
         // Remove typing indicator
         typingIndicator.remove()
-
-        // Add Dr. Rodriguez's response
-        const drMsg = document.createElement('div')
-        drMsg.className = 'chat-message dr-message'
-        drMsg.innerHTML = `
-          <div style="display: flex; gap: 8px; align-items: flex-start;">
-            <span style="font-size: 1.5rem;">👩‍🔬</span>
-            <p style="margin: 0; color: #f5f0e4; line-height: 1.5;">${response}</p>
-          </div>
-        `
-        drMsg.style.cssText = 'margin: 8px 0; padding: 12px; background: rgba(50, 40, 30, 0.8); border-radius: 12px 12px 12px 0; border-left: 3px solid #d4af37;'
-        chatBody.appendChild(drMsg)
+        showReply(response)
       } catch (error) {
         typingIndicator.remove()
         const errorMsg = document.createElement('div')
-        errorMsg.innerHTML = '<p style="color: #e74c3c; font-style: italic;">Unable to get response. Please try again.</p>'
+        errorMsg.innerHTML = llm.isAbortError(error)
+          ? `<p style="color: #8b7355; font-style: italic;">${escapeHtml(t('chat.stopped'))}</p>`
+          : `<p style="color: #e74c3c; font-style: italic;">${escapeHtml(t('chat.failed'))}</p>`
         chatBody.appendChild(errorMsg)
+      } finally {
+        llm.finishRequest('chat', request)
       }
     } else {
       // LLM not available - show helpful message
@@ -2525,9 +3868,9 @@ function setupChatToggle () {
       offlineMsg.className = 'chat-message dr-message'
       offlineMsg.innerHTML = `
         <div style="display: flex; gap: 8px; align-items: flex-start;">
-          <span style="font-size: 1.5rem;">👩‍🔬</span>
+          <span style="font-size: 1.5rem;">${escapeHtml(getMentor().avatar)}</span>
           <p style="margin: 0; color: #b8b0a0; font-style: italic;">
-            I'm currently offline. Configure an AI provider in the settings (⚙️ at the bottom) to chat with me!
+            ${escapeHtml(t('chat.offline'))}
           </p>
         </div>
       `
@@ -2538,50 +3881,80 @@ function setupChatToggle () {
     chatBody.scrollTop = chatBody.scrollHeight
   }
 
-  // Send on button click
-  if (chatSend) {
-    chatSend.addEventListener('click', sendMessage)
-  }
+  // Send on button click (delegated so it survives panel re-renders)
+  chatPanel.addEventListener('click', (e) => {
+    if (e.target.closest('#chat-send')) {
+      sendMessage()
+    }
+  })
 
   // Send on Enter key
-  if (chatInput) {
-    chatInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        sendMessage()
-      }
-    })
-  }
+  chatPanel.addEventListener('keypress', (e) => {
+    if (e.target.id === 'chat-input' && e.key === 'Enter') {
+      sendMessage()
+    }
+  })
 }
 
 // Helper function to escape HTML
+// Escape text for HTML, including attribute values
 function escapeHtml (text) {
-  const div = document.createElement('div')
-  div.textContent = text
-  return div.innerHTML
+  return MarkdownRenderer.escapeHtml(text ?? '')
+}
+
+// Text from a content pack is authored HTML (<code>, <em>, <strong>...). It
+// passes the same allowlist sanitizer as model replies, so a pack shown in
+// the page can't run script.
+function packHtml (text) {
+  return MarkdownRenderer.sanitizeHtml(String(text ?? ''))
 }
 
 // Set up restart runtime button event listener
 document.addEventListener('DOMContentLoaded', () => {
+  // Static text in app.html, before anything else is shown
+  I18n.translatePage()
+  setupLanguageSwitcher()
+
   initializeGame()
 
   // Set up next button
   setupNextButton()
 
+  // Set up content pack loading (button, file picker, drag-and-drop)
+  setupContentPacks()
+
+  // Set up the learning journey panel
+  setupLearningJourney()
+
   // Set up restart runtime button
   const restartButton = document.getElementById('restart-runtime-button')
   if (restartButton) {
     restartButton.addEventListener('click', restartRuntime)
   }
 
+  // Set up progress download and restore
+  setupProgressFiles()
+  setupCellHistory()
+  setupStarterChanges()
+  setupDialogFocus()
+  showActiveProfile()
+
+  // Installable and playable offline (not in the test runner, which skips it)
+  if (typeof OfflineSupport !== 'undefined') {
+    OfflineSupport.startOfflineSupport()
+  }
+
   // Set up clear progress button
   const clearProgressButton = document.getElementById('clear-progress-button')
   if (clearProgressButton) {
     clearProgressButton.addEventListener('click', () => {
       if (
-        confirm(
-          'Are you sure you want to clear all saved progress? This action cannot be undone.'
-        )
+        confirm(t('progress.confirmClear'))
       ) {
+        // Last chance to keep a copy that "Restore Progress" can bring back
+        if (confirm(t('progress.confirmBackup'))) {
+          downloadProgress()
+        }
         clearGameProgress()
         // Reload the page to start fresh
         window.location.reload()
@@ -2643,7 +4016,6 @@ function updateOllamaHelpUrls() {
   // Determine if CORS configuration is needed
   const isLocalhost = currentDomain === 'localhost' || currentDomain === '127.0.0.1';
   const corsSection = document.getElementById('cors-section');
-  const corsDescription = document.getElementById('cors-description');
 
   // Determine the OLLAMA_ORIGINS value based on the domain
   let ollamaOrigins;
@@ -2658,13 +4030,13 @@ function updateOllamaHelpUrls() {
     const testConnectionDescription = document.getElementById('test-connection-description');
     
     if (installModelHeading) {
-      installModelHeading.innerHTML = '🚀 Step 2: Install a Model';
+      installModelHeading.textContent = t('ollamaHelp.modelLocal');
     }
     if (testConnectionHeading) {
-      testConnectionHeading.innerHTML = '✅ Step 3: Test Connection';
+      testConnectionHeading.textContent = t('ollamaHelp.testLocal');
     }
     if (testConnectionDescription) {
-      testConnectionDescription.innerHTML = 'Once Ollama is running:';
+      testConnectionDescription.textContent = t('ollamaHelp.testTextLocal');
     }
   } else {
     // For remote domains (like GitHub Pages), show CORS config and include both the domain and localhost
@@ -2673,12 +4045,8 @@ function updateOllamaHelpUrls() {
     }
     ollamaOrigins = `${currentOrigin},http://localhost:*`;
 
-    // Update the description to show current domain
-    if (corsDescription) {
-      corsDescription.innerHTML = `To allow this website (<strong>${currentOrigin}</strong>) to connect to your local Ollama server, you need to set environment variables:`;
-    }
-
-    // Update all CORS origin placeholders in the modal
+    // Update all CORS origin placeholders in the modal, including the one
+    // naming this site in the description
     const originElements = modal.querySelectorAll('.current-origin');
     originElements.forEach(el => {
       el.textContent = currentOrigin;
@@ -2695,13 +4063,13 @@ function updateOllamaHelpUrls() {
     const testConnectionDescription = document.getElementById('test-connection-description');
 
     if (installModelHeading) {
-      installModelHeading.innerHTML = '🚀 Step 3: Install a Model';
+      installModelHeading.textContent = t('ollamaHelp.model');
     }
     if (testConnectionHeading) {
-      testConnectionHeading.innerHTML = '✅ Step 4: Test Connection';
+      testConnectionHeading.textContent = t('ollamaHelp.test');
     }
     if (testConnectionDescription) {
-      testConnectionDescription.innerHTML = 'Once Ollama is running with CORS configured:';
+      testConnectionDescription.textContent = t('ollamaHelp.testText');
     }
   }
 
@@ -2952,6 +4320,9 @@ class PlayerStoryTracker {
     this.performance = {};
     this.characterRelationship = 0; // Dr. Rodriguez trust level
     this.narrativePath = 'neutral';
+    this.ending = null; // { id, badge, earnedAt } once the final revelation is shown
+    this.runHistory = {}; // Stage id => run records (tutor-analytics.js), oldest first
+    this.maxRunsPerStage = 100;
   }
   
   trackCodeExecution(stageId, attempts, timeSpent, hintsUsed, errors) {
@@ -2973,23 +4344,90 @@ class PlayerStoryTracker {
   }
   
   identifyStruggles(errors) {
-    // Analyze error patterns
-    const struggles = [];
-    if (errors.some(e => e.includes('IndentationError'))) {
-      struggles.push('indentation');
-    }
-    if (errors.some(e => e.includes('str'))) {
-      struggles.push('string conversion');
+    // Concepts behind the exception types, most frequent first
+    return TutorAnalytics.identifyStruggles(errors);
+  }
+
+  recordRun(stageId, record) {
+    const runs = this.runHistory[stageId] || (this.runHistory[stageId] = []);
+    runs.push(record);
+    if (runs.length > this.maxRunsPerStage) {
+      runs.splice(0, runs.length - this.maxRunsPerStage);
     }
-    return struggles;
+  }
+
+  getRunHistory(stageId) {
+    return this.runHistory[stageId] || [];
   }
   
-  getPersonalizedNarrative(template, stageId) {
-    const perf = this.performance[stageId];
-    return template
-      .replace('{{playerAction}}', this.describePlayerApproach(perf))
-      .replace('{{struggledConcept}}', perf.struggledConcepts.join(' and ') || 'the challenge')
-      .replace('{{timeReference}}', this.getTimeReference(perf.timeSpent));
+  getPerformance(stageId) {
+    // Stages finished before tracking started (or restored saves) have no record
+    return this.performance[stageId] || {
+      attempts: 0,
+      timeSpent: 0,
+      hintsUsed: 0,
+      errors: [],
+      firstTrySuccess: false,
+      struggledConcepts: []
+    };
+  }
+
+  getPersonalizedNarrative(template, stageId, segment = null, extraValues = {}) {
+    const perf = this.getPerformance(stageId);
+    const values = {
+      playerAction: this.describePlayerApproach(perf),
+      struggledConcept: perf.struggledConcepts.join(' and ') || 'the challenge',
+      timeReference: this.getTimeReference(perf.timeSpent),
+      ...extraValues
+    };
+    if (!narrativeEngine) {
+      return template.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] || '');
+    }
+    return narrativeEngine.fillPlaceholders(template, segment, this.choices, values);
+  }
+
+  getTimeReference(timeSpent) {
+    const minutes = Math.round((timeSpent || 0) / 60000);
+    if (minutes < 1) return 'in moments';
+    if (minutes === 1) return 'in about a minute';
+    return `in about ${minutes} minutes`;
+  }
+
+  // Fragments decoded = story stages completed (the tutorial has no fragment)
+  getDecodedCount() {
+    return completedStages.filter(id => {
+      const stage = gameContent.stages.find(s => s.id === id);
+      return stage && !stage.isTutorial;
+    }).length;
+  }
+
+  recordChoice(stageId, choiceId, consequence) {
+    this.choices = narrativeEngine
+      ? narrativeEngine.recordChoice(this.choices, stageId, choiceId, consequence)
+      : [...this.choices.filter(c => c.stageId !== stageId), { stageId, choice: choiceId, consequence }];
+    this.narrativePath = consequence;
+  }
+
+  serialize() {
+    return {
+      actions: this.actions,
+      choices: this.choices,
+      performance: this.performance,
+      characterRelationship: this.characterRelationship,
+      narrativePath: this.narrativePath,
+      ending: this.ending,
+      runHistory: this.runHistory
+    };
+  }
+
+  restore(data) {
+    this.actions = data.actions || [];
+    this.choices = data.choices || [];
+    this.performance = data.performance || {};
+    this.characterRelationship = data.characterRelationship || 0;
+    this.narrativePath = data.narrativePath || 'neutral';
+    this.ending = data.ending || null;
+    this.runHistory = data.runHistory || {};
   }
   
   describePlayerApproach(performance) {
@@ -3007,12 +4445,20 @@ let playerTracker = new PlayerStoryTracker();
 
 // Modify LLMIntegration class
 class EnhancedLLMIntegration extends LLMIntegration {
+  async queryLLM(type) {
+    // AI hints count towards hint usage just like authored hints
+    if (type === 'hint' && this.selectedModel) {
+      noteHintUsed();
+    }
+    return super.queryLLM(type);
+  }
+
   async queryCharacterHint(code, error, stage) {
     const characterPersonality = `You are Dr. Elena Rodriguez, a digital archaeologist. You're brilliant but approachable, 
     excited about discoveries, and genuinely care about your assistant's learning. You've been studying these fragments 
     for years. Speak in first person, be encouraging but not condescending. Reference the current mystery naturally.`;
     
-    const storyContext = `Current investigation: ${stage.story}
+    const storyContext = `Current investigation: ${getStageStory(stage)}
     Player's relationship level: ${playerTracker.characterRelationship}
     Recent choices: ${JSON.stringify(playerTracker.choices.slice(-2))}
     Current narrative path: ${playerTracker.narrativePath}`;
@@ -3059,6 +4505,8 @@ class EnhancedLLMIntegration extends LLMIntegration {
     if (!chatPanel) return;
 
     chatPanel.innerHTML = '';
+    const stage = gameContent.stages.find(s => s.id === currentStage);
+    const stageTitle = stage ? stage.title : t('chat.investigation');
 
     // Activate chat panel and update grid layout
     chatPanel.classList.add('active');
@@ -3071,28 +4519,37 @@ class EnhancedLLMIntegration extends LLMIntegration {
     chatInterface.className = 'character-chat';
     chatInterface.innerHTML = `
       <div class="chat-header">
-        <img src="rodriguez-avatar.png" alt="Dr. Rodriguez" class="chat-avatar">
-        <span>Dr. Rodriguez</span>
+        <img class="chat-avatar">
+        <span class="chat-mentor-name"></span>
         <span class="status-indicator online"></span>
       </div>
       <div class="chat-messages" id="chat-messages">
         <div class="message character">
-          <p>Need help with the ${gameContent.stages[currentStage - 1].title.toLowerCase()}?
-          I'm here to guide you through this mystery!</p>
+          <p>${t('chat.welcome', { stage: escapeHtml(stageTitle.toLowerCase()) })}</p>
         </div>
       </div>
       <div class="chat-input-container">
-        <button id="quick-hint-btn" class="quick-action">🔍 Hint</button>
-        <button id="explain-error-btn" class="quick-action">❌ Error</button>
-        <button id="story-context-btn" class="quick-action">📖 Story</button>
+        <button id="quick-hint-btn" class="quick-action">${t('chat.quick.hint')}</button>
+        <button id="explain-error-btn" class="quick-action">${t('chat.quick.error')}</button>
+        <button id="story-context-btn" class="quick-action">${t('chat.quick.story')}</button>
+      </div>
+      <div class="chat-panel-input">
+        <input type="text" id="chat-input" placeholder="${t('chat.placeholder')}" aria-label="${t('chat.placeholder')}" />
+        <button id="chat-send">${t('chat.send')}</button>
       </div>
     `;
 
+    // The mentor comes from the content pack, so it is set as text
+    const avatar = chatInterface.querySelector('.chat-avatar');
+    avatar.setAttribute('src', getMentor().image);
+    avatar.setAttribute('alt', getMentor().name);
+    chatInterface.querySelector('.chat-mentor-name').textContent = getMentor().name;
+
     chatPanel.appendChild(chatInterface);
     
     // Wire up buttons
     document.getElementById('quick-hint-btn').addEventListener('click', async () => {
-      await this.requestCharacterHint('hint');
+      await this.requestLadderHint();
     });
     
     document.getElementById('explain-error-btn').addEventListener('click', async () => {
@@ -3102,15 +4559,42 @@ class EnhancedLLMIntegration extends LLMIntegration {
     document.getElementById('story-context-btn').addEventListener('click', async () => {
       await this.requestCharacterHint('story');
     });
+
+    // Now that AI is on (or its model changed), the hint ladder can offer AI hints
+    if (stage) renderHintLadder(stage);
+  }
+
+  // The chat's hint button climbs the same ladder as the hint section, so
+  // the authored hints are passed on before any AI hint is asked for
+  async requestLadderHint() {
+    const rung = climbHintLadder();
+    if (rung?.kind !== 'authored') {
+      if (rung) noteHintUsed();
+      await this.requestCharacterHint('hint');
+      return;
+    }
+
+    showHint(rung.index);
+    const messagesContainer = document.getElementById('chat-messages');
+    [['user', this.getRequestMessage('hint')], ['character', document.getElementById(`hint-${rung.index}`).textContent]]
+      .forEach(([role, text]) => {
+        const message = document.createElement('div');
+        message.className = `message ${role}`;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        message.appendChild(paragraph);
+        messagesContainer.appendChild(message);
+      });
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
   
   getRequestMessage(type) {
     const messages = {
-      'hint': 'Can you give me a hint?',
-      'error': 'Can you help me understand this error?',
-      'story': 'Can you explain the story context?'
+      'hint': t('chat.request.hint'),
+      'error': t('chat.request.error'),
+      'story': t('chat.request.story')
     };
-    return messages[type] || 'Can you help me?';
+    return messages[type] || t('chat.request.default');
   }
   
   getCurrentCode() {
@@ -3155,14 +4639,14 @@ class EnhancedLLMIntegration extends LLMIntegration {
     const response = await this.queryCharacterHint(
       this.getCurrentCode(),
       this.getLastError(),
-      gameContent.stages[currentStage - 1]
+      gameContent.stages.find(s => s.id === currentStage)
     );
     
     // Remove typing indicator and add response
     typingIndicator.remove();
     const charMsg = document.createElement('div');
     charMsg.className = 'message character';
-    charMsg.innerHTML = `<p>${response}</p>`;
+    charMsg.innerHTML = `<p>${this.sanitizeHtml(response)}</p>`;
     messagesContainer.appendChild(charMsg);
     
     // Scroll to bottom
@@ -3181,32 +4665,32 @@ function showStorySegment(stage) {
   storyModal.innerHTML = `
     <div class="story-content">
       <div class="story-narrative">
-        ${playerTracker.getPersonalizedNarrative(segment.narrative, stage.id)}
+        ${packHtml(playerTracker.getPersonalizedNarrative(segment.narrative, stage.id, segment)).replace(/\n/g, '<br>')}
       </div>
       
       ${segment.characterResponse ? `
         <div class="character-message">
-          <img src="rodriguez-avatar.png" alt="Dr. Rodriguez" class="character-avatar">
+          <img src="${escapeHtml(getMentor().image)}" alt="${escapeHtml(getMentor().name)}" class="character-avatar">
           <div class="message-bubble">
-            ${getCharacterResponse(segment.characterResponse, stage.id)}
+            ${packHtml(getCharacterResponse(segment.characterResponse, stage.id, segment))}
           </div>
         </div>
       ` : ''}
       
       ${segment.choice ? `
         <div class="story-choice">
-          <p class="choice-prompt">${segment.choice.prompt}</p>
+          <p class="choice-prompt">${packHtml(segment.choice.prompt)}</p>
           <div class="choice-options">
             ${segment.choice.options.map(opt => `
-              <button class="choice-button" data-choice="${opt.id}" data-consequence="${opt.consequence}">
-                <strong>${opt.text}</strong>
-                <small>${opt.preview}</small>
+              <button class="choice-button" data-choice="${escapeHtml(opt.id)}" data-consequence="${escapeHtml(opt.consequence)}">
+                <strong>${packHtml(opt.text)}</strong>
+                <small>${packHtml(opt.preview)}</small>
               </button>
             `).join('')}
           </div>
         </div>
       ` : `
-        <button class="continue-button">Continue →</button>
+        <button class="continue-button">${t('story.continue')}</button>
       `}
     </div>
   `;
@@ -3219,13 +4703,12 @@ function showStorySegment(stage) {
       const choice = e.currentTarget.dataset.choice;
       const consequence = e.currentTarget.dataset.consequence;
       
-      playerTracker.choices.push({
-        stageId: stage.id,
-        choice: choice,
-        consequence: consequence
-      });
-      
-      playerTracker.narrativePath = consequence;
+      playerTracker.recordChoice(stage.id, choice, consequence);
+
+      const option = segment.choice.options.find(opt => opt.id === choice);
+      if (option && option.strengthensRelationship) {
+        playerTracker.characterRelationship += 1;
+      }
       
       // Modify next stage based on choice
       applyNarrativeModifiers(consequence);
@@ -3235,95 +4718,206 @@ function showStorySegment(stage) {
       proceedToNextStage();
     });
   });
+
+  // Segments without a choice just continue
+  const continueButton = storyModal.querySelector('.continue-button');
+  if (continueButton) {
+    continueButton.addEventListener('click', () => {
+      storyModal.remove();
+      proceedToNextStage();
+    });
+  }
 }
 
-function getCharacterResponse(responses, stageId) {
-  const perf = playerTracker.performance[stageId];
+function getCharacterResponse(responses, stageId, segment = null) {
+  const perf = playerTracker.getPerformance(stageId);
   if (perf.firstTrySuccess && perf.hintsUsed === 0) {
-    return playerTracker.getPersonalizedNarrative(responses.success, stageId);
+    return playerTracker.getPersonalizedNarrative(responses.success, stageId, segment);
   } else {
-    return playerTracker.getPersonalizedNarrative(responses.struggle, stageId);
+    return playerTracker.getPersonalizedNarrative(responses.struggle, stageId, segment);
   }
 }
 
-function determineEnding() {
-  const endings = gameContent.endings;
-  const playerActions = playerTracker.actions;
-  const playerChoices = playerTracker.choices;
-  
-  // Score each ending based on requirements met
-  const endingScores = {};
-  
-  for (const [endingId, ending] of Object.entries(endings)) {
-    let score = 0;
-    let requirementsMet = 0;
-    
-    for (const requirement of ending.requirements) {
-      if (checkRequirement(requirement, playerActions, playerChoices)) {
-        requirementsMet++;
-        score += 10;
-      }
-    }
-    
-    // Bonus points for narrative consistency
-    if (ending.narrativePath === playerTracker.narrativePath) {
-      score += 5;
-    }
-    
-    endingScores[endingId] = {
-      score,
-      percentComplete: (requirementsMet / ending.requirements.length) * 100
-    };
+// Story text for a stage, including the chosen path's additional context
+function getStageStory(stage) {
+  if (!narrativeEngine) return stage.story;
+  return narrativeEngine.getStageStory(stage, playerTracker.choices);
+}
+
+// Show what the player's path changed about this stage: the modifier's
+// additional context under the narrative strip, and its bonus reveal as a finding
+function showPathContext(stage) {
+  const strip = document.querySelector('.narrative-strip');
+  if (!strip) return;
+
+  strip.querySelector('.path-context')?.remove();
+
+  const modifier = narrativeEngine?.getStageModifier(stage, playerTracker.choices);
+  if (!modifier) return;
+
+  if (modifier.additionalContext) {
+    const context = document.createElement('div');
+    context.className = 'path-context';
+    context.innerHTML = `🧭 ${packHtml(modifier.additionalContext.trim()).replace(/\n/g, '<br>')}`;
+    strip.appendChild(context);
   }
-  
-  // Select best ending
-  const bestEnding = Object.entries(endingScores)
-    .sort((a, b) => b[1].score - a[1].score)[0];
-  
-  return endings[bestEnding[0]];
+
+  // Revisiting a stage shouldn't log the same finding twice
+  const bonus = narrativeEngine.getBonusReveal(stage, playerTracker.choices);
+  const findings = document.getElementById('live-discoveries');
+  if (bonus && findings && !findings.textContent.includes(bonus)) {
+    updateDiscoveriesLog(bonus);
+  }
+}
+
+// Apply the consequence of a story choice. Stage text is modified lazily
+// (getStageStory/showPathContext read the choices when each stage loads), so
+// this only needs to persist the new path.
+function applyNarrativeModifiers(consequence) {
+  console.log(`Narrative path: ${consequence}`);
+  saveGameState();
+}
+
+// Continue from a finished stage to the stage transition screen. After the
+// last stage it closes the investigation, and its Finish button opens the ending.
+function proceedToNextStage() {
+  showStageTransition(currentStage);
+}
+
+function determineEnding() {
+  const flags = narrativeEngine.deriveFlags(playerTracker.choices, playerTracker.performance);
+  return narrativeEngine.selectEnding(flags, playerTracker.choices).ending;
+}
+
+// Build the final revelation from the last stage's story segment, with the
+// earned ending woven into its {{ending}} placeholder
+function generateFinalRevelation(ending) {
+  const finalStage = gameContent.stages[gameContent.stages.length - 1];
+  const segment = finalStage.completionSegment || {};
+  const narrative = segment.narrative
+    ? playerTracker.getPersonalizedNarrative(segment.narrative, finalStage.id, segment, { ending: ending.narrative })
+    : ending.narrative;
+
+  return {
+    narrative: narrative.replace(/\n/g, '<br>'),
+    characterMessage: segment.characterResponse
+      ? getCharacterResponse(segment.characterResponse, finalStage.id, segment).replace(/^"|"$/g, '')
+      : ''
+  };
+}
+
+// Human-readable name for a narrative path ("knowledgePath" -> "Knowledge")
+function formatPath(path) {
+  if (!path || path === 'neutral') return t('ending.pathUndecided');
+  const name = path.replace(/(Path|Ending)$/, '');
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Trust grows by 1 for each choice that strengthens the relationship and by
+// 0.1 for each question put to the mentor in the chat (queryCharacterHint),
+// so it is rounded to undo floating point drift (ten questions make 1, not 0.999...)
+function getRelationshipLevel() {
+  const trust = Math.round(playerTracker.characterRelationship * 10) / 10;
+  if (trust >= 2) return t('ending.trust.partner');
+  if (trust >= 1) return t('ending.trust.close');
+  if (trust > 0) return t('ending.trust.colleague');
+  return t('ending.trust.new');
+}
+
+// Self-contained SVG badge for an ending, so it can be shown and downloaded
+// without any image assets
+function createBadgeSvg(ending) {
+  const icons = { seeker: '🧭', guardian: '🛡️', savior: '🌍', scholar: '📜' };
+  const icon = icons[ending.id] || '🏛️';
+  const title = escapeHtml(ending.title);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200" role="img" aria-label="${escapeHtml(t('ending.badgeLabel', { title: ending.title }))}">
+  <defs>
+    <radialGradient id="badge-bg" cx="50%" cy="40%" r="60%">
+      <stop offset="0%" stop-color="#5a3d26"/>
+      <stop offset="100%" stop-color="#2c1810"/>
+    </radialGradient>
+  </defs>
+  <circle cx="100" cy="100" r="94" fill="url(#badge-bg)" stroke="#d4a574" stroke-width="6"/>
+  <circle cx="100" cy="100" r="80" fill="none" stroke="#d4a574" stroke-width="1.5" stroke-dasharray="4 4"/>
+  <text x="100" y="98" font-size="56" text-anchor="middle" dominant-baseline="middle">${icon}</text>
+  <text x="100" y="148" font-family="Georgia, serif" font-size="16" fill="#f4e4d4" text-anchor="middle">${title}</text>
+  <text x="100" y="168" font-family="Georgia, serif" font-size="9" fill="#d4a574" text-anchor="middle" letter-spacing="1">${escapeHtml(t('ending.badgeCaption'))}</text>
+</svg>`;
+}
+
+function downloadBadge(ending) {
+  const blob = new Blob([createBadgeSvg(ending)], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${ending.badge}.svg`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 function showFinalRevelation() {
   const ending = determineEnding();
+  if (!ending) return;
   const revelation = generateFinalRevelation(ending);
-  
+
+  // Keep the earned badge with the save so it survives reloads
+  playerTracker.ending = { id: ending.id, badge: ending.badge, earnedAt: Date.now() };
+  saveGameState();
+
+  const hintsUsed = Object.values(playerTracker.performance)
+    .reduce((sum, perf) => sum + (perf.hintsUsed || 0), 0);
+  const firstTrySolves = Object.values(playerTracker.performance)
+    .filter(perf => perf.firstTrySuccess).length;
+
+  document.querySelector('.ending-modal')?.remove();
+
   // Create elaborate ending sequence
   const endingModal = document.createElement('div');
-  endingModal.className = 'ending-modal';
+  endingModal.className = 'story-modal ending-modal';
   endingModal.innerHTML = `
-    <div class="ending-content">
-      <h2>🏛️ The Truth Revealed</h2>
+    <div class="story-content ending-content">
+      <h2>${t('ending.title')}</h2>
       
-      <div class="revelation-text">
-        ${revelation.narrative}
+      <div class="story-narrative revelation-text">
+        ${packHtml(revelation.narrative)}
       </div>
       
-      <div class="character-final">
-        <img src="rodriguez-avatar.svg" alt="Dr. Rodriguez" onerror="this.style.display='none'; this.nextElementSibling.innerHTML='<span style=&quot;font-size:48px&quot;>👨‍🔬</span>' + this.nextElementSibling.innerHTML">
-        <div class="final-message">
-          <p>"${revelation.characterMessage}"</p>
+      <div class="character-message character-final">
+        <img src="${escapeHtml(getMentor().image)}" alt="${escapeHtml(getMentor().name)}" class="character-avatar">
+        <div class="message-bubble final-message">
+          <p>"${packHtml(revelation.characterMessage)}"</p>
         </div>
       </div>
       
       <div class="ending-stats">
-        <h3>Your Archaeological Journey:</h3>
+        <h3>${t('ending.statsTitle')}</h3>
         <ul>
-          <li>Fragments Decoded: ${playerTracker.getDecodedCount()}</li>
-          <li>Mysteries Solved: ${playerTracker.choices.length}</li>
-          <li>Relationship with Dr. Rodriguez: ${getRelationshipLevel()}</li>
-          <li>Path Taken: ${formatPath(playerTracker.narrativePath)}</li>
+          <li>${t('ending.stat.decoded', { count: playerTracker.getDecodedCount() })}</li>
+          <li>${t('ending.stat.solved', { count: playerTracker.choices.length })}</li>
+          <li>${t('ending.stat.firstTry', { count: firstTrySolves })}</li>
+          <li>${t('ending.stat.hints', { count: hintsUsed })}</li>
+          <li>${escapeHtml(t('ending.stat.relationship', { name: getMentor().name, level: getRelationshipLevel() }))}</li>
+          <li>${escapeHtml(t('ending.stat.path', { path: formatPath(playerTracker.narrativePath) }))}</li>
         </ul>
       </div>
       
       <div class="ending-badge">
-        <img src="badges/${ending.badge}.png" alt="${ending.title}">
-        <h3>${ending.title}</h3>
-        <p>${ending.description}</p>
+        ${createBadgeSvg(ending)}
+        <h3>${escapeHtml(ending.title)}</h3>
+        <p>${escapeHtml(ending.description)}</p>
+        <button class="choice-button badge-download">${t('ending.downloadBadge')}</button>
       </div>
+
+      <button class="continue-button">${t('ending.close')}</button>
     </div>
   `;
   
   document.body.appendChild(endingModal);
+
+  endingModal.querySelector('.badge-download').addEventListener('click', () => downloadBadge(ending));
+  endingModal.querySelector('.continue-button').addEventListener('click', () => endingModal.remove());
 }
 
 // ========================================
@@ -3341,7 +4935,7 @@ function showInlineNarrative(cellIndex, output, narrativeMessage) {
   narrative.innerHTML = `
     <div class="character-inline">
       <span style="font-size: 32px; margin-right: 0.75rem;">👨‍🔬</span>
-      <p>"${narrativeMessage}"</p>
+      <p>"${packHtml(narrativeMessage)}"</p>
     </div>
   `;
   
@@ -3361,7 +4955,7 @@ function updateDiscoveriesLog(discovery) {
   discoveryItem.className = 'discovery-item';
   discoveryItem.innerHTML = `
     <div style="padding: 0.5rem; border-left: 2px solid #d4a574; margin-bottom: 0.5rem; background: rgba(212, 165, 116, 0.1);">
-      ✓ ${discovery}
+      ✓ ${packHtml(discovery)}
     </div>
   `;
   
@@ -3378,9 +4972,9 @@ function updateDataCard(stageData) {
   const dataSnippet = codeMatch ? codeMatch[0].replace(/```/g, '') : stageData.substring(0, 100);
   
   dataCard.innerHTML = `
-    <h3>📊 Fragment Data</h3>
-    <code>${dataSnippet}</code>
-    <p style="margin-top: 0.5rem; font-size: 0.8rem;">Explore this data in your code</p>
+    <h3>${t('reference.dataTitle')}</h3>
+    <code>${escapeHtml(dataSnippet)}</code>
+    <p style="margin-top: 0.5rem; font-size: 0.8rem;">${t('reference.dataHint')}</p>
   `;
 }
 
@@ -3393,15 +4987,15 @@ function updateNarrativeStrip(storyText, objectiveText, isDialogue = false) {
   if (storyProgress && storyText) {
     if (isDialogue) {
       // Character dialogue - show as quote
-      storyProgress.innerHTML = `💬 <strong>Dr. Rodriguez:</strong> "${storyText}"`;
+      storyProgress.innerHTML = `💬 <strong>${escapeHtml(getMentor().name)}:</strong> "${packHtml(storyText)}"`;
     } else {
       // Narrative prose - show as story text
-      storyProgress.innerHTML = `📜 ${storyText}`;
+      storyProgress.innerHTML = `📜 ${packHtml(storyText)}`;
     }
   }
 
   if (currentObjective && objectiveText) {
-    currentObjective.innerHTML = `🎯 ${objectiveText}`;
+    currentObjective.innerHTML = `🎯 ${packHtml(objectiveText)}`;
   }
 }
 
@@ -3426,8 +5020,8 @@ function createExcavationLayers(cells) {
     const headerIcon = index === 0 ? '⚒️' : '🔒';
     
     layerHeader.innerHTML = `
-      ${headerIcon} ${headerTitle}
-      <span class="instruction">${cell.layerHint || 'Complete the previous layer to unlock'}</span>
+      ${headerIcon} ${packHtml(headerTitle)}
+      <span class="instruction">${packHtml(cell.layerHint || 'Complete the previous layer to unlock')}</span>
     `;
     
     layer.appendChild(layerHeader);
@@ -3472,6 +5066,14 @@ function unlockNextLayer(currentIndex) {
       header.innerHTML = header.innerHTML.replace('🔒', '⚒️');
     }
   }
+
+  // Working from the keyboard, carry on in the next cell. Its editor's label
+  // is read on focus, and the run result says it unlocked.
+  const passedCell = document.getElementById(`cell-${currentIndex}`);
+  const nextEditor = cellEditors[currentIndex + 1];
+  if (nextEditor && passedCell && passedCell.contains(document.activeElement)) {
+    nextEditor.focus();
+  }
 }
 
 // Add narrative responses based on code output
@@ -3512,7 +5114,7 @@ window.gameAPI = {
     const isMultiCell = !!(stage?.cells && stage.cells.length > 0);
     return {
       currentStage: currentStage,
-      totalStages: gameContent?.gameInfo?.totalStages || 0,
+      totalStages: gameContent?.stages?.length || 0,
       stageTitle: stage?.title || '',
       stageType: isMultiCell ? 'multi-cell' : 'single-cell',
       challenge: stage?.challenge || '',
@@ -3722,7 +5324,7 @@ window.gameAPI = {
    * @param {number} stageId - Stage number to load
    */
   loadStage: function(stageId) {
-    if (stageId >= 1 && stageId <= (gameContent?.gameInfo?.totalStages || 0)) {
+    if (gameContent?.stages?.some(s => s.id === stageId)) {
       loadStage(stageId);
       return true;
     }
@@ -3759,7 +5361,7 @@ window.gameAPI = {
         originalShow(status, content);
         if (status === 'success') {
           resolve({ response: content });
-        } else if (status === 'error') {
+        } else if (status === 'error' || status === 'cancelled') {
           resolve({ error: content });
         }
       };
@@ -3888,8 +5490,8 @@ const stageTutorials = {
   0: [
     {
       target: '#single-cell-number, .cell-number, .cell-header',
-      title: '👆 Click Here to Run!',
-      text: 'Click this play button (or press Shift+Enter) to run the code and see what happens!',
+      title: t('tutorial.run.title'),
+      text: t('tutorial.run.text'),
       arrow: 'left',
       offset: { x: 10, y: 0 }
     }
@@ -3897,8 +5499,8 @@ const stageTutorials = {
   2: [
     {
       target: '#cells-container, .cells-container',
-      title: '📝 Multiple Code Cells',
-      text: 'This stage has multiple code cells! Complete each cell in order. Variables from earlier cells are available in later ones.',
+      title: t('tutorial.cells.title'),
+      text: t('tutorial.cells.text'),
       arrow: 'top',
       offset: { x: 0, y: 10 }
     }
@@ -3906,15 +5508,15 @@ const stageTutorials = {
   3: [
     {
       target: '.hint-button, #hint-0, .hint-buttons',
-      title: '💡 Stuck? Use Hints!',
-      text: 'Click these hint buttons if you need help. They reveal progressively more guidance without giving away the answer.',
+      title: t('tutorial.hints.title'),
+      text: t('tutorial.hints.text'),
       arrow: 'top',
       offset: { x: 0, y: 10 }
     },
     {
       target: '.code-editor, .CodeMirror',
-      title: '🔀 Conditionals: if/else',
-      text: 'This stage introduces conditionals! Use "if" to check conditions and "else" for alternatives. Think: "if this is true, do that."',
+      title: t('tutorial.conditionals.title'),
+      text: t('tutorial.conditionals.text'),
       arrow: 'left',
       offset: { x: 10, y: 0 }
     }
@@ -3922,8 +5524,8 @@ const stageTutorials = {
   4: [
     {
       target: '.code-editor, .CodeMirror',
-      title: '🔄 Loops: Repeat Actions',
-      text: 'Loops let you repeat code! "for item in list:" runs the indented code once for each item. No need to write the same thing multiple times.',
+      title: t('tutorial.loops.title'),
+      text: t('tutorial.loops.text'),
       arrow: 'left',
       offset: { x: 10, y: 0 }
     }
@@ -3931,15 +5533,15 @@ const stageTutorials = {
   5: [
     {
       target: '#chat-toggle, .chat-toggle',
-      title: '💬 Need Help? Ask Dr. Rodriguez!',
-      text: 'Click here to chat with Dr. Rodriguez (AI assistant). Ask questions about Python or get hints about the current challenge!',
+      title: t('tutorial.chat.title'),
+      text: t('tutorial.chat.text'),
       arrow: 'bottom',
       offset: { x: 0, y: -10 }
     },
     {
       target: '.code-editor, .CodeMirror',
-      title: '🔧 Functions: Reusable Code',
-      text: 'Functions bundle code you can reuse! Define with "def name():" and call with "name()". This stage also uses f-strings: f"text {variable}"',
+      title: t('tutorial.functions.title'),
+      text: t('tutorial.functions.text'),
       arrow: 'left',
       offset: { x: 10, y: 0 }
     }
@@ -3952,11 +5554,12 @@ let tutorialHighlightedElement = null;
 
 function shouldShowTutorial (stageId) {
   // Check if this stage's tutorial has been seen
-  const seenTutorials = JSON.parse(localStorage.getItem('aicodepedagogy_tutorials_seen') || '[]');
+  const seenTutorials = JSON.parse(localStorage.getItem(playerProfiles.profileKey('aicodepedagogy_tutorials_seen')) || '[]');
   return stageTutorials[stageId] && !seenTutorials.includes(stageId);
 }
 
 let currentTutorialStageId = null;
+let releaseTutorialFocus = null;
 
 function startTutorial (stageId) {
   currentTutorialStageId = stageId;
@@ -3967,17 +5570,31 @@ function startTutorial (stageId) {
 
   showTutorialStep(0);
   document.getElementById('tutorial-overlay').style.display = 'block';
+
+  // Tab stays on the tutorial's buttons until it is finished or skipped;
+  // Escape skips it, and focus then returns to where it was
+  if (!releaseTutorialFocus) {
+    releaseTutorialFocus = Accessibility.trapFocus(document.getElementById('tutorial-tooltip'), {
+      initialFocus: document.getElementById('tutorial-next'),
+      onEscape: endTutorial
+    });
+  }
 }
 
 function endTutorial () {
   document.getElementById('tutorial-overlay').style.display = 'none';
 
+  if (releaseTutorialFocus) {
+    releaseTutorialFocus();
+    releaseTutorialFocus = null;
+  }
+
   // Mark this stage's tutorial as seen
   if (currentTutorialStageId) {
-    const seenTutorials = JSON.parse(localStorage.getItem('aicodepedagogy_tutorials_seen') || '[]');
+    const seenTutorials = JSON.parse(localStorage.getItem(playerProfiles.profileKey('aicodepedagogy_tutorials_seen')) || '[]');
     if (!seenTutorials.includes(currentTutorialStageId)) {
       seenTutorials.push(currentTutorialStageId);
-      localStorage.setItem('aicodepedagogy_tutorials_seen', JSON.stringify(seenTutorials));
+      localStorage.setItem(playerProfiles.profileKey('aicodepedagogy_tutorials_seen'), JSON.stringify(seenTutorials));
     }
   }
 
@@ -4027,9 +5644,9 @@ function showTutorialStep (stepIndex) {
   // Update button text on last step
   const nextBtn = document.getElementById('tutorial-next');
   if (stepIndex === currentTutorialSteps.length - 1) {
-    nextBtn.textContent = 'Got it!';
+    nextBtn.textContent = t('tutorial.gotIt');
   } else {
-    nextBtn.textContent = 'Next →';
+    nextBtn.textContent = t('tutorial.next');
   }
 
   // Position tooltip relative to target
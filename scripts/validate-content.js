@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Content Validation Script for AICodePedagogy
+ * Lints game content before it ships: schema, cross-references, regexes,
+ * code rules, and runs every solution through Skulpt to confirm it passes its
+ * own checks. Translation overlays next to the content are checked for text
+ * that would be ignored.
+ *
+ * Usage: npm run validate:content [-- path/to/content.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { validateContent } = require('../content-validator.js');
+const I18n = require('../i18n.js');
+const { PythonSandbox, createLocalTransport } = require('../python-runtime.js');
+
+const ROOT = path.join(__dirname, '..');
+const SKULPT_FILES = ['vendor/skulpt/skulpt.min.js', 'vendor/skulpt/skulpt-stdlib.js'];
+
+/**
+ * Load Skulpt into its own sandboxed context
+ * @returns {Object} The context's Sk
+ */
+function loadSkulpt() {
+  const context = { console, setTimeout, clearTimeout, Promise };
+  context.window = context.self = context.globalThis = context;
+  vm.createContext(context);
+  SKULPT_FILES.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context.Sk;
+}
+
+/**
+ * A sandbox on a fresh Skulpt, speaking the same protocol as the browser's
+ * Python worker
+ * @returns {PythonSandbox}
+ */
+function createSkulptSandbox() {
+  const Sk = loadSkulpt();
+  return new PythonSandbox({ createTransport: createLocalTransport(() => Sk) });
+}
+
+/**
+ * Create a runner for checkSolutions
+ * @returns {Function} async (code, { stdin, run }) => printed output, where
+ *   run is an optional controller from createRunController() to stop it early
+ */
+function createSkulptRunner(sandbox = createSkulptSandbox()) {
+  return (code, { stdin = [], run = null } = {}) => sandbox.run(code, { stdin, run });
+}
+
+async function main() {
+  const contentPath = path.resolve(process.argv[2] || path.join(ROOT, 'game-content.json'));
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'game-content.schema.json'), 'utf8'));
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(contentPath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${contentPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Validating ${path.relative(process.cwd(), contentPath) || contentPath}\n`);
+  const sandbox = createSkulptSandbox();
+  const { errors, warnings } = await validateContent(content, {
+    schema,
+    runPython: createSkulptRunner(sandbox),
+    checkCode: (code, rules) => sandbox.checkCode(code, rules)
+  });
+
+  // Translations sit beside the content, e.g. game-content.es.json
+  Object.keys(I18n.LOCALES).forEach(locale => {
+    const overlayPath = I18n.contentOverlayUrl(locale, contentPath);
+    if (!overlayPath || !fs.existsSync(overlayPath)) return;
+    const name = path.basename(overlayPath);
+    try {
+      const overlay = JSON.parse(fs.readFileSync(overlayPath, 'utf8'));
+      I18n.checkContentOverlay(content, overlay).forEach(warning => warnings.push(`${name}: ${warning}`));
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  });
+
+  warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  errors.forEach(error => console.log(`❌ ${error}`));
+
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length === 0) {
+    console.log('✅ Content is valid');
+  }
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Validation failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSkulptRunner, createSkulptSandbox, loadSkulpt };
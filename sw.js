@@ -0,0 +1,162 @@
+/**
+ * Service Worker
+ * Keeps the game playable without a connection. The app shell (pages,
+ * scripts, styles, vendor/ and the bundled content) is precached when the
+ * worker installs; other same-origin files and Transformers.js are cached
+ * the first time they load. Caches are named by CACHE_VERSION, so bump it
+ * with every release: the new worker installs alongside the old one and
+ * the page offers a reload once it's ready.
+ *
+ * The in-browser model's files are cached by Transformers.js itself (in
+ * its own "transformers-cache"), so once a student has downloaded the
+ * model it works offline too; this worker never deletes that cache.
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'aicodepedagogy-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'app.html',
+  'teacher.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'style.css',
+  'rodriguez-avatar.svg',
+  'game-content.json',
+  'game-content.schema.json',
+  'game-content.es.json',
+  'offline-support.js',
+  'i18n.js',
+  'locales/en.js',
+  'locales/es.js',
+  'profiles.js',
+  'markdown-renderer.js',
+  'code-diff.js',
+  'output-diff.js',
+  'cell-history.js',
+  'tutor-agent.js',
+  'llm-integration.js',
+  'narrative-engine.js',
+  'code-rules.js',
+  'content-validator.js',
+  'content-pack.js',
+  'python-runtime.js',
+  'python-worker.js',
+  'tutor-analytics.js',
+  'progress-file.js',
+  'accessibility.js',
+  'hint-ladder.js',
+  'teacher-dashboard.js',
+  'script.js',
+  'vendor/fonts/fonts.css',
+  'vendor/fonts/roboto-300.woff2',
+  'vendor/fonts/roboto-400.woff2',
+  'vendor/fonts/roboto-500.woff2',
+  'vendor/fonts/roboto-700.woff2',
+  'vendor/fonts/roboto-mono-400.woff2',
+  'vendor/fonts/roboto-mono-500.woff2',
+  'vendor/fonts/inter-400.woff2',
+  'vendor/fonts/inter-500.woff2',
+  'vendor/fonts/inter-600.woff2',
+  'vendor/fonts/source-code-pro-400.woff2',
+  'vendor/fonts/source-code-pro-500.woff2',
+  'vendor/fonts/crimson-text-400.woff2',
+  'vendor/fonts/crimson-text-400-italic.woff2',
+  'vendor/fonts/crimson-text-600.woff2',
+  'vendor/skulpt/skulpt.min.js',
+  'vendor/skulpt/skulpt-stdlib.js',
+  'vendor/codemirror/codemirror.min.js',
+  'vendor/codemirror/codemirror.min.css',
+  'vendor/codemirror/theme/material-darker.min.css',
+  'vendor/codemirror/mode/python/python.min.js',
+  'vendor/codemirror/addon/edit/closebrackets.min.js',
+  'vendor/codemirror/addon/edit/matchbrackets.min.js',
+  'vendor/codemirror/addon/hint/show-hint.min.js',
+  'vendor/codemirror/addon/hint/show-hint.min.css',
+  'vendor/codemirror/addon/hint/python-hint.min.js'
+];
+
+// Cross-origin hosts whose files are worth keeping: Transformers.js
+const CACHED_HOSTS = ['cdn.jsdelivr.net'];
+
+/**
+ * How a request is served
+ * @returns {'network-first'|'cache-first'|null} null leaves it to the browser
+ *   (AI provider APIs, Ollama, anything that isn't a GET)
+ */
+function cachingStrategy(request, origin) {
+  if (request.method !== 'GET') return null;
+  const url = new URL(request.url);
+  if (url.origin === origin) {
+    // Pages and content change between releases, so prefer the network
+    // and fall back to the cache; everything else is versioned with the shell
+    return request.mode === 'navigate' || url.pathname.endsWith('.json') ? 'network-first' : 'cache-first';
+  }
+  return CACHED_HOSTS.includes(url.hostname) ? 'cache-first' : null;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Pages can be asked for with ?pack=..., which the shell was cached
+    // without. The runtime copy is newer than the shell's, so it comes first.
+    const options = { ignoreSearch: request.mode === 'navigate' };
+    const cached = await cache.match(request, options) || await caches.match(request, options);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+  self.addEventListener('install', event => {
+    // No skipWaiting here: the page asks the student before switching versions
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+  });
+
+  self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+      const current = [SHELL_CACHE, RUNTIME_CACHE];
+      const names = await caches.keys();
+      await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+        .map(name => caches.delete(name)));
+      await self.clients.claim();
+    })());
+  });
+
+  self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  });
+
+  self.addEventListener('fetch', event => {
+    const strategy = cachingStrategy(event.request, self.location.origin);
+    if (strategy === 'network-first') event.respondWith(networkFirst(event.request));
+    else if (strategy === 'cache-first') event.respondWith(cacheFirst(event.request));
+  });
+}
+
+// Exported so the test suite can check the precache list against the pages
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CACHE_VERSION, SHELL_CACHE, RUNTIME_CACHE, APP_SHELL, cachingStrategy };
+}
@@ -0,0 +1,217 @@
+/**
+ * Teacher Dashboard
+ * Turns a class's progress files into one summary per student: how far
+ * they got and, for every stage, their attempts, hints, time and errors.
+ * Everything is worked out from the files themselves, so the dashboard
+ * runs offline with no server.
+ */
+
+// Analytics helpers are page scripts in the browser and modules in Node
+function tutorAnalytics() {
+  return typeof TutorAnalytics !== 'undefined' ? TutorAnalytics : require('./tutor-analytics.js');
+}
+
+function hintLadder() {
+  return typeof HintLadder !== 'undefined' ? HintLadder : require('./hint-ladder.js');
+}
+
+const CLASS_REPORT_FORMAT = 'aicodepedagogy-class-report';
+
+/**
+ * Count errors by exception type from the older performance record, which
+ * keeps only the messages
+ */
+function countErrorMessages(messages) {
+  const counts = new Map();
+  (Array.isArray(messages) ? messages : []).forEach(message => {
+    const { type } = tutorAnalytics().classifyError(message);
+    counts.set(type, (counts.get(type) || 0) + 1);
+  });
+  return [...counts.entries()].map(([type, count]) => ({ type, count })).sort((a, b) => b.count - a.count);
+}
+
+// Figures read from a progress file are counts. A hand-edited file can put
+// anything there, so whatever isn't a non-negative number counts as 0.
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : 0;
+}
+
+/**
+ * One stage's figures for one student. The run history (saved since the
+ * learning journey was added) is preferred; older saves fall back to the
+ * performance record written when the stage was completed.
+ */
+function summarizeStage(progress, stageId) {
+  const performance = progress.story?.performance?.[stageId];
+  const runs = progress.story?.runHistory?.[stageId] || [];
+  const history = runs.length > 0 ? tutorAnalytics().summarizeRuns(runs) : null;
+  // Saves from before the hint ladder have no position
+  const ladder = progress.hintLadder?.[stageId] ? hintLadder().positionFor(progress.hintLadder, stageId) : null;
+
+  return {
+    completed: progress.completedStages.map(Number).includes(stageId),
+    attempts: toCount(history ? history.runs : performance?.attempts),
+    hintsUsed: toCount(performance?.hintsUsed ?? (history ? history.hintsRevealed + history.aiHints : 0)),
+    timeMs: toCount(history ? history.timeOnTaskMs : performance?.timeSpent),
+    errors: history
+      ? history.errorTypes.map(({ type, count }) => ({ type: String(type), count: toCount(count) }))
+      : countErrorMessages(performance?.errors),
+    hintLadder: ladder
+  };
+}
+
+/**
+ * Every stage a save mentions: completed, current, or with any recorded work
+ */
+function stageIdsIn(progress) {
+  const ids = new Set(progress.completedStages.map(Number));
+  if (progress.currentStage !== undefined) ids.add(Number(progress.currentStage));
+  Object.keys(progress.story?.performance || {}).forEach(id => ids.add(Number(id)));
+  Object.keys(progress.story?.runHistory || {}).forEach(id => ids.add(Number(id)));
+  Object.keys(progress.hintLadder || {}).forEach(id => ids.add(Number(id)));
+  return [...ids].filter(id => !Number.isNaN(id)).sort((a, b) => a - b);
+}
+
+/**
+ * Summarise one imported progress file
+ * @param {Object} file - From ProgressFile.parseProgressFile
+ */
+function summarizeStudent(file) {
+  const { progress } = file;
+  const stages = {};
+  stageIdsIn(progress).forEach(id => {
+    stages[id] = summarizeStage(progress, id);
+  });
+
+  const stageList = Object.values(stages);
+  const errorCounts = new Map();
+  stageList.forEach(stage => stage.errors.forEach(({ type, count }) => {
+    errorCounts.set(type, (errorCounts.get(type) || 0) + count);
+  }));
+
+  return {
+    student: file.student,
+    packId: file.packId,
+    exportedAt: file.exportedAt,
+    lastSaved: progress.lastSaved || null,
+    currentStage: Number(progress.currentStage) || 0,
+    completedCount: stageList.filter(stage => stage.completed).length,
+    stages,
+    totals: {
+      attempts: stageList.reduce((sum, stage) => sum + stage.attempts, 0),
+      hintsUsed: stageList.reduce((sum, stage) => sum + stage.hintsUsed, 0),
+      timeMs: stageList.reduce((sum, stage) => sum + stage.timeMs, 0)
+    },
+    commonErrors: [...errorCounts.entries()]
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Add a student to the class, replacing an older file from the same
+ * student and pack (re-importing a newer export updates their row)
+ * @returns {Object[]} The new list, sorted by name
+ */
+function addStudent(students, summary) {
+  const key = s => `${s.student.toLowerCase()}|${s.packId}`;
+  const existing = students.find(s => key(s) === key(summary));
+  const isNewer = !existing || (summary.lastSaved || 0) >= (existing.lastSaved || 0);
+  const others = students.filter(s => key(s) !== key(summary));
+  return [...others, isNewer ? summary : existing]
+    .sort((a, b) => a.student.localeCompare(b.student) || a.packId.localeCompare(b.packId));
+}
+
+/**
+ * Class-wide view: every stage anyone has reached, and the errors most
+ * students have run into
+ */
+function summarizeClass(students) {
+  const stageIds = new Set();
+  const errors = new Map();
+  students.forEach(student => {
+    Object.keys(student.stages).forEach(id => stageIds.add(Number(id)));
+    student.commonErrors.forEach(({ type, count }) => {
+      const entry = errors.get(type) || { type, count: 0, students: 0 };
+      entry.count += count;
+      entry.students++;
+      errors.set(type, entry);
+    });
+  });
+  return {
+    stageIds: [...stageIds].sort((a, b) => a - b),
+    commonErrors: [...errors.values()].sort((a, b) => b.students - a.students || b.count - a.count)
+  };
+}
+
+/**
+ * Quote a CSV field. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe, since names come from student files.
+ */
+function csvCell(value) {
+  if (typeof value === 'number') return String(value);
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per student per stage. The hint ladder columns are empty for
+ * stages saved before the ladder existed.
+ * @param {Object[]} students - From summarizeStudent
+ * @param {Object<number, string>} stageTitles - Stage id => title, where known
+ */
+function toCSV(students, stageTitles = {}) {
+  const header = ['student', 'pack', 'current_stage', 'stage', 'stage_title', 'completed', 'attempts', 'hints_used',
+    'authored_hints_seen', 'authored_hints', 'ai_hints', 'time_minutes', 'errors'];
+  const rows = [];
+  students.forEach(student => {
+    Object.entries(student.stages).forEach(([id, stage]) => {
+      rows.push([
+        student.student,
+        student.packId,
+        student.currentStage,
+        Number(id),
+        stageTitles[id] || '',
+        stage.completed ? 'yes' : 'no',
+        stage.attempts,
+        stage.hintsUsed,
+        stage.hintLadder ? stage.hintLadder.reached : '',
+        stage.hintLadder ? stage.hintLadder.authored : '',
+        stage.hintLadder ? stage.hintLadder.aiHints : '',
+        Math.round(stage.timeMs / 6000) / 10,
+        stage.errors.map(({ type, count }) => `${type} x${count}`).join('; ')
+      ]);
+    });
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The whole class as JSON, for archiving or further analysis
+ */
+function toJSON(students, exportedAt = Date.now()) {
+  return {
+    format: CLASS_REPORT_FORMAT,
+    exportedAt: new Date(exportedAt).toISOString(),
+    students
+  };
+}
+
+const TeacherDashboard = {
+  CLASS_REPORT_FORMAT,
+  summarizeStudent,
+  summarizeStage,
+  addStudent,
+  summarizeClass,
+  toCSV,
+  toJSON
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TeacherDashboard;
+} else if (typeof window !== 'undefined') {
+  window.TeacherDashboard = TeacherDashboard;
+}
@@ -200,6 +200,7 @@ global.gameContent = null;
 global.currentStage = 1;
 global.successfulCellExecutions = {};
 global.cellEditors = [];
+global.editor = null;
 
 // Simple console-based test runner
 class NodeTestRunner {
@@ -441,6 +442,21 @@ class SimpleTestSuite extends NodeTestRunner {
             }
         });
 
+        await this.runTest('Renderer Keeps Its Own Helpers In The Page', async () => {
+            // In the page every script shares one global scope; a page-level
+            // escapeHtml that leaves quotes alone must not change how links render
+            const vm = require('vm');
+            const context = {};
+            context.window = context;
+            vm.createContext(context);
+            vm.runInContext(fs.readFileSync(path.join(__dirname, 'markdown-renderer.js'), 'utf8'), context);
+            vm.runInContext('function escapeHtml (text) { return String(text).replace(/</g, "&lt;") }', context);
+            const html = context.MarkdownRenderer.renderMarkdown('See [the archive](https://example.org "Alexandria")');
+            if (!html.includes('title="Alexandria"')) {
+                throw new Error(`Link titles should render in the page: ${html}`);
+            }
+        });
+
         await this.runTest('Environment Detection', async () => {
             // Minimal DOM stubs for script.js
             global.document = {
@@ -492,8 +508,2327 @@ class SimpleTestSuite extends NodeTestRunner {
                 throw new Error('Bold markdown conversion failed');
             }
         });
+
+        await this.runTest('Model Output Is Sanitized', async () => {
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            const html = llm.markdownToHtml('Look <script>alert(1)</script> <img src=x onerror=alert(1)>');
+            if (/<script|<img/i.test(html)) {
+                throw new Error(`Markup from the model was kept: ${html}`);
+            }
+            const streamed = llm.renderPartialMarkdown('```python\nfor i in range(3):\n    print(i * 2');
+            if (!streamed.includes('<pre><code class="language-python">') || streamed.includes('<em>')) {
+                throw new Error(`Unfinished code block should render as code: ${streamed}`);
+            }
+        });
+
+        await this.runTest('Apply To Cell Needs Agency Level 3', async () => {
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            const code = '```python\nx = 1\n```';
+            if (!llm.markdownToHtml(code).includes('data-code-action="copy"') ||
+                llm.markdownToHtml(code).includes('data-code-action="apply"')) {
+                throw new Error('Below level 3 code blocks should only offer copy');
+            }
+            llm.agencyLevel = 3;
+            if (!llm.markdownToHtml(code).includes('data-code-action="apply"')) {
+                throw new Error('Level 3 should offer apply to cell');
+            }
+        });
     }
     
+    // Minimal browser globals so LLMIntegration runs its browser code paths
+    installBrowserStubs() {
+        const element = () => ({
+            addEventListener: () => {},
+            style: {},
+            innerHTML: '',
+            textContent: '',
+            querySelectorAll: () => [],
+            appendChild: () => {},
+            classList: { add: () => {}, remove: () => {}, contains: () => false }
+        });
+        global.document = {
+            getElementById: element,
+            querySelector: element,
+            querySelectorAll: () => [],
+            createElement: element,
+            addEventListener: () => {}
+        };
+        global.window = {
+            addEventListener: () => {},
+            location: { hostname: 'localhost', origin: 'http://localhost' }
+        };
+        global.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+        // No WebGPU, so background provider detection settles instead of throwing
+        if (typeof navigator === 'undefined') {
+            global.navigator = {};
+        }
+    }
+
+    // Replace fetch with a stub that records requests and streams canned lines.
+    // Objects become NDJSON lines; strings are sent as-is (for SSE "data:" lines).
+    mockFetch(streamLines) {
+        const requests = [];
+        const payload = streamLines
+            .map(line => typeof line === 'string' ? line : JSON.stringify(line))
+            .join('\n') + '\n';
+        global.fetch = async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body), signal: options.signal });
+            return { ok: true, status: 200, body: null, text: async () => payload };
+        };
+        return requests;
+    }
+
+    async testChatConversation() {
+        this.createTestSuite('Chat Conversation Tests');
+
+        const originalFetch = global.fetch;
+        this.installBrowserStubs();
+        global.currentStage = 1;
+        const { LLMIntegration } = require('./llm-integration.js');
+
+        await this.runTest('Chat Keeps Per-Stage History', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'ollama';
+            llm.selectedModel = 'qwen2.5:1.5b';
+            const requests = this.mockFetch([
+                { message: { role: 'assistant', content: 'Hello, ' }, done: false },
+                { message: { role: 'assistant', content: 'colleague!' }, done: false },
+                { message: { role: 'assistant', content: '' }, done: true }
+            ]);
+
+            await llm.chat('Hi there');
+            await llm.chat('What should I do next?');
+
+            const sent = requests[1].body.messages;
+            if (!requests[1].url.endsWith('/api/chat')) {
+                throw new Error(`Ollama chat should use /api/chat, got ${requests[1].url}`);
+            }
+            if (sent[0].role !== 'system' || !sent[0].content.includes('CURRENT TASK')) {
+                throw new Error('First message should be a system prompt with the game context');
+            }
+            const turns = sent.slice(1).map(m => `${m.role}:${m.content}`);
+            const expected = ['user:Hi there', 'assistant:Hello, colleague!', 'user:What should I do next?'];
+            if (JSON.stringify(turns) !== JSON.stringify(expected)) {
+                throw new Error(`Unexpected history: ${JSON.stringify(turns)}`);
+            }
+
+            await llm.chat('New stage question', 2);
+            if (requests[2].body.messages.length !== 2) {
+                throw new Error('A different stage should start a fresh conversation');
+            }
+        });
+
+        await this.runTest('Anthropic Chat Uses Top-Level System Prompt', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'anthropic';
+            llm.selectedModel = 'claude-3-haiku-20240307';
+            llm.apiKeys = { anthropic: 'test-key' };
+            const requests = this.mockFetch([
+                'event: content_block_delta',
+                'data: ' + JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Indeed!' } }),
+                'event: message_stop',
+                'data: ' + JSON.stringify({ type: 'message_stop' })
+            ]);
+
+            const html = await llm.chat('Is this a cipher?');
+
+            const body = requests[0].body;
+            if (!body.system || body.messages.some(m => m.role === 'system')) {
+                throw new Error('System prompt must be sent as the top-level system field');
+            }
+            if (!html.includes('Indeed!')) {
+                throw new Error('Reply should be returned as formatted HTML');
+            }
+        });
+
+        await this.runTest('OpenAI Chat Sends System Message First', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'openai';
+            llm.selectedModel = 'gpt-4o';
+            llm.apiKeys = { openai: 'test-key' };
+            const requests = this.mockFetch([
+                'data: ' + JSON.stringify({ choices: [{ delta: { content: 'Sure.' } }] }),
+                'data: [DONE]'
+            ]);
+
+            await llm.chat('Explain loops');
+
+            const roles = requests[0].body.messages.map(m => m.role);
+            if (JSON.stringify(roles) !== JSON.stringify(['system', 'user'])) {
+                throw new Error(`Unexpected roles: ${roles.join(', ')}`);
+            }
+        });
+
+        await this.runTest('Failed Turn Is Not Remembered', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'ollama';
+            llm.selectedModel = 'qwen2.5:1.5b';
+            global.fetch = async () => ({ ok: false, status: 500 });
+
+            try {
+                await llm.chat('Hello?');
+                throw new Error('Expected chat to reject on HTTP error');
+            } catch (error) {
+                if (!error.message.includes('500')) throw error;
+            }
+            if (llm.getConversation().length !== 0) {
+                throw new Error('Unanswered message should be dropped from history');
+            }
+        });
+
+        await this.runTest('Chat Window Starts With User Turn', async () => {
+            const llm = new LLMIntegration();
+            llm.maxChatTurns = 1;
+            const recent = llm.getChatWindow([
+                { role: 'user', content: 'a' },
+                { role: 'assistant', content: 'b' },
+                { role: 'user', content: 'c' },
+                { role: 'assistant', content: 'd' },
+                { role: 'user', content: 'e' }
+            ]);
+            if (recent.length !== 1 || recent[0].content !== 'e') {
+                throw new Error(`Unexpected window: ${JSON.stringify(recent)}`);
+            }
+        });
+
+        global.fetch = originalFetch;
+    }
+
+    async testStreamingResponses() {
+        this.createTestSuite('Streaming Response Tests');
+
+        const originalFetch = global.fetch;
+        this.installBrowserStubs();
+        global.currentStage = 1;
+        const { LLMIntegration } = require('./llm-integration.js');
+
+        await this.runTest('Ollama Stream Reports Accumulated Text', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'ollama';
+            llm.selectedModel = 'qwen2.5:1.5b';
+            const requests = this.mockFetch([
+                { response: 'Look at ', done: false },
+                { response: 'the **dates**.', done: false },
+                { response: '', done: true }
+            ]);
+
+            const partials = [];
+            const html = await llm.queryOllama('prompt', 'hint', { onToken: text => partials.push(text) });
+
+            if (requests[0].body.stream !== true) {
+                throw new Error('Ollama request should ask for a stream');
+            }
+            if (JSON.stringify(partials) !== JSON.stringify(['Look at ', 'Look at the **dates**.'])) {
+                throw new Error(`Unexpected partials: ${JSON.stringify(partials)}`);
+            }
+            if (!html.includes('<strong>dates</strong>')) {
+                throw new Error('Final response should be formatted HTML');
+            }
+        });
+
+        await this.runTest('SSE Lines Split Across Chunks Are Reassembled', async () => {
+            const llm = new LLMIntegration();
+            const line = 'data: ' + JSON.stringify({ choices: [{ delta: { content: 'Hello world' } }] }) + '\n';
+            const chunks = [line.slice(0, 20), line.slice(20), 'data: [DONE]\n'];
+            const encoder = new TextEncoder();
+            const response = {
+                body: {
+                    getReader: () => ({
+                        read: async () => chunks.length
+                            ? { done: false, value: encoder.encode(chunks.shift()) }
+                            : { done: true }
+                    })
+                }
+            };
+
+            const text = await llm.readStream(response, 'sse');
+            if (text !== 'Hello world') {
+                throw new Error(`Expected "Hello world", got "${text}"`);
+            }
+        });
+
+        await this.runTest('Stream Error Events Reject', async () => {
+            const llm = new LLMIntegration();
+            try {
+                llm.parseStreamLine('data: {"type":"error","error":{"message":"overloaded"}}', 'sse');
+                throw new Error('Expected an error');
+            } catch (error) {
+                if (error.message !== 'overloaded') throw error;
+            }
+        });
+
+        await this.runTest('Cancelled Chat Rejects And Forgets The Turn', async () => {
+            const llm = new LLMIntegration();
+            llm.provider = 'ollama';
+            llm.selectedModel = 'qwen2.5:1.5b';
+            global.fetch = async (url, options) => {
+                if (options.signal.aborted) {
+                    throw new DOMException('The operation was aborted.', 'AbortError');
+                }
+                throw new Error('Request should have been aborted');
+            };
+
+            const request = llm.startRequest('chat');
+            llm.cancelRequest('chat');
+            try {
+                await llm.chat('Hello?', null, { signal: request.signal });
+                throw new Error('Expected chat to reject when cancelled');
+            } catch (error) {
+                if (!llm.isAbortError(error)) throw error;
+            }
+            if (llm.getConversation().length !== 0) {
+                throw new Error('Cancelled message should be dropped from history');
+            }
+        });
+
+        await this.runTest('Starting A Request Aborts The Previous One', async () => {
+            const llm = new LLMIntegration();
+            const first = llm.startRequest('hint');
+            const other = llm.startRequest('chat');
+            const second = llm.startRequest('hint');
+            if (!first.signal.aborted || second.signal.aborted || other.signal.aborted) {
+                throw new Error('Only the superseded request in the same area should abort');
+            }
+            llm.finishRequest('hint', first);
+            if (!llm.cancelRequest('hint')) {
+                throw new Error('Finishing a stale request must not forget the current one');
+            }
+        });
+
+        await this.runTest('Partial Markdown Closes Open Code Fence', async () => {
+            const llm = new LLMIntegration();
+            const html = llm.renderPartialMarkdown('Try this:\n```python\nfor x in range(3):', 'suggest');
+            // Highlighting wraps tokens in spans, so compare the text
+            if (!html.includes('<pre') || !html.replace(/<[^>]+>/g, '').includes('for x in range(3):')) {
+                throw new Error(`Unterminated block should render as code: ${html}`);
+            }
+        });
+
+        global.fetch = originalFetch;
+    }
+
+    async testNarrativeEngine() {
+        this.createTestSuite('Narrative Engine Tests');
+
+        const { NarrativeEngine } = require('./narrative-engine.js');
+        const engine = new NarrativeEngine(gameContent);
+        const stage = id => gameContent.stages.find(s => s.id === id);
+
+        await this.runTest('Earlier Choice Selects Story Modifier', async () => {
+            const choices = [{ stageId: 1, choice: 'investigate_restriction', consequence: 'secrecyPath' }];
+            const story = engine.getStageStory(stage(2), choices);
+            const expected = stage(2).storyModifiers.secrecyPath;
+
+            if (!story.startsWith(stage(2).story) || !story.endsWith(expected.additionalContext)) {
+                throw new Error('Stage 2 story should end with the secrecy path context');
+            }
+            if (engine.getBonusReveal(stage(2), choices) !== expected.bonusReveal) {
+                throw new Error('Bonus reveal should come from the chosen path');
+            }
+            if (engine.getStageStory(stage(2), []) !== stage(2).story) {
+                throw new Error('Without a choice the story should be unchanged');
+            }
+        });
+
+        await this.runTest('Bonus Data Counts As Bonus Reveal', async () => {
+            const choices = [{ stageId: 2, choice: 'share_findings', consequence: 'transparencyPath' }];
+            if (engine.getBonusReveal(stage(3), choices) !== stage(3).storyModifiers.transparencyPath.bonusData) {
+                throw new Error('Stage 3 bonusData should be used as the bonus reveal');
+            }
+        });
+
+        await this.runTest('Path Placeholders Resolve For Every Option', async () => {
+            // Every {{pathSpecificX}} must have text for each option of the choice that precedes it
+            for (const current of gameContent.stages) {
+                const segment = current.completionSegment;
+                if (!segment || !/\{\{pathSpecific\w+\}\}/.test(segment.narrative)) continue;
+
+                const previous = stage(current.id - 1).completionSegment.choice;
+                for (const option of previous.options) {
+                    const choices = [{ stageId: current.id - 1, choice: option.id, consequence: option.consequence }];
+                    const text = engine.fillPlaceholders(segment.narrative, segment, choices);
+                    if (text.includes('{{')) {
+                        throw new Error(`Stage ${current.id} left a placeholder for ${option.consequence}`);
+                    }
+                    const collection = Object.keys(segment).find(k => k.startsWith('pathSpecific'));
+                    if (!text.includes(segment[collection][option.consequence])) {
+                        throw new Error(`Stage ${current.id} is missing ${collection}.${option.consequence}`);
+                    }
+                }
+            }
+        });
+
+        await this.runTest('Unresolved Placeholders Are Removed', async () => {
+            const text = engine.fillPlaceholders('A\n\n{{pathSpecificRevelation}}\n\nB {{playerAction}}', {}, [], { playerAction: 'won' });
+            if (text !== 'A\n\nB won') {
+                throw new Error(`Unexpected text: ${JSON.stringify(text)}`);
+            }
+        });
+
+        await this.runTest('Replaying A Choice Replaces It', async () => {
+            let choices = engine.recordChoice([], 1, 'investigate_restriction', 'secrecyPath');
+            choices = engine.recordChoice(choices, 2, 'share_findings', 'transparencyPath');
+            choices = engine.recordChoice(choices, 1, 'analyze_separation', 'scientificPath');
+
+            if (choices.length !== 2 || engine.findActivePath(choices, ['secrecyPath', 'scientificPath']) !== 'scientificPath') {
+                throw new Error(`Unexpected choices: ${JSON.stringify(choices)}`);
+            }
+        });
+
+        await this.runTest('Paths Only Modify Their Listed Stages', async () => {
+            const custom = new NarrativeEngine({ narrativePaths: { bravePath: { modifiesStages: [4] } } });
+            const choices = [{ stageId: 1, choice: 'go', consequence: 'bravePath' }];
+            const modified = { id: 4, story: 'S', storyModifiers: { bravePath: { additionalContext: '+' } } };
+            const unlisted = { id: 5, story: 'S', storyModifiers: { bravePath: { additionalContext: '+' } } };
+
+            if (custom.getStageStory(modified, choices) !== 'S+' || custom.getStageStory(unlisted, choices) !== 'S') {
+                throw new Error('modifiesStages should limit where a path applies');
+            }
+        });
+    }
+
+    async testEndingSelection() {
+        this.createTestSuite('Ending Selection Tests');
+
+        const { NarrativeEngine } = require('./narrative-engine.js');
+        const engine = new NarrativeEngine(gameContent);
+        const choose = (stageId, choiceId) => {
+            const option = gameContent.stages.find(s => s.id === stageId)
+                .completionSegment.choice.options.find(o => o.id === choiceId);
+            return { stageId, choice: choiceId, consequence: option.consequence };
+        };
+
+        await this.runTest('Every Ending Requirement Has A Flag Rule', async () => {
+            for (const ending of Object.values(gameContent.endings)) {
+                const missing = ending.requirements.filter(r => !gameContent.endingFlags[r]);
+                if (missing.length > 0) {
+                    throw new Error(`${ending.id} has no rule for: ${missing.join(', ')}`);
+                }
+            }
+        });
+
+        await this.runTest('Consistent Choices Earn Matching Ending', async () => {
+            const routes = {
+                seeker: [choose(1, 'investigate_restriction'), choose(3, 'linguistic_ai'), choose(7, 'seek_source')],
+                guardian: [choose(4, 'protect_fragments'), choose(6, 'secure_knowledge'), choose(7, 'protect_sites')],
+                savior: [choose(2, 'share_findings'), choose(6, 'activate_broadcast'), choose(7, 'share_coordinates')]
+            };
+            for (const [expected, choices] of Object.entries(routes)) {
+                const { ending } = engine.selectEnding(engine.deriveFlags(choices, {}), choices);
+                if (ending.id !== expected) {
+                    throw new Error(`Expected ${expected}, got ${ending.id}`);
+                }
+            }
+        });
+
+        await this.runTest('Performance Earns Valued Understanding', async () => {
+            const performance = {};
+            for (let id = 1; id <= 5; id++) {
+                performance[id] = { firstTrySuccess: id !== 5, hintsUsed: 1 };
+            }
+            if (!engine.deriveFlags([], performance).includes('valued_understanding')) {
+                throw new Error('Four first-try solves with few hints should earn valued_understanding');
+            }
+            performance[6] = { firstTrySuccess: false, hintsUsed: 4 };
+            if (engine.deriveFlags([], performance).includes('valued_understanding')) {
+                throw new Error('Too many hints should not earn valued_understanding');
+            }
+
+            const choices = [choose(1, 'analyze_separation'), choose(4, 'decode_priority')];
+            delete performance[6];
+            const { ending } = engine.selectEnding(engine.deriveFlags(choices, performance), choices);
+            if (ending.id !== 'scholar') {
+                throw new Error(`Expected scholar, got ${ending.id}`);
+            }
+        });
+
+        await this.runTest('Chosen Ending Breaks Score Ties', async () => {
+            // One guardian and one savior requirement each; the final choice decides
+            const choices = [choose(4, 'protect_fragments'), choose(6, 'activate_broadcast'), choose(7, 'share_coordinates')];
+            const flags = ['chose_preservation', 'chose_enlightenment'];
+            const { ending } = engine.selectEnding(flags, choices);
+            if (ending.id !== 'savior') {
+                throw new Error(`Expected savior, got ${ending.id}`);
+            }
+        });
+
+        await this.runTest('Equal Scores Fall Back To Content Order', async () => {
+            const custom = new NarrativeEngine({
+                endings: {
+                    first: { id: 'first', requirements: ['a', 'b'] },
+                    second: { id: 'second', requirements: ['c', 'd'] },
+                    third: { id: 'third', requirements: ['e'] }
+                }
+            });
+            if (custom.selectEnding(['a', 'c'], []).ending.id !== 'first') {
+                throw new Error('Identical scores should pick the first listed ending');
+            }
+            // Same points, but 'third' has all of its requirements met
+            if (custom.selectEnding(['a', 'e'], []).ending.id !== 'third') {
+                throw new Error('Higher completion should win a points tie');
+            }
+            const first = custom.selectEnding([], []);
+            const again = custom.selectEnding([], []);
+            if (first.ending.id !== again.ending.id || first.ending.id !== 'first') {
+                throw new Error('Selection must be deterministic');
+            }
+        });
+    }
+
+    async testContentValidation() {
+        this.createTestSuite('Content Validation Tests');
+
+        const { validateSchema, checkContentRules, checkSolutions, validateContent } = require('./content-validator.js');
+        const { createSkulptRunner, createSkulptSandbox } = require('./scripts/validate-content.js');
+        const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'game-content.schema.json'), 'utf8'));
+        const copyContent = () => JSON.parse(JSON.stringify(gameContent));
+
+        await this.runTest('Game Content Matches Schema', async () => {
+            const errors = validateSchema(gameContent, schema);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+        });
+
+        await this.runTest('Schema Catches Typos And Missing Fields', async () => {
+            const content = copyContent();
+            content.stages[1].validation.outputPaterns = ['23'];
+            delete content.stages[3].hints;
+            const errors = validateSchema(content, schema);
+            if (!errors.some(e => e.includes('stages[1].validation') && e.includes('outputPaterns'))) {
+                throw new Error('Misspelled validation key should be reported with its path');
+            }
+            if (!errors.some(e => e.includes('stages[3]') && e.includes('"hints"'))) {
+                throw new Error('Missing hints should be reported');
+            }
+        });
+
+        await this.runTest('Schema Paths Survive The Page Scripts', async () => {
+            // In the page every script shares one global scope; the game's own
+            // formatPath (which names story paths) must not replace the validator's
+            const vm = require('vm');
+            const context = { JSON, Object, Array, RegExp };
+            context.window = context;
+            vm.createContext(context);
+            vm.runInContext(fs.readFileSync(path.join(__dirname, 'content-validator.js'), 'utf8'), context);
+            vm.runInContext('function formatPath (path) { return path ? path.replace(/Path$/, "") : "Undecided" }', context);
+            const content = copyContent();
+            delete content.stages[0].title;
+            const errors = context.ContentValidator.validateSchema(content, schema);
+            if (!errors.some(e => e.startsWith('stages[0]: missing required property "title"'))) {
+                throw new Error(`Nested errors should keep their path: ${errors.join('; ')}`);
+            }
+        });
+
+        await this.runTest('Page Scripts Declare Each Global Once', async () => {
+            // Classic scripts share one global scope, so a second top-level
+            // function or variable with the same name silently replaces the first
+            const html = fs.readFileSync(path.join(__dirname, 'app.html'), 'utf8');
+            const scripts = [...html.matchAll(/<script src="([^"]+)"/g)]
+                .map(match => match[1])
+                .filter(src => !src.startsWith('vendor/'));
+            const declaredIn = new Map();
+            scripts.forEach(src => {
+                const source = fs.readFileSync(path.join(__dirname, src), 'utf8');
+                const names = new Set([...source.matchAll(/^(?:async\s+)?(?:function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/gm)]
+                    .map(match => match[1]));
+                names.forEach(name => declaredIn.set(name, [...(declaredIn.get(name) || []), src]));
+            });
+            const clashes = [...declaredIn].filter(([, files]) => files.length > 1)
+                .map(([name, files]) => `${name} (${files.join(', ')})`);
+            if (clashes.length > 0) {
+                throw new Error(`Declared in more than one page script: ${clashes.join('; ')}`);
+            }
+        });
+
+        await this.runTest('Helper Scripts Expose Only Their Module', async () => {
+            // Anything else a page script declares at the top level becomes a
+            // window global (valueOf would shadow window.valueOf)
+            const vm = require('vm');
+            const modules = { 'code-rules.js': 'CodeRules', 'code-diff.js': 'CodeDiff', 'output-diff.js': 'OutputDiff' };
+            Object.entries(modules).forEach(([file, exported]) => {
+                const context = {};
+                context.window = context.self = context;
+                vm.createContext(context);
+                const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+                const names = [...new Set([...source.matchAll(/^\s*(?:async\s+)?(?:function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/gm)]
+                    .map(match => match[1]))].filter(name => name !== exported);
+                const lookUp = name => vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context);
+                const before = names.map(lookUp);
+                vm.runInContext(source, context);
+                const leaked = names.filter((name, index) => lookUp(name) !== before[index]);
+                if (leaked.length > 0) {
+                    throw new Error(`${file} leaks ${leaked.join(', ')}`);
+                }
+                if (!context[exported]) {
+                    throw new Error(`${file} should set window.${exported}`);
+                }
+            });
+        });
+
+        await this.runTest('Rules Catch Broken References', async () => {
+            const content = copyContent();
+            content.stages[8].validation.outputPatterns.push('total.*(44');
+            content.stages[7].completionSegment.choice.options[0].leadsToEnding = 'missingEnding';
+            content.stages[4].id = 9;
+            content.endings.seeker.requirements.push('unknown_flag');
+            const { errors } = checkContentRules(content);
+            const expected = ['invalid regex', 'missingEnding', 'sequential', 'unknown_flag'];
+            const missing = expected.filter(text => !errors.some(e => e.includes(text)));
+            if (missing.length > 0) {
+                throw new Error(`Not reported: ${missing.join(', ')}`);
+            }
+        });
+
+        await this.runTest('Every Solution Passes Its Own Validation', async () => {
+            const sandbox = createSkulptSandbox();
+            const { errors, warnings } = await validateContent(gameContent, {
+                schema,
+                runPython: createSkulptRunner(sandbox),
+                checkCode: (code, rules) => sandbox.checkCode(code, rules)
+            });
+            if (errors.length > 0 || warnings.length > 0) {
+                throw new Error([...errors, ...warnings].join('; '));
+            }
+        });
+
+        await this.runTest('Interactive Solutions Read Scripted Stdin', async () => {
+            const content = copyContent();
+            content.stages = [content.stages[0]];
+            content.stages[0].solution = 'name = input("Your name? ")\ncount = int(input())\nprint("Welcome " + name + " x" + str(count * 2))';
+            content.stages[0].validation = {
+                codePatterns: ['input\\('],
+                outputPatterns: ['Your name\\? Welcome Ada x6'],
+                stdin: ['Ada', '3']
+            };
+            const runPython = createSkulptRunner();
+            const passing = await checkSolutions(content, runPython);
+            if (passing.errors.length > 0) {
+                throw new Error(passing.errors.join('; '));
+            }
+            content.stages[0].validation.stdin = ['Ada'];
+            const { errors } = await checkSolutions(content, runPython);
+            if (!errors.some(e => e.includes('EOF when reading a line'))) {
+                throw new Error(`Running out of input should be reported, got: ${errors.join('; ')}`);
+            }
+        });
+
+        await this.runTest('Wrong Solution Is Reported', async () => {
+            const content = copyContent();
+            content.stages[1].solution = 'print("Fragments Found: 32")';
+            const { errors } = await validateContent(content, { runPython: createSkulptRunner() });
+            if (!errors.some(e => e.startsWith('stages[1]'))) {
+                throw new Error('A solution that fails its own patterns should be an error');
+            }
+        });
+    }
+
+    async testContentPacks() {
+        this.createTestSuite('Content Pack Tests');
+
+        const { ContentPacks, DEFAULT_PACK_ID } = require('./content-pack.js');
+        const memoryStorage = () => {
+            const data = {};
+            return {
+                getItem: key => (key in data ? data[key] : null),
+                setItem: (key, value) => { data[key] = String(value); },
+                removeItem: key => { delete data[key]; },
+                data
+            };
+        };
+        const makePack = (title, packId) => ({
+            gameInfo: { title, subtitle: 'Custom unit', totalStages: 2, ...(packId ? { packId } : {}) },
+            stages: [
+                { id: 0, title: 'Intro', story: '', challenge: '', data: '', hints: [], starterCode: '', solution: 'print(1)', validation: { codePatterns: [], outputPatterns: ['1'] } },
+                { id: 1, title: 'Cleaning', story: '', challenge: '', data: '', hints: [], starterCode: '', solution: 'print(2)', validation: { codePatterns: [], outputPatterns: ['2'] } }
+            ]
+        });
+
+        await this.runTest('Progress Keys Are Namespaced Per Pack', async () => {
+            if (ContentPacks.storageKey('aicodepedagogy_progress', DEFAULT_PACK_ID) !== 'aicodepedagogy_progress') {
+                throw new Error('Bundled content must keep the existing save key');
+            }
+            const a = ContentPacks.storageKey('aicodepedagogy_progress', 'data-cleaning');
+            const b = ContentPacks.storageKey('aicodepedagogy_progress', 'text-mining');
+            if (a === b || !a.endsWith('data-cleaning')) {
+                throw new Error(`Keys should differ per pack, got ${a} and ${b}`);
+            }
+        });
+
+        await this.runTest('Pack Id Comes From PackId Or Title', async () => {
+            if (ContentPacks.getPackId(makePack('Humanities: Data Cleaning!')) !== 'humanities-data-cleaning') {
+                throw new Error('Title should be slugified');
+            }
+            if (ContentPacks.getPackId(makePack('Anything', 'hum-101')) !== 'hum-101') {
+                throw new Error('Explicit packId should win');
+            }
+        });
+
+        await this.runTest('Installed Pack Becomes Active And Survives Reload', async () => {
+            const storage = memoryStorage();
+            const packs = new ContentPacks(storage);
+            if (packs.getActive() !== null) {
+                throw new Error('No pack should be active initially');
+            }
+            const packId = packs.install(makePack('Data Cleaning'));
+            const active = new ContentPacks(storage).getActive();
+            if (!active || active.id !== packId || active.content.stages.length !== 2) {
+                throw new Error('Installed pack should be restored from storage');
+            }
+            packs.useDefault();
+            if (packs.getActive() !== null || !storage.data['aicodepedagogy_pack:' + packId]) {
+                throw new Error('useDefault should deactivate the pack but keep it stored');
+            }
+        });
+
+        await this.runTest('Invalid Packs Are Rejected With A Reason', async () => {
+            const cases = [
+                ['{ not json', /not valid JSON/],
+                [JSON.stringify({ stages: [] }), /gameInfo/],
+                [JSON.stringify({ gameInfo: { title: 'Empty' }, stages: [] }), /no stages/]
+            ];
+            const broken = makePack('Broken');
+            broken.stages[1].id = 5;
+            cases.push([JSON.stringify(broken), /problem/]);
+
+            for (const [text, expected] of cases) {
+                let message = null;
+                try {
+                    ContentPacks.parse(text);
+                } catch (error) {
+                    message = error.message;
+                }
+                if (!message || !expected.test(message)) {
+                    throw new Error(`Expected ${expected}, got ${message}`);
+                }
+            }
+        });
+
+        await this.runTest('Pack Loads From URL Parameter', async () => {
+            if (ContentPacks.getRequestedPack('?pack=packs/hum.json&x=1') !== 'packs/hum.json') {
+                throw new Error('Should read the pack parameter');
+            }
+            if (ContentPacks.getRequestedPack('') !== null) {
+                throw new Error('No parameter means no requested pack');
+            }
+            const fetched = [];
+            const content = await ContentPacks.fetchPack('packs/hum.json', async url => {
+                fetched.push(url);
+                return { ok: true, text: async () => JSON.stringify(makePack('Hum')) };
+            });
+            if (fetched[0] !== 'packs/hum.json' || content.gameInfo.title !== 'Hum') {
+                throw new Error('fetchPack should fetch and parse the pack');
+            }
+        });
+
+        await this.runTest('Only Relative Pack Paths On This Site Load', async () => {
+            const base = 'https://game.example/app.html';
+            ['packs/hum.json', './hum.json', 'packs/hum.json?v=2'].forEach(path => {
+                ContentPacks.checkPackPath(path, base);
+            });
+            const urls = ['https://evil.example/pack.json', '//evil.example/pack.json', '/packs/hum.json',
+                'javascript:alert(1)', 'data:application/json,{}', ' http://evil.example/', '\\\\evil.example/x.json',
+                'ht\ttp://evil.example/', ''];
+            for (const path of urls) {
+                let fetched = false;
+                let message = '';
+                try {
+                    await ContentPacks.fetchPack(path, async () => { fetched = true; });
+                } catch (error) {
+                    message = error.message;
+                }
+                if (fetched || !message.includes('only be loaded from this site')) {
+                    throw new Error(`${JSON.stringify(path)} should be rejected before fetching`);
+                }
+            }
+        });
+
+        await this.runTest('Pack Text Keeps Authored Markup Only', async () => {
+            // Pack text is shown through the renderer's sanitizer: the bundled
+            // content's markup survives it and injected markup does not
+            const { sanitizeHtml } = require('./markdown-renderer.js');
+            const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, 'game-content.json'), 'utf8'));
+            bundled.stages.forEach(stage => {
+                [stage.story, stage.challenge, ...(stage.cells || []).map(cell => cell.instruction)].filter(Boolean).forEach(text => {
+                    const tags = html => html.match(/<\/?[a-z][^>]*>/gi) || [];
+                    if (tags(sanitizeHtml(text)).join() !== tags(text).join()) {
+                        throw new Error(`Stage ${stage.id} markup should survive sanitizing: ${text.slice(0, 80)}`);
+                    }
+                });
+            });
+            const injected = sanitizeHtml('Fragments <img src=x onerror="alert(1)"><script>alert(1)</script>');
+            if (/<img|<script/i.test(injected)) {
+                throw new Error(`Injected markup should be shown as text: ${injected}`);
+            }
+        });
+    }
+
+    async testProfiles() {
+        this.createTestSuite('Profile Tests');
+
+        const { Profiles, DEFAULT_PROFILE_ID, DEFAULT_SLOT_ID } = require('./profiles.js');
+        const { ContentPacks } = require('./content-pack.js');
+        const memoryStorage = () => {
+            const data = {};
+            return {
+                getItem: key => (key in data ? data[key] : null),
+                setItem: (key, value) => { data[key] = String(value); },
+                removeItem: key => { delete data[key]; },
+                key: index => Object.keys(data)[index] ?? null,
+                get length() { return Object.keys(data).length; },
+                data
+            };
+        };
+        const progressKey = (profiles, packId) => ContentPacks.storageKey(profiles.slotKey('aicodepedagogy_progress'), packId);
+
+        await this.runTest('First Profile Keeps Existing Saves', async () => {
+            const storage = memoryStorage();
+            storage.setItem('aicodepedagogy_progress', '{"completedStages":[1]}');
+            const profiles = new Profiles(storage);
+            const { profile, slot } = profiles.getActive();
+            if (profile.id !== DEFAULT_PROFILE_ID || slot.id !== DEFAULT_SLOT_ID) {
+                throw new Error('Without any profiles the default one should be active');
+            }
+            if (progressKey(profiles, 'default') !== 'aicodepedagogy_progress' ||
+                profiles.profileKey('aicodepedagogy_tutorials_seen') !== 'aicodepedagogy_tutorials_seen') {
+                throw new Error('The default profile must keep the original keys');
+            }
+        });
+
+        await this.runTest('Profiles And Slots Save Separately', async () => {
+            const storage = memoryStorage();
+            const profiles = new Profiles(storage);
+            storage.setItem(progressKey(profiles, 'default'), 'player one');
+            storage.setItem(profiles.profileKey('aicodepedagogy_model_prefs'), 'one prefs');
+
+            const ada = profiles.createProfile('Ada');
+            if (profiles.getActive().profile.id !== ada.id || storage.getItem(progressKey(profiles, 'default')) !== null) {
+                throw new Error('A new profile starts active with no progress');
+            }
+            storage.setItem(progressKey(profiles, 'default'), 'ada slot 1');
+            storage.setItem(progressKey(profiles, 'hum-101'), 'ada slot 1 pack');
+            const second = profiles.createSlot(ada.id);
+            profiles.switchSlot(ada.id, second.id);
+            storage.setItem(progressKey(profiles, 'default'), 'ada slot 2');
+
+            profiles.switchProfile(DEFAULT_PROFILE_ID);
+            if (storage.getItem(progressKey(profiles, 'default')) !== 'player one' ||
+                storage.getItem(profiles.profileKey('aicodepedagogy_model_prefs')) !== 'one prefs') {
+                throw new Error('Switching back should find the first profile untouched');
+            }
+            profiles.switchProfile(ada.id);
+            if (profiles.getActive().slot.id !== second.id || storage.getItem(progressKey(profiles, 'default')) !== 'ada slot 2') {
+                throw new Error('A profile should continue from its last slot');
+            }
+            if (storage.getItem(profiles.profileKey('aicodepedagogy_model_prefs')) !== null) {
+                throw new Error('Model preferences should be per profile');
+            }
+        });
+
+        await this.runTest('Duplicate, Rename And Delete', async () => {
+            const storage = memoryStorage();
+            const profiles = new Profiles(storage);
+            const ada = profiles.createProfile('Ada');
+            storage.setItem(progressKey(profiles, 'default'), 'ada');
+            storage.setItem(progressKey(profiles, 'hum-101'), 'ada pack');
+            storage.setItem(profiles.profileKey('aicodepedagogy_tutorials_seen'), '[1]');
+
+            const copy = profiles.duplicateProfile(ada.id, 'Ada (copy)');
+            if (profiles.getActive().profile.id !== ada.id) {
+                throw new Error('Duplicating should not switch to the copy, or the next save would go there');
+            }
+            profiles.switchProfile(copy.id);
+            if (storage.getItem(progressKey(profiles, 'hum-101')) !== 'ada pack' ||
+                storage.getItem(profiles.profileKey('aicodepedagogy_tutorials_seen')) !== '[1]') {
+                throw new Error('A duplicate should carry over every save and setting');
+            }
+            const slot = profiles.duplicateSlot(copy.id, DEFAULT_SLOT_ID);
+            profiles.switchSlot(copy.id, slot.id);
+            if (storage.getItem(progressKey(profiles, 'default')) !== 'ada' || slot.name !== 'Slot 1 (copy)') {
+                throw new Error('A duplicated slot should copy its saves');
+            }
+
+            profiles.renameProfile(copy.id, 'Grace');
+            profiles.renameSlot(copy.id, slot.id, 'Before the quiz');
+            const renamed = profiles.list().find(p => p.id === copy.id);
+            if (renamed.name !== 'Grace' || renamed.slots[1].name !== 'Before the quiz') {
+                throw new Error('Renaming should keep the same profile and slot');
+            }
+            for (const [action, pattern] of [
+                [() => profiles.renameProfile(copy.id, 'ADA'), /already a profile/],
+                [() => profiles.createProfile('   '), /can't be empty/]
+            ]) {
+                let message = null;
+                try { action(); } catch (error) { message = error.message; }
+                if (!message || !pattern.test(message)) throw new Error(`Expected ${pattern}, got ${message}`);
+            }
+
+            profiles.deleteSlot(copy.id, slot.id);
+            if (profiles.getActive().slot.id !== DEFAULT_SLOT_ID || Object.keys(storage.data).some(key => key.includes(`/${slot.id}`))) {
+                throw new Error('Deleting a slot should remove its saves and fall back to another slot');
+            }
+            profiles.deleteProfile(copy.id);
+            if (Object.keys(storage.data).some(key => key.includes(`@${copy.id}`)) || profiles.list().length !== 2) {
+                throw new Error('Deleting a profile should remove everything it saved');
+            }
+            if (storage.getItem(Profiles.storageKey('aicodepedagogy_progress', ada.id)) !== 'ada') {
+                throw new Error('Other profiles must be left alone');
+            }
+            profiles.deleteProfile(ada.id);
+            let message = null;
+            try { profiles.deleteProfile(DEFAULT_PROFILE_ID); } catch (error) { message = error.message; }
+            if (!/only profile/.test(message || '')) {
+                throw new Error('The last profile should not be deletable');
+            }
+        });
+    }
+
+    async testPythonRuntime() {
+        this.createTestSuite('Python Runtime Tests');
+
+        const runtime = require('./python-runtime.js');
+        const { createSkulptRunner } = require('./scripts/validate-content.js');
+        const timeLimit = line => ({ toString: () => 'TimeLimitError: Program exceeded run time limit.', traceback: [{ lineno: line }] });
+
+        await this.runTest('Timeout Names The Loop That Never Finished', async () => {
+            const code = 'total = 0\nwhile total < 10:\n    print(total)\nprint("done")';
+            const fromBody = runtime.findLoopLine(code, 3);
+            if (!fromBody || fromBody.line !== 2 || fromBody.text !== 'while total < 10:') {
+                throw new Error(`Body line should resolve to its loop, got ${JSON.stringify(fromBody)}`);
+            }
+            if (runtime.findLoopLine(code, 2).line !== 2) {
+                throw new Error('A loop header is its own loop');
+            }
+            if (runtime.findLoopLine(code, 4) !== null) {
+                throw new Error('Code outside a loop has no loop');
+            }
+            const nested = 'for i in range(3):\n    j = 0\n    while j < 3:\n        i += 1';
+            if (runtime.findLoopLine(nested, 4).line !== 3) {
+                throw new Error('Should pick the innermost loop');
+            }
+        });
+
+        await this.runTest('Timeout Message Counts Lines From The Current Cell', async () => {
+            const earlier = 'x = 1\n';
+            const code = earlier + 'while x > 0:\n    x += 1\n';
+            if (!runtime.isTimeLimitError(timeLimit(3)) || runtime.isTimeLimitError(new Error('NameError'))) {
+                throw new Error('isTimeLimitError should recognise only time limits');
+            }
+            const message = runtime.describeTimeout(code, timeLimit(3), { lineOffset: 1 });
+            if (!message.includes('line 1 (`while x > 0:`)')) {
+                throw new Error(`Expected the cell-relative line, got: ${message}`);
+            }
+            const inEarlierCell = runtime.describeTimeout('while True:\n    pass\nprint(1)\n', timeLimit(2), { lineOffset: 2 });
+            if (!inEarlierCell.includes('earlier cell')) {
+                throw new Error(`Expected an earlier-cell message, got: ${inEarlierCell}`);
+            }
+            const I18n = require('./i18n.js');
+            I18n.setLocale('es');
+            try {
+                const spanish = runtime.describeTimeout(code, timeLimit(3), { lineOffset: 1 });
+                if (!spanish.includes('línea 1 (`while x > 0:`)')) {
+                    throw new Error(`Expected the message in the player's language, got: ${spanish}`);
+                }
+            } finally {
+                I18n.setLocale('en');
+            }
+        });
+
+        await this.runTest('Stop Notifies Waiting Prompts Once', async () => {
+            const run = runtime.createRunController();
+            let calls = 0;
+            run.onStop(() => calls++);
+            run.stop();
+            run.stop();
+            run.onStop(() => calls++);
+            if (calls !== 2 || !run.stopped) {
+                throw new Error(`Expected each listener to fire once, got ${calls}`);
+            }
+        });
+
+        await this.runTest('Stop Ends An Infinite Loop', async () => {
+            const run = runtime.createRunController();
+            setTimeout(() => run.stop(), 300);
+            let error = null;
+            try {
+                await createSkulptRunner()('n = 0\nwhile True:\n    n += 1', { run });
+            } catch (e) {
+                error = e;
+            }
+            if (!(error instanceof runtime.RunStoppedError)) {
+                throw new Error(`Expected the run to be stopped, got ${error}`);
+            }
+        });
+    }
+
+    async testPythonSandbox() {
+        this.createTestSuite('Python Sandbox Tests');
+
+        const vm = require('vm');
+        const { PythonSandbox, PythonError, RunStoppedError, createRunController, createLocalTransport, createWorkerTransport } = require('./python-runtime.js');
+        const { loadSkulpt } = require('./scripts/validate-content.js');
+        const sandboxOn = Sk => new PythonSandbox({ createTransport: createLocalTransport(() => Sk) });
+
+        await this.runTest('Worker Speaks The Run Protocol', async () => {
+            // Load python-worker.js the way a browser would, with importScripts
+            const messages = [];
+            const context = { console, setTimeout, clearTimeout, Promise };
+            context.self = context.globalThis = context;
+            context.importScripts = (...files) => files.forEach(file => {
+                vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+            });
+            context.postMessage = message => messages.push(message);
+            vm.createContext(context);
+            vm.runInContext(fs.readFileSync(path.join(__dirname, 'python-worker.js'), 'utf8'), context);
+
+            const settled = id => new Promise(resolve => {
+                const check = () => messages.some(m => m.id === id && (m.type === 'done' || m.type === 'error'))
+                    ? resolve() : setTimeout(check, 10);
+                check();
+            });
+            context.onmessage({ data: { type: 'run', id: 1, code: 'for i in range(3):\n    print(i)' } });
+            context.onmessage({ data: { type: 'run', id: 2, code: 'x = 1\nprint(y)' } });
+            await settled(1);
+            await settled(2);
+
+            const types = messages.map(m => m.type);
+            const printed = messages.filter(m => m.id === 1 && m.type === 'stdout').map(m => m.text).join('');
+            if (types[0] !== 'ready' || printed !== '0\n1\n2\n' || !messages.some(m => m.id === 1 && m.type === 'done')) {
+                throw new Error(`Unexpected messages: ${JSON.stringify(messages)}`);
+            }
+            const failure = messages.find(m => m.id === 2 && m.type === 'error');
+            if (!/NameError/.test(failure.error.message) || failure.error.traceback[0].lineno !== 2) {
+                throw new Error(`Errors should carry the message and line: ${JSON.stringify(failure)}`);
+            }
+        });
+
+        await this.runTest('Interactive Input Crosses The Boundary', async () => {
+            const sandbox = sandboxOn(loadSkulpt());
+            const prompts = [];
+            const output = await sandbox.run('name = input("Name? ")\nprint("Hi " + name)', {
+                onInput: prompt => {
+                    prompts.push(prompt);
+                    return new Promise(resolve => setTimeout(() => resolve('Ada'), 20));
+                }
+            });
+            if (prompts[0] !== 'Name? ' || output !== 'Hi Ada\n') {
+                throw new Error(`Got prompts ${JSON.stringify(prompts)} and output ${JSON.stringify(output)}`);
+            }
+
+            let error = null;
+            try {
+                await sandbox.run('a = input()\nb = input()', { stdin: ['1'] });
+            } catch (e) {
+                error = e;
+            }
+            if (!(error instanceof PythonError) || !/EOF when reading a line/.test(String(error))) {
+                throw new Error(`Scripted input should run out with an EOF error, got ${error}`);
+            }
+        });
+
+        await this.runTest('Student And Reference Runs Stay Separate', async () => {
+            const student = sandboxOn(loadSkulpt());
+            const reference = sandboxOn(loadSkulpt());
+            const studentOutput = [];
+            let answer;
+
+            // The student's run waits on input() while a grading run finishes
+            const studentRun = student.run('print("student")\nx = input()\nprint("student got " + x)', {
+                onOutput: text => studentOutput.push(text),
+                onInput: () => new Promise(resolve => { answer = resolve; })
+            });
+            const graded = await reference.run('print("reference")');
+            answer('42');
+            const studentPrinted = await studentRun;
+
+            if (graded !== 'reference\n' || studentPrinted !== 'student\nstudent got 42\n') {
+                throw new Error(`Outputs mixed: ${JSON.stringify({ graded, studentPrinted })}`);
+            }
+            if (studentOutput.join('') !== studentPrinted) {
+                throw new Error('Streamed chunks should add up to the full output');
+            }
+        });
+
+        await this.runTest('Unresponsive Worker Is Terminated On Stop', async () => {
+            let terminated = 0;
+            const sandbox = new PythonSandbox({
+                createTransport: () => ({ post: () => {}, terminate: () => terminated++ })
+            });
+            const run = createRunController();
+            const pending = sandbox.run('while True: pass', { run });
+            run.stop();
+            let error = null;
+            try {
+                await pending;
+            } catch (e) {
+                error = e;
+            }
+            if (!(error instanceof RunStoppedError) || terminated !== 1 || sandbox.transport !== null) {
+                throw new Error(`Expected a hard stop, got ${error} after ${terminated} terminate(s)`);
+            }
+        });
+
+        await this.runTest('Falls Back To The Page Without Workers', async () => {
+            const originalWorker = global.Worker;
+            global.Worker = function () { throw new Error('Workers are not allowed on file:// pages'); };
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            try {
+                const Sk = loadSkulpt();
+                const sandbox = new PythonSandbox({ createTransport: createWorkerTransport('python-worker.js', createLocalTransport(() => Sk)) });
+                const output = await sandbox.run('print(6 * 7)');
+                if (output !== '42\n') {
+                    throw new Error(`Expected the in-page fallback to run, got ${JSON.stringify(output)}`);
+                }
+            } finally {
+                global.Worker = originalWorker;
+                console.warn = originalWarn;
+            }
+        });
+    }
+
+    async testCodeRules() {
+        this.createTestSuite('Code Rules Tests');
+
+        const { describeCodeRule } = require('./code-rules.js');
+        const { checkContentRules, checkSolutions } = require('./content-validator.js');
+        const { createSkulptRunner, createSkulptSandbox } = require('./scripts/validate-content.js');
+        const sandbox = createSkulptSandbox();
+        const passes = async (code, rule) => (await sandbox.checkCode(code, [rule])).isValid;
+
+        await this.runTest('Comments And Strings Do Not Count', async () => {
+            const rule = { type: 'loop', over: 'fragment_lengths' };
+            const fake = '# for length in fragment_lengths:\nprint("for length in fragment_lengths")';
+            if (await passes(fake, rule)) {
+                throw new Error('A loop mentioned only in a comment or string should not pass');
+            }
+            if (!await passes('for length in fragment_lengths:\n    print(length)', rule)) {
+                throw new Error('A real loop over the list should pass');
+            }
+        });
+
+        await this.runTest('Loops Accept While And Comprehensions', async () => {
+            const rule = { type: 'loop' };
+            const whileLoop = 'i = 0\nwhile i < 3:\n    i += 1';
+            const comprehension = 'lengths = [1, 2]\ndoubled = [n * 2 for n in lengths]';
+            if (!await passes(whileLoop, rule) || !await passes(comprehension, rule)) {
+                throw new Error('Any kind of loop should satisfy a plain loop rule');
+            }
+            if (!await passes(comprehension, { type: 'loop', over: 'lengths' })) {
+                throw new Error('A comprehension goes through its iterable');
+            }
+            if (await passes(whileLoop, { type: 'loop', kind: 'for' })) {
+                throw new Error('kind should restrict the loop type');
+            }
+        });
+
+        await this.runTest('Functions, Calls And Assignments', async () => {
+            const code = [
+                'def count_languages(codes):',
+                '    return len(codes)',
+                'fragment_count = "23"',
+                'total = 0',
+                'total += count_languages(fragment_lengths)',
+                'print(f"Total: {total}")',
+                'text = "a?c".replace("?", "b")'
+            ].join('\n');
+            const expectations = [
+                [{ type: 'defines', name: 'count_languages', args: 1 }, true],
+                [{ type: 'defines', name: 'count_languages', args: 2 }, false],
+                [{ type: 'calls', name: 'count_languages', with: 'fragment_lengths' }, true],
+                [{ type: 'calls', name: 'len', with: 'fragment_lengths' }, false],
+                [{ type: 'calls', name: 'print', with: 'total' }, true],
+                [{ type: 'calls', name: 'replace', method: true }, true],
+                [{ type: 'assigns', name: 'fragment_count', value: 23 }, true],
+                [{ type: 'assigns', name: 'total' }, true],
+                [{ type: 'assigns', name: 'missing' }, false]
+            ];
+            for (const [rule, expected] of expectations) {
+                if (await passes(code, rule) !== expected) {
+                    throw new Error(`${JSON.stringify(rule)} should ${expected ? 'pass' : 'fail'}`);
+                }
+            }
+            const result = await sandbox.checkCode('def broken(:', [{ type: 'loop' }]);
+            if (result.isValid || !/SyntaxError/.test(result.syntaxError)) {
+                throw new Error('Unparseable code should report its syntax error');
+            }
+        });
+
+        await this.runTest('Method Rules Need A Method Call', async () => {
+            const rule = { type: 'calls', name: 'replace', method: true };
+            const plainCall = 'def replace(text, old, new):\n    return text\nresult = replace("a?c", "?", "b")';
+            if (await passes(plainCall, rule)) {
+                throw new Error('A function named replace should not satisfy a method rule');
+            }
+            if (!await passes(plainCall, { type: 'calls', name: 'replace' })) {
+                throw new Error('Without method, any call by that name should pass');
+            }
+            if (!await passes('text = "a?c"\nresult = text.replace("?", "b")', { ...rule, with: 'text' })) {
+                throw new Error('text.replace(...) should satisfy the method rule');
+            }
+        });
+
+        await this.runTest('Messages Come From The Rule', async () => {
+            const messages = [
+                [{ type: 'assigns', name: 'fragment_count', value: 23 }, 'Create a variable named "fragment_count" and set it to 23 (e.g., fragment_count = 23)'],
+                [{ type: 'defines', name: 'count_languages', args: 1 }, 'Define a function named "count_languages" that takes 1 argument (e.g., def count_languages(a):)'],
+                [{ type: 'calls', name: 'len', with: 'fragment_lengths' }, 'Call len() with fragment_lengths (e.g., len(fragment_lengths))'],
+                [{ type: 'loop', message: 'Loop over the sites' }, 'Loop over the sites']
+            ];
+            messages.forEach(([rule, expected]) => {
+                if (describeCodeRule(rule) !== expected) {
+                    throw new Error(`Got "${describeCodeRule(rule)}"`);
+                }
+            });
+        });
+
+        await this.runTest('Validator Checks Rules Against Solutions', async () => {
+            const content = JSON.parse(JSON.stringify(gameContent));
+            content.stages[3].validation.codeRules.push({ type: 'calls', name: 'sorted' });
+            content.stages[4].validation.codeRules.push({ type: 'loops' });
+            const { errors: ruleErrors } = checkContentRules(content);
+            if (!ruleErrors.some(e => e.includes('stages[4].validation.codeRules[2]') && e.includes('unknown rule type'))) {
+                throw new Error(`Unknown rule types should be reported, got: ${ruleErrors.join('; ')}`);
+            }
+
+            content.stages = content.stages.slice(0, 4);
+            const { errors } = await checkSolutions(content, createSkulptRunner(sandbox), {
+                checkCode: (code, rules) => sandbox.checkCode(code, rules)
+            });
+            if (!errors.some(e => e.includes('stages[3]') && e.includes('Call sorted()'))) {
+                throw new Error(`A rule the solution breaks should be reported, got: ${errors.join('; ')}`);
+            }
+        });
+    }
+
+    async testCodeDiff() {
+        this.createTestSuite('Code Diff Tests');
+
+        const { diffHunks, applyHunks } = require('./code-diff.js');
+        const before = 'total = 0\nfor n in numbers:\n    total += n\nprint(total)';
+        const after = 'total = 0\nfor n in fragment_lengths:\n    total += n\nprint("Total:", total)';
+
+        await this.runTest('Changes Are Split Into Hunks', async () => {
+            const segments = diffHunks(before, after);
+            const hunks = segments.filter(s => s.type === 'change');
+            if (hunks.length !== 2) {
+                throw new Error(`Expected 2 hunks, got ${JSON.stringify(segments)}`);
+            }
+            if (hunks[0].removed[0] !== 'for n in numbers:' || hunks[0].added[0] !== 'for n in fragment_lengths:') {
+                throw new Error(`First hunk should swap the loop line: ${JSON.stringify(hunks[0])}`);
+            }
+            if (diffHunks(before, before).some(s => s.type === 'change')) {
+                throw new Error('Identical code has no hunks');
+            }
+        });
+
+        await this.runTest('Hunks Can Be Taken Separately', async () => {
+            const segments = diffHunks(before, after);
+            if (applyHunks(segments, [0, 1]) !== after || applyHunks(segments, []) !== before) {
+                throw new Error('All hunks should give the new code and none the old');
+            }
+            const partial = applyHunks(segments, [1]);
+            if (partial !== 'total = 0\nfor n in numbers:\n    total += n\nprint("Total:", total)') {
+                throw new Error(`Got ${JSON.stringify(partial)}`);
+            }
+            const grown = diffHunks('a', 'a\nb\nc');
+            if (applyHunks(grown, [0]) !== 'a\nb\nc') {
+                throw new Error('Added lines at the end should apply');
+            }
+        });
+
+        await this.runTest('AI Edits Leave An Undo Checkpoint', async () => {
+            this.installBrowserStubs();
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            llm.showCodeApplicationConfirmation = () => {};
+            const cell = { value: before, getValue() { return this.value; }, setValue(v) { this.value = v; } };
+            global.cellEditors = [cell];
+            global.currentStage = 2;
+            try {
+                const checkpoint = llm.applyCheckpointedEdit(cell, after, { label: 'AI fix', cellIndex: 0 });
+                if (cell.value !== after || checkpoint.before !== before || !llm.checkpointName(checkpoint).startsWith('AI fix · Cell 1')) {
+                    throw new Error('The edit should apply and remember what it replaced');
+                }
+
+                // Edited since: the student is asked, and saying no keeps their work
+                cell.value = after + '\n# mine';
+                global.confirm = () => false;
+                if (llm.undoCheckpoint(checkpoint.id) || cell.value !== after + '\n# mine') {
+                    throw new Error('Declining should keep later changes');
+                }
+                global.confirm = () => true;
+                if (!llm.undoCheckpoint(checkpoint.id) || cell.value !== before || !checkpoint.undone) {
+                    throw new Error('Undo should restore the code from before the edit');
+                }
+                if (llm.undoCheckpoint(checkpoint.id)) {
+                    throw new Error('A checkpoint is only undone once');
+                }
+            } finally {
+                delete global.cellEditors;
+                delete global.confirm;
+            }
+        });
+
+        await this.runTest('Tutor Sees Changes Since The Starter Code', async () => {
+            const { describeChanges } = require('./code-diff.js');
+            if (describeChanges(before, before) !== '') {
+                throw new Error('Untouched starter code has no changes');
+            }
+            const changes = describeChanges(before, after);
+            if (changes !== '- for n in numbers:\n+ for n in fragment_lengths:\n- print(total)\n+ print("Total:", total)') {
+                throw new Error(`Unexpected changes: ${JSON.stringify(changes)}`);
+            }
+
+            this.installBrowserStubs();
+            const { LLMIntegration } = require('./llm-integration.js');
+            const prompt = new LLMIntegration().buildCodeContext({
+                stage: 'Loops',
+                currentCode: [{ cell: 1, code: before }, { cell: 2, code: after }],
+                changesFromStarter: [{ cell: 2, changes }]
+            });
+            if (!prompt.includes('Changes the student made to the starter code') || !prompt.includes(`Cell 2:\n${changes}`)) {
+                throw new Error('The prompt should list the student\'s changes per cell');
+            }
+        });
+
+        await this.runTest('A New Review Settles The Open One', async () => {
+            const { JSDOM } = require('jsdom');
+            const modal = fs.readFileSync(path.join(__dirname, 'app.html'), 'utf8')
+                .match(/<div class="modal-overlay" id="ai-diff-modal"[\s\S]*?<!-- Ollama Fallback/)[0];
+            this.installBrowserStubs();
+            global.document = new JSDOM(modal).window.document;
+            try {
+                const { LLMIntegration } = require('./llm-integration.js');
+                const llm = new LLMIntegration();
+                const first = llm.reviewCodeChange('x = 1', 'x = 2');
+                const second = llm.reviewCodeChange('y = 1', 'y = 2');
+                const firstResult = await Promise.race([first, new Promise(resolve => setTimeout(() => resolve('pending'), 50))]);
+                if (firstResult !== null) {
+                    throw new Error(`The replaced review should settle as rejected, got ${firstResult}`);
+                }
+                document.getElementById('ai-diff-accept-all').click();
+                if (await second !== 'y = 2' || llm.pendingReview !== null) {
+                    throw new Error('The open review should still take the student\'s answer');
+                }
+            } finally {
+                this.installBrowserStubs();
+            }
+        });
+    }
+
+    async testOutputDiff() {
+        this.createTestSuite('Output Diff Tests');
+
+        const OutputDiff = require('./output-diff.js');
+
+        await this.runTest('Changed Lines Show Character Differences', async () => {
+            const diff = OutputDiff.compareOutput('Fragments: 23\nTotal: 5', 'Fragment 23\nTotal: 5');
+            const [changed, same] = diff.rows;
+            if (diff.changed !== 1 || diff.missing !== 0 || same.type !== 'same') {
+                throw new Error(`Unexpected rows: ${JSON.stringify(diff.rows)}`);
+            }
+            const marked = changed.parts.filter(part => part.type !== 'same').map(part => `${part.type}:${part.text}`);
+            if (marked.join() !== 'missing:s:') {
+                throw new Error(`The missing "s:" should be marked: ${JSON.stringify(changed.parts)}`);
+            }
+        });
+
+        await this.runTest('Missing And Extra Lines Are Flagged', async () => {
+            const diff = OutputDiff.compareOutput(['Latin: 5', 'Greek: 3', 'Unknown: 4'], 'Latin: 5\nUnknown: 4\nDone!');
+            const types = diff.rows.map(row => row.type).join();
+            if (types !== 'same,missing,same,extra' || diff.missing !== 1 || diff.extra !== 1) {
+                throw new Error(`Unexpected rows: ${types}`);
+            }
+            if (OutputDiff.compareOutput('Hello World\n\n', 'hello   world').rows.some(row => row.type !== 'same')) {
+                throw new Error('Case, spacing and trailing blank lines should not count');
+            }
+        });
+
+        await this.runTest('Flexible Mode Accepts What The Validator Accepts', async () => {
+            // A stand-in for the game's flexibleOutputMatch: numbers and one key word
+            const matches = (actual, expected) => actual.includes(expected.match(/\d+/)[0]) && /total/i.test(actual);
+            const diff = OutputDiff.compareOutput(['Total: 10', 'Total characters: 468'], 'Debug\nThere are 468 characters in total\nTotal = 10', {
+                flexible: true,
+                matches
+            });
+            const types = diff.rows.map(row => row.type).join();
+            if (types !== 'context,same,same' || diff.missing + diff.extra + diff.changed !== 0) {
+                throw new Error(`Reordered and extra lines should not be flagged: ${JSON.stringify(diff.rows)}`);
+            }
+            const strict = OutputDiff.compareOutput(['Total: 10', 'Total characters: 468'], 'Debug\nThere are 468 characters in total\nTotal = 10');
+            if (strict.missing + strict.extra + strict.changed === 0) {
+                throw new Error('Without flexible validation the same output differs');
+            }
+        });
+
+        await this.runTest('Bundled Cells Show The Diff Next To Missed Checks', async () => {
+            // Every bundled cell has validation rules; a wrong output should
+            // still get the line diff, with the missed checks alongside it
+            const { JSDOM } = require('jsdom');
+            const html = fs.readFileSync(path.join(__dirname, 'app.html'), 'utf8');
+            const scripts = [...html.matchAll(/<script src="([^"]+)"/g)]
+                .map(match => match[1])
+                .filter(src => !src.startsWith('vendor/'));
+            const dom = new JSDOM('<div id="output-area-0"></div>', { url: 'http://localhost/app.html', runScripts: 'outside-only' });
+            const page = dom.window;
+            try {
+                page.eval(scripts.map(src => fs.readFileSync(path.join(__dirname, src), 'utf8')).join('\n;\n'));
+                const stage = JSON.parse(fs.readFileSync(path.join(__dirname, 'game-content.json'), 'utf8'))
+                    .stages.find(s => s.id === 2);
+                const cell = stage.cells[0];
+                const outputArea = page.document.getElementById('output-area-0');
+                const showFeedback = actual => page.showOutputFeedback(outputArea, {
+                    expected: cell.expectedOutput,
+                    actual,
+                    flexible: cell.validation.flexible,
+                    unmet: page.unmetCellChecks(actual, cell.validation),
+                    stage
+                });
+
+                showFeedback('Fragment count 11\ndebug');
+                const diff = outputArea.querySelector('.output-diff:not(.output-checks)');
+                const checks = outputArea.querySelector('.output-checks');
+                if (!diff || !diff.querySelector('tr.output-diff-changed mark') || !diff.querySelector('.output-diff-note')) {
+                    throw new Error(`The changed line should be diffed flexibly: ${outputArea.innerHTML}`);
+                }
+                if (!checks || checks.querySelectorAll('li').length === 0) {
+                    throw new Error('The missed checks should be listed next to the diff');
+                }
+
+                showFeedback('Total fragments found: 10');
+                if (outputArea.querySelector('.output-diff')) {
+                    throw new Error('A matching output should clear both panels');
+                }
+            } finally {
+                page.close();
+            }
+        });
+    }
+
+    async testCellHistory() {
+        this.createTestSuite('Cell History Tests');
+
+        const CellHistory = require('./cell-history.js');
+
+        await this.runTest('Snapshots Are Kept Per Stage And Cell', async () => {
+            const history = {};
+            CellHistory.addSnapshot(history, 2, 0, { code: 'print(totl)', source: 'run', outcome: 'error', at: 1 });
+            CellHistory.addSnapshot(history, 2, 0, { code: 'print(total)', source: 'run', outcome: 'failed', at: 2 });
+            const rerun = CellHistory.addSnapshot(history, 2, 0, { code: 'print(total)', source: 'run', outcome: 'passed', at: 3 });
+            CellHistory.addSnapshot(history, 2, 1, { code: 'x = 1', source: 'ai', label: 'Agent edit', at: 4 });
+
+            const cell0 = CellHistory.getSnapshots(history, 2, 0);
+            if (cell0.length !== 2 || rerun !== cell0[1] || rerun.outcome !== 'passed' || rerun.at !== 3) {
+                throw new Error('Re-running unchanged code should update the latest snapshot, not add one');
+            }
+            const cell1 = CellHistory.getSnapshots(history, 2, 1);
+            if (cell1.length !== 1 || cell1[0].label !== 'Agent edit' || CellHistory.getSnapshots(history, 3, 0).length !== 0) {
+                throw new Error('Cells and stages should keep separate histories');
+            }
+            if (JSON.stringify(JSON.parse(JSON.stringify(history))) !== JSON.stringify(history)) {
+                throw new Error('History must survive saving as JSON');
+            }
+        });
+
+        await this.runTest('Working Version Is Pinned And Never Pruned', async () => {
+            const history = {};
+            const first = CellHistory.addSnapshot(history, 1, 0, { code: 'v0', source: 'run', outcome: 'passed' });
+            if (!CellHistory.togglePin(history, 1, 0, first.id)) throw new Error('Pinning should report the pin');
+            const second = CellHistory.addSnapshot(history, 1, 0, { code: 'v1', source: 'run' });
+            CellHistory.togglePin(history, 1, 0, second.id);
+            if (first.pinned || CellHistory.getPinned(history, 1, 0) !== second) {
+                throw new Error('Only one snapshot per cell can be the working version');
+            }
+            CellHistory.togglePin(history, 1, 0, second.id);
+            if (CellHistory.getPinned(history, 1, 0) !== null) throw new Error('Pinning again should clear the mark');
+
+            CellHistory.togglePin(history, 1, 0, first.id);
+            for (let i = 2; i < CellHistory.MAX_SNAPSHOTS_PER_CELL + 10; i++) {
+                CellHistory.addSnapshot(history, 1, 0, { code: `v${i}`, source: 'run' });
+            }
+            const snapshots = CellHistory.getSnapshots(history, 1, 0);
+            if (snapshots.length !== CellHistory.MAX_SNAPSHOTS_PER_CELL || snapshots[0] !== first || snapshots[1].code === 'v1') {
+                throw new Error('Old snapshots should be pruned, keeping the pinned one');
+            }
+            if (new Set(snapshots.map(s => s.id)).size !== snapshots.length) {
+                throw new Error('Snapshot ids should stay unique');
+            }
+        });
+        await this.runTest('Saved Snapshots Stay Within Their Size', async () => {
+            const history = {};
+            const code = n => `# version ${n}\n` + 'print("fragment")\n'.repeat(50);
+            [1, 2].forEach(stageId => [0, 1].forEach(cell => {
+                for (let n = 0; n < 5; n++) {
+                    CellHistory.addSnapshot(history, stageId, cell, { code: code(n), source: 'run', at: stageId * 100 + cell * 10 + n });
+                }
+            }));
+            const pinned = CellHistory.getSnapshots(history, 1, 0)[0];
+            CellHistory.togglePin(history, 1, 0, pinned.id);
+
+            const limit = JSON.stringify(history).length / 3;
+            const dropped = CellHistory.trimToSize(history, limit);
+            if (dropped === 0 || JSON.stringify(history).length > limit) {
+                throw new Error('Trimmed history should fit the limit');
+            }
+            if (CellHistory.getPinned(history, 1, 0) !== pinned) {
+                throw new Error('The working version is never trimmed');
+            }
+            const cells = [[1, 0], [1, 1], [2, 0], [2, 1]].map(([stageId, cell]) => CellHistory.getSnapshots(history, stageId, cell));
+            if (cells.some(snapshots => !snapshots[snapshots.length - 1].code.startsWith('# version 4'))) {
+                throw new Error('Each cell keeps its latest snapshot');
+            }
+            if (CellHistory.getSnapshots(history, 2, 1).length < CellHistory.getSnapshots(history, 1, 1).length) {
+                throw new Error('The oldest snapshots should go first');
+            }
+        });
+    }
+
+    async testTutorAgent() {
+        this.createTestSuite('Tutor Agent Tests');
+
+        const { runAgent } = require('./tutor-agent.js');
+
+        // One reply that calls read_cell, then one that answers, in each wire format
+        const replies = {
+            openai: [
+                { choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_cell', arguments: '{"cell": 2}' } }] } }] },
+                { choices: [{ message: { role: 'assistant', content: 'The loop never adds to total.' } }] }
+            ],
+            anthropic: [
+                { content: [{ type: 'text', text: 'Let me look.' }, { type: 'tool_use', id: 'toolu_1', name: 'read_cell', input: { cell: 2 } }], stop_reason: 'tool_use' },
+                { content: [{ type: 'text', text: 'The loop never adds to total.' }], stop_reason: 'end_turn' }
+            ],
+            ollama: [
+                { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_cell', arguments: { cell: 2 } } }] } },
+                { message: { role: 'assistant', content: 'The loop never adds to total.' } }
+            ]
+        };
+
+        await this.runTest('Tool Calls Round-Trip In Each Provider Format', async () => {
+            for (const format of Object.keys(replies)) {
+                const sent = [];
+                const calls = [];
+                const result = await runAgent({
+                    format,
+                    systemPrompt: 'system',
+                    task: 'fix it',
+                    send: async (messages, tools) => {
+                        sent.push({ messages: messages.slice(), tools });
+                        return replies[format][sent.length - 1];
+                    },
+                    tools: { read_cell: async args => { calls.push(args); return 'total = 0'; } }
+                });
+
+                if (calls.length !== 1 || calls[0].cell !== 2) {
+                    throw new Error(`${format}: read_cell should get cell 2, got ${JSON.stringify(calls)}`);
+                }
+                if (result.text !== 'The loop never adds to total.' || result.steps !== 2 || result.limitReached) {
+                    throw new Error(`${format}: unexpected result ${JSON.stringify(result)}`);
+                }
+                const toolNames = sent[0].tools.map(t => t.name || t.function.name);
+                if (toolNames.join() !== 'read_cell,propose_edit,run_cell,read_output,get_hint') {
+                    throw new Error(`${format}: tools sent were ${toolNames}`);
+                }
+
+                const followUp = sent[1].messages;
+                const resultMessage = followUp[followUp.length - 1];
+                const ok = {
+                    openai: resultMessage.role === 'tool' && resultMessage.tool_call_id === 'call_1',
+                    anthropic: resultMessage.role === 'user' && resultMessage.content[0].tool_use_id === 'toolu_1',
+                    ollama: resultMessage.role === 'tool' && resultMessage.tool_name === 'read_cell'
+                }[format];
+                if (!ok || !JSON.stringify(resultMessage).includes('total = 0')) {
+                    throw new Error(`${format}: tool result sent back as ${JSON.stringify(resultMessage)}`);
+                }
+                if ((format === 'anthropic') === followUp.some(m => m.role === 'system')) {
+                    throw new Error(`${format}: the system prompt belongs in the messages for every format but Anthropic`);
+                }
+            }
+        });
+
+        await this.runTest('Agent Stops At The Step Limit', async () => {
+            let turns = 0;
+            const events = [];
+            const result = await runAgent({
+                format: 'ollama',
+                systemPrompt: 'system',
+                task: 'fix it',
+                maxSteps: 3,
+                send: async () => { turns++; return replies.ollama[0]; },
+                tools: { read_cell: async () => 'code' },
+                onEvent: entry => events.push(entry.type)
+            });
+            if (turns !== 3 || !result.limitReached || events[events.length - 1] !== 'limit') {
+                throw new Error(`Expected 3 turns then a limit entry, got ${turns} turns and ${events}`);
+            }
+        });
+
+        await this.runTest('Tool Errors Are Reported To The Model', async () => {
+            let secondTurn;
+            const result = await runAgent({
+                format: 'openai',
+                systemPrompt: 'system',
+                task: 'fix it',
+                send: async messages => {
+                    if (secondTurn === undefined && messages.length > 2) secondTurn = messages.slice();
+                    return messages.length > 2 ? replies.openai[1] : {
+                        choices: [{ message: { role: 'assistant', content: '', tool_calls: [
+                            { id: 'a', function: { name: 'delete_everything', arguments: '{}' } },
+                            { id: 'b', function: { name: 'read_cell', arguments: '{"cell": 9}' } }
+                        ] } }]
+                    };
+                },
+                tools: { read_cell: async () => { throw new Error('There is no cell 9'); } }
+            });
+            const errors = result.transcript.filter(e => e.type === 'tool' && e.status === 'error');
+            if (errors.length !== 2 || !errors[0].result.includes('Unknown tool')) {
+                throw new Error(`Both calls should fail without stopping the agent: ${JSON.stringify(result.transcript)}`);
+            }
+            if (!secondTurn.some(m => m.tool_call_id === 'b' && m.content === 'Error: There is no cell 9')) {
+                throw new Error('The error should be sent back so the model can correct itself');
+            }
+        });
+
+        await this.runTest('Agent Edits Wait For The Student', async () => {
+            this.installBrowserStubs();
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            llm.showCodeApplicationConfirmation = () => {};
+            const makeCell = value => ({ value, getValue() { return this.value; }, setValue(v) { this.value = v; } });
+            global.cellEditors = [makeCell('x = 1'), makeCell('print(y)')];
+            global.gameContent = { stages: [{ id: 7, cells: [{}, {}], hints: ['Check the variable name'] }] };
+            global.currentStage = 7;
+            try {
+                const tools = llm.createAgentTools();
+                if (tools.read_cell({ cell: 2 }) !== 'print(y)') {
+                    throw new Error('Cells are numbered from 1');
+                }
+                if (!/no cell 3/.test((() => { try { tools.read_cell({ cell: 3 }); } catch (e) { return e.message; } })())) {
+                    throw new Error('An out-of-range cell should be an error the model can read');
+                }
+
+                llm.reviewCodeChange = async () => null;
+                const rejected = await tools.propose_edit({ cell: 2, code: 'print(x)' });
+                if (!rejected.includes('rejected') || cellEditors[1].value !== 'print(y)') {
+                    throw new Error('A rejected edit must leave the cell alone');
+                }
+
+                llm.reviewCodeChange = async (before, after) => after;
+                const accepted = await tools.propose_edit({ cell: 2, code: 'print(x)' });
+                if (!accepted.includes('accepted') || cellEditors[1].value !== 'print(x)' || llm.codeCheckpoints.length !== 1) {
+                    throw new Error('An accepted edit applies with an undo checkpoint');
+                }
+                if (tools.get_hint({ number: 1 }) !== 'Check the variable name' || !tools.get_hint({ number: 2 }).includes('no hint 2')) {
+                    throw new Error('get_hint should return authored hints by number');
+                }
+            } finally {
+                delete global.cellEditors;
+                delete global.gameContent;
+            }
+        });
+    }
+
+    async testTutorAnalytics() {
+        this.createTestSuite('Tutor Analytics Tests');
+
+        const analytics = require('./tutor-analytics.js');
+
+        await this.runTest('Errors Are Classified By Exception Type', async () => {
+            const cases = [
+                ["NameError: name 'totl' is not defined on line 3", 'NameError', 'variable names', 3],
+                ["TypeError: cannot concatenate 'str' and 'int' objects on line 1", 'TypeError', 'string conversion', 1],
+                ['Error: IndentationError: expected an indented block on line 2', 'IndentationError', 'indentation', 2],
+                ['TimeLimitError: Program exceeded run time limit.', 'TimeLimitError', 'loops', null],
+                ['Something odd happened', 'Error', 'other', null]
+            ];
+            cases.forEach(([message, type, concept, line]) => {
+                const result = analytics.classifyError(message);
+                if (result.type !== type || result.concept !== concept || result.line !== line) {
+                    throw new Error(`${message} => ${JSON.stringify(result)}`);
+                }
+            });
+            // A TypeError that isn't about strings is a type problem, not string conversion
+            if (analytics.classifyError("TypeError: 'int' object is not iterable").concept !== 'types') {
+                throw new Error('Only str concatenation errors count as string conversion');
+            }
+        });
+
+        await this.runTest('Run Summary Counts Outcomes And Active Time', async () => {
+            const start = 1000000;
+            const minute = 60 * 1000;
+            const runs = [
+                analytics.createRunRecord({ outcome: 'error', code: 'print(totl)', error: "NameError: name 'totl' is not defined on line 1", at: start + minute, since: start }),
+                analytics.createRunRecord({ outcome: 'error', code: 'print(tot)', error: "NameError: name 'tot' is not defined on line 1", hints: [0], at: start + 2 * minute, since: start + minute }),
+                // An hour away from the keyboard only counts up to the idle limit
+                analytics.createRunRecord({ outcome: 'passed', code: 'print(total)', hints: [0], aiHints: 1, at: start + 62 * minute, since: start + 2 * minute })
+            ];
+            const summary = analytics.summarizeRuns(runs);
+            if (summary.runs !== 3 || summary.outcomes.error !== 2 || summary.outcomes.passed !== 1 || summary.firstPassRun !== 3) {
+                throw new Error(`Unexpected counts: ${JSON.stringify(summary)}`);
+            }
+            if (summary.timeOnTaskMs !== 2 * minute + analytics.IDLE_LIMIT_MS) {
+                throw new Error(`Idle time should be capped, got ${summary.timeOnTaskMs}ms`);
+            }
+            if (summary.errorTypes[0].type !== 'NameError' || summary.errorTypes[0].count !== 2 || summary.struggles[0] !== 'variable names') {
+                throw new Error(`Errors should group by type: ${JSON.stringify(summary.errorTypes)}`);
+            }
+            if (summary.hintsRevealed !== 1 || summary.aiHints !== 1) {
+                throw new Error('Hints revealed should come from the latest run');
+            }
+        });
+
+        await this.runTest('Tutor Prompt Mentions Repeated Errors', async () => {
+            this.installBrowserStubs();
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            const runs = [1, 2, 3].map(n => analytics.createRunRecord({ outcome: 'error', code: 'x', error: 'IndentationError: expected an indented block on line 2', at: n }));
+            const prompt = llm.buildCodeContext({ stage: 'Stage', challenge: '', data: '', currentCode: 'x', attempts: analytics.summarizeRuns(runs) });
+            if (!prompt.includes('3 runs') || !prompt.includes('IndentationError x3') || !prompt.includes('struggling with: indentation')) {
+                throw new Error(`Prompt should summarise attempts:\n${prompt}`);
+            }
+            if (llm.buildCodeContext({ stage: 'Stage', currentCode: 'x' }).includes('Attempts so far')) {
+                throw new Error('No history, no attempts line');
+            }
+        });
+        await this.runTest('Saved Run History Stays Within Its Size', async () => {
+            const code = 'x = 1\n'.repeat(500);
+            const runHistory = {
+                1: [1, 2, 3].map(n => analytics.createRunRecord({ outcome: 'error', code, error: 'NameError: x', at: n })),
+                2: [4, 5, 6].map(n => analytics.createRunRecord({ outcome: 'passed', code, at: n }))
+            };
+            const untouched = JSON.stringify(runHistory);
+            if (analytics.trimRunHistory(runHistory, untouched.length) !== 0 || JSON.stringify(runHistory) !== untouched) {
+                throw new Error('History within the limit should be left alone');
+            }
+
+            analytics.trimRunHistory(runHistory, untouched.length - 2 * code.length);
+            if (JSON.stringify(runHistory).length > untouched.length - 2 * code.length) {
+                throw new Error('Trimmed history should fit the limit');
+            }
+            if (runHistory[1].length !== 3 || runHistory[1][0].code !== '' || runHistory[2][2].code !== code) {
+                throw new Error('The oldest runs should lose their code before any record is dropped');
+            }
+
+            analytics.trimRunHistory(runHistory, 800);
+            const left = [...runHistory[1], ...runHistory[2]];
+            if (JSON.stringify(runHistory).length > 800 || left.length === 0 || left.some(record => record.at < 6 - left.length + 1)) {
+                throw new Error('Records should be dropped oldest first once no code is left to trim');
+            }
+        });
+    }
+
+    async testProgressFiles() {
+        this.createTestSuite('Progress File Tests');
+
+        const crypto = require('crypto');
+        const ProgressFile = require('./progress-file.js');
+        const progress = {
+            currentStage: 4,
+            completedStages: [1, 2, 3],
+            successfulCellExecutions: { 3: [0, 1] },
+            cellContent: { 4: { type: 'single', content: 'print("Ελληνικά ✓")' } },
+            story: { choices: [{ stageId: 3, choice: 'trust', consequence: 'ally' }], performance: {}, runHistory: {} },
+            lastSaved: 1700000000000
+        };
+        const exported = ProgressFile.createProgressExport(progress, { student: 'Ada', exportedAt: 0 });
+
+        await this.runTest('Checksum Is SHA-256 Of Canonical JSON', async () => {
+            ['', 'abc', 'x'.repeat(55), 'x'.repeat(64), 'Ελληνικά ✓ 𝄞'.repeat(50)].forEach(text => {
+                if (ProgressFile.sha256(text) !== crypto.createHash('sha256').update(text, 'utf8').digest('hex')) {
+                    throw new Error(`sha256 differs from Node's for a ${text.length}-character string`);
+                }
+            });
+            const { checksum, ...content } = exported;
+            const reordered = Object.fromEntries(Object.entries(content).reverse());
+            if (checksum !== ProgressFile.progressChecksum(reordered) ||
+                checksum !== crypto.createHash('sha256').update(ProgressFile.canonicalJson(content)).digest('hex')) {
+                throw new Error('The checksum should not depend on key order');
+            }
+            if (exported.version !== ProgressFile.PROGRESS_SCHEMA_VERSION) {
+                throw new Error('Exports carry the current schema version');
+            }
+        });
+
+        await this.runTest('Edited Or Truncated Files Are Rejected', async () => {
+            const text = JSON.stringify(exported, null, 2);
+            const restored = ProgressFile.parseProgressFile(text, 'ada.json');
+            if (!restored.verified || restored.progress.cellContent[4].content !== progress.cellContent[4].content) {
+                throw new Error('An untouched file should restore exactly');
+            }
+
+            const expectFailure = (fileText, pattern) => {
+                try {
+                    ProgressFile.parseProgressFile(fileText, 'ada.json');
+                } catch (error) {
+                    if (!pattern.test(error.message)) throw new Error(`Unclear message: ${error.message}`);
+                    return;
+                }
+                throw new Error('The file should have been rejected');
+            };
+            const edited = JSON.parse(text);
+            edited.progress.completedStages.push(9);
+            expectFailure(JSON.stringify(edited), /changed or is incomplete/);
+            expectFailure(text.slice(0, text.length - 40), /not valid JSON.*incomplete/);
+            const unsigned = JSON.parse(text);
+            delete unsigned.checksum;
+            expectFailure(JSON.stringify(unsigned), /checksum/);
+            // Dropping the version doesn't make a signed file skip its check
+            const unversioned = JSON.parse(text);
+            delete unversioned.version;
+            unversioned.progress.completedStages.push(9);
+            expectFailure(JSON.stringify(unversioned), /checksum/);
+            expectFailure(JSON.stringify({ ...exported, version: 99 }), /newer version/);
+        });
+
+        await this.runTest('Older Saves Are Migrated', async () => {
+            // Version 1 files had no version, no checksum and could lack story data
+            const v1 = { format: ProgressFile.PROGRESS_FILE_FORMAT, student: 'Grace', packId: 'default', progress: { currentStage: 2, completedStages: [1] } };
+            const restored = ProgressFile.parseProgressFile(JSON.stringify(v1), 'grace.json');
+            if (restored.version !== 1 || restored.verified) {
+                throw new Error('Files from before checksums restore unverified');
+            }
+            const story = restored.progress.story;
+            if (!story || !Array.isArray(story.choices) || typeof story.runHistory !== 'object' || typeof restored.progress.cellContent !== 'object') {
+                throw new Error(`Migration should fill in missing data: ${JSON.stringify(restored.progress)}`);
+            }
+            if (restored.progress.currentStage !== 2 || restored.progress.completedStages[0] !== 1) {
+                throw new Error('Migration must keep existing progress');
+            }
+            // A bare localStorage save is treated as version 1 too
+            if (ProgressFile.parseProgressFile(JSON.stringify(v1.progress), 'progress-grace.json').student !== 'grace') {
+                throw new Error('Bare saves should be named from the file');
+            }
+        });
+    }
+
+    async testTeacherDashboard() {
+        this.createTestSuite('Teacher Dashboard Tests');
+
+        const ProgressFile = require('./progress-file.js');
+        const dashboard = require('./teacher-dashboard.js');
+        const analytics = require('./tutor-analytics.js');
+
+        const minute = 60 * 1000;
+        const savedState = {
+            currentStage: 3,
+            completedStages: [1, 2],
+            cellContent: {},
+            story: {
+                // Stage 1 was completed before run history existed
+                performance: {
+                    1: { attempts: 2, timeSpent: 4 * minute, hintsUsed: 1, errors: ["NameError: name 'x' is not defined on line 1"] },
+                    2: { attempts: 1, timeSpent: 9 * minute, hintsUsed: 0, errors: [] }
+                },
+                runHistory: {
+                    2: [analytics.createRunRecord({ outcome: 'passed', code: 'print(1)', at: 2 * minute, since: 0 })],
+                    3: [
+                        analytics.createRunRecord({ outcome: 'error', code: 'for', error: 'SyntaxError: bad input on line 1', at: minute, since: 0 }),
+                        analytics.createRunRecord({ outcome: 'error', code: 'for x', error: 'SyntaxError: bad input on line 1', hints: [0, 1], at: 2 * minute, since: minute })
+                    ]
+                }
+            },
+            lastSaved: 1000
+        };
+
+        await this.runTest('Progress Files Round-Trip', async () => {
+            const exported = ProgressFile.createProgressExport(savedState, { student: ' Ada Lovelace ', packId: 'default' });
+            const parsed = ProgressFile.parseProgressFile(JSON.stringify(exported), 'whatever.json');
+            if (parsed.student !== 'Ada Lovelace' || parsed.progress.currentStage !== 3) {
+                throw new Error(`Unexpected parse: ${JSON.stringify(parsed).slice(0, 200)}`);
+            }
+            if (ProgressFile.progressFileName('Ada Lovelace', 'data-cleaning') !== 'progress-ada-lovelace-data-cleaning.json') {
+                throw new Error('File names should carry the student and pack');
+            }
+            // A raw localStorage save is accepted, named after its file
+            if (ProgressFile.parseProgressFile(JSON.stringify(savedState), 'progress-grace.json').student !== 'grace') {
+                throw new Error('Bare saves should be named from the file');
+            }
+            ['not json', '{"format":"aicodepedagogy-progress"}', '{"hello":1}'].forEach(text => {
+                let threw = false;
+                try { ProgressFile.parseProgressFile(text, 'bad.json'); } catch (error) { threw = error.message.startsWith('bad.json'); }
+                if (!threw) throw new Error(`${text} should be rejected with the file name in the message`);
+            });
+        });
+
+        await this.runTest('Students Are Summarised Per Stage', async () => {
+            const summary = dashboard.summarizeStudent({ student: 'Ada', packId: 'default', progress: savedState });
+            const { 1: first, 2: second, 3: third } = summary.stages;
+            if (!first.completed || first.attempts !== 2 || first.timeMs !== 4 * minute || first.errors[0].type !== 'NameError') {
+                throw new Error(`Older saves should use the performance record: ${JSON.stringify(first)}`);
+            }
+            if (second.attempts !== 1 || second.timeMs !== 2 * minute) {
+                throw new Error(`Run history should give active time: ${JSON.stringify(second)}`);
+            }
+            if (third.completed || third.attempts !== 2 || third.hintsUsed !== 2 || third.errors[0].count !== 2) {
+                throw new Error(`The stage in progress should count runs and hints: ${JSON.stringify(third)}`);
+            }
+            if (summary.completedCount !== 2 || summary.totals.attempts !== 5 || summary.commonErrors[0].type !== 'SyntaxError') {
+                throw new Error(`Unexpected totals: ${JSON.stringify(summary.totals)} ${JSON.stringify(summary.commonErrors)}`);
+            }
+
+            const other = dashboard.summarizeStudent({ student: 'Grace', packId: 'default', progress: { currentStage: 5, completedStages: [1, 2, 3, 4] } });
+            const classView = dashboard.summarizeClass([summary, other]);
+            if (classView.stageIds.join() !== '1,2,3,4,5' || classView.commonErrors[0].students !== 1) {
+                throw new Error(`Unexpected class view: ${JSON.stringify(classView)}`);
+            }
+        });
+
+        await this.runTest('Figures From A File Are Numbers', async () => {
+            const html = '<img src=x onerror=alert(1)>';
+            const summary = dashboard.summarizeStudent({
+                student: 'Mallory',
+                packId: 'default',
+                progress: {
+                    currentStage: 2,
+                    completedStages: [1],
+                    story: { performance: { 1: { attempts: html, hintsUsed: '2', timeSpent: html, errors: html } } }
+                }
+            });
+            const first = summary.stages[1];
+            if (first.attempts !== 0 || first.hintsUsed !== 2 || first.timeMs !== 0 || first.errors.length !== 0) {
+                throw new Error(`Non-numeric figures should become counts: ${JSON.stringify(first)}`);
+            }
+            if (summary.totals.attempts !== 0 || summary.totals.hintsUsed !== 2) {
+                throw new Error(`Totals should add numbers: ${JSON.stringify(summary.totals)}`);
+            }
+        });
+
+        await this.runTest('Re-importing Replaces A Student', async () => {
+            const older = dashboard.summarizeStudent({ student: 'Ada', packId: 'default', progress: { ...savedState, lastSaved: 1 } });
+            const newer = dashboard.summarizeStudent({ student: 'ada', packId: 'default', progress: { ...savedState, currentStage: 4, lastSaved: 2 } });
+            const otherPack = dashboard.summarizeStudent({ student: 'Ada', packId: 'data-cleaning', progress: savedState });
+            let students = dashboard.addStudent([], newer);
+            students = dashboard.addStudent(students, older);
+            students = dashboard.addStudent(students, otherPack);
+            if (students.length !== 2 || students.find(s => s.packId === 'default').currentStage !== 4) {
+                throw new Error('The newest save per student and pack should win');
+            }
+        });
+
+        await this.runTest('CSV Export Is Spreadsheet Safe', async () => {
+            const summary = dashboard.summarizeStudent({ student: '=HYPERLINK("x"), Ada', packId: 'default', progress: savedState });
+            const csv = dashboard.toCSV([summary], { 3: 'Loops, and more' });
+            const lines = csv.trim().split('\r\n');
+            if (lines[0] !== 'student,pack,current_stage,stage,stage_title,completed,attempts,hints_used,authored_hints_seen,authored_hints,ai_hints,time_minutes,errors' || lines.length !== 4) {
+                throw new Error(`Expected a header and one row per stage:\n${csv}`);
+            }
+            if (!lines[3].startsWith('"\'=HYPERLINK(""x""), Ada",default,3,3,"Loops, and more",no,2,2,,,,2,SyntaxError x2')) {
+                throw new Error(`Row not escaped: ${lines[3]}`);
+            }
+            const report = dashboard.toJSON([summary]);
+            if (report.format !== dashboard.CLASS_REPORT_FORMAT || report.students.length !== 1) {
+                throw new Error('JSON export should carry its format and the students');
+            }
+        });
+    }
+
+    async testOfflineSupport() {
+        this.createTestSuite('Offline Support Tests');
+
+        const { APP_SHELL, cachingStrategy } = require('./sw.js');
+        const origin = 'https://example.org';
+        const request = (url, options = {}) => ({ url, method: 'GET', mode: 'cors', ...options });
+
+        await this.runTest('App Shell Covers Every Page Asset', async () => {
+            const missing = [];
+            ['index.html', 'app.html', 'teacher.html'].forEach(page => {
+                const html = fs.readFileSync(path.join(__dirname, page), 'utf8');
+                const local = [...html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"]+)"/g)]
+                    .map(match => match[1])
+                    .filter(url => !/^(https?:)?\/\//.test(url));
+                local.filter(url => !APP_SHELL.includes(url)).forEach(url => missing.push(`${page}: ${url}`));
+            });
+            const worker = fs.readFileSync(path.join(__dirname, 'python-worker.js'), 'utf8');
+            const imports = worker.match(/importScripts\(([^)]*)\)/)[1].match(/'[^']+'/g).map(name => name.slice(1, -1));
+            imports.filter(url => !APP_SHELL.includes(url)).forEach(url => missing.push(`python-worker.js: ${url}`));
+            if (missing.length) {
+                throw new Error(`Not precached, so missing offline: ${missing.join(', ')}`);
+            }
+        });
+
+        await this.runTest('Fonts Are Bundled And Precached', async () => {
+            const css = fs.readFileSync(path.join(__dirname, 'vendor/fonts/fonts.css'), 'utf8');
+            const fonts = [...css.matchAll(/url\('([^']+)'\)/g)].map(match => `vendor/fonts/${match[1]}`);
+            const missing = fonts.filter(url => !APP_SHELL.includes(url));
+            if (fonts.length === 0 || missing.length) {
+                throw new Error(`Fonts not precached: ${missing.join(', ')}`);
+            }
+            const remote = ['index.html', 'app.html', 'teacher.html']
+                .filter(page => /fonts\.(googleapis|gstatic)\.com/.test(fs.readFileSync(path.join(__dirname, page), 'utf8')));
+            if (remote.length) {
+                throw new Error(`Fonts loaded from another site, so missing offline: ${remote.join(', ')}`);
+            }
+        });
+
+        await this.runTest('App Shell Files Exist', async () => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.webmanifest'), 'utf8'));
+            const files = [...APP_SHELL.filter(url => url !== './'), ...manifest.icons.map(icon => icon.src)];
+            const absent = files.filter(file => !fs.existsSync(path.join(__dirname, file)));
+            if (absent.length) {
+                throw new Error(`Install would fail on missing files: ${absent.join(', ')}`);
+            }
+        });
+
+        await this.runTest('Caching Strategy By Request', async () => {
+            const cases = [
+                [request(`${origin}/app.html?pack=hum-101`, { mode: 'navigate' }), 'network-first'],
+                [request(`${origin}/game-content.json`), 'network-first'],
+                [request(`${origin}/script.js`), 'cache-first'],
+                [request('https://cdn.jsdelivr.net/npm/@huggingface/transformers'), 'cache-first'],
+                [request('https://api.anthropic.com/v1/messages'), null],
+                [request('http://localhost:11434/api/generate'), null],
+                [request(`${origin}/script.js`, { method: 'POST' }), null]
+            ];
+            cases.forEach(([req, expected]) => {
+                const actual = cachingStrategy(req, origin);
+                if (actual !== expected) {
+                    throw new Error(`${req.method} ${req.url}: expected ${expected}, got ${actual}`);
+                }
+            });
+        });
+    }
+
+    async testI18n() {
+        this.createTestSuite('Internationalization Tests');
+
+        const I18n = require('./i18n.js');
+        const english = require('./locales/en.js');
+        const content = JSON.parse(fs.readFileSync(path.join(__dirname, 'game-content.json'), 'utf8'));
+        const overlay = JSON.parse(fs.readFileSync(path.join(__dirname, 'game-content.es.json'), 'utf8'));
+
+        await this.runTest('Messages Fall Back And Fill Placeholders', async () => {
+            if (I18n.t('cell.numberedTitle', { number: 2 }, 'es') !== 'Celda de código 2') {
+                throw new Error('Spanish message was not filled in');
+            }
+            I18n.addCatalog('en', { 'test.onlyEnglish': 'Only {what} in English {missing}' });
+            if (I18n.t('test.onlyEnglish', { what: 'this' }, 'es') !== 'Only this in English {missing}') {
+                throw new Error('Untranslated message should fall back to English and keep unknown placeholders');
+            }
+            if (I18n.t('no.such.key') !== 'no.such.key') {
+                throw new Error('Unknown keys should show the key itself');
+            }
+        });
+
+        await this.runTest('Every Catalog Has Every Message', async () => {
+            Object.keys(I18n.LOCALES).forEach(locale => {
+                const catalog = require(`./locales/${locale}.js`);
+                const missing = Object.keys(english).filter(key => typeof catalog[key] !== 'string');
+                if (missing.length) {
+                    throw new Error(`${locale} is missing: ${missing.join(', ')}`);
+                }
+                Object.keys(english).forEach(key => {
+                    const placeholders = message => (message.match(/\{\w+\}/g) || []).sort().join();
+                    if (placeholders(catalog[key]) !== placeholders(english[key])) {
+                        throw new Error(`${locale} "${key}" has different placeholders from English`);
+                    }
+                });
+            });
+        });
+
+        await this.runTest('Saved Language Wins Over The Browser', async () => {
+            const store = {};
+            const storage = { getItem: key => store[key] ?? null, setItem: (key, value) => { store[key] = value; } };
+            if (I18n.loadLocale(storage, 'k', ['es-MX', 'en']) !== 'es' || I18n.loadLocale(storage, 'k', ['fr']) !== 'en') {
+                throw new Error('Without a saved choice the browser language should decide');
+            }
+            I18n.saveLocale(storage, 'k', 'en');
+            if (I18n.loadLocale(storage, 'k', ['es']) !== 'en') {
+                throw new Error('The saved choice should win');
+            }
+            let rejected = false;
+            try { I18n.saveLocale(storage, 'k', 'xx'); } catch (error) { rejected = true; }
+            if (!rejected) {
+                throw new Error('Unsupported languages should not be saved');
+            }
+        });
+
+        await this.runTest('Content Overlay Translates Text Only', async () => {
+            const localized = I18n.localizeContent(content, overlay);
+            const grading = stage => JSON.stringify([stage.starterCode, stage.solution, stage.cells,
+                stage.validation], (key, value) => (['title', 'instruction', 'hints', 'description', 'message'].includes(key) ? undefined : value));
+            content.stages.forEach((stage, index) => {
+                const translated = localized.stages[index];
+                if (translated.id !== stage.id || grading(translated) !== grading(stage)) {
+                    throw new Error(`Stage ${stage.id}: the overlay changed how it is graded`);
+                }
+                if (translated.title === stage.title) {
+                    throw new Error(`Stage ${stage.id} has no translated title`);
+                }
+            });
+            const tampered = { stages: [{ id: 1, solution: 'print(1)', hints: ['una pista'] }] };
+            const result = I18n.localizeContent(content, tampered).stages.find(stage => stage.id === 1);
+            if (result.solution !== content.stages.find(stage => stage.id === 1).solution || result.hints[0] !== 'una pista') {
+                throw new Error('Only text fields should come from an overlay');
+            }
+            if (!I18n.checkContentOverlay(content, tampered).some(warning => warning.includes('solution'))) {
+                throw new Error('The ignored solution should be reported');
+            }
+        });
+
+        await this.runTest('Spanish Overlay Covers Every Stage Cleanly', async () => {
+            const warnings = I18n.checkContentOverlay(content, overlay);
+            if (warnings.length) {
+                throw new Error(warnings.join('; '));
+            }
+            const missing = content.stages.filter(stage => !overlay.stages.some(o => o.id === stage.id));
+            if (missing.length) {
+                throw new Error(`No translation for stages ${missing.map(stage => stage.id).join(', ')}`);
+            }
+            if (I18n.contentOverlayUrl('es') !== 'game-content.es.json' || I18n.contentOverlayUrl('en') !== null) {
+                throw new Error('Overlay URL should sit beside the bundled content');
+            }
+        });
+
+        await this.runTest('Code Rules Described In The Active Language', async () => {
+            const { describeCodeRule } = require('./code-rules.js');
+            const rule = { type: 'loop', kind: 'for', over: 'sites' };
+            I18n.setLocale('es');
+            const spanish = describeCodeRule(rule);
+            I18n.setLocale('en');
+            if (!spanish.startsWith('Usa un bucle for') || describeCodeRule(rule) !== 'Use a for loop that goes through sites (e.g., for item in sites:)') {
+                throw new Error(`Unexpected descriptions: ${spanish}`);
+            }
+        });
+
+        await this.runTest('Tutor Answers In The Active Language', async () => {
+            const { LLMIntegration } = require('./llm-integration.js');
+            const llm = new LLMIntegration();
+            const context = { stage: 'Stage', challenge: '', data: '', currentCode: 'x' };
+            if (llm.buildChatSystemPrompt(context).includes('LANGUAGE:')) {
+                throw new Error('English needs no language instruction');
+            }
+            I18n.setLocale('es');
+            try {
+                const prompt = llm.buildChatSystemPrompt(context);
+                if (!prompt.includes('Spanish')) {
+                    throw new Error('Prompt should ask for Spanish replies');
+                }
+            } finally {
+                I18n.setLocale('en');
+            }
+        });
+    }
+
+    async testAccessibility() {
+        this.createTestSuite('Accessibility Tests');
+
+        const Accessibility = require('./accessibility.js');
+        const html = fs.readFileSync(path.join(__dirname, 'app.html'), 'utf8');
+
+        await this.runTest('Run Summary Reads Status Then Detail', async () => {
+            const passed = Accessibility.summarizeRun({
+                cell: 'Code Cell 2', status: ' Completed ', output: '23\n', next: 'You can now move on to Code Cell 3.'
+            });
+            if (passed !== 'Code Cell 2: Completed. 23 You can now move on to Code Cell 3.') {
+                throw new Error(`Unexpected summary: ${passed}`);
+            }
+            const failed = Accessibility.summarizeRun({
+                cell: 'Code Cell', status: 'Error', feedback: 'Expected 23\n  got 22', output: 'lots of output'
+            });
+            if (failed !== 'Code Cell: Error. Expected 23 got 22') {
+                throw new Error(`Feedback should replace the output: ${failed}`);
+            }
+            const long = Accessibility.summarizeRun({ cell: 'Code Cell', status: 'Completed', output: 'x'.repeat(500) });
+            if (long.length > 200 || !long.endsWith('…')) {
+                throw new Error('Long output should be cut short');
+            }
+        });
+
+        await this.runTest('Focus Trap Wraps At Both Ends', async () => {
+            const cases = [
+                [[2, 1, false], 0], [[2, 0, true], 1], [[2, 0, false], -1],
+                [[3, -1, false], 0], [[3, -1, true], 2], [[0, -1, false], -1]
+            ];
+            cases.forEach(([args, expected]) => {
+                if (Accessibility.nextTrapIndex(...args) !== expected) {
+                    throw new Error(`nextTrapIndex(${args}) should be ${expected}`);
+                }
+            });
+        });
+
+        await this.runTest('Page Has Live Regions And Labelled Dialogs', async () => {
+            ['sr-status', 'sr-alert'].forEach(id => {
+                if (!new RegExp(`id="${id}"[^>]*aria-live=`).test(html)) {
+                    throw new Error(`Missing live region #${id}`);
+                }
+            });
+            const dialogs = [...html.matchAll(/role="dialog"[^>]*aria-labelledby="([^"]+)"/g)].map(match => match[1]);
+            const modals = (html.match(/class="modal-overlay"/g) || []).length;
+            if (dialogs.length < modals + 1) {
+                throw new Error(`Only ${dialogs.length} labelled dialogs for ${modals} modals and the tutorial`);
+            }
+            const unnamed = dialogs.filter(id => !html.includes(`id="${id}"`));
+            if (unnamed.length) {
+                throw new Error(`Dialogs labelled by missing elements: ${unnamed.join(', ')}`);
+            }
+        });
+
+        await this.runTest('Icon Buttons And Fields Have Names', async () => {
+            const unnamed = [];
+            [...html.matchAll(/<button([^>]*)>([\s\S]*?)<\/button>/g)].forEach(([, attributes, content]) => {
+                const text = content.replace(/<[^>]+>/g, '').replace(/&\w+;|[^\p{L}\p{N}]/gu, '');
+                if (!text && !/aria-label=/.test(attributes)) unnamed.push(attributes.trim());
+            });
+            [...html.matchAll(/<(input|select)([^>]*)>/g)].forEach(({ 0: tag, 2: attributes, index }) => {
+                if (/type="(radio|file)"|\shidden/.test(attributes)) return;
+                const before = html.slice(0, index);
+                const inLabel = before.lastIndexOf('<label') > before.lastIndexOf('</label>');
+                if (!inLabel && !/aria-label=/.test(attributes)) unnamed.push(tag);
+            });
+            if (unnamed.length) {
+                throw new Error(`No accessible name: ${unnamed.join('; ')}`);
+            }
+        });
+    }
+
+    async testHintLadder() {
+        this.createTestSuite('Hint Ladder Tests');
+
+        const HintLadder = require('./hint-ladder.js');
+        const dashboard = require('./teacher-dashboard.js');
+        const stage = {
+            id: 4,
+            hints: ['Stage hint one', 'Stage hint two'],
+            cells: [{ hints: ['First cell hint'] }, {}, { hints: ['Third cell hint'] }]
+        };
+        const rungs = HintLadder.authoredRungs(stage);
+
+        await this.runTest('Stage Hints Come Before Cell Hints', async () => {
+            const order = rungs.map(rung => `${rung.cell}:${rung.number}`).join();
+            if (order !== 'null:1,null:2,0:1,2:1' || rungs[3].text !== 'Third cell hint') {
+                throw new Error(`Unexpected rungs: ${JSON.stringify(rungs)}`);
+            }
+            if (HintLadder.authoredRungs({ cells: [{}] }).length !== 0) {
+                throw new Error('A stage without hints should have no authored rungs');
+            }
+        });
+
+        await this.runTest('AI Hints Only After The Authored Ones', async () => {
+            let position = HintLadder.positionFor({}, 4);
+            const taken = [];
+            for (let i = 0; i < 6; i++) {
+                const rung = HintLadder.nextRung(rungs, position, true);
+                taken.push(rung.kind === 'ai' ? 'ai' : rung.index);
+                position = HintLadder.climb(position, rungs, rung);
+            }
+            if (taken.join() !== '0,1,2,3,ai,ai') {
+                throw new Error(`Unexpected climb: ${taken.join()}`);
+            }
+            if (position.reached !== 4 || position.authored !== 4 || position.aiHints !== 2) {
+                throw new Error(`Unexpected position: ${JSON.stringify(position)}`);
+            }
+            if (HintLadder.nextRung(rungs, position, false) !== null) {
+                throw new Error('Without AI the ladder should end after the authored hints');
+            }
+            if (HintLadder.nextRung([], HintLadder.positionFor({}, 1), true).kind !== 'ai') {
+                throw new Error('A stage without authored hints should go straight to AI hints');
+            }
+        });
+
+        await this.runTest('Saved Positions Are Sanitised', async () => {
+            const position = HintLadder.positionFor({ 4: { reached: '2', authored: 3.5, aiHints: -1 } }, 4);
+            if (position.reached !== 0 || position.authored !== 0 || position.aiHints !== 0) {
+                throw new Error(`Bad saved values should read as the foot of the ladder: ${JSON.stringify(position)}`);
+            }
+            // A stage whose content gained hints picks up where the student was
+            const saved = { reached: 3, authored: 3, aiHints: 1 };
+            if (HintLadder.nextRung(rungs, HintLadder.positionFor({ 4: saved }, 4), true).index !== 3) {
+                throw new Error('New authored hints should come before more AI hints');
+            }
+        });
+
+        await this.runTest('Teachers See The Ladder Position', async () => {
+            const progress = {
+                currentStage: 4,
+                completedStages: [1, 2, 3],
+                hintLadder: { 4: { reached: 4, authored: 4, aiHints: 2 } }
+            };
+            const summary = dashboard.summarizeStudent({ student: 'Ada', packId: 'default', progress });
+            const ladder = summary.stages[4].hintLadder;
+            if (!ladder || ladder.reached !== 4 || ladder.aiHints !== 2 || summary.stages[1].hintLadder !== null) {
+                throw new Error(`Unexpected ladder summary: ${JSON.stringify(summary.stages)}`);
+            }
+            const rows = dashboard.toCSV([summary]).trim().split('\r\n');
+            if (!rows[4].startsWith('Ada,default,4,4,,no,0,0,4,4,2,')) {
+                throw new Error(`Ladder columns missing: ${rows[4]}`);
+            }
+        });
+    }
+
+    async testPythonKernel() {
+        this.createTestSuite('Python Kernel Tests');
+
+        const { PythonSandbox, PythonError, createLocalTransport } = require('./python-runtime.js');
+        const { loadSkulpt } = require('./scripts/validate-content.js');
+        const sandbox = new PythonSandbox({ createTransport: createLocalTransport(loadSkulpt) });
+
+        await this.runTest('Variables Persist Across Runs In A Namespace', async () => {
+            await sandbox.run('count = 3\ndef double(n):\n    return n * 2', { namespace: 'stage-1' });
+            const output = await sandbox.run('print(double(count))', { namespace: 'stage-1' });
+            if (output !== '6\n') {
+                throw new Error(`Expected the second run to see the first's globals, got ${JSON.stringify(output)}`);
+            }
+            const main = await sandbox.run('print(__name__)', { namespace: 'stage-1' });
+            if (main !== '__main__\n') {
+                throw new Error(`Cells should run as __main__, got ${JSON.stringify(main)}`);
+            }
+        });
+
+        await this.runTest('Namespaces And Plain Runs Are Separate', async () => {
+            await sandbox.run('secret = 1', { namespace: 'stage-2' });
+            for (const options of [{ namespace: 'stage-3' }, {}]) {
+                let error = null;
+                try {
+                    await sandbox.run('print(secret)', options);
+                } catch (e) {
+                    error = e;
+                }
+                if (!(error instanceof PythonError) || !/NameError/.test(String(error))) {
+                    throw new Error(`${JSON.stringify(options)} should not see stage-2's variables`);
+                }
+            }
+        });
+
+        await this.runTest('Restart Forgets The Namespace', async () => {
+            await sandbox.run('kept = True', { namespace: 'stage-4' });
+            sandbox.resetNamespace('stage-4');
+            let error = null;
+            try {
+                await sandbox.run('print(kept)', { namespace: 'stage-4' });
+            } catch (e) {
+                error = e;
+            }
+            if (!/NameError/.test(String(error))) {
+                throw new Error('A reset namespace should start empty');
+            }
+        });
+
+        await this.runTest('Inspector Lists Globals With Types', async () => {
+            await sandbox.run('import math\nlength = 12\nsites = ["Giza", "Rome"]\nclass Site:\n    pass\nbig = list(range(500))', { namespace: 'stage-5' });
+            const variables = await sandbox.inspect('stage-5');
+            const byName = Object.fromEntries(variables.map(v => [v.name, v]));
+            if (Object.keys(byName).some(name => name.startsWith('__'))) {
+                throw new Error(`Dunder names should be hidden: ${Object.keys(byName).join(', ')}`);
+            }
+            if (byName.length?.type !== 'int' || byName.length.value !== '12') {
+                throw new Error(`Reserved JS names should be unmangled: ${JSON.stringify(variables)}`);
+            }
+            if (byName.sites.value !== "['Giza', 'Rome']" || byName.math.type !== 'module' || byName.Site.type !== 'type') {
+                throw new Error(`Unexpected variables: ${JSON.stringify(variables)}`);
+            }
+            if (byName.big.value.length > 120 || !byName.big.value.endsWith('…')) {
+                throw new Error('Long values should be shortened');
+            }
+            const empty = await sandbox.inspect('never-run');
+            if (empty.length !== 0) {
+                throw new Error('An unused namespace has no variables');
+            }
+        });
+    }
+
     async runAllTests() {
         console.log('🧪 Starting AICodePedagogy Test Suite (Node.js)...');
         console.log('='.repeat(60));
@@ -504,6 +2839,28 @@ class SimpleTestSuite extends NodeTestRunner {
             await this.testBasicFunctionality();
             await this.testValidationSystem();
             await this.testMarkdownConversion();
+            await this.testChatConversation();
+            await this.testStreamingResponses();
+            await this.testNarrativeEngine();
+            await this.testEndingSelection();
+            await this.testContentValidation();
+            await this.testContentPacks();
+            await this.testProfiles();
+            await this.testPythonRuntime();
+            await this.testPythonSandbox();
+            await this.testCodeRules();
+            await this.testCodeDiff();
+            await this.testOutputDiff();
+            await this.testCellHistory();
+            await this.testTutorAgent();
+            await this.testTutorAnalytics();
+            await this.testProgressFiles();
+            await this.testTeacherDashboard();
+            await this.testOfflineSupport();
+            await this.testI18n();
+            await this.testAccessibility();
+            await this.testHintLadder();
+            await this.testPythonKernel();
 
             const success = this.displaySummary();
             
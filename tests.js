@@ -583,6 +583,29 @@ print(my_list[10])`;
             }
         });
 
+        await this.runTest('Scripted Stdin Validation', async () => {
+            if (typeof executeCodeAndCaptureOutput !== 'function' || typeof Sk === 'undefined') {
+                console.warn('Skulpt not available, skipping test');
+                return;
+            }
+
+            const code = 'name = input("Name? ")\nprint("Hello " + name)';
+            const output = await executeCodeAndCaptureOutput(code, ['Ada']);
+            if (output !== 'Name? Hello Ada') {
+                throw new Error(`Unexpected output: ${output}`);
+            }
+
+            let failed = false;
+            try {
+                await executeCodeAndCaptureOutput(code, []);
+            } catch (error) {
+                failed = /EOF/.test(error.toString());
+            }
+            if (!failed) {
+                throw new Error('Running out of scripted input should raise an EOF error');
+            }
+        });
+
         await this.runTest('Validation with Wrong Output', async () => {
             if (typeof checkCellOutput !== 'function') {
                 throw new Error('checkCellOutput function not available');
@@ -925,6 +948,102 @@ print(data['text'].upper())
         });
     }
 
+    // Markdown Renderer Tests - model output must never become live markup
+    async testMarkdownRenderer() {
+        this.createTestSuite('Markdown Renderer Tests');
+
+        const render = (markdown, options) => MarkdownRenderer.renderMarkdown(markdown, options);
+
+        await this.runTest('Script Tags Are Shown As Text', async () => {
+            const html = render('Try this: <script>alert("x")</script>');
+            if (html.includes('<script') || !html.includes('&lt;script&gt;')) {
+                throw new Error(`Script tag was not escaped: ${html}`);
+            }
+        });
+
+        await this.runTest('Event Handler Attributes Are Dropped', async () => {
+            const hostile = [
+                '<img src=x onerror="alert(1)">',
+                '**<img src=x onerror=alert(1)>**',
+                '```python\n<img src=x onerror=alert(1)>\n```'
+            ];
+            hostile.forEach(markdown => {
+                const html = render(markdown);
+                if (/<img/i.test(html)) {
+                    throw new Error(`Raw HTML got through: ${html}`);
+                }
+            });
+
+            // The sanitizer catches it even when markup arrives as HTML
+            const cleaned = MarkdownRenderer.sanitizeHtml('<p onclick="x()">Hi</p><img src=x onerror=alert(1)><a href="javascript:alert(1)">go</a>');
+            if (/<img|<p\s|href=/i.test(cleaned) || !cleaned.startsWith('<p>Hi</p>')) {
+                throw new Error(`Sanitizer let markup through: ${cleaned}`);
+            }
+        });
+
+        await this.runTest('Only Safe Links Are Kept', async () => {
+            const unsafe = render('[click me](javascript:alert(1))');
+            if (unsafe.includes('href') || !unsafe.includes('click me')) {
+                throw new Error(`javascript: link kept: ${unsafe}`);
+            }
+            const safe = render('[docs](https://docs.python.org/3/)');
+            if (!safe.includes('href="https://docs.python.org/3/"') || !safe.includes('rel="noopener noreferrer"')) {
+                throw new Error(`https link lost: ${safe}`);
+            }
+        });
+
+        await this.runTest('Nested And Numbered Lists', async () => {
+            const html = render('1. Count the fragments\n2. Sort them\n   - by length\n   - by date\n3. Report');
+            const expected = '<ol><li>Count the fragments</li><li>Sort them<ul><li>by length</li><li>by date</li></ul></li><li>Report</li></ol>';
+            if (html !== expected) {
+                throw new Error(`Got ${html}`);
+            }
+        });
+
+        await this.runTest('Asterisks In Code Stay Literal', async () => {
+            const inline = render('Multiply with `total * 2 * rate` here');
+            if (inline.includes('<em>') || !inline.includes('<code>total * 2 * rate</code>')) {
+                throw new Error(`Inline code was mangled: ${inline}`);
+            }
+            const block = render('```python\nresult = a * b * c\nprint(result ** 2)\n```');
+            if (block.includes('<em>') || block.includes('<strong>')) {
+                throw new Error(`Code block was mangled: ${block}`);
+            }
+            const prose = render('snake_case_names and 2 * 3 * 4 are not emphasis');
+            if (prose.includes('<em>')) {
+                throw new Error(`Prose was mangled: ${prose}`);
+            }
+        });
+
+        await this.runTest('Tables Render With Alignment', async () => {
+            const html = render('| Site | Fragments |\n|---|---:|\n| Giza | 12 |');
+            if (!html.startsWith('<table><thead><tr><th>Site</th><th class="align-right">Fragments</th></tr></thead>') ||
+                !html.includes('<td>Giza</td>')) {
+                throw new Error(`Got ${html}`);
+            }
+        });
+
+        await this.runTest('Python Is Highlighted', async () => {
+            const html = render('```python\ndef count(items):\n    return len(items)  # how many\n```');
+            ['tok-keyword">def', 'tok-def">count', 'tok-builtin">len', 'tok-comment"># how many'].forEach(fragment => {
+                if (!html.includes(fragment)) {
+                    throw new Error(`Missing ${fragment} in ${html}`);
+                }
+            });
+        });
+
+        await this.runTest('Code Blocks Offer Copy And Apply', async () => {
+            const copyOnly = render('```python\nx = 1\n```', { codeActions: ['copy'] });
+            if (!copyOnly.includes('data-code-action="copy"') || copyOnly.includes('data-code-action="apply"')) {
+                throw new Error(`Expected only a copy button: ${copyOnly}`);
+            }
+            const both = render('```python\nx = 1\n```\n```text\nOutput\n```', { codeActions: ['copy', 'apply'] });
+            if ((both.match(/data-code-action="apply"/g) || []).length !== 1) {
+                throw new Error(`Only Python blocks can be applied to a cell: ${both}`);
+            }
+        });
+    }
+
     // Main test runner
     async runAllTests() {
         console.log('Starting AICodePedagogy Test Suite...');
@@ -941,6 +1060,7 @@ print(data['text'].upper())
             await this.testValidationSystem();
             await this.testOfflineStorage();
             await this.testLLMIntegration();
+            await this.testMarkdownRenderer();
             
             // Run enhanced tests if TEST_CONFIG is available
             if (typeof TEST_CONFIG !== 'undefined') {
@@ -238,6 +238,78 @@ async function testWaitFor() {
   log('');
 }
 
+async function testAccessibility() {
+  log('♿ Testing accessibility...');
+
+  await page.evaluate(() => window.gameAPI.loadStage(1));
+  await page.waitForTimeout(1000);
+
+  // Every visible control has a name a screen reader can read out
+  const unnamed = await page.evaluate(() => {
+    const nameOf = element => {
+      const labelledBy = element.getAttribute('aria-labelledby');
+      const labels = element.labels ? [...element.labels].map(label => label.textContent).join(' ') : '';
+      return [
+        element.getAttribute('aria-label'),
+        labelledBy && document.getElementById(labelledBy)?.textContent,
+        labels,
+        element.tagName === 'INPUT' ? '' : element.textContent.replace(/[^\p{L}\p{N}]/gu, ''),
+        element.getAttribute('title')
+      ].some(name => name && name.trim());
+    };
+    return [...document.querySelectorAll('button, input, select, textarea, [role="button"]')]
+      .filter(element => element.getClientRects().length > 0 && element.type !== 'hidden')
+      .filter(element => !element.closest('.CodeMirror') && !nameOf(element))
+      .map(element => element.id || element.outerHTML.slice(0, 60));
+  });
+  assert(unnamed.length === 0, `every visible control has a name${unnamed.length ? ` (missing: ${unnamed.join(', ')})` : ''}`);
+
+  const dialogs = await page.evaluate(() => [...document.querySelectorAll('[role="dialog"]')]
+    .every(dialog => document.getElementById(dialog.getAttribute('aria-labelledby'))));
+  assert(dialogs, 'every dialog is labelled by a heading');
+
+  const regions = await page.evaluate(() => ['sr-status', 'sr-alert']
+    .every(id => document.getElementById(id)?.getAttribute('aria-live')));
+  assert(regions, 'live regions are on the page');
+
+  // The cell number is a keyboard-operable run button
+  const runButton = await page.evaluate(() => {
+    const number = document.getElementById('single-cell-number');
+    return { role: number.getAttribute('role'), label: number.getAttribute('aria-label'), tabIndex: number.tabIndex };
+  });
+  assert(runButton.role === 'button' && runButton.tabIndex === 0 && /\S/.test(runButton.label), 'cell number is a labelled run button');
+
+  // Esc leaves the editor for the run button, and Enter runs the cell
+  await page.evaluate(() => window.gameAPI.setCode('print("hello")'));
+  await page.click('#single-cell .CodeMirror');
+  await page.keyboard.press('Escape');
+  const escaped = await page.evaluate(() => document.activeElement.id);
+  assert(escaped === 'single-cell-number', 'Escape moves focus from the editor to the run button');
+
+  await page.keyboard.press('Enter');
+  const announced = await page.waitForFunction(
+    () => /hello/.test(document.getElementById('sr-status').textContent + document.getElementById('sr-alert').textContent),
+    { timeout: CONFIG.timeout }
+  ).then(() => true, () => false);
+  assert(announced, 'run result is announced in a live region');
+
+  // The tutorial keeps focus on its buttons and closes on Escape
+  await page.evaluate(() => startTutorial(1));
+  await page.waitForTimeout(200);
+  let trapped = true;
+  for (let i = 0; i < 3; i++) {
+    await page.keyboard.press('Tab');
+    trapped = trapped && await page.evaluate(() => document.getElementById('tutorial-tooltip').contains(document.activeElement));
+  }
+  assert(trapped, 'Tab stays inside the tutorial');
+
+  await page.keyboard.press('Escape');
+  const closed = await page.evaluate(() => document.getElementById('tutorial-overlay').style.display === 'none');
+  assert(closed, 'Escape closes the tutorial');
+
+  log('');
+}
+
 // Run all tests
 async function runTests() {
   try {
@@ -253,6 +325,7 @@ async function runTests() {
     await testGetSolution();
     await testGetFullContext();
     await testWaitFor();
+    await testAccessibility();
     await testSolveStage1();
 
   } catch (error) {
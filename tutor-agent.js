@@ -0,0 +1,245 @@
+/**
+ * Tutor Agent
+ * A tool-calling loop for "Fix my code". The model works through explicit
+ * tools (read a cell, propose an edit, run a cell, read its output, take a
+ * hint) and every call is reported so the student can watch what it does.
+ * Provider wire formats live here; the tools themselves are supplied by the
+ * caller, which owns the editors and the Python runtime.
+ */
+
+const AGENT_TOOLS = [
+  {
+    name: 'read_cell',
+    description: 'Read the current code in a cell of the student\'s notebook.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cell: { type: 'integer', description: 'Cell number, starting at 1' }
+      },
+      required: ['cell']
+    }
+  },
+  {
+    name: 'propose_edit',
+    description: 'Propose new code for a cell. The student reviews the change as a diff and may accept all, part or none of it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cell: { type: 'integer', description: 'Cell number, starting at 1' },
+        code: { type: 'string', description: 'The complete new code for the cell' },
+        explanation: { type: 'string', description: 'One sentence on what the change fixes' }
+      },
+      required: ['cell', 'code']
+    }
+  },
+  {
+    name: 'run_cell',
+    description: 'Run a cell and return its output and whether it passed the challenge check.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cell: { type: 'integer', description: 'Cell number, starting at 1' }
+      },
+      required: ['cell']
+    }
+  },
+  {
+    name: 'read_output',
+    description: 'Read the output a cell printed the last time it ran, without running it again.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cell: { type: 'integer', description: 'Cell number, starting at 1' }
+      },
+      required: ['cell']
+    }
+  },
+  {
+    name: 'get_hint',
+    description: 'Get one of the challenge\'s authored hints.',
+    parameters: {
+      type: 'object',
+      properties: {
+        number: { type: 'integer', description: 'Hint number, starting at 1' }
+      },
+      required: ['number']
+    }
+  }
+];
+
+const DEFAULT_MAX_STEPS = 8;
+const MAX_RESULT_LENGTH = 2000;
+
+/**
+ * Tool definitions in a provider's request format
+ * @param {string} format - 'openai', 'anthropic' or 'ollama'
+ */
+function toolsFor(format) {
+  if (format === 'anthropic') {
+    return AGENT_TOOLS.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }));
+  }
+  // OpenAI and Ollama share the function-calling shape
+  return AGENT_TOOLS.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+/**
+ * The starting message list. Anthropic takes the system prompt as a
+ * request field instead, so it is left out of that format's messages.
+ */
+function initialMessages(format, systemPrompt, task) {
+  const messages = [{ role: 'user', content: task }];
+  return format === 'anthropic' ? messages : [{ role: 'system', content: systemPrompt }, ...messages];
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Split a provider's (non-streamed) reply into text and tool calls
+ * @returns {{text: string, toolCalls: Array<{id: string, name: string, args: Object}>, message: Object}}
+ *   message is the assistant turn to append to the conversation as-is
+ */
+function parseReply(format, data) {
+  if (data?.error) {
+    throw new Error(data.error.message || data.error);
+  }
+
+  if (format === 'anthropic') {
+    const blocks = data.content || [];
+    return {
+      text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, args: parseArguments(block.input) })),
+      message: { role: 'assistant', content: blocks }
+    };
+  }
+
+  const message = format === 'openai' ? data.choices?.[0]?.message : data.message;
+  if (!message) throw new Error('The model returned an empty reply');
+  return {
+    text: message.content || '',
+    // Ollama doesn't number its tool calls, so give them ids of our own
+    toolCalls: (message.tool_calls || []).map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function?.name,
+      args: parseArguments(call.function?.arguments)
+    })),
+    message
+  };
+}
+
+/**
+ * Messages that hand tool results back to the model
+ * @param {Array<{call: Object, content: string}>} results
+ */
+function toolResultMessages(format, results) {
+  if (format === 'anthropic') {
+    // All results for one turn go back together in a single user message
+    return [{
+      role: 'user',
+      content: results.map(({ call, content }) => ({ type: 'tool_result', tool_use_id: call.id, content }))
+    }];
+  }
+  if (format === 'openai') {
+    return results.map(({ call, content }) => ({ role: 'tool', tool_call_id: call.id, content }));
+  }
+  return results.map(({ call, content }) => ({ role: 'tool', tool_name: call.name, content }));
+}
+
+function truncateResult(text) {
+  const value = String(text ?? '');
+  return value.length > MAX_RESULT_LENGTH ? value.slice(0, MAX_RESULT_LENGTH) + '\n… (truncated)' : value;
+}
+
+/**
+ * Run the agent until the model answers without calling a tool, or the step
+ * limit is reached. A step is one model turn and the tool calls it makes.
+ * @param {Object} options
+ * @param {string} options.format - 'openai', 'anthropic' or 'ollama'
+ * @param {Function} options.send - async (messages, tools) => raw provider reply
+ * @param {Object<string, Function>} options.tools - Tool name => async (args) => result text
+ * @param {string} options.systemPrompt
+ * @param {string} options.task - The opening user message
+ * @param {number} [options.maxSteps]
+ * @param {Function} [options.onEvent] - Called with each transcript entry as it happens
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{text: string, steps: number, limitReached: boolean, transcript: Array}>}
+ */
+async function runAgent({ format, send, tools, systemPrompt, task, maxSteps = DEFAULT_MAX_STEPS, onEvent = null, signal = null }) {
+  const messages = initialMessages(format, systemPrompt, task);
+  const definitions = toolsFor(format);
+  const transcript = [];
+  const record = entry => {
+    transcript.push(entry);
+    if (onEvent) onEvent(entry, transcript);
+  };
+  const checkAborted = () => {
+    if (signal?.aborted) throw new DOMException('Request cancelled', 'AbortError');
+  };
+
+  for (let step = 1; step <= maxSteps; step++) {
+    checkAborted();
+    const reply = parseReply(format, await send(messages, definitions));
+    messages.push(reply.message);
+    if (reply.text.trim()) record({ type: 'text', step, text: reply.text });
+
+    if (reply.toolCalls.length === 0) {
+      return { text: reply.text, steps: step, limitReached: false, transcript };
+    }
+
+    const results = [];
+    for (const call of reply.toolCalls) {
+      checkAborted();
+      const entry = { type: 'tool', step, name: call.name, args: call.args, status: 'running', result: '' };
+      record(entry);
+
+      const tool = tools[call.name];
+      try {
+        if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+        entry.result = truncateResult(await tool(call.args || {}));
+        entry.status = 'done';
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+        entry.result = `Error: ${error.message}`;
+        entry.status = 'error';
+      }
+      if (onEvent) onEvent(entry, transcript);
+      results.push({ call, content: entry.result });
+    }
+    messages.push(...toolResultMessages(format, results));
+  }
+
+  record({ type: 'limit', step: maxSteps, text: `Stopped after ${maxSteps} steps.` });
+  return { text: '', steps: maxSteps, limitReached: true, transcript };
+}
+
+const TutorAgent = {
+  AGENT_TOOLS,
+  DEFAULT_MAX_STEPS,
+  toolsFor,
+  initialMessages,
+  parseReply,
+  toolResultMessages,
+  runAgent
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TutorAgent;
+} else if (typeof window !== 'undefined') {
+  window.TutorAgent = TutorAgent;
+}
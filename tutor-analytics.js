@@ -0,0 +1,207 @@
+/**
+ * Tutor Analytics
+ * Run-by-run telemetry for the learning journey: what the student ran, how
+ * it went, which Python exception it raised and what that says about the
+ * concept they're stuck on. Records are plain JSON so they save with the game.
+ */
+
+// Python exception type => the concept a beginner is usually missing
+const ERROR_TAXONOMY = {
+  SyntaxError: { concept: 'syntax', label: 'Syntax' },
+  IndentationError: { concept: 'indentation', label: 'Indentation' },
+  TabError: { concept: 'indentation', label: 'Indentation' },
+  NameError: { concept: 'variable names', label: 'Undefined name' },
+  UnboundLocalError: { concept: 'variable scope', label: 'Variable scope' },
+  TypeError: { concept: 'types', label: 'Wrong type' },
+  ValueError: { concept: 'type conversion', label: 'Bad value' },
+  IndexError: { concept: 'list indexing', label: 'Index out of range' },
+  KeyError: { concept: 'dictionaries', label: 'Missing key' },
+  AttributeError: { concept: 'methods', label: 'Unknown attribute' },
+  ZeroDivisionError: { concept: 'arithmetic', label: 'Division by zero' },
+  ImportError: { concept: 'imports', label: 'Import' },
+  TimeLimitError: { concept: 'loops', label: 'Loop never ended' }
+};
+
+const UNKNOWN_ERROR = { concept: 'other', label: 'Other error' };
+
+// Run outcomes, in the order the journey panel explains them
+const OUTCOMES = ['passed', 'failed', 'error', 'timeout', 'stopped'];
+
+// Gaps longer than this between runs are treated as a break, not work
+const IDLE_LIMIT_MS = 5 * 60 * 1000;
+
+const MAX_CODE_LENGTH = 4000;
+const MAX_MESSAGE_LENGTH = 300;
+
+// Characters of saved JSON all stages' run records may take up
+const MAX_SAVED_RUN_CHARS = 400000;
+
+function truncate(text, limit) {
+  return text.length > limit ? text.slice(0, limit) + '…' : text;
+}
+
+/**
+ * Classify a Python error by its exception type
+ * @param {Error|string} error - As thrown by Skulpt, or its message
+ * @returns {{type: string, concept: string, label: string, line: number|null, message: string}}
+ */
+function classifyError(error) {
+  const text = String(error?.toString ? error.toString() : error || '').replace(/^Error:\s*/, '').trim();
+  const firstLine = text.split('\n')[0];
+  const match = firstLine.match(/^(?:[\w.]+\.)?(\w+(?:Error|Exception))\b:?\s*(.*)$/);
+  const type = match ? match[1] : 'Error';
+  const lineMatch = text.match(/on line (\d+)/);
+
+  let entry = ERROR_TAXONOMY[type] || UNKNOWN_ERROR;
+  // Adding a number to a string is the classic beginner TypeError
+  if (type === 'TypeError' && /\bstr\b/.test(firstLine) && /concatenate|unsupported operand/.test(firstLine)) {
+    entry = { concept: 'string conversion', label: 'Mixing text and numbers' };
+  }
+
+  return {
+    type,
+    concept: entry.concept,
+    label: entry.label,
+    line: lineMatch ? Number(lineMatch[1]) : null,
+    message: truncate(match ? match[2] || firstLine : firstLine, MAX_MESSAGE_LENGTH)
+  };
+}
+
+/**
+ * Build the record for one run
+ * @param {Object} run
+ * @param {string} run.outcome - One of OUTCOMES
+ * @param {string} run.code - The code that ran
+ * @param {number|null} [run.cell] - Cell index on multi-cell stages
+ * @param {Error|string} [run.error] - The exception, for 'error' and 'timeout'
+ * @param {number[]} [run.hints] - Authored hints revealed so far this stage
+ * @param {number} [run.aiHints] - AI hints asked for so far this stage
+ * @param {number} [run.at] - When the run finished
+ * @param {number} [run.since] - The previous activity (stage opened, or the last run)
+ */
+function createRunRecord({ outcome, code, cell = null, error = null, hints = [], aiHints = 0, at = Date.now(), since = null }) {
+  const record = {
+    at,
+    cell,
+    code: truncate(String(code || ''), MAX_CODE_LENGTH),
+    outcome,
+    hints: [...hints],
+    aiHints,
+    activeMs: since === null ? 0 : Math.min(Math.max(0, at - since), IDLE_LIMIT_MS)
+  };
+  if (error) {
+    const { type, concept, line, message } = classifyError(error);
+    Object.assign(record, { errorType: type, errorConcept: concept, errorLine: line, errorMessage: message });
+  }
+  return record;
+}
+
+/**
+ * Concepts behind a list of errors, most frequent first
+ * @param {Array<string|Object>} errors - Error messages, or run records
+ */
+function identifyStruggles(errors = []) {
+  const counts = new Map();
+  errors.forEach(error => {
+    const concept = typeof error === 'object' && error !== null && 'outcome' in error
+      ? error.errorConcept
+      : classifyError(error).concept;
+    if (concept && concept !== 'other') counts.set(concept, (counts.get(concept) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([concept]) => concept);
+}
+
+/**
+ * Totals for one stage's run history
+ * @returns {{runs: number, outcomes: Object, errorTypes: Array<{type: string, label: string, concept: string, count: number}>,
+ *   struggles: string[], timeOnTaskMs: number, hintsRevealed: number, aiHints: number, firstPassRun: number|null}}
+ */
+function summarizeRuns(records = []) {
+  const outcomes = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+  const errorTypes = new Map();
+  records.forEach(record => {
+    outcomes[record.outcome] = (outcomes[record.outcome] || 0) + 1;
+    if (record.errorType) {
+      const entry = errorTypes.get(record.errorType) ||
+        { type: record.errorType, label: (ERROR_TAXONOMY[record.errorType] || UNKNOWN_ERROR).label, concept: record.errorConcept, count: 0 };
+      entry.count++;
+      errorTypes.set(record.errorType, entry);
+    }
+  });
+
+  const last = records[records.length - 1];
+  const firstPass = records.findIndex(record => record.outcome === 'passed');
+  return {
+    runs: records.length,
+    outcomes,
+    errorTypes: [...errorTypes.values()].sort((a, b) => b.count - a.count),
+    struggles: identifyStruggles(records),
+    timeOnTaskMs: records.reduce((total, record) => total + (record.activeMs || 0), 0),
+    hintsRevealed: last ? last.hints.length : 0,
+    aiHints: last ? last.aiHints : 0,
+    firstPassRun: firstPass === -1 ? null : firstPass + 1
+  };
+}
+
+/**
+ * Shrink saved run history, oldest runs first, until its JSON fits in
+ * maxChars. The code of old runs goes first, since it is most of the size
+ * and the totals don't need it; only then are whole records dropped.
+ * @param {Object} runHistory - Stage id => run records, updated in place
+ * @returns {number} How many records lost their code or were dropped
+ */
+function trimRunHistory(runHistory, maxChars = MAX_SAVED_RUN_CHARS) {
+  let size = JSON.stringify(runHistory).length;
+  if (size <= maxChars) return 0;
+
+  const oldestFirst = Object.values(runHistory)
+    .flatMap(records => records.map(record => ({ records, record })))
+    .sort((a, b) => a.record.at - b.record.at);
+
+  let trimmed = 0;
+  for (const { record } of oldestFirst) {
+    if (size <= maxChars) break;
+    if (!record.code) continue;
+    size -= JSON.stringify(record.code).length - 2;
+    record.code = '';
+    trimmed++;
+  }
+  for (const { records, record } of oldestFirst) {
+    if (size <= maxChars) break;
+    records.splice(records.indexOf(record), 1);
+    size -= JSON.stringify(record).length + 1;
+    trimmed++;
+  }
+  return trimmed;
+}
+
+/**
+ * Describe a duration for people: "45s", "3 min", "1 h 20 min"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+const TutorAnalytics = {
+  ERROR_TAXONOMY,
+  OUTCOMES,
+  IDLE_LIMIT_MS,
+  MAX_SAVED_RUN_CHARS,
+  classifyError,
+  createRunRecord,
+  identifyStruggles,
+  summarizeRuns,
+  trimRunHistory,
+  formatDuration
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TutorAnalytics;
+} else if (typeof window !== 'undefined') {
+  window.TutorAnalytics = TutorAnalytics;
+}